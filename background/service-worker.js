@@ -13,9 +13,24 @@ import { CONFIG } from '../config.js';
 import { storageManager } from '../utils/storage.js';
 import { commentScheduler } from '../utils/scheduler.js';
 import { geminiAPI } from '../services/gemini-api.js';
+import { llmProviders } from '../services/llm-providers.js';
 import { logger } from '../utils/logger.js';
 import { errorHandler } from '../utils/error-handler.js';
 import { performanceOptimizer } from '../utils/performance-optimizer.js';
+import { draftQueue } from '../utils/draft-queue.js';
+import { styleExamples } from '../utils/style-examples.js';
+import { dryRunReport } from '../utils/dry-run-report.js';
+import { commentTemplates } from '../prompts/comment-templates.js';
+import { personaProfile } from '../utils/persona-profile.js';
+import { contentFilter } from '../utils/content-filter.js';
+import { languageDetector } from '../utils/language-detector.js';
+import { usageBudget } from '../utils/usage-budget.js';
+import { outputFilter } from '../utils/output-filter.js';
+import { experiments } from '../utils/experiments.js';
+import { apiHandler } from '../utils/api-handler.js';
+import { topicProfiles } from '../utils/topic-profiles.js';
+import { semanticRelevance } from '../utils/semantic-relevance.js';
+import { sensitiveContext } from '../utils/sensitive-context.js';
 
 // Global state management
 let extensionState = {
@@ -176,6 +191,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     response = await handleSaveGeminiAPIKey(message.apiKey);
                     break;
 
+                case 'GET_PROVIDER_SETTINGS':
+                    response = await handleGetProviderSettings();
+                    break;
+
+                case 'SAVE_PROVIDER_SETTINGS':
+                    response = await handleSaveProviderSettings(message.provider, message.settings);
+                    break;
+
+                case 'TEST_PROVIDER_CONNECTION':
+                    response = await handleTestProviderConnection(message.provider);
+                    break;
+
                 case 'UPDATE_COMMENT_SETTINGS':
                     response = await handleUpdateCommentSettings(message.settings);
                     break;
@@ -188,6 +215,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     response = await handleAPIKeyError(message);
                     break;
 
+                case 'SUBMIT_COUNTDOWN':
+                    response = await handleSubmitCountdown(message.remaining, sender);
+                    break;
+
                 case 'START_AUTOMATED_COMMENTING':
                     response = await handleStartAutomatedCommenting(message.data);
                     break;
@@ -204,6 +235,201 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     response = await handleResetDuplicateChecker(message.includeHistory);
                     break;
 
+                // Draft review queue handlers
+                case 'QUEUE_COMMENT_DRAFT':
+                    response = await handleQueueCommentDraft(message.data, sender);
+                    break;
+
+                case 'GET_DRAFTS':
+                    response = await handleGetDrafts(message.data);
+                    break;
+
+                case 'APPROVE_DRAFT':
+                    response = await handleApproveDraft(message.draftId, message.comment);
+                    break;
+
+                case 'EDIT_DRAFT':
+                    response = await handleEditDraft(message.draftId, message.comment);
+                    break;
+
+                case 'REJECT_DRAFT':
+                    response = await handleRejectDraft(message.draftId, message.reason);
+                    break;
+
+                case 'REGENERATE_DRAFT':
+                    response = await handleRegenerateDraft(message.draftId);
+                    break;
+
+                case 'CANCEL_DRAFT':
+                    response = await handleCancelDraft(message.draftId, message.reason);
+                    break;
+
+                case 'MARK_DRAFT_POSTED':
+                    response = await handleMarkDraftPosted(message.draftId, message.timestamp);
+                    break;
+
+                case 'MARK_DRAFT_FAILED':
+                    response = await handleMarkDraftFailed(message.draftId, message.error);
+                    break;
+
+                // Style example handlers
+                case 'GET_RECENT_COMMENTS':
+                    response = await handleGetRecentComments(message.limit);
+                    break;
+
+                case 'SAVE_COMMENT_REWRITE':
+                    response = await handleSaveCommentRewrite(message.key, message.rewritten);
+                    break;
+
+                case 'GET_STYLE_EXAMPLES':
+                    response = await handleGetStyleExamples(message.platform);
+                    break;
+
+                case 'DELETE_STYLE_EXAMPLE':
+                    response = await handleDeleteStyleExample(message.exampleId);
+                    break;
+
+                case 'CLEAR_STYLE_EXAMPLES':
+                    response = await handleClearStyleExamples(message.platform);
+                    break;
+
+                // Dry-run report handlers
+                case 'GET_DRY_RUN_REPORT':
+                    response = await handleGetDryRunReport(message.sessionId);
+                    break;
+
+                case 'EXPORT_DRY_RUN_REPORT':
+                    response = await handleExportDryRunReport(message.sessionId, message.format);
+                    break;
+
+                case 'RECORD_DRY_RUN_ENTRY':
+                    response = await handleRecordDryRunEntry(message.entry);
+                    break;
+
+                case 'CLEAR_DRY_RUN_REPORTS':
+                    response = await handleClearDryRunReports();
+                    break;
+
+                case 'GET_CUSTOM_TEMPLATES':
+                    response = await handleGetCustomTemplates();
+                    break;
+
+                case 'SAVE_CUSTOM_TEMPLATE':
+                    response = await handleSaveCustomTemplate(message.template);
+                    break;
+
+                case 'DELETE_CUSTOM_TEMPLATE':
+                    response = await handleDeleteCustomTemplate(message.platform, message.style);
+                    break;
+
+                case 'EXPORT_CUSTOM_TEMPLATES':
+                    response = await handleExportCustomTemplates();
+                    break;
+
+                case 'IMPORT_CUSTOM_TEMPLATES':
+                    response = await handleImportCustomTemplates(message.data);
+                    break;
+
+                case 'GET_PERSONA_PROFILE':
+                    response = await handleGetPersonaProfile();
+                    break;
+
+                case 'SAVE_PERSONA_PROFILE':
+                    response = await handleSavePersonaProfile(message.profile);
+                    break;
+
+                case 'GET_LANGUAGE_POLICY':
+                    response = await handleGetLanguagePolicy();
+                    break;
+
+                case 'SAVE_LANGUAGE_POLICY':
+                    response = await handleSaveLanguagePolicy(message.policy);
+                    break;
+
+                case 'GET_TOPIC_PROFILES':
+                    response = await handleGetTopicProfiles();
+                    break;
+
+                case 'SAVE_TOPIC_PROFILE':
+                    response = await handleSaveTopicProfile(message.profile);
+                    break;
+
+                case 'DELETE_TOPIC_PROFILE':
+                    response = await handleDeleteTopicProfile(message.profileId);
+                    break;
+
+                case 'GET_SEMANTIC_SETTINGS':
+                    response = await handleGetSemanticSettings();
+                    break;
+
+                case 'SAVE_SEMANTIC_SETTINGS':
+                    response = await handleSaveSemanticSettings(message.settings);
+                    break;
+
+                case 'SCORE_SEMANTIC_RELEVANCE':
+                    response = await handleScoreSemanticRelevance(message.text, message.profiles, message.settings);
+                    break;
+
+                case 'GET_SENSITIVE_CONTEXT_SETTINGS':
+                    response = await handleGetSensitiveContextSettings();
+                    break;
+
+                case 'SAVE_SENSITIVE_CONTEXT_SETTINGS':
+                    response = await handleSaveSensitiveContextSettings(message.settings);
+                    break;
+
+                case 'GET_USAGE_BUDGET':
+                    response = await handleGetUsageBudget();
+                    break;
+
+                case 'GET_API_HEALTH':
+                    response = await handleGetApiHealth();
+                    break;
+
+                case 'RESERVE_API_ENDPOINT':
+                    response = await handleReserveApiEndpoint(message.endpoint, message.minInterval);
+                    break;
+
+                case 'BLOCK_API_ENDPOINT':
+                    response = await handleBlockApiEndpoint(message.endpoint, message.ms);
+                    break;
+
+                case 'UPDATE_API_HEALTH':
+                    response = await handleUpdateApiHealth(message.success, message.error);
+                    break;
+
+                case 'SAVE_USAGE_BUDGET':
+                    response = await handleSaveUsageBudget(message.settings);
+                    break;
+
+                case 'GET_OUTPUT_FILTER':
+                    response = await handleGetOutputFilter();
+                    break;
+
+                case 'SAVE_OUTPUT_FILTER':
+                    response = await handleSaveOutputFilter(message.settings);
+                    break;
+
+                case 'GET_EXPERIMENTS':
+                    response = await handleGetExperiments();
+                    break;
+
+                case 'CREATE_EXPERIMENT':
+                    response = await handleCreateExperiment(message.experiment);
+                    break;
+
+                case 'STOP_EXPERIMENT':
+                    response = await handleStopExperiment(message.experimentId);
+                    break;
+
+                case 'DELETE_EXPERIMENT':
+                    response = await handleDeleteExperiment(message.experimentId);
+                    break;
+
+                case 'GET_EXPERIMENT_RESULTS':
+                    response = await handleGetExperimentResults(message.experimentId);
+                    break;
+
                 // Part 9: Testing and debugging handlers
                 case 'RUN_TESTS':
                     response = await handleRunTests(message.testSuite);
@@ -316,6 +542,11 @@ async function handleUpdateExtensionStatus(data) {
             commentScheduler.updateInterval(data.commentInterval);
         }
 
+        // Assist mode leaves every comment to the user, so nothing may keep posting on a timer
+        if (data.assistModeEnabled === true) {
+            await commentScheduler.stop();
+        }
+
         await storageManager.addLog('INFO', 'Extension settings updated', null, { updates: data });
 
         return { success: true, data: updatedSettings };
@@ -348,10 +579,14 @@ async function handleStartExtension(data = {}) {
         // Update settings to enabled
         await storageManager.updateSettings({ isEnabled: true });
 
-        // Start scheduler with current settings
-        await commentScheduler.start({
-            commentInterval: settings.commentInterval || { min: 70000, max: 90000 }
-        });
+        // Start scheduler with current settings, assist mode only offers suggestions
+        if (settings.assistModeEnabled === true) {
+            console.log('[Service Worker] Assist mode is on, scheduler not started');
+        } else {
+            await commentScheduler.start({
+                commentInterval: settings.commentInterval || { min: 70000, max: 90000 }
+            });
+        }
 
         // Activate monitoring on selected platforms
         await activatePlatformMonitoring(settings.selectedPlatforms);
@@ -694,7 +929,7 @@ async function handleTestGeminiAPI(apiKey) {
         await geminiAPI.setApiKey(apiKey);
 
         // Perform connection test
-        const testResult = await geminiAPI.testConnection();
+        const testResult = await geminiAPI.testConnection('gemini');
 
         if (testResult.success) {
             return { success: true, message: 'API connection successful' };
@@ -730,6 +965,61 @@ async function handleSaveGeminiAPIKey(apiKey) {
     }
 }
 
+/**
+ * Get LLM provider settings for the settings page, with API keys masked
+ */
+async function handleGetProviderSettings() {
+    try {
+        const settings = await llmProviders.getSettings();
+        return { success: true, data: settings };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get provider settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Save settings for an LLM provider and make it the active one
+ */
+async function handleSaveProviderSettings(providerId, settings = {}) {
+    try {
+        const provider = await llmProviders.saveSettings(providerId, settings);
+
+        // Keep the service's cached key and the popup status in sync
+        await geminiAPI.initialize();
+        const currentSettings = await storageManager.getSettings();
+        currentSettings.hasApiKey = geminiAPI.isApiKeyValid();
+        await storageManager.updateSettings(currentSettings);
+
+        return { success: true, message: `${provider.name} saved as the active provider` };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save provider settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send a test prompt through an LLM provider
+ */
+async function handleTestProviderConnection(providerId) {
+    try {
+        await llmProviders.loadSettings();
+        const testResult = await geminiAPI.testConnection(providerId);
+
+        if (testResult.success) {
+            return { success: true, message: testResult.message };
+        } else {
+            return { success: false, error: testResult.message };
+        }
+
+    } catch (error) {
+        console.error('[Service Worker] Provider connection test failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Update comment generation settings
  */
@@ -741,7 +1031,9 @@ async function handleUpdateCommentSettings(settings) {
         await chrome.storage.sync.set({
             commentStyle: settings.commentStyle,
             commentLength: settings.commentLength,
-            commentTone: settings.commentTone || 'professional yet friendly'
+            commentTone: settings.commentTone || 'professional yet friendly',
+            commentVariants: parseInt(settings.commentVariants, 10) || 1,
+            includePostImages: Boolean(settings.includePostImages)
         });
 
         return { success: true, message: 'Comment settings updated' };
@@ -766,6 +1058,10 @@ async function handleGenerateAndPostComment(data, sender) {
             return { success: false, error: 'Extension is not active' };
         }
 
+        if (await isAssistModeEnabled()) {
+            return { success: false, error: 'Assist mode is on, comments are only suggested' };
+        }
+
         // Forward to content script for processing
         const response = await chrome.tabs.sendMessage(sender.tab.id, {
             type: 'GENERATE_AND_POST_COMMENT',
@@ -786,6 +1082,24 @@ async function handleGenerateAndPostComment(data, sender) {
     }
 }
 
+/**
+ * Mirror a content script's undo-window countdown on the extension badge
+ */
+async function handleSubmitCountdown(remaining, sender) {
+    try {
+        const tabId = sender.tab ? sender.tab.id : undefined;
+
+        await chrome.action.setBadgeBackgroundColor({ color: '#dc3545', tabId });
+        await chrome.action.setBadgeText({ text: remaining > 0 ? `${remaining}s` : '', tabId });
+
+        return { success: true };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to update countdown badge:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Handle API key errors from content scripts
  */
@@ -832,10 +1146,14 @@ async function handleStartAutomatedCommenting(data) {
 
         const { platforms = [], intervals = {} } = data;
 
+        if (await isAssistModeEnabled()) {
+            return { success: false, error: 'Assist mode is on, turn it off to start automated commenting' };
+        }
+
         // Validate that we have an API key
         const hasApiKey = await geminiAPI.isApiKeyValid();
         if (!hasApiKey) {
-            return { success: false, error: 'Valid Gemini API key required' };
+            return { success: false, error: geminiAPI.getConfigurationError() };
         }
 
         // Update platform states
@@ -862,6 +1180,14 @@ async function handleStartAutomatedCommenting(data) {
     }
 }
 
+/**
+ * Check whether assist mode is on, where comments are suggested in the page and never posted automatically
+ */
+async function isAssistModeEnabled() {
+    const settings = await storageManager.getSettings();
+    return settings.assistModeEnabled === true;
+}
+
 /**
  * Stop automated commenting workflow
  */
@@ -933,103 +1259,1102 @@ async function handleResetDuplicateChecker(includeHistory = false) {
 }
 
 /**
- * Update session statistics helper
+ * Draft Review Queue Handlers
+ * Generated comments wait here until they are approved in the popup
  */
-async function updateSessionStatistics(type, platform) {
-    try {
-        if (!extensionState.currentSession) return;
 
-        const sessionData = await storageManager.getSessionData(extensionState.currentSession.id);
+/**
+ * Queue a generated comment for review, or allow it through when review is off
+ */
+async function handleQueueCommentDraft(data, sender) {
+    try {
+        const { platform, postData, comment, prompt, options, variants, flags } = data;
 
-        if (!sessionData.statistics) {
-            sessionData.statistics = {};
+        // Comments the output filter flagged always wait for review
+        const flagged = Array.isArray(flags) && flags.length > 0;
+        const reviewRequired = flagged || await draftQueue.isReviewRequired(platform);
+        if (!reviewRequired) {
+            return { success: true, data: { queued: false, draft: null } };
         }
 
-        if (!sessionData.statistics[platform]) {
-            sessionData.statistics[platform] = {};
-        }
+        const draft = await draftQueue.addDraft({
+            platform,
+            postData,
+            comment,
+            prompt,
+            options,
+            variants: variants || [],
+            flags: flagged ? flags : [],
+            tabId: sender.tab ? sender.tab.id : null
+        });
 
-        sessionData.statistics[platform][type] = (sessionData.statistics[platform][type] || 0) + 1;
-        sessionData.lastActivity = Date.now();
+        await updateSessionStatistics('draftQueued', platform);
+        await storageManager.addLog('INFO', 'Comment draft queued for review', platform, {
+            draftId: draft.id,
+            postId: draft.postId
+        });
 
-        await storageManager.updateSessionData(extensionState.currentSession.id, sessionData);
+        if (flagged) {
+            await storageManager.addLog('WARN', `Comment draft flagged by output filter: ${flags.join(', ')}`, platform, {
+                draftId: draft.id,
+                postId: draft.postId,
+                reasons: flags
+            });
+        }
+
+        return { success: true, data: { queued: true, draft } };
 
     } catch (error) {
-        console.error('[Service Worker] Failed to update session statistics:', error);
+        console.error('[Service Worker] Failed to queue comment draft:', error);
+        return { success: false, error: error.message };
     }
 }
 
 /**
- * Handle tab updates to detect platform navigation and manage active tabs
+ * Get drafts for the review panel
  */
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-    // Only process when the tab is completely loaded
-    if (changeInfo.status !== 'complete' || !tab.url) return;
-
+async function handleGetDrafts(filter = {}) {
     try {
-        const settings = await storageManager.getSettings();
+        const drafts = await draftQueue.getDrafts(filter);
+        const counts = await draftQueue.getCounts();
+        const reviewMode = await draftQueue.getReviewMode();
 
-        // Check if extension is enabled
-        if (!settings.isEnabled || !extensionState.currentSession) return;
+        return { success: true, data: { drafts, counts, reviewMode } };
 
-        // Detect platform based on URL
-        let platform = null;
-        if (await isPlatformTab(tab.url, 'LINKEDIN')) {
-            platform = 'LINKEDIN';
-        } else if (await isPlatformTab(tab.url, 'TWITTER')) {
-            platform = 'TWITTER';
-        }
+    } catch (error) {
+        console.error('[Service Worker] Failed to get drafts:', error);
+        return { success: false, error: error.message };
+    }
+}
 
-        if (platform && settings.selectedPlatforms?.includes(platform)) {
-            console.log(`User navigated to ${platform} - extension is active`);
+/**
+ * Approve a draft and hand it to the platform tab for posting
+ */
+async function handleApproveDraft(draftId, editedComment = null) {
+    try {
+        const draft = await draftQueue.approveDraft(draftId, editedComment);
 
-            // Add to active tabs
-            extensionState.activeTabs.add(tabId);
-            if (!extensionState.platformStates[platform].tabIds.includes(tabId)) {
-                extensionState.platformStates[platform].tabIds.push(tabId);
-            }
+        await storageManager.addLog('INFO', 'Comment draft approved', draft.platform, {
+            draftId,
+            edited: draft.edited === true
+        });
 
-            // Send activation message to content script
-            try {
-                await chrome.tabs.sendMessage(tabId, {
-                    type: 'EXTENSION_ACTIVE',
-                    platform: platform,
-                    sessionId: extensionState.currentSession,
-                    settings: {
-                        csFilterEnabled: settings.csFilterEnabled,
-                        smartTypingEnabled: settings.smartTypingEnabled
-                    }
-                });
+        // A closed or reloaded tab fails the draft so it can be approved again
+        const result = await draftQueue.deliverApproved(draft, async () => {
+            const tabId = await findDraftTab(draft);
+            if (!tabId) {
+                throw new Error(`Open a ${draft.platform} tab to post this draft`);
+            }
 
-                await storageManager.addLog('INFO', `Platform activated: ${platform}`, platform, {
-                    tabId,
-                    url: tab.url
-                });
+            return chrome.tabs.sendMessage(tabId, {
+                type: 'POST_APPROVED_DRAFT',
+                draft
+            });
+        });
 
-            } catch (error) {
-                console.log(`Content script not ready on tab ${tabId}:`, error.message);
-            }
+        if (result && result.success) {
+            await updateSessionStatistics('draftPosted', draft.platform);
+            return { success: true, data: result };
         }
 
+        return { success: false, error: result?.error || result?.reason || 'Posting failed', data: result };
+
     } catch (error) {
-        console.error('Error handling tab update:', error);
+        console.error('[Service Worker] Failed to approve draft:', error);
+        return { success: false, error: error.message };
     }
-});
+}
 
 /**
- * Handle tab removal to clean up active tabs
+ * Save an edited draft without approving it
  */
-chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+async function handleEditDraft(draftId, comment) {
     try {
-        // Remove from active tabs
-        extensionState.activeTabs.delete(tabId);
+        const draft = await draftQueue.editDraft(draftId, comment);
+        return { success: true, data: draft };
 
-        // Remove from platform states
-        for (const platform in extensionState.platformStates) {
-            const index = extensionState.platformStates[platform].tabIds.indexOf(tabId);
-            if (index > -1) {
-                extensionState.platformStates[platform].tabIds.splice(index, 1);
-                console.log(`Tab ${tabId} removed from ${platform} monitoring`);
+    } catch (error) {
+        console.error('[Service Worker] Failed to edit draft:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Reject a draft so it is never posted
+ */
+async function handleRejectDraft(draftId, reason) {
+    try {
+        const draft = await draftQueue.rejectDraft(draftId, reason);
+
+        await storageManager.addLog('INFO', 'Comment draft rejected', draft.platform, {
+            draftId,
+            reason: draft.rejectionReason
+        });
+
+        return { success: true, data: draft };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to reject draft:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Reject an approved draft that will not be submitted, cancelled in the undo window or already commented on
+ */
+async function handleCancelDraft(draftId, reason) {
+    try {
+        const draft = await draftQueue.cancelDraft(draftId, reason);
+
+        await storageManager.addLog('INFO', 'Approved comment draft cancelled', draft.platform, {
+            draftId,
+            reason: draft.rejectionReason
+        });
+
+        return { success: true, data: draft };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to cancel draft:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record that a content script posted an approved draft
+ */
+async function handleMarkDraftPosted(draftId, timestamp) {
+    try {
+        const draft = await draftQueue.markPosted(draftId, { timestamp });
+        return { success: true, data: draft };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to mark draft posted:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record that posting an approved draft failed, so it can be approved again
+ */
+async function handleMarkDraftFailed(draftId, errorMessage) {
+    try {
+        const draft = await draftQueue.markFailed(draftId, errorMessage);
+        return { success: true, data: draft };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to mark draft failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Generate a new comment for an existing draft
+ */
+async function handleRegenerateDraft(draftId) {
+    try {
+        const draft = await draftQueue.getDraft(draftId);
+        if (!draft) {
+            return { success: false, error: `Draft not found: ${draftId}` };
+        }
+
+        // Snapshots nest post text under content, the prompt builder expects extractor shape
+        const postData = {
+            ...draft.post,
+            content: draft.post.content.text,
+            hashtags: draft.post.content.hashtags,
+            mentions: draft.post.content.mentions
+        };
+
+        // A cached result would hand back the comment being replaced
+        const generation = await geminiAPI.generateDraft(
+            postData,
+            draft.platform.toLowerCase(),
+            { ...draft.options, cache: false }
+        );
+
+        if (generation.sensitive) {
+            await storageManager.addLog('WARN', `Regeneration skipped, sensitive context: ${generation.sensitive.reason}`, draft.platform, {
+                draftId,
+                reason: 'sensitive_context',
+                sensitive: generation.sensitive
+            });
+            return { success: false, error: `Sensitive post, no comment written: ${generation.sensitive.reason}` };
+        }
+
+        if (generation.safety) {
+            await storageManager.addLog('WARN', `Regeneration blocked by model safety: ${generation.skipReason}`, draft.platform, {
+                draftId,
+                safety: generation.safety
+            });
+            return { success: false, error: `Model safety filters blocked this post: ${generation.skipReason}` };
+        }
+
+        if (generation.skipped) {
+            return { success: false, error: `Model suggests skipping this post: ${generation.skipReason}` };
+        }
+
+        if (generation.rejected) {
+            await storageManager.addLog('WARN', `Regenerated comment rejected by output filter: ${generation.rejectReasons.join(', ')}`, draft.platform, {
+                draftId,
+                reasons: generation.rejectReasons
+            });
+            return { success: false, error: `Output filter rejected the new comment: ${generation.rejectReasons.join(', ')}` };
+        }
+
+        const updated = await draftQueue.replaceWithRegenerated(
+            draftId,
+            generation.comment,
+            generation.prompt,
+            generation.variants,
+            generation.flags
+        );
+        return { success: true, data: updated };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to regenerate draft:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Find an open tab that can post a draft, preferring the tab it came from
+ */
+async function findDraftTab(draft) {
+    if (draft.tabId) {
+        try {
+            const tab = await chrome.tabs.get(draft.tabId);
+            if (await isPlatformTab(tab.url, draft.platform)) {
+                return tab.id;
+            }
+        } catch (error) {
+            // Original tab was closed, fall back to any platform tab
+        }
+    }
+
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        if (await isPlatformTab(tab.url, draft.platform)) {
+            return tab.id;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Style Example Handlers
+ * Rewrites of generated comments become few-shot guidance for later prompts
+ */
+
+/**
+ * Build a stable key for a comment log entry
+ */
+function getCommentLogKey(entry) {
+    return `${entry.platform}_${entry.postId}_${entry.timestamp}`;
+}
+
+/**
+ * Get the generated text of a comment log entry (Twitter logs store it as generatedReply)
+ */
+function getLoggedComment(entry) {
+    return entry.generatedComment || entry.generatedReply || null;
+}
+
+/**
+ * Get recent generated comments for the popup, flagging ones already rewritten
+ */
+async function handleGetRecentComments(limit = 10) {
+    try {
+        const result = await chrome.storage.local.get(['commentLogs']);
+        const logs = (result.commentLogs || []).filter(entry => getLoggedComment(entry));
+        const examples = await styleExamples.getExamples();
+        const rewrittenKeys = new Set(examples.map(example => example.sourceKey));
+
+        const comments = logs.slice(0, limit).map(entry => {
+            const key = getCommentLogKey(entry);
+            return { ...entry, key, generatedComment: getLoggedComment(entry), rewritten: rewrittenKeys.has(key) };
+        });
+
+        return { success: true, data: comments };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get recent comments:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Store the user's rewrite of a logged comment as a style example
+ */
+async function handleSaveCommentRewrite(key, rewritten) {
+    try {
+        if (!rewritten || !rewritten.trim()) {
+            return { success: false, error: 'Rewritten comment cannot be empty' };
+        }
+
+        const result = await chrome.storage.local.get(['commentLogs']);
+        const entry = (result.commentLogs || []).find(log => getCommentLogKey(log) === key);
+        if (!entry) {
+            return { success: false, error: 'Comment no longer in the log' };
+        }
+
+        const example = await styleExamples.addExample({
+            platform: entry.platform,
+            postId: entry.postId,
+            postContent: entry.postContent,
+            original: getLoggedComment(entry),
+            rewritten,
+            sourceKey: key
+        });
+
+        await storageManager.addLog('INFO', 'Comment rewrite saved as style example', entry.platform.toUpperCase(), {
+            exampleId: example.id,
+            changes: styleExamples.describeDiff(example.diff)
+        });
+
+        return { success: true, data: example };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save comment rewrite:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get stored style examples for the settings page
+ */
+async function handleGetStyleExamples(platform = null) {
+    try {
+        const examples = await styleExamples.getExamples({ platform });
+        const data = examples.map(example => ({
+            ...example,
+            changes: styleExamples.describeDiff(example.diff)
+        }));
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get style examples:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete a single style example
+ */
+async function handleDeleteStyleExample(exampleId) {
+    try {
+        const deleted = await styleExamples.deleteExample(exampleId);
+        if (!deleted) {
+            return { success: false, error: `Style example not found: ${exampleId}` };
+        }
+
+        return { success: true, message: 'Style example deleted' };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to delete style example:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete all style examples, optionally for one platform
+ */
+async function handleClearStyleExamples(platform = null) {
+    try {
+        const removed = await styleExamples.clear(platform);
+        return { success: true, data: { removed } };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to clear style examples:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Dry-Run Report Handlers
+ * Reports of what dry-run mode would have posted, shown in the debug panel
+ */
+
+/**
+ * Get a dry-run session report along with the list of sessions
+ */
+async function handleGetDryRunReport(sessionId = null) {
+    try {
+        const sessions = await dryRunReport.listSessions();
+        const report = await dryRunReport.getReport(sessionId);
+
+        return { success: true, data: { sessions, report } };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get dry-run report:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Export a dry-run session report as JSON or CSV
+ */
+async function handleExportDryRunReport(sessionId = null, format = 'json') {
+    try {
+        const data = await dryRunReport.exportReport(sessionId, format);
+        return { success: true, data, format };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to export dry-run report:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record what dry-run mode decided for a post seen in a tab
+ */
+async function handleRecordDryRunEntry(entry) {
+    try {
+        await dryRunReport.recordEntry(entry);
+        return { success: true };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to record dry-run entry:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete all dry-run reports
+ */
+async function handleClearDryRunReports() {
+    try {
+        await dryRunReport.clear();
+        return { success: true, message: 'Dry-run reports cleared' };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to clear dry-run reports:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Custom Template Handlers
+ * Prompt templates created in the template editor
+ */
+
+/**
+ * Get stored custom templates
+ */
+async function handleGetCustomTemplates() {
+    try {
+        const templates = await commentTemplates.getCustomTemplates();
+        return { success: true, data: templates };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get custom templates:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Validate and save a custom template
+ */
+async function handleSaveCustomTemplate(template) {
+    try {
+        const result = await commentTemplates.saveCustomTemplate(template || {});
+        return { success: true, data: result };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save custom template:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete a custom template
+ */
+async function handleDeleteCustomTemplate(platform, style) {
+    try {
+        const deleted = await commentTemplates.deleteCustomTemplate(platform, style);
+
+        if (!deleted) {
+            return { success: false, error: `Custom template not found: ${style}` };
+        }
+
+        return { success: true, message: 'Custom template deleted' };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to delete custom template:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Export custom templates as JSON
+ */
+async function handleExportCustomTemplates() {
+    try {
+        const data = await commentTemplates.exportCustomTemplates();
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to export custom templates:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Import custom templates from exported JSON
+ */
+async function handleImportCustomTemplates(data) {
+    try {
+        const result = await commentTemplates.importCustomTemplates(data);
+        return { success: true, data: result };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to import custom templates:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Persona Profile Handlers
+ * The user's background used to ground generated comments
+ */
+
+/**
+ * Get the persona profile
+ */
+async function handleGetPersonaProfile() {
+    try {
+        const profile = await personaProfile.getProfile();
+        return { success: true, data: profile };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get persona profile:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Save the persona profile
+ */
+async function handleSavePersonaProfile(profile) {
+    try {
+        const saved = await personaProfile.saveProfile(profile || {});
+        return { success: true, data: saved };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save persona profile:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Language Policy Handlers
+ * Which post languages get comments and which language replies use
+ */
+
+/**
+ * Get the language policy with the languages the detector supports
+ */
+async function handleGetLanguagePolicy() {
+    try {
+        const policy = await contentFilter.getLanguagePolicy();
+        return { success: true, data: { policy, languages: languageDetector.getSupportedLanguages() } };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get language policy:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Save the language policy
+ */
+async function handleSaveLanguagePolicy(policy) {
+    try {
+        const saved = await contentFilter.saveLanguagePolicy(policy || {});
+        return { success: true, data: saved };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save language policy:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Topic Profile Handlers
+ * The topics posts are scored against before a comment is written
+ */
+
+/**
+ * Get every topic profile
+ */
+async function handleGetTopicProfiles() {
+    try {
+        return { success: true, data: { profiles: await topicProfiles.getProfiles() } };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get topic profiles:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Create or update a topic profile
+ */
+async function handleSaveTopicProfile(profile) {
+    try {
+        const saved = await topicProfiles.saveProfile(profile || {});
+        return { success: true, data: saved };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save topic profile:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete a topic profile
+ */
+async function handleDeleteTopicProfile(profileId) {
+    try {
+        const deleted = await topicProfiles.deleteProfile(profileId);
+        if (!deleted) {
+            throw new Error('Topic profile not found');
+        }
+
+        return { success: true };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to delete topic profile:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Semantic Relevance Handlers
+ * Similarity to each topic's example posts, scored here so vectors are cached in the extension's IndexedDB
+ */
+
+/**
+ * Get the semantic stage settings
+ */
+async function handleGetSemanticSettings() {
+    try {
+        return { success: true, data: await semanticRelevance.getSettings() };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get semantic settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Save the semantic stage settings
+ */
+async function handleSaveSemanticSettings(settings) {
+    try {
+        return { success: true, data: await semanticRelevance.saveSettings(settings || {}) };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save semantic settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Compare a post with the example posts of the given topic profiles
+ */
+async function handleScoreSemanticRelevance(text, profiles, settings) {
+    try {
+        const result = await semanticRelevance.score(text || '', topicProfiles.normalizeProfiles(profiles || []), semanticRelevance.normalizeSettings(settings));
+        return { success: true, data: result };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to score semantic relevance:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Sensitive Context Handlers
+ * The guard that skips posts about layoffs, deaths, illness and disasters
+ */
+
+/**
+ * Get the guard settings and the categories it covers
+ */
+async function handleGetSensitiveContextSettings() {
+    try {
+        const categories = Object.values(sensitiveContext.categories).map(category => category.label);
+        return { success: true, data: { settings: await sensitiveContext.getSettings(), categories } };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get sensitive context settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Save the guard settings
+ */
+async function handleSaveSensitiveContextSettings(settings) {
+    try {
+        return { success: true, data: await sensitiveContext.saveSettings(settings || {}) };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save sensitive context settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Usage Budget Handlers
+ * Token usage, estimated cost and budgets per provider
+ */
+
+/**
+ * Get budgets, the price table and every provider's usage against its budgets
+ */
+async function handleGetUsageBudget() {
+    try {
+        const activeProvider = (await llmProviders.loadSettings()).id;
+        const settings = await usageBudget.getSettings();
+        const providerIds = Object.keys(llmProviders.providers);
+        const statuses = await Promise.all(providerIds.map(providerId => usageBudget.checkBudget(providerId)));
+
+        return {
+            success: true,
+            data: {
+                activeProvider,
+                settings,
+                prices: usageBudget.getPrices(settings),
+                status: Object.fromEntries(providerIds.map((providerId, index) => [providerId, statuses[index]]))
+            }
+        };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get usage budget:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Save budgets and price overrides
+ */
+async function handleSaveUsageBudget(settings) {
+    try {
+        const saved = await usageBudget.saveSettings(settings || {});
+        return { success: true, data: saved };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save usage budget:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * API Health Handlers
+ * Model request health shared by every tab through the API handler
+ */
+
+/**
+ * Get the model API health and any rate-limited endpoints
+ */
+async function handleGetApiHealth() {
+    try {
+        return { success: true, data: await apiHandler.getHealthStatus() };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get API health:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Book the next request slot at an endpoint for a page or tab
+ */
+async function handleReserveApiEndpoint(endpoint, minInterval) {
+    try {
+        const wait = await apiHandler.reserveEndpoint(endpoint, minInterval);
+        return { success: true, data: { wait } };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to reserve API endpoint:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Hold an endpoint after a page or tab was rate limited
+ */
+async function handleBlockApiEndpoint(endpoint, ms) {
+    try {
+        await apiHandler.blockEndpoint(endpoint, ms);
+        return { success: true };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to block API endpoint:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record the result of a model request made in a page or tab
+ */
+async function handleUpdateApiHealth(success, failure) {
+    try {
+        await apiHandler.updateHealthStatus(success, failure);
+        return { success: true };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to update API health:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Output Filter Handlers
+ * Rules that reject or flag generated comments before posting
+ */
+
+/**
+ * Get the filter settings and the rules they apply to
+ */
+async function handleGetOutputFilter() {
+    try {
+        const settings = await outputFilter.getSettings();
+        return { success: true, data: { settings, rules: outputFilter.getRules() } };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get output filter:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Save rule actions, the hashtag limit and banned phrases
+ */
+async function handleSaveOutputFilter(settings) {
+    try {
+        const saved = await outputFilter.saveSettings(settings || {});
+        return { success: true, data: saved };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to save output filter:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Experiment Handlers
+ * Prompt A/B experiments and their per-variant results
+ */
+
+/**
+ * Get all experiments with the factors and template styles they can vary
+ */
+async function handleGetExperiments() {
+    try {
+        await commentTemplates.loadCustomTemplates();
+
+        return {
+            success: true,
+            data: {
+                experiments: await experiments.getExperiments(),
+                factors: experiments.factors,
+                styles: {
+                    linkedin: commentTemplates.getAvailableStyles('linkedin').map(style => style.name),
+                    twitter: commentTemplates.getAvailableStyles('twitter').map(style => style.name)
+                }
+            }
+        };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get experiments:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Start an experiment, checking style variants against the platform's templates
+ */
+async function handleCreateExperiment(definition = {}) {
+    try {
+        if (definition.factor === 'style') {
+            await commentTemplates.loadCustomTemplates();
+            const styles = commentTemplates.getAvailableStyles(definition.platform).map(style => style.name);
+            const values = Array.isArray(definition.values) ? definition.values : String(definition.values || '').split('\n');
+            const unknown = values.map(value => value.trim().toLowerCase()).filter(value => value && !styles.includes(value));
+
+            if (unknown.length > 0) {
+                return { success: false, error: `Unknown ${definition.platform} style: ${unknown.join(', ')}` };
+            }
+        }
+
+        const experiment = await experiments.createExperiment(definition);
+        await storageManager.addLog('INFO', `Experiment started: ${experiment.name}`, experiment.platform.toUpperCase(), {
+            experimentId: experiment.id,
+            factor: experiment.factor,
+            variants: experiment.variants
+        });
+
+        return { success: true, data: experiment };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to create experiment:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Stop assigning posts to an experiment
+ */
+async function handleStopExperiment(experimentId) {
+    try {
+        const experiment = await experiments.stopExperiment(experimentId);
+        return { success: true, data: experiment };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to stop experiment:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete an experiment and its outcomes
+ */
+async function handleDeleteExperiment(experimentId) {
+    try {
+        await experiments.deleteExperiment(experimentId);
+        return { success: true };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to delete experiment:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get per-variant results for an experiment, the newest one when no ID is given
+ */
+async function handleGetExperimentResults(experimentId = null) {
+    try {
+        const all = await experiments.getExperiments();
+        const id = experimentId || all[0]?.id;
+        const results = id ? await experiments.getResults(id) : null;
+
+        return {
+            success: true,
+            data: {
+                experiments: all.map(({ id: itemId, name, platform, status, createdAt }) => ({ id: itemId, name, platform, status, createdAt })),
+                results
+            }
+        };
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to get experiment results:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Update session statistics helper
+ */
+async function updateSessionStatistics(type, platform) {
+    try {
+        if (!extensionState.currentSession) return;
+
+        const sessionData = await storageManager.getSessionData(extensionState.currentSession.id);
+
+        if (!sessionData.statistics) {
+            sessionData.statistics = {};
+        }
+
+        if (!sessionData.statistics[platform]) {
+            sessionData.statistics[platform] = {};
+        }
+
+        sessionData.statistics[platform][type] = (sessionData.statistics[platform][type] || 0) + 1;
+        sessionData.lastActivity = Date.now();
+
+        await storageManager.updateSessionData(extensionState.currentSession.id, sessionData);
+
+    } catch (error) {
+        console.error('[Service Worker] Failed to update session statistics:', error);
+    }
+}
+
+/**
+ * Handle tab updates to detect platform navigation and manage active tabs
+ */
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    // Only process when the tab is completely loaded
+    if (changeInfo.status !== 'complete' || !tab.url) return;
+
+    try {
+        const settings = await storageManager.getSettings();
+
+        // Check if extension is enabled
+        if (!settings.isEnabled || !extensionState.currentSession) return;
+
+        // Detect platform based on URL
+        let platform = null;
+        if (await isPlatformTab(tab.url, 'LINKEDIN')) {
+            platform = 'LINKEDIN';
+        } else if (await isPlatformTab(tab.url, 'TWITTER')) {
+            platform = 'TWITTER';
+        }
+
+        if (platform && settings.selectedPlatforms?.includes(platform)) {
+            console.log(`User navigated to ${platform} - extension is active`);
+
+            // Add to active tabs
+            extensionState.activeTabs.add(tabId);
+            if (!extensionState.platformStates[platform].tabIds.includes(tabId)) {
+                extensionState.platformStates[platform].tabIds.push(tabId);
+            }
+
+            // Send activation message to content script
+            try {
+                await chrome.tabs.sendMessage(tabId, {
+                    type: 'EXTENSION_ACTIVE',
+                    platform: platform,
+                    sessionId: extensionState.currentSession,
+                    settings: {
+                        csFilterEnabled: settings.csFilterEnabled,
+                        smartTypingEnabled: settings.smartTypingEnabled
+                    }
+                });
+
+                await storageManager.addLog('INFO', `Platform activated: ${platform}`, platform, {
+                    tabId,
+                    url: tab.url
+                });
+
+            } catch (error) {
+                console.log(`Content script not ready on tab ${tabId}:`, error.message);
+            }
+        }
+
+    } catch (error) {
+        console.error('Error handling tab update:', error);
+    }
+});
+
+/**
+ * Handle tab removal to clean up active tabs
+ */
+chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+    try {
+        // Remove from active tabs
+        extensionState.activeTabs.delete(tabId);
+
+        // Remove from platform states
+        for (const platform in extensionState.platformStates) {
+            const index = extensionState.platformStates[platform].tabIds.indexOf(tabId);
+            if (index > -1) {
+                extensionState.platformStates[platform].tabIds.splice(index, 1);
+                console.log(`Tab ${tabId} removed from ${platform} monitoring`);
             }
         }
 
@@ -1126,7 +2451,7 @@ if (chrome.idle && chrome.idle.onStateChanged) {
                 // Check if scheduler needs to be restarted
                 if (!commentScheduler.getStatus().isRunning) {
                     const settings = await storageManager.getSettings();
-                    if (settings.isEnabled) {
+                    if (settings.isEnabled && settings.assistModeEnabled !== true) {
                         await commentScheduler.start({ commentInterval: settings.commentInterval });
                     }
                 }
@@ -1251,11 +2576,17 @@ async function performHealthCheck() {
             issues.push('Active session but extension disabled');
         }
 
+        const apiHealth = await apiHandler.getHealthStatus();
+        if (!apiHealth.isHealthy) {
+            issues.push(`Model API unhealthy: ${Math.round(apiHealth.errorRate * 100)}% of recent requests failed` +
+                (apiHealth.lastError ? `, last error: ${apiHealth.lastError.message}` : ''));
+        }
+
         if (issues.length > 0) {
             await storageManager.addLog('WARN', 'Health check issues detected', null, { issues });
 
             // Attempt to fix issues
-            if (settings.isEnabled && !schedulerStatus.isRunning) {
+            if (settings.isEnabled && settings.assistModeEnabled !== true && !schedulerStatus.isRunning) {
                 try {
                     await commentScheduler.start({ commentInterval: settings.commentInterval });
                     await storageManager.addLog('INFO', 'Scheduler restarted during health check');
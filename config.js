@@ -40,16 +40,6 @@ export const CONFIG = {
         }
     },
 
-    // Content filtering keywords for CS students
-    CS_KEYWORDS: [
-        'programming', 'coding', 'software', 'developer', 'hackathon',
-        'algorithm', 'data structures', 'machine learning', 'AI',
-        'computer science', 'web development', 'mobile development',
-        'javascript', 'python', 'java', 'react', 'node.js',
-        'internship', 'tech job', 'startup', 'open source',
-        'github', 'project', 'tutorial', 'learning', 'bootcamp'
-    ],
-
     // Storage keys
     STORAGE_KEYS: {
         API_KEY: 'gemini_api_key',
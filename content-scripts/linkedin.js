@@ -4,7 +4,7 @@
  * 
  * Features:
  * - Advanced post detection using LinkedIn's data attributes
- * - CS-relevant content filtering
+ * - Topic relevance filtering through the shared ContentFilter engine
  * - Human-like comment posting with typing simulation
  * - Dynamic content monitoring with mutation observers
  * - Comprehensive error handling and retry mechanisms
@@ -12,7 +12,7 @@
  */
 
 // Global references for dynamically imported modules
-let ContentFilter, DataExtractor, geminiAPI;
+let ContentFilter, contentFilter, DataExtractor, geminiAPI;
 
 /**
  * Initialize modules using dynamic imports
@@ -45,6 +45,7 @@ async function initializeModules() {
         const geminiModule = await import(chrome.runtime.getURL('services/gemini-api.js'));
 
         ContentFilter = contentFilterModule.ContentFilter;
+        contentFilter = contentFilterModule.contentFilter;
         DataExtractor = dataExtractorModule.DataExtractor;
         geminiAPI = geminiModule.geminiAPI;
 
@@ -73,7 +74,13 @@ class LinkedInHandler {
             maxPostsPerScan: 10,         // Limit posts processed per scan
             scrollDelay: 2000,           // Delay after scrolling
             retryAttempts: 3,            // Retry attempts for failed operations
-            debugMode: false             // Debug logging
+            debugMode: false,            // Debug logging
+            assistMode: false,           // Inject "Suggest" buttons instead of auto-posting
+            dryRun: false,               // Simulate the pipeline and stop before submitting
+            maxExistingComments: 3,      // Comments kept as conversation context
+            maxContextLength: 500,       // Characters kept per context entry
+            maxMediaItems: 4,            // Images, videos and link cards kept per post
+            relevance: null              // Topic filter, language policy, topic profiles and semantic settings, loaded on start
         };
 
         // Selectors for LinkedIn elements
@@ -95,9 +102,27 @@ class LinkedInHandler {
                 shares: '.social-counts-shares__count'
             },
             actions: {
+                actionBar: '.feed-shared-social-action-bar, .social-actions-bar',
+                suggestButton: '.sma-suggest-btn',
                 commentButton: '.feed-shared-social-action-bar__action-button[aria-label*="comment" i]',
                 commentBox: '.comments-comment-box-comment__text-editor',
                 submitButton: '.comments-comment-box__submit-button:not([disabled])'
+            },
+            thread: {
+                reshared: '.update-components-mini-update-v2, .feed-shared-mini-update-v2, .feed-shared-update-v2__reshared-content',
+                comments: '.comments-comment-item, .comments-comment-entity',
+                commentAuthor: '.comments-post-meta__name-text, .comments-comment-meta__description-title',
+                commentText: '.comments-comment-item__main-content, .comments-comment-item-content-body',
+                commentReactions: '.comments-comment-social-bar__reactions-count',
+                commentReplies: '.comments-comment-social-bar__replies-count'
+            },
+            media: {
+                images: '.feed-shared-image img, .update-components-image img',
+                videos: '.feed-shared-video video, .update-components-video video, .update-components-linkedin-video video',
+                articles: '.feed-shared-external-article, .update-components-article',
+                articleTitle: '.update-components-article__title, .feed-shared-article__title',
+                articleDescription: '.update-components-article__description, .feed-shared-article__description',
+                articleDomain: '.update-components-article__subtitle, .feed-shared-article__subtitle'
             }
         };
 
@@ -106,6 +131,14 @@ class LinkedInHandler {
             postsScanned: 0,
             postsRelevant: 0,
             commentsPosted: 0,
+            draftsQueued: 0,
+            suggestionsGenerated: 0,
+            commentsCancelled: 0,
+            postsSimulated: 0,
+            postsSkippedByModel: 0,
+            postsBlockedBySafety: 0,
+            postsSkippedAsSensitive: 0,
+            postsRejectedByFilter: 0,
             errors: 0,
             lastScanTime: null
         };
@@ -114,6 +147,7 @@ class LinkedInHandler {
         this.handleMessage = this.handleMessage.bind(this);
         this.scanForPosts = this.scanForPosts.bind(this);
         this.handleScroll = this.handleScroll.bind(this);
+        this.handleStorageChange = this.handleStorageChange.bind(this);
     }
 
     /**
@@ -140,6 +174,11 @@ class LinkedInHandler {
             // Set up message listener
             chrome.runtime.onMessage.addListener(this.handleMessage);
 
+            // Load assist and dry-run mode and follow changes made in the popup
+            await this.loadModeSettings();
+            await this.loadRelevanceSettings();
+            chrome.storage.onChanged.addListener(this.handleStorageChange);
+
             // Set up mutation observer for dynamic content
             this.setupMutationObserver();
 
@@ -194,6 +233,15 @@ class LinkedInHandler {
                     });
                     return true;
 
+                case 'POST_APPROVED_DRAFT':
+                    this.postApprovedDraft(message.draft).then(result => {
+                        sendResponse(result);
+                    }).catch(error => {
+                        this.error('Error posting approved draft:', error);
+                        sendResponse({ success: false, error: error.message });
+                    });
+                    return true;
+
                 case 'GET_STATS':
                     sendResponse({ success: true, stats: this.stats });
                     break;
@@ -225,6 +273,7 @@ class LinkedInHandler {
 
         this.isScanning = true;
         const extractedPosts = [];
+        const analyzedPosts = [];
 
         try {
             this.log('Starting post scan...');
@@ -249,7 +298,7 @@ class LinkedInHandler {
                     if (postData && !this.processedPosts.has(postData.id)) {
 
                         // Analyze content for relevance
-                        const analysis = this.analyzeContentRelevance(postData);
+                        const analysis = await this.analyzeContentRelevance(postData);
                         postData.analysis = analysis;
 
                         if (analysis.isRelevant) {
@@ -258,6 +307,10 @@ class LinkedInHandler {
                             this.log(`Relevant post found: ${postData.id}`);
                         }
 
+                        if (this.config.dryRun) {
+                            analyzedPosts.push(postData);
+                        }
+
                         this.processedPosts.add(postData.id);
                         this.stats.postsScanned++;
                         processed++;
@@ -270,6 +323,18 @@ class LinkedInHandler {
 
             this.log(`Scan completed: ${processed} posts processed, ${extractedPosts.length} relevant`);
 
+            // Dry run: simulate in the background so the scan returns promptly
+            if (this.config.dryRun && analyzedPosts.length > 0) {
+                this.simulateDryRun(analyzedPosts);
+            }
+
+            if (this.config.assistMode) {
+                this.injectSuggestButtons(postElements);
+            }
+
+            // Revisited posts show how earlier experiment comments are doing
+            this.checkExperimentComments(postElements);
+
             // Send results to background script if any relevant posts found
             if (extractedPosts.length > 0) {
                 chrome.runtime.sendMessage({
@@ -313,6 +378,8 @@ class LinkedInHandler {
                 author: this.extractAuthorData(postElement),
                 content: this.extractContentData(postElement),
                 engagement: this.extractEngagementData(postElement),
+                thread: this.extractThreadContext(postElement),
+                media: this.extractMediaData(postElement),
                 metadata: {
                     extractedAt: new Date().toISOString(),
                     url: window.location.href,
@@ -388,7 +455,9 @@ class LinkedInHandler {
         const content = { text: '', hashtags: [] };
 
         try {
-            const textElement = postElement.querySelector(this.selectors.content.text);
+            // The reshared post's text is context, not the post itself
+            const textElement = Array.from(postElement.querySelectorAll(this.selectors.content.text))
+                .find(element => !element.closest(this.selectors.thread.reshared) && !element.closest(this.selectors.thread.comments));
             if (textElement) {
                 content.text = textElement.textContent.trim();
                 content.hashtags = this.extractHashtags(content.text);
@@ -400,6 +469,87 @@ class LinkedInHandler {
         return content;
     }
 
+    /**
+     * Extract the post's own images, videos and article cards, skipping the reshared post and comments
+     * @param {Element} postElement - Post DOM element
+     * @returns {Array<Object>} Media entries { type, url, alt, caption, title, description, domain }
+     */
+    extractMediaData(postElement) {
+        const media = [];
+
+        try {
+            const findOwn = selector => Array.from(postElement.querySelectorAll(selector))
+                .filter(element => !element.closest(this.selectors.thread.reshared) && !element.closest(this.selectors.thread.comments));
+
+            findOwn(this.selectors.media.images).forEach(image => {
+                media.push({ type: 'image', url: image.src, alt: image.alt || '' });
+            });
+
+            findOwn(this.selectors.media.videos).forEach(video => {
+                media.push({ type: 'video', url: video.poster || '', caption: video.getAttribute('aria-label') || '' });
+            });
+
+            findOwn(this.selectors.media.articles).forEach(article => {
+                const link = article.querySelector('a[href]');
+                media.push({
+                    type: 'link',
+                    url: link?.href || '',
+                    title: article.querySelector(this.selectors.media.articleTitle)?.textContent.trim() || '',
+                    description: article.querySelector(this.selectors.media.articleDescription)?.textContent.trim() || '',
+                    domain: article.querySelector(this.selectors.media.articleDomain)?.textContent.trim() || ''
+                });
+            });
+
+        } catch (error) {
+            this.error('Error extracting media data:', error);
+        }
+
+        return media.slice(0, this.config.maxMediaItems);
+    }
+
+    /**
+     * Extract the conversation around a post: the reshared post and the top loaded comments
+     * @param {Element} postElement - Post DOM element
+     * @returns {Object} Thread context { parents, quoted, comments }
+     */
+    extractThreadContext(postElement) {
+        const thread = { parents: [], quoted: null, comments: [] };
+
+        try {
+            const resharedElement = postElement.querySelector(this.selectors.thread.reshared);
+            const resharedText = resharedElement?.querySelector(this.selectors.content.text);
+            if (resharedText) {
+                thread.quoted = {
+                    author: this.extractAuthorData(resharedElement).name,
+                    text: this.truncateContext(resharedText.textContent)
+                };
+            }
+
+            // Only comments LinkedIn already rendered, the comment section is not opened for this
+            thread.comments = Array.from(postElement.querySelectorAll(this.selectors.thread.comments))
+                .map(commentElement => ({
+                    author: commentElement.querySelector(this.selectors.thread.commentAuthor)?.textContent.trim() || '',
+                    text: this.truncateContext(commentElement.querySelector(this.selectors.thread.commentText)?.textContent || '')
+                }))
+                .filter(comment => comment.text)
+                .slice(0, this.config.maxExistingComments);
+
+        } catch (error) {
+            this.error('Error extracting thread context:', error);
+        }
+
+        return thread;
+    }
+
+    /**
+     * Trim context text to the configured length
+     * @param {string} text - Raw text
+     * @returns {string} Trimmed text
+     */
+    truncateContext(text) {
+        return (text || '').trim().replace(/\s+/g, ' ').substring(0, this.config.maxContextLength);
+    }
+
     /**
      * Extract engagement data from post element
      * @param {Element} postElement - Post DOM element
@@ -426,44 +576,17 @@ class LinkedInHandler {
     }
 
     /**
- * Analyze content for CS relevance using simplified filtering
+ * Analyze content relevance with the shared relevance engine
  * @param {Object} postData - Post data to analyze
- * @returns {Object} Analysis result
+ * @returns {Promise<Object>} Analysis result
  */
-    analyzeContentRelevance(postData) {
+    async analyzeContentRelevance(postData) {
         try {
-            // Simplified content analysis (full contentFilter integration would be better)
-            const text = (postData.content.text + ' ' + postData.author.headline).toLowerCase();
-
-            // CS-relevant keywords
-            const csKeywords = [
-                'programming', 'coding', 'software', 'development', 'developer',
-                'javascript', 'python', 'java', 'react', 'nodejs', 'api',
-                'algorithm', 'data structure', 'frontend', 'backend',
-                'computer science', 'cs', 'internship', 'tech', 'startup'
-            ];
-
-            let score = 0;
-            const foundKeywords = [];
-
-            csKeywords.forEach(keyword => {
-                if (text.includes(keyword)) {
-                    score += 1;
-                    foundKeywords.push(keyword);
-                }
-            });
-
-            return {
-                isRelevant: score >= 2, // Require at least 2 CS keywords
-                relevanceScore: score,
-                foundKeywords,
-                reasoning: [`Found ${foundKeywords.length} CS-related keywords: ${foundKeywords.join(', ')}`],
-                confidence: Math.min(score * 20, 100) // 0-100% confidence
-            };
+            return await contentFilter.analyzePost(postData, this.config.relevance);
 
         } catch (error) {
             this.error('Error analyzing content relevance:', error);
-            return { isRelevant: false, relevanceScore: 0, reasoning: ['Analysis failed'] };
+            return { isRelevant: false, relevanceScore: 0, reasoning: ['Analysis failed'], profiles: [], matchedProfile: null };
         }
     }
 
@@ -474,11 +597,24 @@ class LinkedInHandler {
      * @returns {Promise<Object>} Result object
      */
     async postComment(postId, commentOrPostData) {
+        let comment;
+        let postData;
+        let generation = null;
+
         try {
             this.log(`Attempting to post comment on post ${postId}`);
 
-            let comment;
-            let postData;
+            // Assist mode only suggests comments in the page, the user types and submits them
+            if (this.config.assistMode) {
+                this.log(`Assist mode is on, not posting automatically on ${postId}`);
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'assist_mode',
+                    postId,
+                    timestamp: Date.now()
+                };
+            }
 
             // Handle both old API (comment string) and new API (post data object)
             if (typeof commentOrPostData === 'string') {
@@ -487,11 +623,13 @@ class LinkedInHandler {
             } else {
                 // New usage - post data object, generate comment with Gemini API
                 postData = commentOrPostData;
-                comment = await this.generateCommentWithGemini(postData);
+                generation = await this.generateCommentWithGemini(postData);
 
-                if (!comment) {
+                if (!generation) {
                     throw new Error('Failed to generate comment');
                 }
+
+                comment = generation.comment;
             }
 
             // Find the post element by ID
@@ -500,15 +638,102 @@ class LinkedInHandler {
                 throw new Error(`Post element not found for ID: ${postId}`);
             }
 
-            // Click comment button to expand comment box
-            const commentButton = postElement.querySelector(this.selectors.actions.commentButton);
-            if (commentButton) {
-                commentButton.click();
-                await this.delay(1000);
+            // Dry run: record what would happen instead of queueing or typing
+            if (this.config.dryRun) {
+                return await this.simulateDryRunComment(
+                    postId,
+                    postData || await this.extractPostData(postElement),
+                    generation || { comment }
+                );
+            }
+
+            // Layoffs, deaths, illness and disasters are never commented on, whatever the relevance score
+            if (generation?.sensitive) {
+                this.stats.postsSkippedAsSensitive++;
+                this.log(`Post ${postId} skipped, sensitive context: ${generation.sensitive.reason}`);
+                await this.logCommentActivity(postData, null, 'skipped', `sensitive_context: ${generation.sensitive.reason}`);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'sensitive_context',
+                    sensitiveCategory: generation.sensitive.category,
+                    postId,
+                    timestamp: Date.now()
+                };
+            }
+
+            // The model's safety filters blocked the post, asking again would be blocked the same way
+            if (generation?.safety) {
+                this.stats.postsBlockedBySafety++;
+                this.log(`Post ${postId} skipped, model safety blocked the ${generation.safety.source}: ${generation.safety.reason}`);
+                await this.logCommentActivity(postData, null, 'skipped', generation.skipReason);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'model_safety',
+                    safetyCategories: generation.safety.categories,
+                    postId,
+                    timestamp: Date.now()
+                };
+            }
+
+            // The model judged the post not worth a comment, so it never reaches the poster
+            if (generation?.skipped) {
+                this.stats.postsSkippedByModel++;
+                this.log(`Post ${postId} skipped by the model: ${generation.skipReason}`);
+                await this.logCommentActivity(postData, null, 'skipped', generation.skipReason);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'model_skipped',
+                    skipReason: generation.skipReason,
+                    postId,
+                    timestamp: Date.now()
+                };
             }
 
-            // Find comment box
-            const commentBox = postElement.querySelector(this.selectors.actions.commentBox);
+            // Every generated comment broke a reject rule of the output filter
+            if (generation?.rejected) {
+                this.stats.postsRejectedByFilter++;
+                this.log(`Post ${postId} comment rejected by the output filter: ${generation.rejectReasons.join(', ')}`);
+                await this.logCommentActivity(postData, null, 'rejected', `output_rejected: ${generation.rejectReasons.join(', ')}`);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'output_rejected',
+                    rejectReasons: generation.rejectReasons,
+                    postId,
+                    timestamp: Date.now()
+                };
+            }
+
+            // Hold the comment in the review queue unless review is disabled for LinkedIn
+            const review = await this.submitDraftForReview(
+                postData || await this.extractPostData(postElement),
+                comment,
+                generation
+            );
+
+            if (review.queued) {
+                this.stats.draftsQueued++;
+                this.log(`Comment for post ${postId} queued for review as ${review.draft.id}`);
+
+                return {
+                    success: true,
+                    queued: true,
+                    postId,
+                    draftId: review.draft.id,
+                    comment,
+                    timestamp: Date.now()
+                };
+            }
+
+            // Expand and find the comment box
+            const commentBox = await this.openCommentBox(postElement);
             if (!commentBox) {
                 throw new Error('Comment box not found');
             }
@@ -516,6 +741,21 @@ class LinkedInHandler {
             // Type comment with human-like behavior
             await this.typeWithDelay(commentBox, comment);
 
+            // Undo window before the comment goes public
+            const { submitHold } = await import(chrome.runtime.getURL('utils/submit-hold.js'));
+            const hold = await submitHold.hold({ platform: 'linkedin', inputElement: commentBox });
+
+            if (hold.cancelled) {
+                this.stats.commentsCancelled++;
+                this.log(`Comment on post ${postId} cancelled during undo window`);
+
+                if (postData) {
+                    await this.logCommentActivity(postData, comment, 'cancelled');
+                }
+
+                return { success: false, cancelled: true, postId, comment, timestamp: Date.now() };
+            }
+
             // Wait a moment before submitting
             await this.delay(2000);
 
@@ -537,6 +777,7 @@ class LinkedInHandler {
             if (postData) {
                 await this.logCommentActivity(postData, comment, 'success');
             }
+            await this.recordExperimentPosting(postData, comment, generation?.options, true);
 
             return {
                 success: true,
@@ -554,6 +795,7 @@ class LinkedInHandler {
             if (typeof commentOrPostData === 'object') {
                 await this.logCommentActivity(commentOrPostData, comment || null, 'error', error.message);
             }
+            await this.recordExperimentPosting(postData, comment, generation?.options, false);
 
             return {
                 success: false,
@@ -564,44 +806,237 @@ class LinkedInHandler {
         }
     }
 
+    /**
+     * Send a generated comment to the service worker review queue
+     * @param {Object} postData - The post data
+     * @param {string} comment - The generated comment
+     * @param {Object|null} generation - Prompt and options used for generation
+     * @return {Promise<Object>} - { queued, draft }
+     */
+    async submitDraftForReview(postData, comment, generation = null) {
+        const response = await chrome.runtime.sendMessage({
+            type: 'QUEUE_COMMENT_DRAFT',
+            data: {
+                platform: 'LINKEDIN',
+                postData,
+                comment,
+                prompt: generation?.prompt || null,
+                options: generation?.options || {},
+                variants: generation?.variants || [],
+                flags: generation?.flags || []
+            }
+        });
+
+        // Never fall through to posting when the queue can't be reached
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Review queue unavailable');
+        }
+
+        return response.data;
+    }
+
+    /**
+     * Post a draft that was approved in the popup through the comment poster
+     * @param {Object} draft - Approved draft from the review queue
+     * @return {Promise<Object>} - Result object
+     */
+    async postApprovedDraft(draft) {
+        if (!draft || !draft.id) {
+            throw new Error('Approved draft is required');
+        }
+
+        this.log(`Posting approved draft ${draft.id} on post ${draft.postId}`);
+
+        const { commentPoster } = await import(chrome.runtime.getURL('utils/comment-poster.js'));
+        const result = await commentPoster.postLinkedInComment(draft.post, draft.comment, { draftId: draft.id });
+
+        if (result.success) {
+            this.stats.commentsPosted++;
+            await this.logCommentActivity(draft.post, draft.comment, 'success');
+            await this.recordExperimentPosting(draft.post, draft.comment, draft.options, true);
+        } else if (result.cancelled) {
+            this.stats.commentsCancelled++;
+            await this.logCommentActivity(draft.post, draft.comment, 'cancelled');
+        } else if (!result.skipped) {
+            this.stats.errors++;
+            await this.logCommentActivity(draft.post, draft.comment, 'error', result.error);
+            await this.recordExperimentPosting(draft.post, draft.comment, draft.options, false);
+        }
+
+        return { ...result, draftId: draft.id };
+    }
+
+    /**
+     * Record whether a comment generated for an A/B experiment was posted
+     * @param {Object} postData - The post data
+     * @param {string} comment - Comment text
+     * @param {Object} options - Generation options carrying the experiment assignment
+     * @param {boolean} success - Whether the comment was submitted
+     */
+    async recordExperimentPosting(postData, comment, options, success) {
+        if (!options?.experiment || !postData || !comment) {
+            return;
+        }
+
+        try {
+            const { experiments } = await import(chrome.runtime.getURL('utils/experiments.js'));
+            await experiments.recordPosting({
+                platform: 'linkedin',
+                postId: postData.id,
+                comment,
+                experiment: options.experiment,
+                success
+            });
+        } catch (error) {
+            this.error('Failed to record experiment outcome:', error);
+        }
+    }
+
+    /**
+     * Find experiment comments under posts on the page and record their reactions and replies,
+     * or that they are gone once every comment on the post is loaded
+     * @param {NodeList} postElements - Post DOM elements from the scan
+     */
+    async checkExperimentComments(postElements) {
+        try {
+            const { experiments } = await import(chrome.runtime.getURL('utils/experiments.js'));
+            const tracked = await experiments.getTrackedComments('linkedin');
+            if (tracked.size === 0) {
+                return;
+            }
+
+            for (const postElement of postElements) {
+                const outcome = tracked.get(this.extractPostId(postElement));
+                const commentElements = outcome ? Array.from(postElement.querySelectorAll(this.selectors.thread.comments)) : [];
+                if (commentElements.length === 0) {
+                    continue;
+                }
+
+                const ours = commentElements.find(element =>
+                    experiments.matchesComment(outcome, element.querySelector(this.selectors.thread.commentText)?.textContent));
+
+                if (ours) {
+                    await experiments.recordObservation('linkedin', outcome.postId, {
+                        found: true,
+                        reactions: this.parseCount(ours.querySelector(this.selectors.thread.commentReactions)?.textContent || '0'),
+                        replies: this.parseCount(ours.querySelector(this.selectors.thread.commentReplies)?.textContent || '0')
+                    });
+                } else if (commentElements.length >= this.extractEngagementData(postElement).comments) {
+                    // LinkedIn loads a few comments at a time, only a complete list proves ours is gone
+                    await experiments.recordObservation('linkedin', outcome.postId, { found: false });
+                }
+            }
+        } catch (error) {
+            this.error('Error checking experiment comments:', error);
+        }
+    }
+
+    /**
+     * Run scanned posts through the pipeline in dry-run mode and record the outcome
+     * Posts are simulated one at a time so generation requests don't pile up
+     * @param {Array} posts - Posts analyzed by the scan
+     */
+    async simulateDryRun(posts) {
+        try {
+            const { dryRunReport } = await import(chrome.runtime.getURL('utils/dry-run-report.js'));
+
+            for (const postData of posts) {
+                await dryRunReport.simulatePost({
+                    platform: 'linkedin',
+                    postData,
+                    analysis: postData.analysis,
+                    generate: () => this.generateCommentWithGemini(postData)
+                });
+                this.stats.postsSimulated++;
+            }
+        } catch (error) {
+            this.error('Error running dry-run simulation:', error);
+        }
+    }
+
+    /**
+     * Record what would happen to a requested comment in dry-run mode
+     * @param {string} postId - Post ID
+     * @param {Object} postData - Post data
+     * @param {Object} generation - Generation result with the comment or the model's skip decision
+     * @return {Promise<Object>} - Result object
+     */
+    async simulateDryRunComment(postId, postData, generation) {
+        if (!postData) {
+            throw new Error(`Post data not found for ID: ${postId}`);
+        }
+
+        const { dryRunReport } = await import(chrome.runtime.getURL('utils/dry-run-report.js'));
+        const entry = await dryRunReport.simulatePost({
+            platform: 'linkedin',
+            postData,
+            analysis: postData.analysis || await this.analyzeContentRelevance(postData),
+            generate: async () => generation
+        });
+
+        this.stats.postsSimulated++;
+        this.log(`Dry run for post ${postId}: ${entry.decision} (${entry.reason})`);
+
+        return {
+            success: true,
+            dryRun: true,
+            postId,
+            comment: generation.comment,
+            decision: entry.decision,
+            reason: entry.reason,
+            timestamp: Date.now()
+        };
+    }
+
     /**
      * Generate comment using Gemini API
      * @param {Object} postData - The post data
-     * @return {Promise<string|null>} - Generated comment or null
+     * @param {boolean} [fresh=false] - Skip the cache so a repeated request gets a new comment
+     * @return {Promise<Object|null>} - { comment, prompt, options, skipped, skipReason } or null
      */
-    async generateCommentWithGemini(postData) {
+    async generateCommentWithGemini(postData, fresh = false) {
         try {
             // Get user preferences for comment style
             const settings = await chrome.storage.sync.get([
                 'commentStyle',
                 'commentTone',
-                'commentLength'
+                'commentLength',
+                'commentVariants',
+                'includePostImages'
             ]);
 
             const options = {
                 style: settings.commentStyle || 'engaging',
                 tone: settings.commentTone || 'professional yet friendly',
-                length: settings.commentLength || 'concise (1-2 sentences)'
+                length: settings.commentLength || 'concise (1-2 sentences)',
+                variants: settings.commentVariants || 1,
+                includeImages: settings.includePostImages === true,
+                cache: !fresh
             };
 
             this.log('Generating comment with Gemini API, options:', options);
 
             // Generate comment using Gemini API
-            const comment = await geminiAPI.generateComment(postData, 'linkedin', options);
+            const generation = await geminiAPI.generateDraft(postData, 'linkedin', options);
+            const comment = generation.comment;
+
+            if (generation.skipped) {
+                this.log(`Model suggests skipping post ${postData.id}: ${generation.skipReason}`);
+                return generation;
+            }
+
+            if (generation.rejected) {
+                this.log(`Output filter rejected every comment for post ${postData.id}: ${generation.rejectReasons.join(', ')}`);
+                return generation;
+            }
 
             if (!comment || comment.trim().length === 0) {
                 console.warn('[LinkedIn Handler] Empty comment generated');
                 return null;
             }
 
-            // Additional validation for LinkedIn
-            if (comment.length > 1200) { // LinkedIn comment limit
-                console.warn('[LinkedIn Handler] Comment too long, truncating');
-                return comment.substring(0, 1197) + '...';
-            }
-
             this.log('Generated comment:', comment);
-            return comment;
+            return generation;
 
         } catch (error) {
             this.error('Failed to generate comment with Gemini API:', error);
@@ -620,11 +1055,222 @@ class LinkedInHandler {
         }
     }
 
+    /**
+     * Read assist and dry-run mode from extension settings
+     */
+    async loadModeSettings() {
+        try {
+            const result = await chrome.storage.local.get(['extension_settings']);
+            this.config.assistMode = result.extension_settings?.assistModeEnabled === true;
+            this.config.dryRun = result.extension_settings?.dryRunEnabled === true;
+            this.log('Assist mode:', this.config.assistMode, 'Dry run:', this.config.dryRun);
+        } catch (error) {
+            this.error('Failed to load mode settings:', error);
+        }
+    }
+
+    /**
+     * Read the topic filter toggle, language policy, topic profiles and semantic settings
+     */
+    async loadRelevanceSettings() {
+        this.config.relevance = await contentFilter.loadRelevanceSettings();
+        this.log('Topic filter:', this.config.relevance.filterEnabled ? 'on' : 'off',
+            'Profiles:', this.config.relevance.topicProfiles.map(profile => profile.name).join(', '),
+            'Language policy:', this.config.relevance.languagePolicy.mode);
+    }
+
+    /**
+     * Follow assist and dry-run mode toggles made in the popup and relevance setting changes
+     * Suggest buttons are added or removed when assist mode changes
+     * @param {Object} changes - Storage changes
+     * @param {string} areaName - Storage area
+     */
+    handleStorageChange(changes, areaName) {
+        this.config.relevance = contentFilter.updateRelevanceSettings(this.config.relevance, changes, areaName);
+
+        if (areaName !== 'local' || !changes.extension_settings) {
+            return;
+        }
+
+        this.config.dryRun = changes.extension_settings.newValue?.dryRunEnabled === true;
+
+        const enabled = changes.extension_settings.newValue?.assistModeEnabled === true;
+        if (enabled === this.config.assistMode) {
+            return;
+        }
+
+        this.config.assistMode = enabled;
+
+        if (enabled) {
+            this.injectSuggestButtons(document.querySelectorAll(this.selectors.posts));
+        } else {
+            this.removeSuggestButtons();
+        }
+    }
+
+    /**
+     * Inject a Suggest button into the action bar of each post
+     * @param {NodeList|Array} postElements - Post elements found by the scan
+     */
+    injectSuggestButtons(postElements) {
+        for (const postElement of postElements) {
+            if (postElement.querySelector(this.selectors.actions.suggestButton)) {
+                continue;
+            }
+
+            const actionBar = postElement.querySelector(this.selectors.actions.actionBar) || postElement;
+            actionBar.appendChild(this.createSuggestButton(postElement));
+        }
+    }
+
+    /**
+     * Remove all injected Suggest buttons
+     */
+    removeSuggestButtons() {
+        document.querySelectorAll(this.selectors.actions.suggestButton).forEach(button => button.remove());
+    }
+
+    /**
+     * Create the Suggest button for a post
+     * @param {Element} postElement - Post DOM element
+     * @returns {Element} Button element
+     */
+    createSuggestButton(postElement) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'sma-suggest-btn';
+        button.textContent = '✨ Suggest';
+        button.title = 'Suggest a comment - you review and submit it yourself';
+        button.style.cssText = 'margin-left:8px;padding:4px 12px;border:1px solid #0a66c2;border-radius:16px;' +
+            'background:transparent;color:#0a66c2;font-weight:600;cursor:pointer;';
+
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.handleSuggestClick(postElement, button);
+        });
+
+        return button;
+    }
+
+    /**
+     * Generate a suggestion and place it in the post's comment box without submitting
+     * @param {Element} postElement - Post DOM element
+     * @param {Element} button - The clicked Suggest button
+     */
+    async handleSuggestClick(postElement, button) {
+        if (button.disabled) {
+            return;
+        }
+
+        button.disabled = true;
+        button.textContent = 'Thinking...';
+
+        try {
+            const postData = await this.extractPostData(postElement);
+            if (!postData) {
+                throw new Error('Could not read this post');
+            }
+
+            postData.analysis = await this.analyzeContentRelevance(postData);
+
+            // Every click asks for a new suggestion, a cached one would repeat the last
+            const generation = await this.generateCommentWithGemini(postData, true);
+            if (!generation) {
+                throw new Error('No suggestion generated');
+            }
+
+            if (generation.sensitive) {
+                button.textContent = 'Sensitive post, skipped';
+                button.title = generation.sensitive.reason;
+                return;
+            }
+
+            if (generation.skipped) {
+                button.textContent = 'Model suggests skipping';
+                button.title = generation.skipReason;
+                return;
+            }
+
+            if (generation.rejected) {
+                button.textContent = 'Blocked by output filter';
+                button.title = generation.rejectReasons.join(', ');
+                return;
+            }
+
+            const commentBox = await this.openCommentBox(postElement);
+            if (!commentBox) {
+                throw new Error('Comment box not found');
+            }
+
+            this.insertSuggestion(commentBox, generation.comment);
+
+            this.stats.suggestionsGenerated++;
+            await this.logCommentActivity(postData, generation.comment, 'suggested');
+
+            button.textContent = '✨ Suggest again';
+
+        } catch (error) {
+            this.error('Failed to suggest comment:', error);
+            button.textContent = 'Suggestion failed';
+            setTimeout(() => {
+                button.textContent = '✨ Suggest';
+            }, 3000);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Expand the comment area of a post and return its comment box
+     * @param {Element} postElement - Post DOM element
+     * @returns {Promise<Element|null>} Comment box or null
+     */
+    async openCommentBox(postElement) {
+        let commentBox = postElement.querySelector(this.selectors.actions.commentBox);
+        if (commentBox) {
+            return commentBox;
+        }
+
+        const commentButton = postElement.querySelector(this.selectors.actions.commentButton);
+        if (commentButton) {
+            commentButton.click();
+            await this.delay(1000);
+        }
+
+        commentBox = postElement.querySelector(this.selectors.actions.commentBox);
+        return commentBox;
+    }
+
+    /**
+     * Replace the comment box content with a suggestion, leaving submission to the user
+     * @param {Element} element - Comment box element
+     * @param {string} text - Suggested comment
+     */
+    insertSuggestion(element, text) {
+        element.focus();
+
+        // Select existing content so the suggestion replaces it
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        // insertText keeps LinkedIn's editor state in sync; fall back to plain text
+        const inserted = document.execCommand('insertText', false, text);
+        if (!inserted) {
+            element.textContent = text;
+        }
+
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
     /**
      * Log comment activity for analytics and debugging
      * @param {Object} postData - The post data
      * @param {string} comment - The generated comment
-     * @param {string} status - Status: 'success', 'failed', 'error'
+     * @param {string} status - Status: 'success', 'failed', 'error', 'suggested', 'cancelled'
      * @param {string} errorMessage - Error message if applicable
      */
     async logCommentActivity(postData, comment, status, errorMessage = null) {
@@ -634,11 +1280,11 @@ class LinkedInHandler {
                 platform: 'linkedin',
                 postId: postData.id,
                 authorName: postData.author?.name,
-                postContent: postData.content?.substring(0, 100) + '...',
+                postContent: this.getLogContent(postData),
                 generatedComment: comment,
                 status,
                 errorMessage,
-                relevanceScore: postData.relevanceAnalysis?.score || 0
+                relevanceScore: postData.analysis?.relevanceScore || 0
             };
 
             // Get existing logs
@@ -656,6 +1302,17 @@ class LinkedInHandler {
         }
     }
 
+    /**
+     * Get a short post excerpt for the activity log
+     * Review queue drafts carry a snapshot where content is { text, hashtags, mentions }
+     * @param {Object} postData - Extracted post data or draft snapshot
+     * @return {string} - Excerpt
+     */
+    getLogContent(postData) {
+        const text = typeof postData.content === 'string' ? postData.content : postData.content?.text || '';
+        return `${text.substring(0, 100)}...`;
+    }
+
     /**
      * Utility methods
      */
@@ -2,7 +2,7 @@
  * Twitter/X Content Script for Social Media Auto-Comment Extension
  * 
  * This script runs on Twitter/X pages to detect posts, extract data,
- * filter for CS-relevant content, and coordinate with the background
+ * filter for relevant content, and coordinate with the background
  * script for automated commenting.
  * 
  * Target selectors:
@@ -13,7 +13,7 @@
  */
 
 // Global references for dynamically imported modules
-let twitterSelectors, ContentFilter, DataExtractor, geminiAPI;
+let twitterSelectors, ContentFilter, contentFilter, DataExtractor, geminiAPI;
 
 /**
  * Initialize modules using dynamic imports
@@ -29,6 +29,7 @@ async function initializeModules() {
 
         twitterSelectors = twitterSelectorsModule.twitterSelectors;
         ContentFilter = contentFilterModule.ContentFilter;
+        contentFilter = contentFilterModule.contentFilter;
         DataExtractor = dataExtractorModule.DataExtractor;
         geminiAPI = geminiModule.geminiAPI;
 
@@ -82,7 +83,13 @@ class TwitterHandler {
             scrollDelay: 2000,           // Delay after scrolling
             retryAttempts: 3,            // Retry attempts for failed operations
             debugMode: false,            // Debug logging
-            replyDelay: 3000            // Delay before submitting reply
+            replyDelay: 3000,           // Delay before submitting reply
+            assistMode: false,          // Inject "Suggest" buttons instead of auto-posting
+            dryRun: false,              // Simulate the pipeline and stop before submitting
+            maxThreadParents: 5,        // Parent tweets kept as conversation context
+            maxContextLength: 500,      // Characters kept per context tweet
+            maxMediaItems: 4,           // Images, videos and link cards kept per tweet
+            relevance: null             // Topic filter, language policy, topic profiles and semantic settings, loaded on start
         };
 
         // Twitter/X selectors (fallback if utility not available)
@@ -105,6 +112,8 @@ class TwitterHandler {
                 replies: '[data-testid="reply"] span, [aria-label*="replies"] span'
             },
             actions: {
+                actionBar: '[role="group"]',
+                suggestButton: '.sma-suggest-btn',
                 replyButton: '[data-testid="reply"], [aria-label*="Reply"]',
                 likeButton: '[data-testid="like"], [aria-label*="Like"]',
                 retweetButton: '[data-testid="retweet"], [aria-label*="Retweet"]'
@@ -117,6 +126,9 @@ class TwitterHandler {
             metadata: {
                 timestamp: 'time[datetime], [data-testid="Time"] time',
                 promoted: '[data-testid="promotedIndicator"]'
+            },
+            thread: {
+                quoted: '[data-testid="quoteTweet"], div[role="link"][tabindex="0"]'
             }
         };
 
@@ -125,6 +137,14 @@ class TwitterHandler {
             tweetsScanned: 0,
             tweetsRelevant: 0,
             repliesPosted: 0,
+            draftsQueued: 0,
+            suggestionsGenerated: 0,
+            repliesCancelled: 0,
+            tweetsSimulated: 0,
+            tweetsSkippedByModel: 0,
+            tweetsBlockedBySafety: 0,
+            tweetsSkippedAsSensitive: 0,
+            tweetsRejectedByFilter: 0,
             errors: 0,
             lastScanTime: null
         };
@@ -133,6 +153,7 @@ class TwitterHandler {
         this.handleMessage = this.handleMessage.bind(this);
         this.scanForTweets = this.scanForTweets.bind(this);
         this.handleScroll = this.handleScroll.bind(this);
+        this.handleStorageChange = this.handleStorageChange.bind(this);
     }
 
     /**
@@ -159,6 +180,11 @@ class TwitterHandler {
             // Set up message listener
             chrome.runtime.onMessage.addListener(this.handleMessage);
 
+            // Load assist and dry-run mode and follow changes made in the popup
+            await this.loadModeSettings();
+            await this.loadRelevanceSettings();
+            chrome.storage.onChanged.addListener(this.handleStorageChange);
+
             // Set up mutation observer for dynamic content
             this.setupMutationObserver();
 
@@ -213,6 +239,15 @@ class TwitterHandler {
                     });
                     return true;
 
+                case 'POST_APPROVED_DRAFT':
+                    this.postApprovedDraft(message.draft).then(result => {
+                        sendResponse(result);
+                    }).catch(error => {
+                        this.error('Error posting approved draft:', error);
+                        sendResponse({ success: false, error: error.message });
+                    });
+                    return true;
+
                 case 'GET_STATS':
                     sendResponse({ success: true, stats: this.stats });
                     break;
@@ -244,6 +279,7 @@ class TwitterHandler {
 
         this.isScanning = true;
         const extractedTweets = [];
+        const analyzedTweets = [];
 
         try {
             this.log('Starting tweet scan...');
@@ -268,7 +304,7 @@ class TwitterHandler {
                     if (tweetData && !this.processedTweets.has(tweetData.id)) {
 
                         // Analyze content for relevance
-                        const analysis = this.analyzeContentRelevance(tweetData);
+                        const analysis = await this.analyzeContentRelevance(tweetData);
                         tweetData.analysis = analysis;
 
                         if (analysis.isRelevant) {
@@ -277,6 +313,10 @@ class TwitterHandler {
                             this.log(`Relevant tweet found: ${tweetData.id}`);
                         }
 
+                        if (this.config.dryRun) {
+                            analyzedTweets.push(tweetData);
+                        }
+
                         this.processedTweets.add(tweetData.id);
                         this.stats.tweetsScanned++;
                         processed++;
@@ -289,6 +329,18 @@ class TwitterHandler {
 
             this.log(`Scan completed: ${processed} tweets processed, ${extractedTweets.length} relevant`);
 
+            // Dry run: simulate in the background so the scan returns promptly
+            if (this.config.dryRun && analyzedTweets.length > 0) {
+                this.simulateDryRun(analyzedTweets);
+            }
+
+            if (this.config.assistMode) {
+                this.injectSuggestButtons(tweetElements);
+            }
+
+            // Revisited tweets show how earlier experiment replies are doing
+            this.checkExperimentComments(tweetElements);
+
             // Send results to background script if any relevant tweets found
             if (extractedTweets.length > 0) {
                 chrome.runtime.sendMessage({
@@ -328,6 +380,8 @@ class TwitterHandler {
                 author: this.extractAuthorData(tweetElement),
                 content: this.extractContentData(tweetElement),
                 engagement: this.extractEngagementData(tweetElement),
+                thread: this.extractThreadContext(tweetElement),
+                media: this.extractMediaData(tweetElement),
                 metadata: {
                     extractedAt: new Date().toISOString(),
                     url: window.location.href,
@@ -422,40 +476,156 @@ class TwitterHandler {
      * @returns {Object} Content data
      */
     extractContentData(tweetElement) {
-        const content = { text: '', hashtags: [], mentions: [], media: [] };
+        const content = { text: '', hashtags: [], mentions: [] };
 
         try {
-            // Extract tweet text
-            const textElement = tweetElement.querySelector(this.selectors.content.text);
+            // Extract tweet text, skipping the text of a quoted tweet
+            const textElement = this.findOwnElement(tweetElement, this.selectors.content.text);
             if (textElement) {
                 content.text = textElement.textContent.trim();
                 content.hashtags = this.extractHashtags(content.text);
                 content.mentions = this.extractMentions(content.text);
             }
 
-            // Extract media
-            const mediaElements = tweetElement.querySelectorAll(this.selectors.content.media);
-            mediaElements.forEach(media => {
-                if (media.tagName.toLowerCase() === 'img') {
-                    content.media.push({
-                        type: 'image',
-                        url: media.src,
-                        alt: media.alt || ''
-                    });
-                } else if (media.tagName.toLowerCase() === 'video') {
-                    content.media.push({
+        } catch (error) {
+            this.error('Error extracting content data:', error);
+        }
+
+        return content;
+    }
+
+    /**
+     * Extract the tweet's own images, videos and link card, skipping those of a quoted tweet
+     * @param {Element} tweetElement - Tweet DOM element
+     * @returns {Array<Object>} Media entries { type, url, alt, caption, title, domain }
+     */
+    extractMediaData(tweetElement) {
+        const media = [];
+
+        try {
+            const isOwn = element => {
+                const quote = element.closest(this.selectors.thread.quoted);
+                return !quote || !tweetElement.contains(quote);
+            };
+
+            tweetElement.querySelectorAll(this.selectors.content.media).forEach(element => {
+                if (!isOwn(element)) {
+                    return;
+                }
+
+                if (element.tagName.toLowerCase() === 'img') {
+                    media.push({ type: 'image', url: element.src, alt: element.alt || '' });
+                } else if (element.tagName.toLowerCase() === 'video') {
+                    // Video sources are blob: URLs, the poster frame is the useful reference
+                    media.push({
                         type: 'video',
-                        url: media.src || media.currentSrc,
-                        poster: media.poster || ''
+                        url: element.poster || '',
+                        caption: element.getAttribute('aria-label') || ''
                     });
                 }
             });
 
+            // Link cards show the domain and the page title as separate spans
+            const card = Array.from(tweetElement.querySelectorAll(this.selectors.content.links)).find(isOwn);
+            if (card) {
+                const texts = [...new Set(Array.from(card.querySelectorAll('span'))
+                    .map(span => span.textContent.trim())
+                    .filter(Boolean))];
+                const domain = texts.find(text => /^[\w.-]+\.[a-z]{2,}$/i.test(text)) || '';
+                const title = texts.filter(text => text !== domain).sort((a, b) => b.length - a.length)[0] || '';
+
+                if (title) {
+                    media.push({ type: 'link', url: card.querySelector('a')?.href || '', title, domain });
+                }
+            }
+
         } catch (error) {
-            this.error('Error extracting content data:', error);
+            this.error('Error extracting media data:', error);
         }
 
-        return content;
+        return media.slice(0, this.config.maxMediaItems);
+    }
+
+    /**
+     * Extract the conversation around a tweet: parent tweets on thread pages and the quoted tweet
+     * @param {Element} tweetElement - Tweet DOM element
+     * @returns {Object} Thread context { parents, quoted, comments }
+     */
+    extractThreadContext(tweetElement) {
+        const thread = { parents: [], quoted: null, comments: [] };
+
+        try {
+            const quoteElement = tweetElement.querySelector(this.selectors.thread.quoted);
+            const quoteText = quoteElement?.querySelector(this.selectors.content.text);
+            if (quoteText) {
+                const quoteAuthor = this.extractAuthorData(quoteElement);
+                thread.quoted = {
+                    author: quoteAuthor.username || quoteAuthor.name,
+                    text: this.truncateContext(quoteText.textContent)
+                };
+            }
+
+            thread.parents = this.extractParentTweets(tweetElement);
+
+        } catch (error) {
+            this.error('Error extracting thread context:', error);
+        }
+
+        return thread;
+    }
+
+    /**
+     * Collect the tweets a tweet replies to on a thread page, oldest first
+     * Tweets above the focused tweet are its ancestors; a reply below it answers the focused tweet
+     * @param {Element} tweetElement - Tweet DOM element
+     * @returns {Array<Object>} Parent tweets { author, text }
+     */
+    extractParentTweets(tweetElement) {
+        const statusMatch = window.location.pathname.match(/\/status\/(\d+)/);
+        if (!statusMatch) {
+            return [];
+        }
+
+        // Nested quote cards are not part of the conversation
+        const tweets = Array.from(document.querySelectorAll(this.selectors.posts))
+            .filter(element => !element.parentElement?.closest(this.selectors.posts));
+        const index = tweets.indexOf(tweetElement);
+        if (index <= 0) {
+            return [];
+        }
+
+        const focusIndex = tweets.findIndex(element => this.extractTweetId(element) === statusMatch[1]);
+        const end = focusIndex !== -1 && index > focusIndex ? focusIndex + 1 : index;
+
+        return tweets.slice(0, end)
+            .slice(-this.config.maxThreadParents)
+            .map(element => ({
+                author: this.extractAuthorData(element).username,
+                text: this.truncateContext(this.findOwnElement(element, this.selectors.content.text)?.textContent || '')
+            }))
+            .filter(parent => parent.text);
+    }
+
+    /**
+     * Find the first match that belongs to the tweet itself rather than a quoted tweet
+     * @param {Element} tweetElement - Tweet DOM element
+     * @param {string} selector - CSS selector
+     * @returns {Element|null} Matching element
+     */
+    findOwnElement(tweetElement, selector) {
+        return Array.from(tweetElement.querySelectorAll(selector)).find(element => {
+            const quote = element.closest(this.selectors.thread.quoted);
+            return !quote || !tweetElement.contains(quote);
+        }) || null;
+    }
+
+    /**
+     * Trim context text to the configured length
+     * @param {string} text - Raw text
+     * @returns {string} Trimmed text
+     */
+    truncateContext(text) {
+        return (text || '').trim().replace(/\s+/g, ' ').substring(0, this.config.maxContextLength);
     }
 
     /**
@@ -493,54 +663,17 @@ class TwitterHandler {
     }
 
     /**
-     * Analyze content for CS relevance using simplified filtering
+     * Analyze content relevance with the shared relevance engine
      * @param {Object} tweetData - Tweet data to analyze
-     * @returns {Object} Analysis result
+     * @returns {Promise<Object>} Analysis result
      */
-    analyzeContentRelevance(tweetData) {
+    async analyzeContentRelevance(tweetData) {
         try {
-            // Simplified content analysis (full contentFilter integration would be better)
-            const text = (tweetData.content.text + ' ' + tweetData.author.name).toLowerCase();
-
-            // CS-relevant keywords
-            const csKeywords = [
-                'programming', 'coding', 'software', 'development', 'developer',
-                'javascript', 'python', 'java', 'react', 'nodejs', 'api',
-                'algorithm', 'data structure', 'frontend', 'backend',
-                'computer science', 'cs', 'internship', 'tech', 'startup',
-                'webdev', 'fullstack', 'devops', 'machinelearning', 'ai'
-            ];
-
-            let score = 0;
-            const foundKeywords = [];
-
-            csKeywords.forEach(keyword => {
-                if (text.includes(keyword)) {
-                    score += 1;
-                    foundKeywords.push(keyword);
-                }
-            });
-
-            // Bonus for tech hashtags
-            const techHashtags = ['#programming', '#coding', '#javascript', '#python', '#react', '#webdev', '#tech', '#startup'];
-            techHashtags.forEach(hashtag => {
-                if (tweetData.content.hashtags.includes(hashtag.toLowerCase())) {
-                    score += 2; // Higher weight for hashtags
-                    foundKeywords.push(hashtag);
-                }
-            });
-
-            return {
-                isRelevant: score >= 2, // Require at least 2 CS keywords/hashtags
-                relevanceScore: score,
-                foundKeywords,
-                reasoning: [`Found ${foundKeywords.length} CS-related terms: ${foundKeywords.join(', ')}`],
-                confidence: Math.min(score * 20, 100) // 0-100% confidence
-            };
+            return await contentFilter.analyzePost(tweetData, this.config.relevance);
 
         } catch (error) {
             this.error('Error analyzing content relevance:', error);
-            return { isRelevant: false, relevanceScore: 0, reasoning: ['Analysis failed'] };
+            return { isRelevant: false, relevanceScore: 0, reasoning: ['Analysis failed'], profiles: [], matchedProfile: null };
         }
     }
 
@@ -557,11 +690,24 @@ class TwitterHandler {
      * @returns {Promise<Object>} Result object
      */
     async postReply(tweetId, replyOrTweetData) {
+        let reply;
+        let tweetData;
+        let generation = null;
+
         try {
             this.log(`Attempting to post reply on tweet ${tweetId}`);
 
-            let reply;
-            let tweetData;
+            // Assist mode only suggests replies in the page, the user types and submits them
+            if (this.config.assistMode) {
+                this.log(`Assist mode is on, not posting automatically on ${tweetId}`);
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'assist_mode',
+                    postId: tweetId,
+                    timestamp: Date.now()
+                };
+            }
 
             // Handle both old API (reply string) and new API (tweet data object)
             if (typeof replyOrTweetData === 'string') {
@@ -570,11 +716,13 @@ class TwitterHandler {
             } else {
                 // New usage - tweet data object, generate reply with Gemini API
                 tweetData = replyOrTweetData;
-                reply = await this.generateReplyWithGemini(tweetData);
+                generation = await this.generateReplyWithGemini(tweetData);
 
-                if (!reply) {
+                if (!generation) {
                     throw new Error('Failed to generate reply');
                 }
+
+                reply = generation.comment;
             }
 
             // Find the tweet element by ID
@@ -583,6 +731,100 @@ class TwitterHandler {
                 throw new Error(`Tweet element not found for ID: ${tweetId}`);
             }
 
+            // Dry run: record what would happen instead of queueing or typing
+            if (this.config.dryRun) {
+                return await this.simulateDryRunReply(
+                    tweetId,
+                    tweetData || await this.extractTweetData(tweetElement),
+                    generation || { comment: reply }
+                );
+            }
+
+            // Layoffs, deaths, illness and disasters are never commented on, whatever the relevance score
+            if (generation?.sensitive) {
+                this.stats.tweetsSkippedAsSensitive++;
+                this.log(`Tweet ${tweetId} skipped, sensitive context: ${generation.sensitive.reason}`);
+                await this.logReplyActivity(tweetData, null, 'skipped', `sensitive_context: ${generation.sensitive.reason}`);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'sensitive_context',
+                    sensitiveCategory: generation.sensitive.category,
+                    postId: tweetId,
+                    timestamp: Date.now()
+                };
+            }
+
+            // The model's safety filters blocked the tweet, asking again would be blocked the same way
+            if (generation?.safety) {
+                this.stats.tweetsBlockedBySafety++;
+                this.log(`Tweet ${tweetId} skipped, model safety blocked the ${generation.safety.source}: ${generation.safety.reason}`);
+                await this.logReplyActivity(tweetData, null, 'skipped', generation.skipReason);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'model_safety',
+                    safetyCategories: generation.safety.categories,
+                    postId: tweetId,
+                    timestamp: Date.now()
+                };
+            }
+
+            // The model judged the tweet not worth a reply, so it never reaches the poster
+            if (generation?.skipped) {
+                this.stats.tweetsSkippedByModel++;
+                this.log(`Tweet ${tweetId} skipped by the model: ${generation.skipReason}`);
+                await this.logReplyActivity(tweetData, null, 'skipped', generation.skipReason);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'model_skipped',
+                    skipReason: generation.skipReason,
+                    postId: tweetId,
+                    timestamp: Date.now()
+                };
+            }
+
+            // Every generated reply broke a reject rule of the output filter
+            if (generation?.rejected) {
+                this.stats.tweetsRejectedByFilter++;
+                this.log(`Tweet ${tweetId} reply rejected by the output filter: ${generation.rejectReasons.join(', ')}`);
+                await this.logReplyActivity(tweetData, null, 'rejected', `output_rejected: ${generation.rejectReasons.join(', ')}`);
+
+                return {
+                    success: false,
+                    skipped: true,
+                    reason: 'output_rejected',
+                    rejectReasons: generation.rejectReasons,
+                    postId: tweetId,
+                    timestamp: Date.now()
+                };
+            }
+
+            // Hold the reply in the review queue unless review is disabled for Twitter
+            const review = await this.submitDraftForReview(
+                tweetData || await this.extractTweetData(tweetElement),
+                reply,
+                generation
+            );
+
+            if (review.queued) {
+                this.stats.draftsQueued++;
+                this.log(`Reply for tweet ${tweetId} queued for review as ${review.draft.id}`);
+
+                return {
+                    success: true,
+                    queued: true,
+                    postId: tweetId,
+                    draftId: review.draft.id,
+                    comment: reply,
+                    timestamp: Date.now()
+                };
+            }
+
             // Click reply button to open compose modal
             const replyButton = tweetElement.querySelector(this.selectors.actions.replyButton);
             if (!replyButton) {
@@ -601,6 +843,21 @@ class TwitterHandler {
             // Type reply with human-like behavior
             await this.typeWithDelay(textArea, reply);
 
+            // Undo window before the reply goes public
+            const { submitHold } = await import(chrome.runtime.getURL('utils/submit-hold.js'));
+            const hold = await submitHold.hold({ platform: 'twitter', inputElement: textArea });
+
+            if (hold.cancelled) {
+                this.stats.repliesCancelled++;
+                this.log(`Reply on tweet ${tweetId} cancelled during undo window`);
+
+                if (tweetData) {
+                    await this.logReplyActivity(tweetData, reply, 'cancelled');
+                }
+
+                return { success: false, cancelled: true, postId: tweetId, comment: reply, timestamp: Date.now() };
+            }
+
             // Wait before submitting
             await this.delay(this.config.replyDelay);
 
@@ -622,6 +879,7 @@ class TwitterHandler {
             if (tweetData) {
                 await this.logReplyActivity(tweetData, reply, 'success');
             }
+            await this.recordExperimentPosting(tweetData, reply, generation?.options, true);
 
             return {
                 success: true,
@@ -639,6 +897,7 @@ class TwitterHandler {
             if (typeof replyOrTweetData === 'object') {
                 await this.logReplyActivity(replyOrTweetData, reply || null, 'error', error.message);
             }
+            await this.recordExperimentPosting(tweetData, reply, generation?.options, false);
 
             return {
                 success: false,
@@ -649,44 +908,243 @@ class TwitterHandler {
         }
     }
 
+    /**
+     * Send a generated reply to the service worker review queue
+     * @param {Object} tweetData - The tweet data
+     * @param {string} reply - The generated reply
+     * @param {Object|null} generation - Prompt and options used for generation
+     * @return {Promise<Object>} - { queued, draft }
+     */
+    async submitDraftForReview(tweetData, reply, generation = null) {
+        const response = await chrome.runtime.sendMessage({
+            type: 'QUEUE_COMMENT_DRAFT',
+            data: {
+                platform: 'TWITTER',
+                postData: tweetData,
+                comment: reply,
+                prompt: generation?.prompt || null,
+                options: generation?.options || {},
+                variants: generation?.variants || [],
+                flags: generation?.flags || []
+            }
+        });
+
+        // Never fall through to posting when the queue can't be reached
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Review queue unavailable');
+        }
+
+        return response.data;
+    }
+
+    /**
+     * Post a draft that was approved in the popup through the comment poster
+     * @param {Object} draft - Approved draft from the review queue
+     * @return {Promise<Object>} - Result object
+     */
+    async postApprovedDraft(draft) {
+        if (!draft || !draft.id) {
+            throw new Error('Approved draft is required');
+        }
+
+        this.log(`Posting approved draft ${draft.id} on tweet ${draft.postId}`);
+
+        const { commentPoster } = await import(chrome.runtime.getURL('utils/comment-poster.js'));
+        const result = await commentPoster.postTwitterReply(draft.post, draft.comment, { draftId: draft.id });
+
+        if (result.success) {
+            this.stats.repliesPosted++;
+            await this.logReplyActivity(draft.post, draft.comment, 'success');
+            await this.recordExperimentPosting(draft.post, draft.comment, draft.options, true);
+        } else if (result.cancelled) {
+            this.stats.repliesCancelled++;
+            await this.logReplyActivity(draft.post, draft.comment, 'cancelled');
+        } else if (!result.skipped) {
+            this.stats.errors++;
+            await this.logReplyActivity(draft.post, draft.comment, 'error', result.error);
+            await this.recordExperimentPosting(draft.post, draft.comment, draft.options, false);
+        }
+
+        return { ...result, draftId: draft.id };
+    }
+
+    /**
+     * Record whether a reply generated for an A/B experiment was posted
+     * @param {Object} tweetData - The tweet data
+     * @param {string} reply - Reply text
+     * @param {Object} options - Generation options carrying the experiment assignment
+     * @param {boolean} success - Whether the reply was submitted
+     */
+    async recordExperimentPosting(tweetData, reply, options, success) {
+        if (!options?.experiment || !tweetData || !reply) {
+            return;
+        }
+
+        try {
+            const { experiments } = await import(chrome.runtime.getURL('utils/experiments.js'));
+            await experiments.recordPosting({
+                platform: 'twitter',
+                postId: tweetData.id,
+                comment: reply,
+                experiment: options.experiment,
+                success
+            });
+        } catch (error) {
+            this.error('Failed to record experiment outcome:', error);
+        }
+    }
+
+    /**
+     * On a tweet's own page, find our experiment reply and record its likes and replies,
+     * or that it is gone once the whole conversation is loaded
+     * @param {NodeList} tweetElements - Tweet DOM elements from the scan
+     */
+    async checkExperimentComments(tweetElements) {
+        const statusMatch = window.location.pathname.match(/\/status\/(\d+)/);
+        if (!statusMatch) {
+            return;
+        }
+
+        try {
+            const { experiments } = await import(chrome.runtime.getURL('utils/experiments.js'));
+            const outcome = (await experiments.getTrackedComments('twitter')).get(statusMatch[1]);
+            if (!outcome) {
+                return;
+            }
+
+            // Nested quote cards are not part of the conversation
+            const tweets = Array.from(tweetElements).filter(element => !element.parentElement?.closest(this.selectors.posts));
+            const focusIndex = tweets.findIndex(element => this.extractTweetId(element) === statusMatch[1]);
+            if (focusIndex === -1) {
+                return;
+            }
+
+            const replies = tweets.slice(focusIndex + 1);
+            const ours = replies.find(element =>
+                experiments.matchesComment(outcome, this.findOwnElement(element, this.selectors.content.text)?.textContent));
+
+            if (ours) {
+                const engagement = this.extractEngagementData(ours);
+                await experiments.recordObservation('twitter', outcome.postId, {
+                    found: true,
+                    reactions: engagement.likes + engagement.retweets,
+                    replies: engagement.replies
+                });
+            } else if (replies.length >= this.extractEngagementData(tweets[focusIndex]).replies) {
+                // Replies load as the page scrolls, only a complete conversation proves ours is gone
+                await experiments.recordObservation('twitter', outcome.postId, { found: false });
+            }
+        } catch (error) {
+            this.error('Error checking experiment replies:', error);
+        }
+    }
+
+    /**
+     * Run scanned tweets through the pipeline in dry-run mode and record the outcome
+     * Tweets are simulated one at a time so generation requests don't pile up
+     * @param {Array} tweets - Tweets analyzed by the scan
+     */
+    async simulateDryRun(tweets) {
+        try {
+            const { dryRunReport } = await import(chrome.runtime.getURL('utils/dry-run-report.js'));
+
+            for (const tweetData of tweets) {
+                await dryRunReport.simulatePost({
+                    platform: 'twitter',
+                    postData: tweetData,
+                    analysis: tweetData.analysis,
+                    generate: () => this.generateReplyWithGemini(tweetData)
+                });
+                this.stats.tweetsSimulated++;
+            }
+        } catch (error) {
+            this.error('Error running dry-run simulation:', error);
+        }
+    }
+
+    /**
+     * Record what would happen to a requested reply in dry-run mode
+     * @param {string} tweetId - Tweet ID
+     * @param {Object} tweetData - Tweet data
+     * @param {Object} generation - Generation result with the reply or the model's skip decision
+     * @return {Promise<Object>} - Result object
+     */
+    async simulateDryRunReply(tweetId, tweetData, generation) {
+        if (!tweetData) {
+            throw new Error(`Tweet data not found for ID: ${tweetId}`);
+        }
+
+        const { dryRunReport } = await import(chrome.runtime.getURL('utils/dry-run-report.js'));
+        const entry = await dryRunReport.simulatePost({
+            platform: 'twitter',
+            postData: tweetData,
+            analysis: tweetData.analysis || await this.analyzeContentRelevance(tweetData),
+            generate: async () => generation
+        });
+
+        this.stats.tweetsSimulated++;
+        this.log(`Dry run for tweet ${tweetId}: ${entry.decision} (${entry.reason})`);
+
+        return {
+            success: true,
+            dryRun: true,
+            postId: tweetId,
+            comment: generation.comment,
+            decision: entry.decision,
+            reason: entry.reason,
+            timestamp: Date.now()
+        };
+    }
+
     /**
      * Generate reply using Gemini API
      * @param {Object} tweetData - The tweet data
-     * @return {Promise<string|null>} - Generated reply or null
+     * @param {boolean} [fresh=false] - Skip the cache so a repeated request gets a new reply
+     * @return {Promise<Object|null>} - { comment, prompt, options, skipped, skipReason } or null
      */
-    async generateReplyWithGemini(tweetData) {
+    async generateReplyWithGemini(tweetData, fresh = false) {
         try {
             // Get user preferences for reply style
             const settings = await chrome.storage.sync.get([
                 'commentStyle',
                 'commentTone',
-                'commentLength'
+                'commentLength',
+                'commentVariants',
+                'includePostImages'
             ]);
 
             const options = {
                 style: settings.commentStyle || 'casual', // Twitter defaults to casual
                 tone: settings.commentTone || 'friendly',
-                length: settings.commentLength || 'concise (1 sentence)'
+                length: settings.commentLength || 'concise (1 sentence)',
+                variants: settings.commentVariants || 1,
+                includeImages: settings.includePostImages === true,
+                cache: !fresh
             };
 
             this.log('Generating reply with Gemini API, options:', options);
 
             // Generate reply using Gemini API
-            const reply = await geminiAPI.generateComment(tweetData, 'twitter', options);
+            const generation = await geminiAPI.generateDraft(tweetData, 'twitter', options);
+            const reply = generation.comment;
+
+            if (generation.skipped) {
+                this.log(`Model suggests skipping tweet ${tweetData.id}: ${generation.skipReason}`);
+                return generation;
+            }
+
+            if (generation.rejected) {
+                this.log(`Output filter rejected every reply for tweet ${tweetData.id}: ${generation.rejectReasons.join(', ')}`);
+                return generation;
+            }
 
             if (!reply || reply.trim().length === 0) {
                 console.warn('[Twitter Handler] Empty reply generated');
                 return null;
             }
 
-            // Additional validation for Twitter
-            if (reply.length > 280) { // Twitter character limit
-                console.warn('[Twitter Handler] Reply too long, truncating');
-                return reply.substring(0, 277) + '...';
-            }
-
             this.log('Generated reply:', reply);
-            return reply;
+            return generation;
 
         } catch (error) {
             this.error('Failed to generate reply with Gemini API:', error);
@@ -705,11 +1163,221 @@ class TwitterHandler {
         }
     }
 
+    /**
+     * Read assist and dry-run mode from extension settings
+     */
+    async loadModeSettings() {
+        try {
+            const result = await chrome.storage.local.get(['extension_settings']);
+            this.config.assistMode = result.extension_settings?.assistModeEnabled === true;
+            this.config.dryRun = result.extension_settings?.dryRunEnabled === true;
+            this.log('Assist mode:', this.config.assistMode, 'Dry run:', this.config.dryRun);
+        } catch (error) {
+            this.error('Failed to load mode settings:', error);
+        }
+    }
+
+    /**
+     * Read the topic filter toggle, language policy, topic profiles and semantic settings
+     */
+    async loadRelevanceSettings() {
+        this.config.relevance = await contentFilter.loadRelevanceSettings();
+        this.log('Topic filter:', this.config.relevance.filterEnabled ? 'on' : 'off',
+            'Profiles:', this.config.relevance.topicProfiles.map(profile => profile.name).join(', '),
+            'Language policy:', this.config.relevance.languagePolicy.mode);
+    }
+
+    /**
+     * Follow assist and dry-run mode toggles made in the popup and relevance setting changes
+     * Suggest buttons are added or removed when assist mode changes
+     * @param {Object} changes - Storage changes
+     * @param {string} areaName - Storage area
+     */
+    handleStorageChange(changes, areaName) {
+        this.config.relevance = contentFilter.updateRelevanceSettings(this.config.relevance, changes, areaName);
+
+        if (areaName !== 'local' || !changes.extension_settings) {
+            return;
+        }
+
+        this.config.dryRun = changes.extension_settings.newValue?.dryRunEnabled === true;
+
+        const enabled = changes.extension_settings.newValue?.assistModeEnabled === true;
+        if (enabled === this.config.assistMode) {
+            return;
+        }
+
+        this.config.assistMode = enabled;
+
+        if (enabled) {
+            this.injectSuggestButtons(document.querySelectorAll(this.selectors.posts));
+        } else {
+            this.removeSuggestButtons();
+        }
+    }
+
+    /**
+     * Inject a Suggest button into the action bar of each tweet
+     * @param {NodeList|Array} tweetElements - Tweet elements found by the scan
+     */
+    injectSuggestButtons(tweetElements) {
+        for (const tweetElement of tweetElements) {
+            if (tweetElement.querySelector(this.selectors.actions.suggestButton)) {
+                continue;
+            }
+
+            const actionBar = tweetElement.querySelector(this.selectors.actions.actionBar) || tweetElement;
+            actionBar.appendChild(this.createSuggestButton(tweetElement));
+        }
+    }
+
+    /**
+     * Remove all injected Suggest buttons
+     */
+    removeSuggestButtons() {
+        document.querySelectorAll(this.selectors.actions.suggestButton).forEach(button => button.remove());
+    }
+
+    /**
+     * Create the Suggest button for a tweet
+     * @param {Element} tweetElement - Tweet DOM element
+     * @returns {Element} Button element
+     */
+    createSuggestButton(tweetElement) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'sma-suggest-btn';
+        button.textContent = '✨ Suggest';
+        button.title = 'Suggest a reply - you review and post it yourself';
+        button.style.cssText = 'margin-left:8px;padding:2px 10px;border:1px solid #1d9bf0;border-radius:9999px;' +
+            'background:transparent;color:#1d9bf0;font-weight:600;cursor:pointer;';
+
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.handleSuggestClick(tweetElement, button);
+        });
+
+        return button;
+    }
+
+    /**
+     * Generate a suggestion and place it in the reply box without submitting
+     * @param {Element} tweetElement - Tweet DOM element
+     * @param {Element} button - The clicked Suggest button
+     */
+    async handleSuggestClick(tweetElement, button) {
+        if (button.disabled) {
+            return;
+        }
+
+        button.disabled = true;
+        button.textContent = 'Thinking...';
+
+        try {
+            const tweetData = await this.extractTweetData(tweetElement);
+            if (!tweetData) {
+                throw new Error('Could not read this tweet');
+            }
+
+            tweetData.analysis = await this.analyzeContentRelevance(tweetData);
+
+            // Every click asks for a new suggestion, a cached one would repeat the last
+            const generation = await this.generateReplyWithGemini(tweetData, true);
+            if (!generation) {
+                throw new Error('No suggestion generated');
+            }
+
+            if (generation.sensitive) {
+                button.textContent = 'Sensitive post, skipped';
+                button.title = generation.sensitive.reason;
+                return;
+            }
+
+            if (generation.skipped) {
+                button.textContent = 'Model suggests skipping';
+                button.title = generation.skipReason;
+                return;
+            }
+
+            if (generation.rejected) {
+                button.textContent = 'Blocked by output filter';
+                button.title = generation.rejectReasons.join(', ');
+                return;
+            }
+
+            const textArea = await this.openReplyBox(tweetElement);
+            if (!textArea) {
+                throw new Error('Reply text area not found');
+            }
+
+            this.insertSuggestion(textArea, generation.comment);
+
+            this.stats.suggestionsGenerated++;
+            await this.logReplyActivity(tweetData, generation.comment, 'suggested');
+
+            button.textContent = '✨ Suggest again';
+
+        } catch (error) {
+            this.error('Failed to suggest reply:', error);
+            button.textContent = 'Suggestion failed';
+            setTimeout(() => {
+                button.textContent = '✨ Suggest';
+            }, 3000);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Open the reply composer for a tweet and return its text area
+     * @param {Element} tweetElement - Tweet DOM element
+     * @returns {Promise<Element|null>} Text area or null
+     */
+    async openReplyBox(tweetElement) {
+        const replyButton = twitterSelectors?.getReplyButton(tweetElement) ||
+            tweetElement.querySelector(this.selectors.actions.replyButton);
+
+        if (!replyButton) {
+            throw new Error('Reply button not found');
+        }
+
+        replyButton.click();
+        await this.delay(1500); // Wait for modal to open
+
+        return twitterSelectors?.getComposeTextArea() ||
+            await this.waitForElement(this.selectors.compose.textArea, 5000);
+    }
+
+    /**
+     * Replace the reply box content with a suggestion, leaving submission to the user
+     * @param {Element} element - Reply text area
+     * @param {string} text - Suggested reply
+     */
+    insertSuggestion(element, text) {
+        element.focus();
+
+        // Select existing content so the suggestion replaces it
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        // insertText keeps the Draft.js editor state in sync; fall back to plain text
+        const inserted = document.execCommand('insertText', false, text);
+        if (!inserted) {
+            element.textContent = text;
+        }
+
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
     /**
      * Log reply activity for analytics and debugging
      * @param {Object} tweetData - The tweet data
      * @param {string} reply - The generated reply
-     * @param {string} status - Status: 'success', 'failed', 'error'
+     * @param {string} status - Status: 'success', 'failed', 'error', 'suggested', 'cancelled'
      * @param {string} errorMessage - Error message if applicable
      */
     async logReplyActivity(tweetData, reply, status, errorMessage = null) {
@@ -719,11 +1387,11 @@ class TwitterHandler {
                 platform: 'twitter',
                 postId: tweetData.id,
                 authorName: tweetData.author?.name,
-                postContent: tweetData.content?.substring(0, 100) + '...',
+                postContent: this.getLogContent(tweetData),
                 generatedReply: reply,
                 status,
                 errorMessage,
-                relevanceScore: tweetData.relevanceAnalysis?.score || 0
+                relevanceScore: tweetData.analysis?.relevanceScore || 0
             };
 
             // Get existing logs
@@ -741,6 +1409,17 @@ class TwitterHandler {
         }
     }
 
+    /**
+     * Get a short post excerpt for the activity log
+     * Review queue drafts carry a snapshot where content is { text, hashtags, mentions }
+     * @param {Object} tweetData - Extracted post data or draft snapshot
+     * @return {string} - Excerpt
+     */
+    getLogContent(tweetData) {
+        const text = typeof tweetData.content === 'string' ? tweetData.content : tweetData.content?.text || '';
+        return `${text.substring(0, 100)}...`;
+    }
+
     /**
      * Utility methods
      */
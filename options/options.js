@@ -0,0 +1,1234 @@
+/**
+ * Social Media Auto-Comment Chrome Extension - Settings Page
+ *
+ * Hosts settings that need more room than the popup offers.
+ * All data is read and written through the service worker.
+ */
+
+class OptionsApp {
+    constructor() {
+        this.styleExamples = [];
+        this.providerSettings = null;
+        this.usageBudget = null;
+        this.experimentStyles = null;
+        this.topicProfiles = [];
+
+        // DOM element references
+        this.elements = {};
+    }
+
+    /**
+     * Initialize the settings page
+     */
+    async initialize() {
+        this.cacheElements();
+        this.setupEventListeners();
+        await this.loadProviderSettings();
+        await this.loadPersonaProfile();
+        await this.loadLanguagePolicy();
+        await this.loadTopicProfiles();
+        await this.loadSemanticSettings();
+        await this.loadSensitiveContextSettings();
+        await this.loadUsageBudget();
+        await this.loadOutputFilter();
+        await this.loadExperiments();
+        await this.loadStyleExamples();
+    }
+
+    /**
+     * Cache DOM element references
+     */
+    cacheElements() {
+        this.elements.providerSelect = document.getElementById('providerSelect');
+        this.elements.providerBaseUrl = document.getElementById('providerBaseUrl');
+        this.elements.providerModel = document.getElementById('providerModel');
+        this.elements.providerApiKey = document.getElementById('providerApiKey');
+        this.elements.providerApiKeyGroup = document.getElementById('providerApiKeyGroup');
+        this.elements.providerHint = document.getElementById('providerHint');
+        this.elements.providerSafetyGroup = document.getElementById('providerSafetyGroup');
+        this.elements.providerSafetyRules = document.getElementById('providerSafetyRules');
+        this.elements.saveProviderBtn = document.getElementById('saveProviderBtn');
+        this.elements.testProviderBtn = document.getElementById('testProviderBtn');
+        this.elements.personaName = document.getElementById('personaName');
+        this.elements.personaRole = document.getElementById('personaRole');
+        this.elements.personaOrganization = document.getElementById('personaOrganization');
+        this.elements.personaSkills = document.getElementById('personaSkills');
+        this.elements.personaProjects = document.getElementById('personaProjects');
+        this.elements.personaTopics = document.getElementById('personaTopics');
+        this.elements.savePersonaBtn = document.getElementById('savePersonaBtn');
+        this.elements.languageMode = document.getElementById('languageMode');
+        this.elements.languageAllowlistGroup = document.getElementById('languageAllowlistGroup');
+        this.elements.languageAllowlist = document.getElementById('languageAllowlist');
+        this.elements.saveLanguageBtn = document.getElementById('saveLanguageBtn');
+        this.elements.topicProfileSelect = document.getElementById('topicProfileSelect');
+        this.elements.topicName = document.getElementById('topicName');
+        this.elements.topicEnabled = document.getElementById('topicEnabled');
+        this.elements.topicThreshold = document.getElementById('topicThreshold');
+        this.elements.topicKeywords = document.getElementById('topicKeywords');
+        this.elements.topicNegativeKeywords = document.getElementById('topicNegativeKeywords');
+        this.elements.topicPatterns = document.getElementById('topicPatterns');
+        this.elements.topicExemplars = document.getElementById('topicExemplars');
+        this.elements.saveTopicBtn = document.getElementById('saveTopicBtn');
+        this.elements.deleteTopicBtn = document.getElementById('deleteTopicBtn');
+        this.elements.semanticEnabled = document.getElementById('semanticEnabled');
+        this.elements.semanticMode = document.getElementById('semanticMode');
+        this.elements.semanticWeight = document.getElementById('semanticWeight');
+        this.elements.semanticModel = document.getElementById('semanticModel');
+        this.elements.saveSemanticBtn = document.getElementById('saveSemanticBtn');
+        this.elements.sensitiveCategories = document.getElementById('sensitiveCategories');
+        this.elements.sensitiveLlmConfirmation = document.getElementById('sensitiveLlmConfirmation');
+        this.elements.saveSensitiveBtn = document.getElementById('saveSensitiveBtn');
+        this.elements.budgetProvider = document.getElementById('budgetProvider');
+        this.elements.budgetUsage = document.getElementById('budgetUsage');
+        this.elements.budgetDailyTokens = document.getElementById('budgetDailyTokens');
+        this.elements.budgetMonthlyTokens = document.getElementById('budgetMonthlyTokens');
+        this.elements.budgetDailySpend = document.getElementById('budgetDailySpend');
+        this.elements.budgetMonthlySpend = document.getElementById('budgetMonthlySpend');
+        this.elements.budgetPrices = document.getElementById('budgetPrices');
+        this.elements.budgetPriceHint = document.getElementById('budgetPriceHint');
+        this.elements.saveBudgetBtn = document.getElementById('saveBudgetBtn');
+        this.elements.outputFilterRules = document.getElementById('outputFilterRules');
+        this.elements.outputFilterMaxHashtags = document.getElementById('outputFilterMaxHashtags');
+        this.elements.outputFilterPhrases = document.getElementById('outputFilterPhrases');
+        this.elements.saveOutputFilterBtn = document.getElementById('saveOutputFilterBtn');
+        this.elements.experimentName = document.getElementById('experimentName');
+        this.elements.experimentPlatform = document.getElementById('experimentPlatform');
+        this.elements.experimentFactor = document.getElementById('experimentFactor');
+        this.elements.experimentValues = document.getElementById('experimentValues');
+        this.elements.experimentValuesHint = document.getElementById('experimentValuesHint');
+        this.elements.startExperimentBtn = document.getElementById('startExperimentBtn');
+        this.elements.experimentList = document.getElementById('experimentList');
+        this.elements.styleExampleCount = document.getElementById('styleExampleCount');
+        this.elements.styleExampleList = document.getElementById('styleExampleList');
+        this.elements.examplePlatformFilter = document.getElementById('examplePlatformFilter');
+        this.elements.clearExamplesBtn = document.getElementById('clearExamplesBtn');
+        this.elements.toastContainer = document.getElementById('toastContainer');
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.providerSelect.addEventListener('change', this.renderProviderForm.bind(this));
+        this.elements.saveProviderBtn.addEventListener('click', this.handleSaveProvider.bind(this));
+        this.elements.testProviderBtn.addEventListener('click', this.handleTestProvider.bind(this));
+        this.elements.savePersonaBtn.addEventListener('click', this.handleSavePersona.bind(this));
+        this.elements.languageMode.addEventListener('change', this.renderLanguageMode.bind(this));
+        this.elements.saveLanguageBtn.addEventListener('click', this.handleSaveLanguagePolicy.bind(this));
+        this.elements.topicProfileSelect.addEventListener('change', this.renderTopicForm.bind(this));
+        this.elements.saveTopicBtn.addEventListener('click', this.handleSaveTopicProfile.bind(this));
+        this.elements.deleteTopicBtn.addEventListener('click', this.handleDeleteTopicProfile.bind(this));
+        this.elements.saveSemanticBtn.addEventListener('click', this.handleSaveSemanticSettings.bind(this));
+        this.elements.saveSensitiveBtn.addEventListener('click', this.handleSaveSensitiveContextSettings.bind(this));
+        this.elements.budgetProvider.addEventListener('change', this.renderBudgetForm.bind(this));
+        this.elements.saveBudgetBtn.addEventListener('click', this.handleSaveBudget.bind(this));
+        this.elements.saveOutputFilterBtn.addEventListener('click', this.handleSaveOutputFilter.bind(this));
+        this.elements.experimentPlatform.addEventListener('change', this.renderExperimentHint.bind(this));
+        this.elements.experimentFactor.addEventListener('change', this.renderExperimentHint.bind(this));
+        this.elements.startExperimentBtn.addEventListener('click', this.handleStartExperiment.bind(this));
+        this.elements.experimentList.addEventListener('click', this.handleExperimentAction.bind(this));
+        this.elements.examplePlatformFilter.addEventListener('change', this.loadStyleExamples.bind(this));
+        this.elements.clearExamplesBtn.addEventListener('click', this.handleClearExamples.bind(this));
+        this.elements.styleExampleList.addEventListener('click', this.handleExampleAction.bind(this));
+    }
+
+    /**
+     * Load provider settings from the service worker
+     */
+    async loadProviderSettings() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_PROVIDER_SETTINGS' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load provider settings');
+            }
+
+            this.providerSettings = response.data;
+            this.elements.providerSelect.value = this.providerSettings.provider;
+            this.renderProviderForm();
+
+        } catch (error) {
+            console.error('Error loading provider settings:', error);
+            this.showToast('Failed to load provider settings', 'error');
+        }
+    }
+
+    /**
+     * Fill the provider form for the selected provider
+     */
+    renderProviderForm() {
+        if (!this.providerSettings) {
+            return;
+        }
+
+        const providerId = this.elements.providerSelect.value;
+        const settings = this.providerSettings.providers[providerId];
+
+        this.elements.providerBaseUrl.value = settings.baseUrl;
+        this.elements.providerBaseUrl.placeholder = settings.defaults.baseUrl;
+        this.elements.providerModel.value = settings.model;
+        this.elements.providerModel.placeholder = settings.defaults.model;
+        this.elements.providerApiKey.value = '';
+        this.elements.providerApiKey.placeholder = settings.hasApiKey
+            ? `Saved key ${settings.apiKeyPreview}, leave blank to keep it`
+            : 'Enter API key';
+        this.elements.providerApiKeyGroup.style.display = settings.requiresApiKey ? 'block' : 'none';
+        this.elements.providerSafetyGroup.style.display = settings.safety ? 'block' : 'none';
+        this.renderSafetyThresholds(settings.safety || {});
+
+        const hints = {
+            gemini: 'Get a key from Google AI Studio. The key is shared with the popup.',
+            openai: 'Works with OpenAI and any server exposing /chat/completions.',
+            local: 'The server must run on this machine and allow requests from the extension ' +
+                '(for Ollama, set OLLAMA_ORIGINS).'
+        };
+        this.elements.providerHint.textContent = hints[providerId] || '';
+    }
+
+    /**
+     * Render a threshold select for every Gemini harm category
+     * @param {Object} safety - { HARM_CATEGORY_*: threshold }
+     */
+    renderSafetyThresholds(safety) {
+        const labels = {
+            HARM_CATEGORY_HARASSMENT: 'Harassment',
+            HARM_CATEGORY_HATE_SPEECH: 'Hate speech',
+            HARM_CATEGORY_SEXUALLY_EXPLICIT: 'Sexually explicit',
+            HARM_CATEGORY_DANGEROUS_CONTENT: 'Dangerous content'
+        };
+
+        this.elements.providerSafetyRules.innerHTML = '';
+
+        Object.entries(safety).forEach(([category, threshold]) => {
+            const label = document.createElement('label');
+            label.className = 'input-label';
+            label.htmlFor = `providerSafety-${category}`;
+            label.textContent = labels[category] || category;
+
+            const select = document.createElement('select');
+            select.id = `providerSafety-${category}`;
+            select.className = 'style-select';
+            select.dataset.category = category;
+
+            [
+                ['BLOCK_LOW_AND_ABOVE', 'Block most (low and above)'],
+                ['BLOCK_MEDIUM_AND_ABOVE', 'Block some (medium and above)'],
+                ['BLOCK_ONLY_HIGH', 'Block few (high only)'],
+                ['BLOCK_NONE', 'Block none']
+            ].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = threshold;
+
+            this.elements.providerSafetyRules.append(label, select);
+        });
+    }
+
+    /**
+     * Read the provider form
+     * @return {Object} - Provider ID and settings
+     */
+    getProviderForm() {
+        const providerId = this.elements.providerSelect.value;
+        const settings = {
+            baseUrl: this.elements.providerBaseUrl.value.trim(),
+            model: this.elements.providerModel.value.trim()
+        };
+
+        if (this.providerSettings?.providers[providerId]?.requiresApiKey) {
+            settings.apiKey = this.elements.providerApiKey.value.trim();
+        }
+
+        if (this.providerSettings?.providers[providerId]?.safety) {
+            settings.safety = {};
+            this.elements.providerSafetyRules.querySelectorAll('select[data-category]').forEach(select => {
+                settings.safety[select.dataset.category] = select.value;
+            });
+        }
+
+        return { providerId, settings };
+    }
+
+    /**
+     * Save the selected provider, asking for host access to custom servers first
+     */
+    async handleSaveProvider() {
+        const { providerId, settings } = this.getProviderForm();
+
+        try {
+            // The permission prompt needs the click's user gesture, so request before any other await
+            const origin = this.getOptionalOrigin(providerId, settings.baseUrl);
+            if (origin && !(await chrome.permissions.request({ origins: [origin] }))) {
+                this.showToast('Access to the provider server was not granted', 'error');
+                return;
+            }
+
+            const response = await this.sendMessage({
+                type: 'SAVE_PROVIDER_SETTINGS',
+                provider: providerId,
+                settings
+            });
+
+            if (response.success) {
+                this.showToast('Provider settings saved', 'success');
+                await this.loadProviderSettings();
+            } else {
+                this.showToast(response.error || 'Failed to save provider settings', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving provider settings:', error);
+            this.showToast('Failed to save provider settings', 'error');
+        }
+    }
+
+    /**
+     * Get the host permission pattern a custom server needs
+     * @param {string} providerId - Provider ID
+     * @param {string} baseUrl - Base URL from the form
+     * @return {string|null} - Origin pattern, or null when the manifest already covers it
+     */
+    getOptionalOrigin(providerId, baseUrl) {
+        if (providerId === 'local' || !baseUrl) {
+            return null;
+        }
+
+        try {
+            const url = new URL(baseUrl);
+            if (url.hostname === 'generativelanguage.googleapis.com') {
+                return null;
+            }
+            return `${url.origin}/*`;
+        } catch (error) {
+            // Invalid URLs are rejected by the service worker with a clearer message
+            return null;
+        }
+    }
+
+    /**
+     * Test the saved provider settings
+     */
+    async handleTestProvider() {
+        const providerId = this.elements.providerSelect.value;
+        this.elements.testProviderBtn.disabled = true;
+
+        try {
+            const response = await this.sendMessage({ type: 'TEST_PROVIDER_CONNECTION', provider: providerId });
+
+            if (response.success) {
+                this.showToast('Connection successful', 'success');
+            } else {
+                this.showToast(response.error || 'Connection failed', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error testing provider:', error);
+            this.showToast('Connection failed', 'error');
+        } finally {
+            this.elements.testProviderBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Load the persona profile into the form
+     */
+    async loadPersonaProfile() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_PERSONA_PROFILE' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load persona profile');
+            }
+
+            const profile = response.data;
+            this.elements.personaName.value = profile.name;
+            this.elements.personaRole.value = profile.role;
+            this.elements.personaOrganization.value = profile.organization;
+            this.elements.personaSkills.value = profile.skills.join(', ');
+            this.elements.personaProjects.value = profile.projects.join('\n');
+            this.elements.personaTopics.value = profile.topics.join(', ');
+
+        } catch (error) {
+            console.error('Error loading persona profile:', error);
+            this.showToast('Failed to load persona profile', 'error');
+        }
+    }
+
+    /**
+     * Save the persona profile, lists are split by the service worker
+     */
+    async handleSavePersona() {
+        try {
+            const response = await this.sendMessage({
+                type: 'SAVE_PERSONA_PROFILE',
+                profile: {
+                    name: this.elements.personaName.value,
+                    role: this.elements.personaRole.value,
+                    organization: this.elements.personaOrganization.value,
+                    skills: this.elements.personaSkills.value,
+                    projects: this.elements.personaProjects.value,
+                    topics: this.elements.personaTopics.value
+                }
+            });
+
+            if (response.success) {
+                this.showToast('Persona saved', 'success');
+                await this.loadPersonaProfile();
+            } else {
+                this.showToast(response.error || 'Failed to save persona', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving persona profile:', error);
+            this.showToast('Failed to save persona', 'error');
+        }
+    }
+
+    /**
+     * Load the language policy and the supported languages
+     */
+    async loadLanguagePolicy() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_LANGUAGE_POLICY' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load language policy');
+            }
+
+            const { policy, languages } = response.data;
+            this.elements.languageMode.value = policy.mode;
+            this.renderLanguageAllowlist(languages, policy.allowlist);
+            this.renderLanguageMode();
+
+        } catch (error) {
+            console.error('Error loading language policy:', error);
+            this.showToast('Failed to load language policy', 'error');
+        }
+    }
+
+    /**
+     * Render a checkbox for every supported language
+     * @param {Array<Object>} languages - [{ code, name }]
+     * @param {Array<string>} allowlist - Checked language codes
+     */
+    renderLanguageAllowlist(languages, allowlist) {
+        this.elements.languageAllowlist.innerHTML = '';
+
+        languages.forEach(language => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = language.code;
+            input.checked = allowlist.includes(language.code);
+
+            const box = document.createElement('span');
+            box.className = 'checkbox-custom';
+
+            const name = document.createElement('span');
+            name.textContent = language.name;
+
+            label.append(input, box, name);
+            this.elements.languageAllowlist.appendChild(label);
+        });
+    }
+
+    /**
+     * Show the language checkboxes only for the allowlist policy
+     */
+    renderLanguageMode() {
+        this.elements.languageAllowlistGroup.hidden = this.elements.languageMode.value !== 'allowlist';
+    }
+
+    /**
+     * Save the language policy
+     */
+    async handleSaveLanguagePolicy() {
+        const allowlist = Array.from(this.elements.languageAllowlist.querySelectorAll('input:checked'))
+            .map(input => input.value);
+
+        try {
+            const response = await this.sendMessage({
+                type: 'SAVE_LANGUAGE_POLICY',
+                policy: { mode: this.elements.languageMode.value, allowlist }
+            });
+
+            if (response.success) {
+                this.showToast('Language policy saved', 'success');
+            } else {
+                this.showToast(response.error || 'Failed to save language policy', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving language policy:', error);
+            this.showToast('Failed to save language policy', 'error');
+        }
+    }
+
+    /**
+     * Load the topic profiles and select one for editing
+     * @param {string} [selectedId] - Profile to select, the current selection when omitted
+     */
+    async loadTopicProfiles(selectedId = this.elements.topicProfileSelect.value) {
+        try {
+            const response = await this.sendMessage({ type: 'GET_TOPIC_PROFILES' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load topic profiles');
+            }
+
+            this.topicProfiles = response.data.profiles;
+            this.elements.topicProfileSelect.innerHTML = '';
+
+            [...this.topicProfiles, { id: '', name: 'New profile...' }].forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.id && !profile.enabled ? `${profile.name} (disabled)` : profile.name;
+                this.elements.topicProfileSelect.appendChild(option);
+            });
+
+            const selected = this.topicProfiles.find(profile => profile.id === selectedId) || this.topicProfiles[0];
+            this.elements.topicProfileSelect.value = selected?.id || '';
+            this.renderTopicForm();
+
+        } catch (error) {
+            console.error('Error loading topic profiles:', error);
+            this.showToast('Failed to load topic profiles', 'error');
+        }
+    }
+
+    /**
+     * Fill the topic form for the selected profile, or empty it for a new one
+     */
+    renderTopicForm() {
+        const profile = this.topicProfiles.find(existing => existing.id === this.elements.topicProfileSelect.value);
+
+        this.elements.topicName.value = profile?.name || '';
+        this.elements.topicEnabled.checked = profile ? profile.enabled : true;
+        this.elements.topicThreshold.value = profile?.threshold ?? 3;
+        this.elements.topicKeywords.value = this.formatWeightedLines(profile?.keywords || []);
+        this.elements.topicNegativeKeywords.value = this.formatWeightedLines(profile?.negativeKeywords || []);
+        this.elements.topicPatterns.value = this.formatWeightedLines(profile?.patterns || []);
+        this.elements.topicExemplars.value = (profile?.exemplars || []).join('\n---\n');
+        this.elements.deleteTopicBtn.hidden = !profile;
+    }
+
+    /**
+     * Format weighted entries as "term, weight" lines
+     * @param {Array<Object>} entries - [{ term, weight }] or [{ pattern, weight }]
+     * @returns {string} One entry per line
+     */
+    formatWeightedLines(entries) {
+        return entries.map(entry => `${entry.term ?? entry.pattern}, ${entry.weight}`).join('\n');
+    }
+
+    /**
+     * Save the topic profile in the form
+     */
+    async handleSaveTopicProfile() {
+        try {
+            const response = await this.sendMessage({
+                type: 'SAVE_TOPIC_PROFILE',
+                profile: {
+                    id: this.elements.topicProfileSelect.value || null,
+                    name: this.elements.topicName.value,
+                    enabled: this.elements.topicEnabled.checked,
+                    threshold: this.elements.topicThreshold.value,
+                    keywords: this.elements.topicKeywords.value,
+                    negativeKeywords: this.elements.topicNegativeKeywords.value,
+                    patterns: this.elements.topicPatterns.value,
+                    exemplars: this.elements.topicExemplars.value
+                }
+            });
+
+            if (response.success) {
+                this.showToast('Topic profile saved', 'success');
+                await this.loadTopicProfiles(response.data.id);
+            } else {
+                this.showToast(response.error || 'Failed to save topic profile', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving topic profile:', error);
+            this.showToast('Failed to save topic profile', 'error');
+        }
+    }
+
+    /**
+     * Delete the selected topic profile
+     */
+    async handleDeleteTopicProfile() {
+        const profileId = this.elements.topicProfileSelect.value;
+        if (!profileId || !confirm('Delete this topic profile? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const response = await this.sendMessage({ type: 'DELETE_TOPIC_PROFILE', profileId });
+
+            if (response.success) {
+                this.showToast('Topic profile deleted', 'success');
+                await this.loadTopicProfiles(null);
+            } else {
+                this.showToast(response.error || 'Failed to delete topic profile', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error deleting topic profile:', error);
+            this.showToast('Failed to delete topic profile', 'error');
+        }
+    }
+
+    /**
+     * Load the semantic scoring settings
+     */
+    async loadSemanticSettings() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_SEMANTIC_SETTINGS' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load semantic scoring settings');
+            }
+
+            const settings = response.data;
+            this.elements.semanticEnabled.checked = settings.enabled;
+            this.elements.semanticMode.value = settings.mode;
+            this.elements.semanticWeight.value = settings.weight;
+            this.elements.semanticModel.value = settings.embeddingModel;
+
+        } catch (error) {
+            console.error('Error loading semantic scoring settings:', error);
+            this.showToast('Failed to load semantic scoring settings', 'error');
+        }
+    }
+
+    /**
+     * Save the semantic scoring settings
+     */
+    async handleSaveSemanticSettings() {
+        try {
+            const response = await this.sendMessage({
+                type: 'SAVE_SEMANTIC_SETTINGS',
+                settings: {
+                    enabled: this.elements.semanticEnabled.checked,
+                    mode: this.elements.semanticMode.value,
+                    weight: this.elements.semanticWeight.value,
+                    embeddingModel: this.elements.semanticModel.value
+                }
+            });
+
+            if (response.success) {
+                this.showToast('Semantic scoring saved', 'success');
+                await this.loadSemanticSettings();
+            } else {
+                this.showToast(response.error || 'Failed to save semantic scoring', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving semantic scoring settings:', error);
+            this.showToast('Failed to save semantic scoring', 'error');
+        }
+    }
+
+    /**
+     * Load the sensitive post guard settings
+     */
+    async loadSensitiveContextSettings() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_SENSITIVE_CONTEXT_SETTINGS' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load sensitive post settings');
+            }
+
+            const { settings, categories } = response.data;
+            this.elements.sensitiveLlmConfirmation.checked = settings.llmConfirmation;
+            this.elements.sensitiveCategories.textContent = categories.join(', ');
+
+        } catch (error) {
+            console.error('Error loading sensitive post settings:', error);
+            this.showToast('Failed to load sensitive post settings', 'error');
+        }
+    }
+
+    /**
+     * Save the sensitive post guard settings
+     */
+    async handleSaveSensitiveContextSettings() {
+        try {
+            const response = await this.sendMessage({
+                type: 'SAVE_SENSITIVE_CONTEXT_SETTINGS',
+                settings: { llmConfirmation: this.elements.sensitiveLlmConfirmation.checked }
+            });
+
+            if (response.success) {
+                this.showToast('Sensitive post settings saved', 'success');
+            } else {
+                this.showToast(response.error || 'Failed to save sensitive post settings', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving sensitive post settings:', error);
+            this.showToast('Failed to save sensitive post settings', 'error');
+        }
+    }
+
+    /**
+     * Load budgets, prices and current usage
+     */
+    async loadUsageBudget() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_USAGE_BUDGET' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load usage budget');
+            }
+
+            const firstLoad = !this.usageBudget;
+            this.usageBudget = response.data;
+            if (firstLoad) {
+                this.elements.budgetProvider.value = this.usageBudget.activeProvider;
+            }
+
+            this.elements.budgetPrices.value = Object.entries(this.usageBudget.settings.prices)
+                .map(([model, price]) => `${model}, ${price.input}, ${price.output}`)
+                .join('\n');
+            this.renderBudgetForm();
+
+        } catch (error) {
+            console.error('Error loading usage budget:', error);
+            this.showToast('Failed to load usage budget', 'error');
+        }
+    }
+
+    /**
+     * Fill the budget fields and usage summary for the selected provider
+     */
+    renderBudgetForm() {
+        if (!this.usageBudget) {
+            return;
+        }
+
+        const providerId = this.elements.budgetProvider.value;
+        const limits = this.usageBudget.settings.budgets[providerId] || {};
+        const { usage } = this.usageBudget.status[providerId];
+
+        this.elements.budgetDailyTokens.value = limits.dailyTokens || 0;
+        this.elements.budgetMonthlyTokens.value = limits.monthlyTokens || 0;
+        this.elements.budgetDailySpend.value = limits.dailySpend || 0;
+        this.elements.budgetMonthlySpend.value = limits.monthlySpend || 0;
+
+        const format = period => `${period.tokens.toLocaleString()} tokens, about $${period.cost.toFixed(4)}`;
+        const unpriced = usage.monthly.unpricedRequests > 0
+            ? ` ${usage.monthly.unpricedRequests} request(s) this month used a model without a price and count as $0.`
+            : '';
+        this.elements.budgetUsage.textContent = `Today: ${format(usage.daily)}. This month: ${format(usage.monthly)}.${unpriced}`;
+
+        const model = this.providerSettings?.providers[providerId]?.model;
+        const price = model && this.usageBudget.prices[model.toLowerCase()];
+        if (providerId === 'local') {
+            this.elements.budgetPriceHint.textContent = 'Local models cost nothing per token, only token budgets apply.';
+        } else if (price) {
+            this.elements.budgetPriceHint.textContent =
+                `${model}: $${price.input} input / $${price.output} output per million tokens. Add a line here to override it.`;
+        } else {
+            this.elements.budgetPriceHint.textContent =
+                `No price known for ${model || 'this model'}, add one here so spend budgets can count it.`;
+        }
+    }
+
+    /**
+     * Save the selected provider's budget and the custom prices
+     */
+    async handleSaveBudget() {
+        const providerId = this.elements.budgetProvider.value;
+        const budgets = {
+            ...this.usageBudget?.settings.budgets,
+            [providerId]: {
+                dailyTokens: this.elements.budgetDailyTokens.value,
+                monthlyTokens: this.elements.budgetMonthlyTokens.value,
+                dailySpend: this.elements.budgetDailySpend.value,
+                monthlySpend: this.elements.budgetMonthlySpend.value
+            }
+        };
+
+        try {
+            const response = await this.sendMessage({
+                type: 'SAVE_USAGE_BUDGET',
+                settings: { budgets, prices: this.elements.budgetPrices.value }
+            });
+
+            if (response.success) {
+                this.showToast('Budget saved', 'success');
+                await this.loadUsageBudget();
+            } else {
+                this.showToast(response.error || 'Failed to save budget', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving usage budget:', error);
+            this.showToast('Failed to save budget', 'error');
+        }
+    }
+
+    /**
+     * Load the output filter rules and settings
+     */
+    async loadOutputFilter() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_OUTPUT_FILTER' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load output filter');
+            }
+
+            const { settings, rules } = response.data;
+            this.renderOutputFilterRules(rules, settings.actions);
+            this.elements.outputFilterMaxHashtags.value = settings.maxHashtags;
+            this.elements.outputFilterPhrases.value = settings.bannedPhrases.join('\n');
+
+        } catch (error) {
+            console.error('Error loading output filter:', error);
+            this.showToast('Failed to load output filter', 'error');
+        }
+    }
+
+    /**
+     * Render an action select for every output filter rule
+     * @param {Array<Object>} rules - [{ code, label, description }]
+     * @param {Object} actions - Current action per rule code
+     */
+    renderOutputFilterRules(rules, actions) {
+        this.elements.outputFilterRules.innerHTML = '';
+
+        rules.forEach(rule => {
+            const label = document.createElement('label');
+            label.className = 'input-label';
+            label.htmlFor = `outputFilter-${rule.code}`;
+            label.textContent = rule.label;
+
+            const select = document.createElement('select');
+            select.id = `outputFilter-${rule.code}`;
+            select.className = 'style-select';
+            select.dataset.rule = rule.code;
+
+            [
+                ['reject', 'Reject'],
+                ['flag', 'Flag for review'],
+                ['off', 'Off']
+            ].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = actions[rule.code];
+
+            const hint = document.createElement('small');
+            hint.className = 'setting-hint';
+            hint.textContent = rule.description;
+
+            this.elements.outputFilterRules.append(label, select, hint);
+        });
+    }
+
+    /**
+     * Save rule actions, the hashtag limit and banned phrases
+     */
+    async handleSaveOutputFilter() {
+        const actions = Object.fromEntries(Array.from(this.elements.outputFilterRules.querySelectorAll('select'))
+            .map(select => [select.dataset.rule, select.value]));
+
+        try {
+            const response = await this.sendMessage({
+                type: 'SAVE_OUTPUT_FILTER',
+                settings: {
+                    actions,
+                    maxHashtags: this.elements.outputFilterMaxHashtags.value,
+                    bannedPhrases: this.elements.outputFilterPhrases.value
+                }
+            });
+
+            if (response.success) {
+                this.showToast('Output filter saved', 'success');
+                await this.loadOutputFilter();
+            } else {
+                this.showToast(response.error || 'Failed to save output filter', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving output filter:', error);
+            this.showToast('Failed to save output filter', 'error');
+        }
+    }
+
+    /**
+     * Load experiments and the styles they can compare
+     */
+    async loadExperiments() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_EXPERIMENTS' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load experiments');
+            }
+
+            this.experimentStyles = response.data.styles;
+            this.renderExperimentHint();
+            this.renderExperiments(response.data.experiments);
+
+        } catch (error) {
+            console.error('Error loading experiments:', error);
+            this.showToast('Failed to load experiments', 'error');
+        }
+    }
+
+    /**
+     * Explain what values the selected setting takes
+     */
+    renderExperimentHint() {
+        const factor = this.elements.experimentFactor.value;
+        const platform = this.elements.experimentPlatform.value;
+        let hint = 'Any tone description, e.g. "warm and curious" or "direct".';
+
+        if (factor === 'style') {
+            hint = `Available styles: ${(this.experimentStyles?.[platform] || []).join(', ')}`;
+        } else if (factor === 'temperature') {
+            hint = 'Numbers from 0 to 2. The default is 0.7, lower is more predictable.';
+        }
+
+        this.elements.experimentValuesHint.textContent = hint;
+    }
+
+    /**
+     * Render the experiment list
+     * @param {Array<Object>} experiments - Experiments, newest first
+     */
+    renderExperiments(experiments) {
+        this.elements.experimentList.innerHTML = '';
+
+        if (experiments.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'draft-empty';
+            empty.textContent = 'No experiments yet';
+            this.elements.experimentList.appendChild(empty);
+            return;
+        }
+
+        experiments.forEach(experiment => {
+            const card = document.createElement('div');
+            card.className = 'example-card';
+            card.dataset.experimentId = experiment.id;
+
+            const meta = document.createElement('div');
+            meta.className = 'draft-meta';
+
+            const name = document.createElement('span');
+            name.textContent = `${experiment.name} · ${experiment.platform === 'twitter' ? 'Twitter/X' : 'LinkedIn'}`;
+
+            const status = document.createElement('span');
+            status.textContent = experiment.status === 'running'
+                ? `Running since ${new Date(experiment.createdAt).toLocaleDateString()}`
+                : `Stopped ${new Date(experiment.stoppedAt).toLocaleDateString()}`;
+
+            meta.append(name, status);
+
+            const variants = document.createElement('p');
+            variants.textContent = experiment.variants.map(variant => `${variant.id}: ${variant.value}`).join(' · ');
+
+            const actions = document.createElement('div');
+            actions.className = 'options-toolbar';
+            const buttons = experiment.status === 'running' ? [['stop', 'Stop'], ['delete', 'Delete']] : [['delete', 'Delete']];
+            buttons.forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-outline';
+                button.dataset.action = action;
+                button.textContent = label;
+                actions.appendChild(button);
+            });
+
+            card.append(meta, variants, actions);
+            this.elements.experimentList.appendChild(card);
+        });
+    }
+
+    /**
+     * Start an experiment from the form
+     */
+    async handleStartExperiment() {
+        try {
+            const response = await this.sendMessage({
+                type: 'CREATE_EXPERIMENT',
+                experiment: {
+                    name: this.elements.experimentName.value,
+                    platform: this.elements.experimentPlatform.value,
+                    factor: this.elements.experimentFactor.value,
+                    values: this.elements.experimentValues.value
+                }
+            });
+
+            if (response.success) {
+                this.showToast('Experiment started', 'success');
+                this.elements.experimentName.value = '';
+                this.elements.experimentValues.value = '';
+                await this.loadExperiments();
+            } else {
+                this.showToast(response.error || 'Failed to start experiment', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error starting experiment:', error);
+            this.showToast('Failed to start experiment', 'error');
+        }
+    }
+
+    /**
+     * Handle Stop and Delete clicks on experiment cards
+     */
+    async handleExperimentAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const { action } = button.dataset;
+        const experimentId = button.closest('.example-card').dataset.experimentId;
+
+        if (action === 'delete' && !confirm('Delete this experiment and its results? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const response = await this.sendMessage({
+                type: action === 'stop' ? 'STOP_EXPERIMENT' : 'DELETE_EXPERIMENT',
+                experimentId
+            });
+
+            if (response.success) {
+                this.showToast(action === 'stop' ? 'Experiment stopped' : 'Experiment deleted', 'success');
+                await this.loadExperiments();
+            } else {
+                this.showToast(response.error || `Failed to ${action} experiment`, 'error');
+            }
+
+        } catch (error) {
+            console.error(`Error trying to ${action} experiment:`, error);
+            this.showToast(`Failed to ${action} experiment`, 'error');
+        }
+    }
+
+    /**
+     * Load style examples for the selected platform
+     */
+    async loadStyleExamples() {
+        try {
+            const response = await this.sendMessage({
+                type: 'GET_STYLE_EXAMPLES',
+                platform: this.elements.examplePlatformFilter.value || null
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load style examples');
+            }
+
+            this.styleExamples = response.data;
+            this.renderStyleExamples();
+
+        } catch (error) {
+            console.error('Error loading style examples:', error);
+            this.showToast('Failed to load style examples', 'error');
+        }
+    }
+
+    /**
+     * Render the style example list
+     */
+    renderStyleExamples() {
+        this.elements.styleExampleCount.textContent = this.styleExamples.length;
+        this.elements.styleExampleList.innerHTML = '';
+
+        if (this.styleExamples.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'draft-empty';
+            empty.textContent = 'No style examples yet';
+            this.elements.styleExampleList.appendChild(empty);
+            return;
+        }
+
+        this.styleExamples.forEach(example => {
+            this.elements.styleExampleList.appendChild(this.createExampleCard(example));
+        });
+    }
+
+    /**
+     * Build a card for a single style example
+     */
+    createExampleCard(example) {
+        const card = document.createElement('div');
+        card.className = 'example-card';
+        card.dataset.exampleId = example.id;
+
+        const meta = document.createElement('div');
+        meta.className = 'draft-meta';
+
+        const source = document.createElement('span');
+        source.textContent = example.platform === 'twitter' ? 'Twitter/X' : 'LinkedIn';
+
+        const date = document.createElement('span');
+        date.textContent = new Date(example.createdAt).toLocaleDateString();
+
+        meta.appendChild(source);
+        meta.appendChild(date);
+
+        const pair = document.createElement('div');
+        pair.className = 'example-pair';
+
+        [
+            ['Generated', example.original],
+            ['Your rewrite', example.rewritten]
+        ].forEach(([title, text]) => {
+            const column = document.createElement('div');
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            const body = document.createElement('p');
+            body.textContent = text;
+            column.appendChild(heading);
+            column.appendChild(body);
+            pair.appendChild(column);
+        });
+
+        const tags = document.createElement('div');
+        tags.className = 'example-tags';
+        example.changes.forEach(change => {
+            const tag = document.createElement('span');
+            tag.className = 'example-tag';
+            tag.textContent = change;
+            tags.appendChild(tag);
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn btn-outline';
+        deleteButton.dataset.action = 'delete';
+        deleteButton.textContent = 'Delete';
+
+        card.appendChild(meta);
+        card.appendChild(pair);
+        card.appendChild(tags);
+        card.appendChild(deleteButton);
+
+        return card;
+    }
+
+    /**
+     * Handle Delete clicks on example cards
+     */
+    async handleExampleAction(event) {
+        const button = event.target.closest('button[data-action="delete"]');
+        if (!button) {
+            return;
+        }
+
+        const exampleId = button.closest('.example-card').dataset.exampleId;
+
+        try {
+            const response = await this.sendMessage({ type: 'DELETE_STYLE_EXAMPLE', exampleId });
+
+            if (response.success) {
+                this.showToast('Style example deleted', 'success');
+            } else {
+                this.showToast(response.error || 'Failed to delete style example', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error deleting style example:', error);
+            this.showToast('Failed to delete style example', 'error');
+        } finally {
+            await this.loadStyleExamples();
+        }
+    }
+
+    /**
+     * Delete every example matching the current platform filter
+     */
+    async handleClearExamples() {
+        if (this.styleExamples.length === 0) {
+            return;
+        }
+
+        if (!confirm(`Delete ${this.styleExamples.length} style example(s)? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.sendMessage({
+                type: 'CLEAR_STYLE_EXAMPLES',
+                platform: this.elements.examplePlatformFilter.value || null
+            });
+
+            if (response.success) {
+                this.showToast(`Deleted ${response.data.removed} style example(s)`, 'success');
+            } else {
+                this.showToast(response.error || 'Failed to delete style examples', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error clearing style examples:', error);
+            this.showToast('Failed to delete style examples', 'error');
+        } finally {
+            await this.loadStyleExamples();
+        }
+    }
+
+    /**
+     * Send message to service worker
+     */
+    async sendMessage(message) {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    console.error('Message sending error:', chrome.runtime.lastError);
+                    resolve({ success: false, error: chrome.runtime.lastError.message });
+                } else {
+                    resolve(response || { success: false, error: 'No response received' });
+                }
+            });
+        });
+    }
+
+    /**
+     * Show toast notification
+     */
+    showToast(message, type = 'info') {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+
+        const messageElement = document.createElement('div');
+        messageElement.className = 'toast-message';
+        messageElement.textContent = message;
+
+        toast.appendChild(messageElement);
+        this.elements.toastContainer.appendChild(toast);
+
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        }, 4000);
+    }
+}
+
+/**
+ * Initialize settings page when DOM is ready
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        window.optionsApp = new OptionsApp();
+        await window.optionsApp.initialize();
+    } catch (error) {
+        console.error('Failed to initialize settings page:', error);
+    }
+});
@@ -0,0 +1,722 @@
+/**
+ * Social Media Auto-Comment Chrome Extension - Template Editor
+ *
+ * Create, preview, import and export custom prompt templates.
+ * Validation and preview run locally, templates are saved through the service worker.
+ */
+
+import { commentTemplates } from '../prompts/comment-templates.js';
+import { commentResponse } from '../utils/comment-response.js';
+import { personaProfile } from '../utils/persona-profile.js';
+
+class TemplateEditorApp {
+    constructor() {
+        this.templates = [];
+        this.editing = null; // { platform, style } of the template loaded in the editor
+        this.suggestions = [];
+        this.activeSuggestion = 0;
+        this.suggestionStart = 0; // Offset of the partially typed variable name
+        this.persona = personaProfile.normalize({}); // Persona profile shown in the preview
+        this.topics = []; // Enabled topic profile names shown in the preview
+
+        // DOM element references
+        this.elements = {};
+    }
+
+    /**
+     * Initialize the editor page
+     */
+    async initialize() {
+        this.cacheElements();
+        this.setupEventListeners();
+        this.renderVariableList();
+        this.renderBaseOptions();
+        this.updateEditorState();
+        await this.loadTemplates();
+        await this.loadPersona();
+        await this.loadTopics();
+    }
+
+    /**
+     * Cache DOM element references
+     */
+    cacheElements() {
+        [
+            'templateCount', 'templateList', 'newTemplateBtn', 'importTemplatesBtn', 'exportTemplatesBtn',
+            'importTemplatesFile', 'templatePlatform', 'templateStyle', 'templateDescription', 'templateBase',
+            'templateText', 'variableSuggestions', 'variableList', 'templateValidation', 'saveTemplateBtn',
+            'deleteTemplateBtn', 'sampleAuthor', 'sampleContent', 'templatePreview', 'toastContainer'
+        ].forEach(id => {
+            this.elements[id] = document.getElementById(id);
+        });
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.newTemplateBtn.addEventListener('click', this.newTemplate.bind(this));
+        this.elements.importTemplatesBtn.addEventListener('click', () => this.elements.importTemplatesFile.click());
+        this.elements.importTemplatesFile.addEventListener('change', this.handleImport.bind(this));
+        this.elements.exportTemplatesBtn.addEventListener('click', this.handleExport.bind(this));
+        this.elements.templateList.addEventListener('click', this.handleTemplateAction.bind(this));
+
+        this.elements.templatePlatform.addEventListener('change', () => {
+            this.renderBaseOptions();
+            this.updatePreview();
+        });
+        this.elements.templateBase.addEventListener('change', this.handleBaseChange.bind(this));
+
+        this.elements.templateText.addEventListener('input', this.updateEditorState.bind(this));
+        this.elements.templateText.addEventListener('keydown', this.handleTemplateKeydown.bind(this));
+        this.elements.templateText.addEventListener('click', this.updateSuggestions.bind(this));
+        this.elements.templateText.addEventListener('blur', () => {
+            // Let a click on a suggestion land before the list disappears
+            setTimeout(() => this.hideSuggestions(), 150);
+        });
+        this.elements.variableSuggestions.addEventListener('mousedown', this.handleSuggestionClick.bind(this));
+        this.elements.variableList.addEventListener('click', this.handleVariableClick.bind(this));
+
+        this.elements.sampleAuthor.addEventListener('input', this.updatePreview.bind(this));
+        this.elements.sampleContent.addEventListener('input', this.updatePreview.bind(this));
+
+        this.elements.saveTemplateBtn.addEventListener('click', this.handleSave.bind(this));
+        this.elements.deleteTemplateBtn.addEventListener('click', this.handleDelete.bind(this));
+    }
+
+    /**
+     * Load custom templates from the service worker
+     */
+    async loadTemplates() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_CUSTOM_TEMPLATES' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load templates');
+            }
+
+            this.templates = response.data;
+            this.renderTemplateList();
+
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            this.showToast('Failed to load templates', 'error');
+        }
+    }
+
+    /**
+     * Load the persona profile so the preview matches what generation sends
+     */
+    async loadPersona() {
+        const response = await this.sendMessage({ type: 'GET_PERSONA_PROFILE' });
+
+        if (response.success) {
+            this.persona = response.data;
+            this.updatePreview();
+        } else {
+            console.error('Error loading persona profile:', response.error);
+        }
+    }
+
+    /**
+     * Load the enabled topic profiles named in the response format
+     */
+    async loadTopics() {
+        const response = await this.sendMessage({ type: 'GET_TOPIC_PROFILES' });
+
+        if (response.success) {
+            this.topics = response.data.profiles.filter(profile => profile.enabled).map(profile => profile.name);
+            this.updatePreview();
+        } else {
+            console.error('Error loading topic profiles:', response.error);
+        }
+    }
+
+    /**
+     * Render the saved template list
+     */
+    renderTemplateList() {
+        this.elements.templateCount.textContent = this.templates.length;
+        this.elements.templateList.innerHTML = '';
+
+        if (this.templates.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'draft-empty';
+            empty.textContent = 'No custom templates yet';
+            this.elements.templateList.appendChild(empty);
+            return;
+        }
+
+        this.templates.forEach(record => {
+            const card = document.createElement('div');
+            card.className = 'example-card';
+            card.dataset.platform = record.platform;
+            card.dataset.style = record.style;
+
+            const meta = document.createElement('div');
+            meta.className = 'draft-meta';
+
+            const name = document.createElement('strong');
+            name.textContent = record.style;
+
+            const platform = document.createElement('span');
+            platform.textContent = record.platform === 'twitter' ? 'Twitter/X' : 'LinkedIn';
+
+            meta.appendChild(name);
+            meta.appendChild(platform);
+
+            const description = document.createElement('p');
+            description.className = 'draft-post';
+            description.textContent = record.description || 'No description';
+
+            const actions = document.createElement('div');
+            actions.className = 'draft-actions';
+
+            [['edit', 'Edit'], ['delete', 'Delete']].forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-outline';
+                button.dataset.action = action;
+                button.textContent = label;
+                actions.appendChild(button);
+            });
+
+            card.appendChild(meta);
+            card.appendChild(description);
+            card.appendChild(actions);
+            this.elements.templateList.appendChild(card);
+        });
+    }
+
+    /**
+     * Handle Edit and Delete clicks on template cards
+     */
+    async handleTemplateAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const card = button.closest('.example-card');
+        const record = this.templates.find(item =>
+            item.platform === card.dataset.platform && item.style === card.dataset.style
+        );
+
+        if (!record) {
+            return;
+        }
+
+        if (button.dataset.action === 'edit') {
+            this.editTemplate(record);
+        } else {
+            await this.deleteTemplate(record.platform, record.style);
+        }
+    }
+
+    /**
+     * Load a saved template into the editor
+     * @param {Object} record - Stored template
+     */
+    editTemplate(record) {
+        this.editing = { platform: record.platform, style: record.style };
+        this.elements.deleteTemplateBtn.disabled = false;
+
+        this.elements.templatePlatform.value = record.platform;
+        this.elements.templateStyle.value = record.style;
+        this.elements.templateDescription.value = record.description || '';
+        this.elements.templateText.value = record.template;
+        this.renderBaseOptions();
+        this.updateEditorState();
+    }
+
+    /**
+     * Clear the editor for a new template
+     */
+    newTemplate() {
+        this.editing = null;
+        this.elements.deleteTemplateBtn.disabled = true;
+
+        this.elements.templateStyle.value = '';
+        this.elements.templateDescription.value = '';
+        this.elements.templateText.value = '';
+        this.elements.templateBase.value = '';
+        this.updateEditorState();
+        this.elements.templateStyle.focus();
+    }
+
+    /**
+     * List built-in styles of the selected platform as starting points
+     */
+    renderBaseOptions() {
+        const platform = this.elements.templatePlatform.value;
+        this.elements.templateBase.innerHTML = '';
+
+        const blank = document.createElement('option');
+        blank.value = '';
+        blank.textContent = 'Blank template';
+        this.elements.templateBase.appendChild(blank);
+
+        (commentTemplates.builtInStyles[platform] || []).forEach(style => {
+            const option = document.createElement('option');
+            option.value = style;
+            option.textContent = `Built-in: ${style}`;
+            this.elements.templateBase.appendChild(option);
+        });
+    }
+
+    /**
+     * Copy a built-in template into the editor
+     */
+    handleBaseChange() {
+        const style = this.elements.templateBase.value;
+        if (!style) {
+            return;
+        }
+
+        if (this.elements.templateText.value.trim() && !confirm('Replace the current template text?')) {
+            this.elements.templateBase.value = '';
+            return;
+        }
+
+        this.elements.templateText.value = commentTemplates.getTemplate(this.elements.templatePlatform.value, style);
+        this.updateEditorState();
+    }
+
+    /**
+     * Show clickable chips for every template variable
+     */
+    renderVariableList() {
+        commentTemplates.variables.forEach(variable => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'example-tag variable-chip';
+            chip.dataset.variable = variable.name;
+            chip.title = variable.description;
+            chip.textContent = `{${variable.name}}${variable.required ? ' *' : ''}`;
+            this.elements.variableList.appendChild(chip);
+        });
+    }
+
+    /**
+     * Insert a variable chip at the cursor
+     */
+    handleVariableClick(event) {
+        const chip = event.target.closest('[data-variable]');
+        if (!chip) {
+            return;
+        }
+
+        const textarea = this.elements.templateText;
+        this.replaceRange(textarea.selectionStart, textarea.selectionEnd, `{${chip.dataset.variable}}`);
+    }
+
+    /**
+     * Refresh validation, suggestions and preview after an edit
+     */
+    updateEditorState() {
+        this.updateValidation();
+        this.updateSuggestions();
+        this.updatePreview();
+    }
+
+    /**
+     * Show live validateTemplate feedback
+     */
+    updateValidation() {
+        const text = this.elements.templateText.value;
+        const container = this.elements.templateValidation;
+        container.innerHTML = '';
+
+        if (!text.trim()) {
+            container.className = 'template-validation';
+            return;
+        }
+
+        const validation = commentTemplates.validateTemplate(text);
+        container.className = `template-validation ${validation.isValid ? 'valid' : 'invalid'}`;
+
+        const lines = validation.isValid ? ['✓ All required variables present'] : [...validation.errors];
+        if (validation.missingRequired.length > 0) {
+            lines.unshift(`Missing required: ${validation.missingRequired.join(', ')}`);
+        }
+
+        if (validation.foundOptional.length > 0) {
+            lines.push(`Optional used: ${validation.foundOptional.join(', ')}`);
+        }
+        lines.push(`${validation.wordCount} words`);
+
+        lines.forEach(line => {
+            const item = document.createElement('div');
+            item.textContent = line;
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Render the prompt for the sample post
+     */
+    updatePreview() {
+        const text = this.elements.templateText.value;
+        if (!text.trim()) {
+            this.elements.templatePreview.textContent = 'Write a template to see the prompt.';
+            return;
+        }
+
+        const content = this.elements.sampleContent.value;
+        const hashtags = content.match(/#\w+/g) || [];
+        const mentions = content.match(/@\w+/g) || [];
+
+        let prompt;
+        try {
+            prompt = commentTemplates.fillTemplate(text, {
+                POST_CONTENT: content || 'No content available',
+                AUTHOR_NAME: this.elements.sampleAuthor.value || 'Author',
+                PLATFORM: this.elements.templatePlatform.value,
+                CONTEXT: hashtags.length > 0
+                    ? `Hashtags: ${hashtags.slice(0, 3).join(', ')}`
+                    : 'Computer Science related content',
+                PERSONA: personaProfile.getPersonaLine(this.persona),
+                LANGUAGE: 'English',
+                TONE: 'professional yet friendly',
+                LENGTH: 'concise (1-2 sentences)',
+                HASHTAGS: hashtags,
+                MENTIONS: mentions
+            });
+        } catch (error) {
+            // Syntax errors are already listed under the editor
+            this.elements.templatePreview.textContent = `Preview unavailable: ${error.message}`;
+            return;
+        }
+
+        // Generation always appends the persona facts and response format, show them so the preview matches
+        this.elements.templatePreview.textContent = [
+            prompt,
+            personaProfile.formatForPrompt(this.persona),
+            commentResponse.getFormatInstructions(this.topics)
+        ].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Show variables matching a partially typed placeholder before the cursor
+     */
+    updateSuggestions() {
+        const textarea = this.elements.templateText;
+        const before = textarea.value.substring(0, textarea.selectionStart);
+        const match = before.match(/\{(?:#if |#each )?([A-Za-z_]*)$/);
+
+        if (!match || textarea.selectionStart !== textarea.selectionEnd) {
+            this.hideSuggestions();
+            return;
+        }
+
+        const query = match[1].toUpperCase();
+        this.suggestionStart = textarea.selectionStart - match[1].length;
+        this.suggestions = commentTemplates.variables.filter(variable => variable.name.startsWith(query));
+
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.activeSuggestion = Math.min(this.activeSuggestion, this.suggestions.length - 1);
+        this.renderSuggestions();
+    }
+
+    /**
+     * Render the autocompletion list
+     */
+    renderSuggestions() {
+        const list = this.elements.variableSuggestions;
+        list.innerHTML = '';
+
+        this.suggestions.forEach((variable, index) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'option');
+            item.dataset.variable = variable.name;
+            item.className = index === this.activeSuggestion ? 'active' : '';
+
+            const name = document.createElement('code');
+            name.textContent = `{${variable.name}}`;
+
+            const description = document.createElement('span');
+            description.textContent = variable.description;
+
+            item.appendChild(name);
+            item.appendChild(description);
+            list.appendChild(item);
+        });
+
+        list.hidden = false;
+    }
+
+    /**
+     * Hide the autocompletion list
+     */
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeSuggestion = 0;
+        this.elements.variableSuggestions.hidden = true;
+    }
+
+    /**
+     * Navigate and accept suggestions from the keyboard
+     */
+    handleTemplateKeydown(event) {
+        if (this.elements.variableSuggestions.hidden || this.suggestions.length === 0) {
+            return;
+        }
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.activeSuggestion = (this.activeSuggestion + 1) % this.suggestions.length;
+                this.renderSuggestions();
+                break;
+
+            case 'ArrowUp':
+                event.preventDefault();
+                this.activeSuggestion = (this.activeSuggestion - 1 + this.suggestions.length) % this.suggestions.length;
+                this.renderSuggestions();
+                break;
+
+            case 'Enter':
+            case 'Tab':
+                event.preventDefault();
+                this.acceptSuggestion(this.suggestions[this.activeSuggestion].name);
+                break;
+
+            case 'Escape':
+                this.hideSuggestions();
+                break;
+        }
+    }
+
+    /**
+     * Accept a clicked suggestion
+     */
+    handleSuggestionClick(event) {
+        const item = event.target.closest('[data-variable]');
+        if (!item) {
+            return;
+        }
+
+        // Keep focus in the textarea so the cursor position survives
+        event.preventDefault();
+        this.acceptSuggestion(item.dataset.variable);
+    }
+
+    /**
+     * Complete the partially typed variable name and close the tag
+     * @param {string} name - Variable name
+     */
+    acceptSuggestion(name) {
+        const start = this.suggestionStart;
+        const end = this.elements.templateText.selectionStart;
+
+        this.hideSuggestions();
+        this.replaceRange(start, end, `${name}}`);
+    }
+
+    /**
+     * Replace part of the template text and move the cursor after it
+     * @param {number} start - Start offset
+     * @param {number} end - End offset
+     * @param {string} text - Replacement text
+     */
+    replaceRange(start, end, text) {
+        const textarea = this.elements.templateText;
+        textarea.value = textarea.value.substring(0, start) + text + textarea.value.substring(end);
+        textarea.focus();
+        textarea.setSelectionRange(start + text.length, start + text.length);
+        this.updateEditorState();
+    }
+
+    /**
+     * Save the template in the editor
+     */
+    async handleSave() {
+        const template = {
+            platform: this.elements.templatePlatform.value,
+            style: this.elements.templateStyle.value,
+            description: this.elements.templateDescription.value,
+            template: this.elements.templateText.value
+        };
+
+        try {
+            const response = await this.sendMessage({ type: 'SAVE_CUSTOM_TEMPLATE', template });
+
+            if (!response.success) {
+                this.showToast(response.error || 'Failed to save template', 'error');
+                return;
+            }
+
+            const saved = response.data.record;
+
+            // Saving under a new name or platform is a rename, drop the old copy
+            if (this.editing && (this.editing.platform !== saved.platform || this.editing.style !== saved.style)) {
+                await this.sendMessage({
+                    type: 'DELETE_CUSTOM_TEMPLATE',
+                    platform: this.editing.platform,
+                    style: this.editing.style
+                });
+            }
+
+            this.showToast(`Template '${saved.style}' saved`, 'success');
+            await this.loadTemplates();
+            this.editTemplate(saved);
+
+        } catch (error) {
+            console.error('Error saving template:', error);
+            this.showToast('Failed to save template', 'error');
+        }
+    }
+
+    /**
+     * Delete the template loaded in the editor
+     */
+    async handleDelete() {
+        if (this.editing) {
+            await this.deleteTemplate(this.editing.platform, this.editing.style);
+        }
+    }
+
+    /**
+     * Delete a saved template after confirmation
+     * @param {string} platform - Platform name
+     * @param {string} style - Style name
+     */
+    async deleteTemplate(platform, style) {
+        if (!confirm(`Delete template '${style}'? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.sendMessage({ type: 'DELETE_CUSTOM_TEMPLATE', platform, style });
+
+            if (response.success) {
+                this.showToast('Template deleted', 'success');
+                if (this.editing?.platform === platform && this.editing?.style === style) {
+                    this.newTemplate();
+                }
+            } else {
+                this.showToast(response.error || 'Failed to delete template', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            this.showToast('Failed to delete template', 'error');
+        } finally {
+            await this.loadTemplates();
+        }
+    }
+
+    /**
+     * Download all custom templates as JSON
+     */
+    async handleExport() {
+        try {
+            const response = await this.sendMessage({ type: 'EXPORT_CUSTOM_TEMPLATES' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Export failed');
+            }
+
+            const blob = new Blob([response.data], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `comment-templates-${new Date().toISOString().split('T')[0]}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+        } catch (error) {
+            console.error('Error exporting templates:', error);
+            this.showToast('Failed to export templates', 'error');
+        }
+    }
+
+    /**
+     * Import templates from a chosen JSON file
+     */
+    async handleImport(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+
+        if (!file) {
+            return;
+        }
+
+        try {
+            const response = await this.sendMessage({ type: 'IMPORT_CUSTOM_TEMPLATES', data: await file.text() });
+
+            if (!response.success) {
+                this.showToast(response.error || 'Import failed', 'error');
+                return;
+            }
+
+            const { imported, failed } = response.data;
+            failed.forEach(item => console.warn(`Template '${item.style}' not imported:`, item.error));
+
+            this.showToast(
+                failed.length > 0
+                    ? `Imported ${imported} template(s), ${failed.length} failed: ${failed[0].error}`
+                    : `Imported ${imported} template(s)`,
+                failed.length > 0 ? 'error' : 'success'
+            );
+
+        } catch (error) {
+            console.error('Error importing templates:', error);
+            this.showToast('Failed to import templates', 'error');
+        } finally {
+            await this.loadTemplates();
+        }
+    }
+
+    /**
+     * Send message to service worker
+     */
+    async sendMessage(message) {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    console.error('Message sending error:', chrome.runtime.lastError);
+                    resolve({ success: false, error: chrome.runtime.lastError.message });
+                } else {
+                    resolve(response || { success: false, error: 'No response received' });
+                }
+            });
+        });
+    }
+
+    /**
+     * Show toast notification
+     */
+    showToast(message, type = 'info') {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+
+        const messageElement = document.createElement('div');
+        messageElement.className = 'toast-message';
+        messageElement.textContent = message;
+
+        toast.appendChild(messageElement);
+        this.elements.toastContainer.appendChild(toast);
+
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        }, 4000);
+    }
+}
+
+/**
+ * Initialize template editor when DOM is ready
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        window.templateEditorApp = new TemplateEditorApp();
+        await window.templateEditorApp.initialize();
+    } catch (error) {
+        console.error('Failed to initialize template editor:', error);
+    }
+});
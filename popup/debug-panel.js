@@ -9,6 +9,8 @@
  * - Performance monitoring
  * - Debug mode toggle
  * - Log export functionality
+ * - Dry-run reports with JSON/CSV export
+ * - A/B experiment results per variant
  */
 
 class DebugPanel {
@@ -60,6 +62,8 @@ class DebugPanel {
                 <button class="debug-tab" data-tab="errors">⚠️ Errors</button>
                 <button class="debug-tab" data-tab="tests">🧪 Tests</button>
                 <button class="debug-tab" data-tab="performance">📊 Performance</button>
+                <button class="debug-tab" data-tab="dryrun">🚦 Dry Run</button>
+                <button class="debug-tab" data-tab="experiments">🔬 Experiments</button>
             </div>
 
             <div class="debug-content">
@@ -170,6 +174,47 @@ class DebugPanel {
                         </div>
                     </div>
                 </div>
+
+                <!-- Dry Run Tab -->
+                <div id="debug-dryrun" class="debug-tab-content">
+                    <div class="debug-filters">
+                        <select id="dryrun-session-select">
+                            <option value="">Latest Session</option>
+                        </select>
+
+                        <button id="dryrun-refresh" class="btn-small">🔄</button>
+                        <button id="dryrun-clear" class="btn-small">🗑️</button>
+                        <button id="dryrun-export-json" class="btn-small">💾 JSON</button>
+                        <button id="dryrun-export-csv" class="btn-small">💾 CSV</button>
+                    </div>
+
+                    <div class="error-summary">
+                        <div class="error-stats" id="dryrun-summary"></div>
+                    </div>
+
+                    <div class="debug-log-container">
+                        <div id="dryrun-entries" class="log-entries"></div>
+                    </div>
+                </div>
+
+                <!-- Experiments Tab -->
+                <div id="debug-experiments" class="debug-tab-content">
+                    <div class="debug-filters">
+                        <select id="experiment-select">
+                            <option value="">Latest Experiment</option>
+                        </select>
+
+                        <button id="experiment-refresh" class="btn-small">🔄</button>
+                    </div>
+
+                    <div class="error-summary">
+                        <div class="error-stats" id="experiment-summary"></div>
+                    </div>
+
+                    <div class="debug-log-container">
+                        <div id="experiment-variants" class="log-entries"></div>
+                    </div>
+                </div>
             </div>
         `;
 
@@ -241,6 +286,36 @@ class DebugPanel {
             this.runTests();
         });
 
+        // Dry-run controls
+        document.getElementById('dryrun-session-select').addEventListener('change', () => {
+            this.refreshDryRunReport();
+        });
+
+        document.getElementById('dryrun-refresh').addEventListener('click', () => {
+            this.refreshDryRunReport();
+        });
+
+        document.getElementById('dryrun-clear').addEventListener('click', () => {
+            this.clearDryRunReports();
+        });
+
+        document.getElementById('dryrun-export-json').addEventListener('click', () => {
+            this.exportDryRunReport('json');
+        });
+
+        document.getElementById('dryrun-export-csv').addEventListener('click', () => {
+            this.exportDryRunReport('csv');
+        });
+
+        // Experiment controls
+        document.getElementById('experiment-select').addEventListener('change', () => {
+            this.refreshExperimentResults();
+        });
+
+        document.getElementById('experiment-refresh').addEventListener('click', () => {
+            this.refreshExperimentResults();
+        });
+
         // Auto-refresh logs when visible
         this.setupAutoRefresh();
     }
@@ -325,6 +400,12 @@ class DebugPanel {
             case 'performance':
                 await this.refreshPerformanceStats();
                 break;
+            case 'dryrun':
+                await this.refreshDryRunReport();
+                break;
+            case 'experiments':
+                await this.refreshExperimentResults();
+                break;
         }
     }
 
@@ -699,6 +780,325 @@ class DebugPanel {
         `;
     }
 
+    /**
+     * Refresh the dry-run report for the selected session
+     */
+    async refreshDryRunReport() {
+        try {
+            const select = document.getElementById('dryrun-session-select');
+            const response = await this.sendMessage({
+                type: 'GET_DRY_RUN_REPORT',
+                sessionId: select.value || null
+            });
+
+            if (response && response.success) {
+                this.displayDryRunSessions(response.data.sessions, select.value);
+                this.displayDryRunReport(response.data.report);
+            } else {
+                this.showToast('Failed to load dry-run report', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to refresh dry-run report:', error);
+            this.showToast('Error loading dry-run report', 'error');
+        }
+    }
+
+    /**
+     * Fill the session selector, keeping the current selection
+     */
+    displayDryRunSessions(sessions, selectedId) {
+        const select = document.getElementById('dryrun-session-select');
+        select.innerHTML = '<option value="">Latest Session</option>';
+
+        sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = `${new Date(session.startedAt).toLocaleString()} (${session.summary.total} posts)`;
+            select.appendChild(option);
+        });
+
+        select.value = sessions.some(session => session.id === selectedId) ? selectedId : '';
+    }
+
+    /**
+     * Display a dry-run session report
+     */
+    displayDryRunReport(report) {
+        const summary = document.getElementById('dryrun-summary');
+        const container = document.getElementById('dryrun-entries');
+        container.innerHTML = '';
+
+        const counts = report ? report.summary : {};
+        summary.innerHTML = `
+            <div class="stat-item">
+                <span class="stat-label">Posts Seen:</span>
+                <span class="stat-value">${counts.total || 0}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Would Post:</span>
+                <span class="stat-value">${counts.would_post || 0}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Would Queue:</span>
+                <span class="stat-value">${counts.would_queue_for_review || 0}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Would Skip:</span>
+                <span class="stat-value">${counts.would_skip || 0}</span>
+            </div>
+        `;
+
+        if (!report || report.entries.length === 0) {
+            container.innerHTML = '<div class="log-entry empty">No dry-run activity recorded. Enable Dry Run in the popup and browse your feed.</div>';
+            return;
+        }
+
+        // Newest first; post text and drafts come from the page, so set them as text
+        [...report.entries].reverse().forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `log-entry dryrun-entry dryrun-${entry.decision}`;
+
+            const header = document.createElement('div');
+            header.className = 'log-header';
+            [
+                ['log-time', new Date(entry.timestamp).toLocaleTimeString()],
+                ['log-platform', entry.platform],
+                ['dryrun-decision', entry.decision.replace(/_/g, ' ')],
+                ['log-component', entry.reason.replace(/_/g, ' ')]
+            ].forEach(([className, text]) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                header.appendChild(span);
+            });
+
+            const post = document.createElement('div');
+            post.className = 'log-message';
+            post.textContent = `${entry.author ? `${entry.author}: ` : ''}${entry.postExcerpt || '(no text)'}`;
+
+            const details = document.createElement('div');
+            details.className = 'log-context';
+            details.textContent = this.formatDryRunDetails(entry);
+
+            item.appendChild(header);
+            item.appendChild(post);
+            item.appendChild(details);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Format scores, reasoning and draft of a dry-run entry
+     */
+    formatDryRunDetails(entry) {
+        const lines = [];
+
+        if (entry.relevance) {
+            lines.push(`Relevance score: ${entry.relevance.score} - ${entry.relevance.reasoning.join('; ')}`);
+        }
+        if (entry.contentFilter) {
+            lines.push(`Content filter score: ${entry.contentFilter.score} - ${entry.contentFilter.reasoning.join('; ')}`);
+        }
+        if (entry.draft) {
+            lines.push(`Draft: ${entry.draft}`);
+        }
+        if (entry.notes.length > 0) {
+            lines.push(`Notes: ${entry.notes.join('; ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Export the selected dry-run session report
+     */
+    async exportDryRunReport(format) {
+        try {
+            const response = await this.sendMessage({
+                type: 'EXPORT_DRY_RUN_REPORT',
+                sessionId: document.getElementById('dryrun-session-select').value || null,
+                format
+            });
+
+            if (response.success) {
+                const type = format === 'csv' ? 'text/csv' : 'application/json';
+                this.downloadFile(response.data, `dry-run-report-${Date.now()}.${format}`, type);
+                this.showToast('Dry-run report exported', 'success');
+            } else {
+                this.showToast(response.error || 'Failed to export dry-run report', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to export dry-run report:', error);
+            this.showToast('Error exporting dry-run report', 'error');
+        }
+    }
+
+    /**
+     * Delete all dry-run reports
+     */
+    async clearDryRunReports() {
+        try {
+            if (!confirm('Are you sure you want to delete all dry-run reports?')) {
+                return;
+            }
+
+            const response = await this.sendMessage({ type: 'CLEAR_DRY_RUN_REPORTS' });
+
+            if (response.success) {
+                document.getElementById('dryrun-session-select').value = '';
+                this.refreshDryRunReport();
+                this.showToast('Dry-run reports cleared', 'success');
+            } else {
+                this.showToast('Failed to clear dry-run reports', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to clear dry-run reports:', error);
+            this.showToast('Error clearing dry-run reports', 'error');
+        }
+    }
+
+    /**
+     * Refresh the results of the selected experiment
+     */
+    async refreshExperimentResults() {
+        try {
+            const select = document.getElementById('experiment-select');
+            const response = await this.sendMessage({
+                type: 'GET_EXPERIMENT_RESULTS',
+                experimentId: select.value || null
+            });
+
+            if (response && response.success) {
+                this.displayExperimentList(response.data.experiments, select.value);
+                this.displayExperimentResults(response.data.results);
+            } else {
+                this.showToast('Failed to load experiment results', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to refresh experiment results:', error);
+            this.showToast('Error loading experiment results', 'error');
+        }
+    }
+
+    /**
+     * Fill the experiment selector, keeping the current selection
+     */
+    displayExperimentList(experiments, selectedId) {
+        const select = document.getElementById('experiment-select');
+        select.innerHTML = '<option value="">Latest Experiment</option>';
+
+        experiments.forEach(experiment => {
+            const option = document.createElement('option');
+            option.value = experiment.id;
+            option.textContent = `${experiment.name} (${experiment.platform}, ${experiment.status})`;
+            select.appendChild(option);
+        });
+
+        select.value = experiments.some(experiment => experiment.id === selectedId) ? selectedId : '';
+    }
+
+    /**
+     * Display per-variant results with the significance estimate against the first variant
+     */
+    displayExperimentResults(results) {
+        const summary = document.getElementById('experiment-summary');
+        const container = document.getElementById('experiment-variants');
+        container.innerHTML = '';
+        summary.innerHTML = '';
+
+        if (!results) {
+            container.innerHTML = '<div class="log-entry empty">No experiments yet. Start one in the Experiments section of Settings.</div>';
+            return;
+        }
+
+        const { experiment, variants } = results;
+        [
+            ['Experiment:', experiment.name],
+            ['Setting:', experiment.factor],
+            ['Status:', experiment.status],
+            ['Comments:', variants.reduce((sum, variant) => sum + variant.attempts, 0)]
+        ].forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'stat-item';
+
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'stat-label';
+            labelSpan.textContent = label;
+
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'stat-value';
+            valueSpan.textContent = value;
+
+            item.append(labelSpan, valueSpan);
+            summary.appendChild(item);
+        });
+
+        // Variant values are user input, so they are only ever set as text
+        variants.forEach(variant => {
+            const item = document.createElement('div');
+            item.className = 'log-entry';
+
+            const header = document.createElement('div');
+            header.className = 'log-header';
+            [
+                ['log-platform', `Variant ${variant.id}`],
+                ['log-component', String(variant.value)]
+            ].forEach(([className, text]) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                header.appendChild(span);
+            });
+
+            const counts = document.createElement('div');
+            counts.className = 'log-message';
+            counts.textContent = this.formatVariantCounts(variant);
+
+            const significance = document.createElement('div');
+            significance.className = 'log-context';
+            significance.textContent = this.formatVariantSignificance(variant);
+
+            item.append(header, counts, significance);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Format the posting, deletion and engagement counts of a variant
+     */
+    formatVariantCounts(variant) {
+        const percent = rate => (rate === null ? '-' : `${Math.round(rate * 100)}%`);
+
+        return [
+            `Posted ${variant.posted}/${variant.attempts} (${percent(variant.successRate)})`,
+            `deleted ${variant.deleted} (${percent(variant.deletionRate)})`,
+            `engaged ${variant.engaged}/${variant.checked} revisited (${percent(variant.engagementRate)})`,
+            `${variant.reactions} reactions, ${variant.replies} replies`
+        ].join(' · ');
+    }
+
+    /**
+     * Format the significance estimate of a variant against the first one
+     */
+    formatVariantSignificance(variant) {
+        if (!variant.significance) {
+            return 'Baseline, the other variants are compared with this one';
+        }
+
+        return [
+            ['Success rate', variant.significance.successRate],
+            ['Engagement rate', variant.significance.engagementRate]
+        ].map(([label, test]) => {
+            if (!test) {
+                return `${label}: not enough data yet`;
+            }
+
+            const points = (test.difference * 100).toFixed(1);
+            return `${label}: ${test.difference >= 0 ? '+' : ''}${points} pts vs A, p = ${test.pValue.toFixed(3)}` +
+                (test.significant ? ', significant' : ', not significant');
+        }).join('\n');
+    }
+
     /**
      * Setup auto-refresh
      */
@@ -754,8 +1154,8 @@ class DebugPanel {
     /**
      * Utility: Download file
      */
-    downloadFile(content, filename) {
-        const blob = new Blob([content], { type: 'application/json' });
+    downloadFile(content, filename, type = 'application/json') {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -22,6 +22,8 @@ class PopupApp {
         this.currentSettings = {};
         this.statistics = {};
         this.isExtensionActive = false;
+        this.drafts = [];
+        this.recentComments = [];
 
         // DOM element references
         this.elements = {};
@@ -57,9 +59,21 @@ class PopupApp {
             // Load API configuration
             await this.loadApiConfiguration();
 
+            // Warn when a token or spend budget is running out
+            await this.loadUsageBudget();
+
+            // Warn when model requests keep failing or are rate limited
+            await this.loadApiHealth();
+
             // Update UI with loaded data
             this.updateUI();
 
+            // Load drafts waiting for review
+            await this.loadDrafts();
+
+            // Load recently generated comments
+            await this.loadRecentComments();
+
             // Initialize debug panel
             this.debugPanel = new DebugPanel();
 
@@ -82,6 +96,8 @@ class PopupApp {
             // Status elements
             this.elements.statusDot = document.getElementById('statusDot');
             this.elements.statusText = document.getElementById('statusText');
+            this.elements.budgetWarning = document.getElementById('budgetWarning');
+            this.elements.apiHealthWarning = document.getElementById('apiHealthWarning');
 
             // Platform elements
             this.elements.linkedinToggle = document.getElementById('linkedinToggle');
@@ -95,6 +111,8 @@ class PopupApp {
             this.elements.apiKeyStatus = document.getElementById('apiKeyStatus');
             this.elements.commentStyleSelect = document.getElementById('commentStyleSelect');
             this.elements.commentLengthSelect = document.getElementById('commentLengthSelect');
+            this.elements.commentVariantsSelect = document.getElementById('commentVariantsSelect');
+            this.elements.includeImagesToggle = document.getElementById('includeImagesToggle');
 
             // Legacy API elements (if they exist)
             this.elements.apiKey = document.getElementById('apiKey');
@@ -102,9 +120,22 @@ class PopupApp {
 
             // Settings elements
             this.elements.intervalSlider = document.getElementById('intervalSlider');
+            this.elements.submitHoldSlider = document.getElementById('submitHoldSlider');
+            this.elements.submitHoldValue = document.getElementById('submitHoldValue');
             this.elements.intervalValue = document.getElementById('intervalValue');
             this.elements.csFilterToggle = document.getElementById('csFilterToggle');
             this.elements.smartTypingToggle = document.getElementById('smartTypingToggle');
+            this.elements.assistModeToggle = document.getElementById('assistModeToggle');
+            this.elements.dryRunToggle = document.getElementById('dryRunToggle');
+
+            // Draft review elements
+            this.elements.linkedinReviewToggle = document.getElementById('linkedinReviewToggle');
+            this.elements.twitterReviewToggle = document.getElementById('twitterReviewToggle');
+            this.elements.pendingDraftCount = document.getElementById('pendingDraftCount');
+            this.elements.draftList = document.getElementById('draftList');
+
+            // Recent comments
+            this.elements.recentCommentList = document.getElementById('recentCommentList');
 
             // Statistics elements
             this.elements.totalComments = document.getElementById('totalComments');
@@ -179,6 +210,14 @@ class PopupApp {
             this.elements.commentLengthSelect.addEventListener('change', this.handleCommentSettingsChange.bind(this));
         }
 
+        if (this.elements.commentVariantsSelect) {
+            this.elements.commentVariantsSelect.addEventListener('change', this.handleCommentSettingsChange.bind(this));
+        }
+
+        if (this.elements.includeImagesToggle) {
+            this.elements.includeImagesToggle.addEventListener('change', this.handleCommentSettingsChange.bind(this));
+        }
+
         // Legacy API key management (if elements exist)
         if (this.elements.apiKey) {
             this.elements.apiKey.addEventListener('input', this.handleApiKeyChange);
@@ -189,8 +228,36 @@ class PopupApp {
 
         // Settings
         this.elements.intervalSlider.addEventListener('input', this.handleIntervalChange.bind(this));
+        if (this.elements.submitHoldSlider) {
+            this.elements.submitHoldSlider.addEventListener('change', this.handleSubmitHoldChange.bind(this));
+            this.elements.submitHoldSlider.addEventListener('input', (event) => {
+                this.elements.submitHoldValue.textContent = `${event.target.value}s`;
+            });
+        }
         this.elements.csFilterToggle.addEventListener('change', this.handleSettingsChange);
         this.elements.smartTypingToggle.addEventListener('change', this.handleSettingsChange);
+        if (this.elements.assistModeToggle) {
+            this.elements.assistModeToggle.addEventListener('change', this.handleSettingsChange);
+        }
+        if (this.elements.dryRunToggle) {
+            this.elements.dryRunToggle.addEventListener('change', this.handleSettingsChange);
+        }
+
+        // Draft review
+        if (this.elements.linkedinReviewToggle) {
+            this.elements.linkedinReviewToggle.addEventListener('change', this.handleReviewModeChange.bind(this));
+        }
+        if (this.elements.twitterReviewToggle) {
+            this.elements.twitterReviewToggle.addEventListener('change', this.handleReviewModeChange.bind(this));
+        }
+        if (this.elements.draftList) {
+            this.elements.draftList.addEventListener('click', this.handleDraftAction.bind(this));
+        }
+
+        // Recent comments
+        if (this.elements.recentCommentList) {
+            this.elements.recentCommentList.addEventListener('click', this.handleRecentCommentAction.bind(this));
+        }
 
         // Control buttons
         this.elements.startBtn.addEventListener('click', this.handleStartClick);
@@ -274,8 +341,29 @@ class PopupApp {
         this.elements.intervalSlider.value = interval;
         this.elements.intervalValue.textContent = `${interval}s`;
 
+        if (this.elements.submitHoldSlider) {
+            const holdSeconds = this.currentSettings.submitHoldSeconds ?? 15;
+            this.elements.submitHoldSlider.value = holdSeconds;
+            this.elements.submitHoldValue.textContent = `${holdSeconds}s`;
+        }
+
         this.elements.csFilterToggle.checked = this.currentSettings.csFilterEnabled !== false;
         this.elements.smartTypingToggle.checked = this.currentSettings.smartTypingEnabled !== false;
+        if (this.elements.assistModeToggle) {
+            this.elements.assistModeToggle.checked = this.currentSettings.assistModeEnabled === true;
+        }
+        if (this.elements.dryRunToggle) {
+            this.elements.dryRunToggle.checked = this.currentSettings.dryRunEnabled === true;
+        }
+
+        // Review is on unless explicitly disabled for a platform
+        const reviewMode = this.currentSettings.reviewMode || {};
+        if (this.elements.linkedinReviewToggle) {
+            this.elements.linkedinReviewToggle.checked = reviewMode.LINKEDIN !== false;
+        }
+        if (this.elements.twitterReviewToggle) {
+            this.elements.twitterReviewToggle.checked = reviewMode.TWITTER !== false;
+        }
 
         // Update statistics
         this.updateStatistics();
@@ -455,6 +543,26 @@ class PopupApp {
         }
     }
 
+    /**
+     * Handle undo window slider changes
+     */
+    async handleSubmitHoldChange(event) {
+        try {
+            const value = parseInt(event.target.value, 10);
+            this.elements.submitHoldValue.textContent = `${value}s`;
+
+            await this.updateSetting('submitHoldSeconds', value);
+
+            if (value === 0) {
+                this.showToast('Comments will be submitted without an undo window', 'warning');
+            }
+
+        } catch (error) {
+            console.error('Error handling undo window change:', error);
+            this.showToast('Failed to update undo window', 'error');
+        }
+    }
+
     /**
      * Handle other settings changes
      */
@@ -471,6 +579,439 @@ class PopupApp {
         }
     }
 
+    /**
+     * Handle per-platform review mode toggles
+     */
+    async handleReviewModeChange(event) {
+        try {
+            const platform = event.target.dataset.platform;
+            const reviewMode = {
+                LINKEDIN: true,
+                TWITTER: true,
+                ...(this.currentSettings.reviewMode || {}),
+                [platform]: event.target.checked
+            };
+
+            await this.updateSetting('reviewMode', reviewMode);
+
+            if (!event.target.checked) {
+                this.showToast(`${platform === 'LINKEDIN' ? 'LinkedIn' : 'Twitter/X'} comments will post without review`, 'warning');
+            }
+
+        } catch (error) {
+            console.error('Error handling review mode change:', error);
+            this.showToast('Failed to update review mode', 'error');
+        }
+    }
+
+    /**
+     * Load drafts that still need a decision
+     */
+    async loadDrafts() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_DRAFTS' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load drafts');
+            }
+
+            this.drafts = response.data.drafts.filter(draft =>
+                draft.status === 'pending' || draft.status === 'failed'
+            );
+
+            this.renderDrafts();
+
+        } catch (error) {
+            console.error('Error loading drafts:', error);
+        }
+    }
+
+    /**
+     * Render the draft review list
+     */
+    renderDrafts() {
+        if (!this.elements.draftList) {
+            return;
+        }
+
+        this.elements.pendingDraftCount.textContent = this.drafts.length;
+        this.elements.draftList.innerHTML = '';
+
+        if (this.drafts.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'draft-empty';
+            empty.textContent = 'No drafts waiting for review';
+            this.elements.draftList.appendChild(empty);
+            return;
+        }
+
+        this.drafts.forEach(draft => {
+            this.elements.draftList.appendChild(this.createDraftCard(draft));
+        });
+    }
+
+    /**
+     * Build a review card for a single draft
+     */
+    createDraftCard(draft) {
+        const card = document.createElement('div');
+        card.className = `draft-card ${draft.status}`;
+        card.dataset.draftId = draft.id;
+
+        const meta = document.createElement('div');
+        meta.className = 'draft-meta';
+
+        const source = document.createElement('span');
+        source.textContent = `${draft.platform === 'LINKEDIN' ? 'LinkedIn' : 'Twitter/X'} · ${draft.post.author.name || 'Unknown author'}`;
+
+        const score = document.createElement('span');
+        score.textContent = draft.analysis ? `Score ${draft.analysis.relevanceScore ?? '-'}` : '';
+
+        meta.appendChild(source);
+        meta.appendChild(score);
+
+        // Post text comes from the page, so it is only ever set as text
+        const post = document.createElement('p');
+        post.className = 'draft-post';
+        post.textContent = draft.post.content.text || 'No post text captured';
+
+        const comment = document.createElement('textarea');
+        comment.className = 'draft-comment';
+        comment.value = draft.comment;
+
+        const actions = document.createElement('div');
+        actions.className = 'draft-actions';
+
+        [
+            ['approve', 'Approve'],
+            ['edit', 'Save Edit'],
+            ['regenerate', 'Regenerate'],
+            ['reject', 'Reject']
+        ].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-outline';
+            button.dataset.action = action;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+
+        card.appendChild(meta);
+        card.appendChild(post);
+
+        if (draft.status === 'failed' && draft.lastError) {
+            const error = document.createElement('p');
+            error.className = 'draft-error';
+            error.textContent = `Last attempt failed: ${draft.lastError}`;
+            card.appendChild(error);
+        }
+
+        if (draft.flags && draft.flags.length > 0) {
+            const flags = document.createElement('p');
+            flags.className = 'draft-flags';
+            flags.textContent = `Flagged for review: ${draft.flags.join(', ')}`;
+            card.appendChild(flags);
+        }
+
+        card.appendChild(comment);
+
+        if (draft.variants && draft.variants.length > 1) {
+            card.appendChild(this.createVariantPanel(draft.variants));
+        }
+
+        card.appendChild(actions);
+
+        return card;
+    }
+
+    /**
+     * Build the side-by-side variant picker for a draft
+     */
+    createVariantPanel(variants) {
+        const panel = document.createElement('div');
+        panel.className = 'draft-variants';
+
+        variants.forEach((variant, index) => {
+            const option = document.createElement('div');
+            option.className = 'draft-variant';
+            option.dataset.variantIndex = index;
+
+            const label = [index === 0 ? 'Best' : `#${index + 1}`, variant.style, `Score ${Math.round(variant.total * 100)}`];
+
+            const header = document.createElement('div');
+            header.className = 'variant-header';
+            header.textContent = label.filter(Boolean).join(' · ');
+
+            const scores = document.createElement('div');
+            scores.className = 'variant-scores';
+            scores.textContent = `Length ${Math.round(variant.scores.length * 100)} · Specific ${Math.round(variant.scores.specificity * 100)} · Fresh ${Math.round(variant.scores.novelty * 100)}`;
+            scores.title = `Closest match to a recent comment: ${Math.round(variant.maxSimilarity * 100)}% similar`;
+
+            const text = document.createElement('p');
+            text.className = 'variant-text';
+            text.textContent = variant.text;
+
+            const buttons = document.createElement('div');
+            buttons.className = 'variant-actions';
+
+            [
+                ['use-variant', 'Use'],
+                ['merge-variant', 'Merge']
+            ].forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-outline';
+                button.dataset.action = action;
+                button.textContent = label;
+                buttons.appendChild(button);
+            });
+
+            option.appendChild(header);
+            option.appendChild(scores);
+            option.appendChild(text);
+            option.appendChild(buttons);
+            panel.appendChild(option);
+        });
+
+        return panel;
+    }
+
+    /**
+     * Copy a variant into the draft editor, replacing or appending to the current text
+     */
+    applyVariant(card, button) {
+        const draft = this.drafts.find(item => item.id === card.dataset.draftId);
+        const index = parseInt(button.closest('.draft-variant').dataset.variantIndex, 10);
+        const variant = draft?.variants?.[index];
+        if (!variant) {
+            return;
+        }
+
+        const editor = card.querySelector('.draft-comment');
+        if (button.dataset.action === 'merge-variant' && editor.value.trim()) {
+            editor.value = `${editor.value.trim()} ${variant.text}`;
+        } else {
+            editor.value = variant.text;
+        }
+
+        card.querySelectorAll('.draft-variant').forEach(option => {
+            option.classList.toggle('selected', option.dataset.variantIndex === String(index));
+        });
+
+        editor.focus();
+    }
+
+    /**
+     * Handle Approve / Edit / Regenerate / Reject clicks on draft cards
+     */
+    async handleDraftAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const card = button.closest('.draft-card');
+
+        // Variant picking only changes the editor, nothing is sent until approval
+        if (button.dataset.action === 'use-variant' || button.dataset.action === 'merge-variant') {
+            this.applyVariant(card, button);
+            return;
+        }
+
+        const draftId = card.dataset.draftId;
+        const comment = card.querySelector('.draft-comment').value.trim();
+        const action = button.dataset.action;
+
+        const messages = {
+            approve: { type: 'APPROVE_DRAFT', draftId, comment },
+            edit: { type: 'EDIT_DRAFT', draftId, comment },
+            regenerate: { type: 'REGENERATE_DRAFT', draftId },
+            reject: { type: 'REJECT_DRAFT', draftId, reason: 'rejected_by_user' }
+        };
+
+        const successText = {
+            approve: 'Draft approved and posted',
+            edit: 'Draft updated',
+            regenerate: 'Draft regenerated',
+            reject: 'Draft rejected'
+        };
+
+        try {
+            if ((action === 'approve' || action === 'edit') && !comment) {
+                this.showToast('Comment cannot be empty', 'warning');
+                return;
+            }
+
+            this.showLoading(action === 'approve' ? 'Posting approved comment...' : 'Updating draft...');
+
+            const response = await this.sendMessage(messages[action]);
+
+            if (response.success) {
+                this.showToast(successText[action], 'success');
+            } else {
+                this.showToast(response.error || 'Draft action failed', 'error');
+            }
+
+        } catch (error) {
+            console.error(`Error handling draft action ${action}:`, error);
+            this.showToast('Draft action failed', 'error');
+        } finally {
+            this.hideLoading();
+            await this.loadDrafts();
+        }
+    }
+
+    /**
+     * Load recently generated comments that can be rewritten
+     */
+    async loadRecentComments() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_RECENT_COMMENTS', limit: 10 });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load recent comments');
+            }
+
+            this.recentComments = response.data;
+            this.renderRecentComments();
+
+        } catch (error) {
+            console.error('Error loading recent comments:', error);
+        }
+    }
+
+    /**
+     * Render the recent comments list
+     */
+    renderRecentComments() {
+        if (!this.elements.recentCommentList) {
+            return;
+        }
+
+        this.elements.recentCommentList.innerHTML = '';
+
+        if (this.recentComments.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'draft-empty';
+            empty.textContent = 'No comments generated yet';
+            this.elements.recentCommentList.appendChild(empty);
+            return;
+        }
+
+        this.recentComments.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'recent-item';
+            item.dataset.key = entry.key;
+
+            const meta = document.createElement('div');
+            meta.className = 'draft-meta';
+
+            const source = document.createElement('span');
+            source.textContent = `${entry.platform === 'twitter' ? 'Twitter/X' : 'LinkedIn'} · ${entry.authorName || 'Unknown author'}`;
+
+            const status = document.createElement('span');
+            status.textContent = entry.rewritten ? `${entry.status} · rewritten` : entry.status;
+
+            meta.appendChild(source);
+            meta.appendChild(status);
+
+            const text = document.createElement('p');
+            text.className = 'recent-text';
+            text.textContent = entry.generatedComment;
+
+            const button = document.createElement('button');
+            button.className = 'btn btn-outline';
+            button.dataset.action = 'rewrite';
+            button.textContent = entry.rewritten ? 'Rewrite Again' : 'Rewrite';
+
+            item.appendChild(meta);
+            item.appendChild(text);
+            item.appendChild(button);
+            this.elements.recentCommentList.appendChild(item);
+        });
+    }
+
+    /**
+     * Handle Rewrite / Save / Cancel clicks on recent comments
+     */
+    async handleRecentCommentAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const item = button.closest('.recent-item');
+        const action = button.dataset.action;
+
+        if (action === 'rewrite') {
+            this.openRewriteEditor(item);
+            return;
+        }
+
+        if (action === 'cancel-rewrite') {
+            this.renderRecentComments();
+            return;
+        }
+
+        const rewritten = item.querySelector('.draft-comment').value.trim();
+        if (!rewritten) {
+            this.showToast('Rewrite cannot be empty', 'warning');
+            return;
+        }
+
+        try {
+            const response = await this.sendMessage({
+                type: 'SAVE_COMMENT_REWRITE',
+                key: item.dataset.key,
+                rewritten
+            });
+
+            if (response.success) {
+                this.showToast('Rewrite saved - future comments will follow it', 'success');
+                await this.loadRecentComments();
+            } else {
+                this.showToast(response.error || 'Failed to save rewrite', 'error');
+            }
+
+        } catch (error) {
+            console.error('Error saving rewrite:', error);
+            this.showToast('Failed to save rewrite', 'error');
+        }
+    }
+
+    /**
+     * Replace a recent comment's Rewrite button with an inline editor
+     */
+    openRewriteEditor(item) {
+        const entry = this.recentComments.find(comment => comment.key === item.dataset.key);
+        if (!entry || item.querySelector('.draft-comment')) {
+            return;
+        }
+
+        item.querySelector('button[data-action="rewrite"]').remove();
+
+        const editor = document.createElement('textarea');
+        editor.className = 'draft-comment';
+        editor.placeholder = 'What would you have written?';
+        editor.value = entry.generatedComment;
+
+        const actions = document.createElement('div');
+        actions.className = 'draft-actions';
+
+        [
+            ['save-rewrite', 'Save Rewrite'],
+            ['cancel-rewrite', 'Cancel']
+        ].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-outline';
+            button.dataset.action = action;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+
+        item.appendChild(editor);
+        item.appendChild(actions);
+        editor.focus();
+    }
+
     /**
      * Handle start button click
      */
@@ -615,8 +1156,13 @@ class PopupApp {
                 successRate: 0
             };
 
+            this.drafts = [];
+            this.recentComments = [];
+
             // Update UI
             this.updateUI();
+            this.renderDrafts();
+            this.renderRecentComments();
 
             this.showToast('All data cleared successfully', 'success');
 
@@ -643,8 +1189,7 @@ class PopupApp {
      */
     handleSettingsClick(event) {
         event.preventDefault();
-        // Advanced settings page will be implemented later
-        this.showToast('Advanced settings coming soon!', 'info');
+        chrome.runtime.openOptionsPage();
     }
 
     /**
@@ -858,18 +1403,21 @@ class PopupApp {
     }
 
     /**
-     * Handle comment style and length settings changes
+     * Handle comment style, length, variant count and image settings changes
      */
     async handleCommentSettingsChange() {
         const style = this.elements.commentStyleSelect.value;
         const length = this.elements.commentLengthSelect.value;
+        const variants = parseInt(this.elements.commentVariantsSelect.value, 10);
 
         try {
             const response = await this.sendMessage({
                 type: 'UPDATE_COMMENT_SETTINGS',
                 settings: {
                     commentStyle: style,
-                    commentLength: length
+                    commentLength: length,
+                    commentVariants: variants,
+                    includePostImages: Boolean(this.elements.includeImagesToggle?.checked)
                 }
             });
 
@@ -922,6 +1470,116 @@ class PopupApp {
         this.elements.apiKeyStatus.style.display = 'none';
     }
 
+    /**
+     * Add custom templates from the template editor to the style list
+     */
+    async loadCustomStyles() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_CUSTOM_TEMPLATES' });
+            if (!response.success || response.data.length === 0) {
+                return;
+            }
+
+            const group = document.createElement('optgroup');
+            group.label = 'Custom';
+
+            // A style can exist for both platforms, list each name once
+            const styles = new Map();
+            response.data.forEach(record => {
+                if (!styles.has(record.style)) {
+                    styles.set(record.style, record.description);
+                }
+            });
+
+            styles.forEach((description, style) => {
+                const option = document.createElement('option');
+                option.value = style;
+                option.textContent = style;
+                option.title = description || '';
+                group.appendChild(option);
+            });
+
+            this.elements.commentStyleSelect.appendChild(group);
+
+        } catch (error) {
+            console.error('Failed to load custom styles:', error);
+        }
+    }
+
+    /**
+     * Show a warning with the remaining quota when the active provider's budget is nearly or fully used
+     */
+    async loadUsageBudget() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_USAGE_BUDGET' });
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load usage budget');
+            }
+
+            const status = response.data.status[response.data.activeProvider];
+            const warning = this.elements.budgetWarning;
+            if (!status || (status.allowed && status.warnings.length === 0)) {
+                warning.hidden = true;
+                return;
+            }
+
+            const remaining = [
+                ['dailyTokens', value => `${Math.round(value).toLocaleString()} tokens today`],
+                ['monthlyTokens', value => `${Math.round(value).toLocaleString()} tokens this month`],
+                ['dailySpend', value => `$${value.toFixed(2)} today`],
+                ['monthlySpend', value => `$${value.toFixed(2)} this month`]
+            ]
+                .filter(([field]) => status.remaining[field] !== null)
+                .map(([field, format]) => format(status.remaining[field]));
+
+            const headline = status.allowed
+                ? 'Usage budget almost used up.'
+                : 'Usage budget used up, comment generation is paused until it resets.';
+
+            warning.textContent = `${headline} Remaining: ${remaining.join(', ')}.`;
+            warning.classList.toggle('exhausted', !status.allowed);
+            warning.hidden = false;
+
+        } catch (error) {
+            console.error('Failed to load usage budget:', error);
+        }
+    }
+
+    /**
+     * Show a warning when most recent model requests failed or an endpoint is rate limited
+     */
+    async loadApiHealth() {
+        try {
+            const response = await this.sendMessage({ type: 'GET_API_HEALTH' });
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load API health');
+            }
+
+            const health = response.data;
+            const limits = Object.entries(health.rateLimited).map(([endpoint, until]) => (
+                `${endpoint} is rate limited until ${new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            ));
+            const warning = this.elements.apiHealthWarning;
+
+            if (health.isHealthy && limits.length === 0) {
+                warning.hidden = true;
+                return;
+            }
+
+            const messages = health.isHealthy ? [] : [
+                `Model requests are failing (${Math.round(health.errorRate * 100)}% of recent requests).` +
+                    (health.lastError ? ` Last error: ${health.lastError.message}` : '')
+            ];
+
+            warning.textContent = [...messages, ...limits.map(limit => `${limit}.`)].join(' ');
+            warning.classList.toggle('exhausted', !health.isHealthy);
+            warning.hidden = false;
+
+        } catch (error) {
+            console.error('Failed to load API health:', error);
+        }
+    }
+
     /**
      * Load API configuration from storage
      */
@@ -930,7 +1588,9 @@ class PopupApp {
             const result = await chrome.storage.sync.get([
                 'geminiApiKey',
                 'commentStyle',
-                'commentLength'
+                'commentLength',
+                'commentVariants',
+                'includePostImages'
             ]);
 
             if (result.geminiApiKey) {
@@ -941,6 +1601,8 @@ class PopupApp {
                 this.elements.saveApiKey.disabled = true; // Don't enable save for existing key display
             }
 
+            await this.loadCustomStyles();
+
             if (result.commentStyle) {
                 this.elements.commentStyleSelect.value = result.commentStyle;
             }
@@ -949,6 +1611,14 @@ class PopupApp {
                 this.elements.commentLengthSelect.value = result.commentLength;
             }
 
+            if (result.commentVariants) {
+                this.elements.commentVariantsSelect.value = String(result.commentVariants);
+            }
+
+            if (this.elements.includeImagesToggle) {
+                this.elements.includeImagesToggle.checked = result.includePostImages === true;
+            }
+
         } catch (error) {
             console.error('Failed to load API configuration:', error);
         }
@@ -8,8 +8,11 @@
  * - Context-aware prompting
  * - CS student perspective integration
  * - Dynamic template selection
+ * - Custom templates persisted in extension storage
  */
 
+import { templateEngine } from './template-engine.js';
+
 class CommentTemplates {
     constructor() {
         this.baseContext = {
@@ -73,6 +76,27 @@ class CommentTemplates {
             industryInsight: "The post shares professional insights about the tech industry.",
             problemSolving: "The post discusses technical problems or solutions."
         };
+
+        // Placeholders a template can use
+        this.variables = [
+            { name: 'POST_CONTENT', description: 'Text of the post', required: true },
+            { name: 'AUTHOR_NAME', description: "Post author's name", required: true },
+            { name: 'PLATFORM', description: 'linkedin or twitter', required: true },
+            { name: 'CONTEXT', description: 'Hashtags, popularity and author role', required: true },
+            { name: 'PERSONA', description: 'Who you are, from the persona profile in settings', required: false },
+            { name: 'LANGUAGE', description: 'Language to write the comment in', required: false },
+            { name: 'TONE', description: 'Tone chosen in the popup', required: false },
+            { name: 'LENGTH', description: 'Length chosen in the popup', required: false },
+            { name: 'HASHTAGS', description: 'List of hashtags, use with {#each} or {#if}', required: false },
+            { name: 'MENTIONS', description: 'List of mentioned accounts, use with {#each} or {#if}', required: false }
+        ];
+
+        this.storageKey = 'customTemplates';
+        this.stylePattern = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+        this.builtInStyles = Object.fromEntries(
+            Object.entries(this.templates).map(([platform, styles]) => [platform, Object.keys(styles)])
+        );
+        this.customTemplatesLoaded = null;
     }
 
     /**
@@ -155,7 +179,7 @@ class CommentTemplates {
     // LinkedIn Template Builders
 
     buildLinkedInProfessionalTemplate() {
-        return `${this.baseContext.perspective}
+        return `{PERSONA|${this.baseContext.perspective}}
 
 POST CONTENT: "{POST_CONTENT}"
 AUTHOR: {AUTHOR_NAME}
@@ -178,11 +202,11 @@ Guidelines:
 - Keep it conversational but professional
 - Stay within 1-2 sentences unless specified otherwise
 
-Generate only the comment text, no quotes or additional formatting.`;
+Put only the comment text in the "comment" field, no quotes or additional formatting.`;
     }
 
     buildLinkedInEngagingTemplate() {
-        return `${this.baseContext.perspective}
+        return `{PERSONA|${this.baseContext.perspective}}
 
 POST CONTENT: "{POST_CONTENT}"
 AUTHOR: {AUTHOR_NAME}
@@ -201,11 +225,11 @@ Examples of good engagement:
 - "I've been exploring [related area] - have you found [specific question]?"
 - "Your point about [specific detail] reminds me of..."
 
-Generate only the comment text, no additional formatting.`;
+Put only the comment text in the "comment" field, no quotes or additional formatting.`;
     }
 
     buildLinkedInTechnicalTemplate() {
-        return `${this.baseContext.perspective}
+        return `{PERSONA|${this.baseContext.perspective}}
 
 POST CONTENT: "{POST_CONTENT}"
 AUTHOR: {AUTHOR_NAME}
@@ -226,11 +250,11 @@ Focus areas for CS student perspective:
 - Emerging technologies
 - Academic vs industry applications
 
-Generate only the comment text, no quotes or formatting.`;
+Put only the comment text in the "comment" field, no quotes or additional formatting.`;
     }
 
     buildLinkedInSupportiveTemplate() {
-        return `${this.baseContext.perspective}
+        return `{PERSONA|${this.baseContext.perspective}}
 
 POST CONTENT: "{POST_CONTENT}"
 AUTHOR: {AUTHOR_NAME}
@@ -250,13 +274,13 @@ Supportive approaches:
 - Offering encouragement: "Your journey in [area] is inspiring..."
 - Sharing growth: "This has helped me understand..."
 
-Generate only the comment text, no additional formatting.`;
+Put only the comment text in the "comment" field, no quotes or additional formatting.`;
     }
 
     // Twitter Template Builders
 
     buildTwitterCasualTemplate() {
-        return `${this.baseContext.perspective}
+        return `{PERSONA|${this.baseContext.perspective}}
 
 TWEET CONTENT: "{POST_CONTENT}"
 AUTHOR: {AUTHOR_NAME}
@@ -277,11 +301,11 @@ Twitter-specific guidelines:
 - Avoid overly formal language
 - Make it feel like a natural conversation
 
-Generate only the reply text, no quotes or additional formatting.`;
+Put only the reply text in the "comment" field, no quotes or additional formatting.`;
     }
 
     buildTwitterEngagingTemplate() {
-        return `${this.baseContext.perspective}
+        return `{PERSONA|${this.baseContext.perspective}}
 
 TWEET CONTENT: "{POST_CONTENT}"
 AUTHOR: {AUTHOR_NAME}
@@ -302,11 +326,11 @@ Engagement strategies:
 - Use relatable CS student experiences
 - Keep it conversational and accessible
 
-Generate only the reply text, no formatting or quotes.`;
+Put only the reply text in the "comment" field, no quotes or additional formatting.`;
     }
 
     buildTwitterTechnicalTemplate() {
-        return `${this.baseContext.perspective}
+        return `{PERSONA|${this.baseContext.perspective}}
 
 TWEET CONTENT: "{POST_CONTENT}"
 AUTHOR: {AUTHOR_NAME}
@@ -327,11 +351,11 @@ Technical focus areas:
 - Emerging technologies and trends
 - Academic projects or coursework connections
 
-Generate only the reply text, no additional formatting.`;
+Put only the reply text in the "comment" field, no quotes or additional formatting.`;
     }
 
     buildTwitterWittyTemplate() {
-        return `${this.baseContext.perspective}
+        return `{PERSONA|${this.baseContext.perspective}}
 
 TWEET CONTENT: "{POST_CONTENT}"
 AUTHOR: {AUTHOR_NAME}
@@ -352,7 +376,7 @@ Witty approaches:
 - Playful references to programming concepts
 - Self-deprecating humor about learning journey
 
-Generate only the reply text, no quotes or additional formatting.`;
+Put only the reply text in the "comment" field, no quotes or additional formatting.`;
     }
 
     /**
@@ -401,21 +425,23 @@ Generate only the reply text, no quotes or additional formatting.`;
      * @return {Object} - Validation result
      */
     validateTemplate(template) {
-        const requiredVariables = ['{POST_CONTENT}', '{AUTHOR_NAME}', '{PLATFORM}', '{CONTEXT}'];
-        const optionalVariables = ['{TONE}', '{LENGTH}'];
+        const result = templateEngine.validate(template, this.variables.map(variable => variable.name));
+        const used = (variable) => result.variables.includes(variable.name);
 
-        const missingRequired = requiredVariables.filter(variable =>
-            !template.includes(variable)
-        );
+        const missingRequired = this.variables
+            .filter(variable => variable.required && !used(variable))
+            .map(variable => `{${variable.name}}`);
 
-        const foundOptional = optionalVariables.filter(variable =>
-            template.includes(variable)
-        );
+        const foundOptional = this.variables
+            .filter(variable => !variable.required && used(variable))
+            .map(variable => `{${variable.name}}`);
 
         return {
-            isValid: missingRequired.length === 0,
+            isValid: missingRequired.length === 0 && result.errors.length === 0,
             missingRequired,
             foundOptional,
+            unknownVariables: result.unknownVariables,
+            errors: result.errors,
             wordCount: template.split(' ').length
         };
     }
@@ -431,7 +457,11 @@ Generate only the reply text, no quotes or additional formatting.`;
         const validation = this.validateTemplate(template);
 
         if (!validation.isValid) {
-            throw new Error(`Invalid template. Missing required variables: ${validation.missingRequired.join(', ')}`);
+            const problems = [...validation.errors];
+            if (validation.missingRequired.length > 0) {
+                problems.unshift(`Missing required variables: ${validation.missingRequired.join(', ')}`);
+            }
+            throw new Error(`Invalid template. ${problems.join('. ')}`);
         }
 
         if (!this.templates[platform]) {
@@ -446,9 +476,219 @@ Generate only the reply text, no quotes or additional formatting.`;
 
         return { success: true, validation };
     }
+
+    /**
+     * Fill a template's placeholders, conditionals and loops
+     * @param {string} template - Template string
+     * @param {Object} values - Values keyed by variable name, e.g. { POST_CONTENT: '...', HASHTAGS: [] }
+     * @return {string} - Prompt text
+     */
+    fillTemplate(template, values) {
+        return templateEngine.render(template, values);
+    }
+
+    /**
+     * Load custom templates from storage once
+     * @param {boolean} [force] - Reload even if already loaded
+     * @return {Promise<void>}
+     */
+    loadCustomTemplates(force = false) {
+        if (!this.customTemplatesLoaded || force) {
+            this.customTemplatesLoaded = this.getStoredTemplates()
+                .then(records => this.applyCustomTemplates(records))
+                .catch(error => {
+                    console.error('[Comment Templates] Failed to load custom templates:', error);
+                });
+        }
+
+        return this.customTemplatesLoaded;
+    }
+
+    /**
+     * Replace the registered custom templates with stored records
+     * @param {Array} records - Stored custom templates
+     */
+    applyCustomTemplates(records) {
+        Object.values(this.templates).forEach(styles => {
+            Object.keys(styles).forEach(style => {
+                if (styles[style].custom) {
+                    delete styles[style];
+                }
+            });
+        });
+
+        records.forEach(record => {
+            try {
+                this.addCustomTemplate(record.platform, record.style, record.template, record.description);
+            } catch (error) {
+                console.warn(`[Comment Templates] Skipping stored template '${record.style}':`, error.message);
+            }
+        });
+    }
+
+    /**
+     * List stored custom templates
+     * @return {Promise<Array>} - Custom templates with platform, style, template and description
+     */
+    async getCustomTemplates() {
+        return this.getStoredTemplates();
+    }
+
+    /**
+     * Validate, register and persist a custom template
+     * @param {Object} record - { platform, style, template, description }
+     * @return {Promise<Object>} - { record, validation }
+     */
+    async saveCustomTemplate({ platform, style, template, description = '' }) {
+        const normalizedStyle = (style || '').trim().toLowerCase();
+        this.checkCustomTemplateName(platform, normalizedStyle);
+
+        const { validation } = this.addCustomTemplate(platform, normalizedStyle, template, description.trim());
+
+        const records = await this.getStoredTemplates();
+        const existing = records.find(item => item.platform === platform && item.style === normalizedStyle);
+        const now = Date.now();
+        const record = {
+            platform,
+            style: normalizedStyle,
+            template,
+            description: description.trim(),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        await this.saveStoredTemplates([
+            ...records.filter(item => item !== existing),
+            record
+        ]);
+
+        console.log(`[Comment Templates] Saved custom ${platform} template '${normalizedStyle}'`);
+        return { record, validation };
+    }
+
+    /**
+     * Delete a custom template
+     * @param {string} platform - Platform name
+     * @param {string} style - Style name
+     * @return {Promise<boolean>} - True if a template was deleted
+     */
+    async deleteCustomTemplate(platform, style) {
+        const records = await this.getStoredTemplates();
+        const remaining = records.filter(item => !(item.platform === platform && item.style === style));
+
+        if (remaining.length === records.length) {
+            return false;
+        }
+
+        await this.saveStoredTemplates(remaining);
+        if (this.templates[platform]?.[style]?.custom) {
+            delete this.templates[platform][style];
+        }
+
+        console.log(`[Comment Templates] Deleted custom ${platform} template '${style}'`);
+        return true;
+    }
+
+    /**
+     * Export custom templates as JSON
+     * @return {Promise<string>} - JSON text
+     */
+    async exportCustomTemplates() {
+        const templates = await this.getStoredTemplates();
+
+        return JSON.stringify({
+            version: 1,
+            exportTime: Date.now(),
+            templates: templates.map(({ platform, style, template, description }) => ({ platform, style, template, description }))
+        }, null, 2);
+    }
+
+    /**
+     * Import custom templates from exported JSON, replacing templates with the same name
+     * @param {string} json - JSON text from exportCustomTemplates
+     * @return {Promise<Object>} - { imported, failed } where failed lists { style, error }
+     */
+    async importCustomTemplates(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Import file is not valid JSON: ${error.message}`);
+        }
+
+        const templates = Array.isArray(data) ? data : data?.templates;
+        if (!Array.isArray(templates)) {
+            throw new Error('Import file does not contain a templates list');
+        }
+
+        const result = { imported: 0, failed: [] };
+
+        for (const item of templates) {
+            try {
+                if (typeof item?.template !== 'string') {
+                    throw new Error('Template text is missing');
+                }
+
+                await this.saveCustomTemplate(item);
+                result.imported++;
+            } catch (error) {
+                result.failed.push({ style: item?.style || '(unnamed)', error: error.message });
+            }
+        }
+
+        console.log(`[Comment Templates] Imported ${result.imported} custom template(s), ${result.failed.length} failed`);
+        return result;
+    }
+
+    /**
+     * Check that a custom template name is usable
+     * @param {string} platform - Platform name
+     * @param {string} style - Normalized style name
+     */
+    checkCustomTemplateName(platform, style) {
+        if (!this.builtInStyles[platform]) {
+            throw new Error(`Unsupported platform: ${platform}`);
+        }
+
+        if (!this.stylePattern.test(style)) {
+            throw new Error('Style name must be 1-30 lowercase letters, numbers, dashes or underscores');
+        }
+
+        if (this.builtInStyles[platform].includes(style)) {
+            throw new Error(`'${style}' is a built-in ${platform} style, choose another name`);
+        }
+    }
+
+    /**
+     * Load custom template records from storage
+     * @return {Promise<Array>} - Stored templates
+     */
+    async getStoredTemplates() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return result[this.storageKey] || [];
+    }
+
+    /**
+     * Save custom template records to storage
+     * @param {Array} records - Templates to save
+     */
+    async saveStoredTemplates(records) {
+        await chrome.storage.local.set({ [this.storageKey]: records });
+    }
 }
 
 // Create singleton instance
 const commentTemplates = new CommentTemplates();
 
+// Register stored custom templates and follow edits made in the template editor
+if (typeof chrome !== 'undefined' && chrome.storage) {
+    commentTemplates.loadCustomTemplates();
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[commentTemplates.storageKey]) {
+            commentTemplates.applyCustomTemplates(changes[commentTemplates.storageKey].newValue || []);
+        }
+    });
+}
+
 export { CommentTemplates, commentTemplates };
\ No newline at end of file
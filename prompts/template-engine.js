@@ -0,0 +1,229 @@
+/**
+ * Template Engine - Renders prompt templates with placeholders and blocks
+ * Values are substituted in a single pass, so post text is never re-read as template syntax
+ *
+ * Syntax:
+ * - {NAME}                     every occurrence is replaced
+ * - {NAME|fallback text}       fallback when the value is empty
+ * - {#if NAME}...{else}...{/if} conditional on a non-empty value or list
+ * - {#each NAME}...{/each}     repeat for each list item, with {ITEM} and {INDEX} (from 1)
+ * - \{ and \}                  literal braces
+ *
+ * Braces that do not form a tag, like {"json": true} or {topic}, are kept as written.
+ */
+
+class TemplateEngine {
+    constructor() {
+        // Placeholder names are upper case, so lower-case braces in prose stay literal
+        this.tagPattern = /\\([{}])|\{(#if|#each)\s+([A-Z][A-Z0-9_]*)\}|\{(else|\/if|\/each)\}|\{([A-Z][A-Z0-9_]*)(?:\|([^{}]*))?\}/g;
+        this.loopVariables = ['ITEM', 'INDEX'];
+        this.cache = new Map();
+        this.maxCacheSize = 50;
+    }
+
+    /**
+     * Render a template
+     * @param {string} template - Template text
+     * @param {Object} values - Values keyed by variable name, strings, numbers or arrays
+     * @return {string} - Rendered text
+     */
+    render(template, values = {}) {
+        return this.renderNodes(this.parse(template), values);
+    }
+
+    /**
+     * Check a template for syntax errors and unknown variables
+     * @param {string} template - Template text
+     * @param {Array<string>} knownVariables - Variable names the caller provides
+     * @return {Object} - { errors, variables, unknownVariables }
+     */
+    validate(template, knownVariables = []) {
+        let nodes;
+        try {
+            nodes = this.parse(template);
+        } catch (error) {
+            return { errors: [error.message], variables: [], unknownVariables: [] };
+        }
+
+        const variables = new Set();
+        const unknown = new Set();
+
+        this.walk(nodes, (node, inLoop) => {
+            // {ITEM} and {INDEX} are set inside {#each}, for variables and {#if} conditions alike
+            if (inLoop && node.type !== 'each' && this.loopVariables.includes(node.name)) {
+                return;
+            }
+
+            variables.add(node.name);
+            if (!knownVariables.includes(node.name)) {
+                unknown.add(node.name);
+            }
+        });
+
+        const unknownVariables = [...unknown];
+        const errors = unknownVariables.map(name => `Unknown variable {${name}}`);
+
+        return { errors, variables: [...variables], unknownVariables };
+    }
+
+    /**
+     * Parse a template into a node tree
+     * @param {string} template - Template text
+     * @return {Array<Object>} - Nodes
+     */
+    parse(template) {
+        if (this.cache.has(template)) {
+            return this.cache.get(template);
+        }
+
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        let current = root.children;
+        let lastIndex = 0;
+        let match;
+
+        const pushText = (text) => {
+            if (text) {
+                current.push({ type: 'text', value: text });
+            }
+        };
+
+        this.tagPattern.lastIndex = 0;
+        while ((match = this.tagPattern.exec(template)) !== null) {
+            pushText(template.slice(lastIndex, match.index));
+            lastIndex = this.tagPattern.lastIndex;
+
+            const [tag, escaped, blockType, blockName, closeTag, variableName, fallback] = match;
+            const open = stack[stack.length - 1];
+
+            if (escaped) {
+                pushText(escaped);
+            } else if (blockType) {
+                const node = blockType === '#if'
+                    ? { type: 'if', name: blockName, children: [], alternate: null, tag }
+                    : { type: 'each', name: blockName, children: [], tag };
+                current.push(node);
+                stack.push(node);
+                current = node.children;
+            } else if (closeTag === 'else') {
+                if (open.type !== 'if' || open.alternate) {
+                    throw new Error(`Unexpected {else} at position ${match.index}`);
+                }
+                open.alternate = [];
+                current = open.alternate;
+            } else if (closeTag) {
+                const expected = closeTag === '/if' ? 'if' : 'each';
+                if (open.type !== expected) {
+                    throw new Error(`Unexpected {${closeTag}} at position ${match.index}`);
+                }
+                stack.pop();
+                const parent = stack[stack.length - 1];
+                current = parent.type === 'if' && parent.alternate ? parent.alternate : parent.children;
+            } else {
+                current.push({ type: 'variable', name: variableName, fallback: fallback ?? null });
+            }
+        }
+
+        pushText(template.slice(lastIndex));
+
+        if (stack.length > 1) {
+            throw new Error(`Unclosed ${stack[stack.length - 1].tag}`);
+        }
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(template, root.children);
+
+        return root.children;
+    }
+
+    /**
+     * Render parsed nodes
+     * @param {Array<Object>} nodes - Nodes from parse
+     * @param {Object} values - Variable values
+     * @return {string} - Rendered text
+     */
+    renderNodes(nodes, values) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+
+                case 'variable': {
+                    const value = this.formatValue(values[node.name]);
+                    return value === '' && node.fallback !== null ? node.fallback : value;
+                }
+
+                case 'if':
+                    if (this.isTruthy(values[node.name])) {
+                        return this.renderNodes(node.children, values);
+                    }
+                    return node.alternate ? this.renderNodes(node.alternate, values) : '';
+
+                case 'each': {
+                    const items = Array.isArray(values[node.name]) ? values[node.name] : [];
+                    return items
+                        .map((item, index) => this.renderNodes(node.children, { ...values, ITEM: item, INDEX: index + 1 }))
+                        .join('');
+                }
+
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * Visit every variable reference, including block conditions
+     * @param {Array<Object>} nodes - Nodes from parse
+     * @param {Function} visit - Called with (node, inLoop)
+     * @param {boolean} [inLoop] - Whether the nodes are inside an {#each} block
+     */
+    walk(nodes, visit, inLoop = false) {
+        nodes.forEach(node => {
+            if (node.type === 'variable') {
+                visit(node, inLoop);
+            } else if (node.type === 'if' || node.type === 'each') {
+                visit(node, inLoop);
+                this.walk(node.children, visit, inLoop || node.type === 'each');
+                this.walk(node.alternate || [], visit, inLoop);
+            }
+        });
+    }
+
+    /**
+     * Turn a value into text
+     * @param {*} value - Variable value
+     * @return {string} - Text
+     */
+    formatValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    /**
+     * Check whether a value counts as present for {#if}
+     * @param {*} value - Variable value
+     * @return {boolean} - True for non-empty strings and lists, true and non-zero numbers
+     */
+    isTruthy(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+
+        if (typeof value === 'string') {
+            return value.trim().length > 0;
+        }
+
+        return Boolean(value);
+    }
+}
+
+// Create singleton instance
+const templateEngine = new TemplateEngine();
+
+export { TemplateEngine, templateEngine };
@@ -22,6 +22,7 @@ class ExtensionBuilder {
             'background/',
             'content-scripts/',
             'popup/',
+            'options/',
             'utils/',
             'services/',
             'prompts/',
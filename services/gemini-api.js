@@ -1,24 +1,45 @@
 /**
  * Gemini API Service - Main API interaction module
- * Handles all communication with Google's Gemini AI API
+ * Builds prompts and sends them to the configured LLM provider
+ * (Gemini by default, or an OpenAI-compatible or local server)
  * 
  * Features:
  * - Secure API key management
- * - Rate limiting and retry logic
+ * - Rate limiting, retries and caching through the shared API handler
  * - Comment generation for LinkedIn and Twitter
  * - Error handling and fallbacks
  * - Context-aware prompting
+ * - Structured JSON responses with a skip decision
+ * - Post images and media descriptions for multimodal models
+ * - Token usage tracking and daily/monthly budgets
+ * - Output filter that rejects or flags comments before posting
+ * - Platform-accurate length limits with sentence-aware trimming
+ * - A/B experiment variants applied to generation options
+ * - Model safety blocks turned into skips with the categories that triggered them
+ * - Posts about layoffs, deaths, illness or disasters skipped before any prompt is sent
  */
 
+import { llmProviders } from './llm-providers.js';
+import { commentResponse } from '../utils/comment-response.js';
+import { personaProfile } from '../utils/persona-profile.js';
+import { contentFilter } from '../utils/content-filter.js';
+import { languageDetector } from '../utils/language-detector.js';
+import { mediaContext } from '../utils/media-context.js';
+import { usageBudget } from '../utils/usage-budget.js';
+import { outputFilter } from '../utils/output-filter.js';
+import { commentLength } from '../utils/comment-length.js';
+import { experiments } from '../utils/experiments.js';
+import { apiHandler } from '../utils/api-handler.js';
+import { sensitiveContext } from '../utils/sensitive-context.js';
+
 class GeminiAPIService {
     constructor() {
-        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent';
+        this.providers = llmProviders;
         this.apiKey = null;
-        this.rateLimitDelay = 1000; // 1 second between requests
+        this.apiHandler = apiHandler;
         this.maxRetries = 3;
-        this.lastRequestTime = 0;
-        this.requestQueue = [];
-        this.isProcessingQueue = false;
+        this.retryDelay = 2000; // Doubled after every failed attempt
+        this.maxCandidates = 4;
     }
 
     /**
@@ -26,13 +47,14 @@ class GeminiAPIService {
      */
     async initialize() {
         try {
-            const result = await chrome.storage.sync.get(['geminiApiKey']);
-            if (result.geminiApiKey) {
-                this.apiKey = result.geminiApiKey;
-                console.log('[Gemini API] Service initialized successfully');
+            const provider = await this.providers.loadSettings();
+            this.apiKey = this.providers.getProvider('gemini').settings.apiKey;
+
+            if (provider.isConfigured()) {
+                console.log(`[Gemini API] Service initialized successfully with ${provider.name}`);
                 return true;
             } else {
-                console.warn('[Gemini API] No API key found in storage');
+                console.warn(`[Gemini API] ${provider.getConfigurationError()}`);
                 return false;
             }
         } catch (error) {
@@ -53,6 +75,9 @@ class GeminiAPIService {
         try {
             await chrome.storage.sync.set({ geminiApiKey: apiKey });
             this.apiKey = apiKey;
+
+            const gemini = this.providers.getProvider('gemini');
+            gemini.configure({ ...gemini.settings, apiKey });
             console.log('[Gemini API] API key set successfully');
             return true;
         } catch (error) {
@@ -62,13 +87,19 @@ class GeminiAPIService {
     }
 
     /**
-     * Validate if API key is present and properly formatted
+     * Check that the active provider is ready to use
+     * Hosted providers need a properly formatted API key, local servers only a URL
      */
     isApiKeyValid() {
-        return this.apiKey &&
-            typeof this.apiKey === 'string' &&
-            this.apiKey.length > 20 &&
-            this.apiKey.startsWith('AIza');
+        return this.providers.getActiveProvider().isConfigured();
+    }
+
+    /**
+     * Describe what the active provider is missing
+     * @return {string|null} - Error message, or null when configured
+     */
+    getConfigurationError() {
+        return this.providers.getActiveProvider().getConfigurationError();
     }
 
     /**
@@ -79,26 +110,11 @@ class GeminiAPIService {
      */
     async generateComment(postData, platform, options = {}) {
         if (!this.isApiKeyValid()) {
-            throw new Error('Valid API key is required. Please set your Gemini API key in the popup.');
+            throw new Error(this.getConfigurationError());
         }
 
         try {
-            // Add to queue for rate limiting
-            const request = {
-                postData,
-                platform,
-                options,
-                timestamp: Date.now(),
-                resolve: null,
-                reject: null
-            };
-
-            return new Promise((resolve, reject) => {
-                request.resolve = resolve;
-                request.reject = reject;
-                this.requestQueue.push(request);
-                this.processQueue();
-            });
+            return await this.makeApiRequest(postData, platform, options);
         } catch (error) {
             console.error('[Gemini API] Comment generation failed:', error);
             throw error;
@@ -106,131 +122,571 @@ class GeminiAPIService {
     }
 
     /**
-     * Process the request queue with rate limiting
+     * Generate a comment for review together with the prompt that produced it
+     * @param {Object} postData - The extracted post data
+     * @param {string} platform - 'linkedin' or 'twitter'
+     * @param {Object} options - Additional options for comment generation
+     * @returns {Promise<Object>} - { comment, prompt, options, variants, flags, skipped, skipReason, relevance, postType },
+     *   comment is null when the post is about a sensitive event, the model decided the post should be skipped,
+     *   its safety filters blocked the post or the output filter rejected every comment
      */
-    async processQueue() {
-        if (this.isProcessingQueue || this.requestQueue.length === 0) {
-            return;
+    async generateDraft(postData, platform, options = {}) {
+        // No score or experiment can override this, the post never reaches the prompt
+        const sensitive = await sensitiveContext.check(postData);
+        if (sensitive.blocked) {
+            return this.getSensitiveBlock(sensitive, options);
         }
 
-        this.isProcessingQueue = true;
+        options = await this.applyExperiment(postData, platform, options);
 
-        while (this.requestQueue.length > 0) {
-            const request = this.requestQueue.shift();
+        if (options.variants > 1) {
+            return this.generateCandidates(postData, platform, options);
+        }
 
-            try {
-                // Respect rate limiting
-                const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-                if (timeSinceLastRequest < this.rateLimitDelay) {
-                    await this.delay(this.rateLimitDelay - timeSinceLastRequest);
-                }
+        let result;
+        try {
+            result = await this.generateComment(postData, platform, { ...options, includePrompt: true });
+        } catch (error) {
+            if (error.category === 'OUTPUT_REJECTED') {
+                return this.getRejection(error, options);
+            }
+            if (error.safety) {
+                return this.getSafetyBlock(error, options);
+            }
+            throw error;
+        }
 
-                const comment = await this.makeApiRequest(
-                    request.postData,
-                    request.platform,
-                    request.options
-                );
+        return {
+            ...this.getDecision(result),
+            comment: result.comment,
+            prompt: result.prompt,
+            options,
+            variants: [],
+            flags: await this.getOutputFlags(result.comment)
+        };
+    }
 
-                this.lastRequestTime = Date.now();
-                request.resolve(comment);
+    /**
+     * Generate several comment variants and rank them
+     * Asks Gemini for multiple candidates first, then fills any gap with
+     * separate calls using other template styles
+     * @param {Object} postData - The extracted post data
+     * @param {string} platform - 'linkedin' or 'twitter'
+     * @param {Object} options - Generation options, options.variants is the number wanted
+     * @returns {Promise<Object>} - { comment, prompt, options, variants } with the best variant as comment
+     */
+    async generateCandidates(postData, platform, options = {}) {
+        const count = Math.min(Math.max(parseInt(options.variants, 10) || 1, 1), this.maxCandidates);
+        const style = options.style || 'engaging';
 
-            } catch (error) {
-                request.reject(error);
+        let result;
+        try {
+            result = await this.generateComment(postData, platform, {
+                ...options,
+                candidateCount: count,
+                includePrompt: true
+            });
+        } catch (error) {
+            if (error.category === 'OUTPUT_REJECTED') {
+                return this.getRejection(error, options);
             }
+            if (error.safety) {
+                return this.getSafetyBlock(error, options);
+            }
+            throw error;
+        }
+
+        if (result.skipped) {
+            return { ...this.getDecision(result), comment: null, prompt: result.prompt, options, variants: [] };
+        }
 
-            // Small delay between processing requests
-            await this.delay(100);
+        const candidates = [];
+        const addCandidate = (text, candidateStyle) => {
+            if (text && !candidates.some(candidate => candidate.text === text)) {
+                candidates.push({ text, style: candidateStyle });
+            }
+        };
+
+        result.comments.forEach(text => addCandidate(text, style));
+
+        // Some models ignore candidateCount, so vary the template style instead
+        if (candidates.length < count) {
+            const { commentTemplates } = await import('../prompts/comment-templates.js');
+            const otherStyles = commentTemplates.getAvailableStyles(platform)
+                .map(available => available.name)
+                .filter(name => name !== style);
+
+            for (const otherStyle of otherStyles) {
+                if (candidates.length >= count) {
+                    break;
+                }
+
+                try {
+                    const alternative = await this.generateComment(postData, platform, {
+                        ...options,
+                        style: otherStyle,
+                        candidateCount: 1,
+                        includePrompt: true
+                    });
+                    if (!alternative.skipped) {
+                        addCandidate(alternative.comment, otherStyle);
+                    }
+                } catch (error) {
+                    console.warn(`[Gemini API] Failed to generate '${otherStyle}' variant:`, error.message);
+                }
+            }
         }
 
-        this.isProcessingQueue = false;
+        const { candidateScorer } = await import('../utils/candidate-scorer.js');
+        const variants = await candidateScorer.scoreCandidates(candidates, platform, postData);
+
+        console.log(`[Gemini API] Generated ${variants.length} comment variants`);
+
+        const comment = variants[0]?.text || result.comment;
+        return {
+            ...this.getDecision(result),
+            comment,
+            prompt: result.prompt,
+            options,
+            variants,
+            flags: await this.getOutputFlags(comment)
+        };
     }
 
     /**
-     * Make the actual API request to Gemini
+     * Apply the running experiment's variant for this post to the generation options
      * @param {Object} postData - The post data
      * @param {string} platform - Platform name
      * @param {Object} options - Generation options
+     * @return {Promise<Object>} - Options with the variant's setting and options.experiment { experimentId, variantId }
+     */
+    async applyExperiment(postData, platform, options) {
+        // Regenerated drafts already carry their assignment, even if the experiment stopped since
+        if (options.experiment) {
+            return options;
+        }
+
+        try {
+            const assignment = await experiments.assign(postData.id, platform);
+            if (!assignment) {
+                return options;
+            }
+
+            console.log(`[Gemini API] Post ${postData.id} in experiment ${assignment.experimentId}, variant ${assignment.variantId}`);
+            return {
+                ...options,
+                ...assignment.overrides,
+                experiment: { experimentId: assignment.experimentId, variantId: assignment.variantId }
+            };
+
+        } catch (error) {
+            console.error('[Gemini API] Error applying experiment:', error);
+            return options;
+        }
+    }
+
+    /**
+     * Build the draft result for a post whose every comment the output filter rejected
+     * @param {Error} error - OUTPUT_REJECTED error
+     * @param {Object} options - Generation options
+     * @return {Object} - Draft result with rejected set and no comment
+     */
+    getRejection(error, options) {
+        return {
+            skipped: false,
+            rejected: true,
+            rejectReasons: error.reasons || [],
+            comment: null,
+            prompt: null,
+            options,
+            variants: [],
+            flags: []
+        };
+    }
+
+    /**
+     * Build the draft result for a post the model's safety filters blocked
+     * @param {Error} error - CONTENT_BLOCKED error with safety { source, reason, categories }
+     * @param {Object} options - Generation options
+     * @return {Object} - Draft result with skipped and safety set and no comment
+     */
+    getSafetyBlock(error, options) {
+        const { categories } = error.safety;
+        console.warn(`[Gemini API] Model safety blocked the ${error.safety.source}: ${error.safety.reason}`);
+
+        return {
+            skipped: true,
+            skipReason: `model safety${categories.length > 0 ? ` (${categories.join(', ')})` : ''}`,
+            safety: error.safety,
+            comment: null,
+            prompt: null,
+            options,
+            variants: [],
+            flags: []
+        };
+    }
+
+    /**
+     * Build the draft result for a post about a layoff, death, illness or disaster
+     * @param {Object} sensitive - Sensitive context check { source, category, label, matches, reason }
+     * @param {Object} options - Generation options
+     * @return {Object} - Draft result with skipped and sensitive set and no comment
+     */
+    getSensitiveBlock(sensitive, options) {
+        console.warn(`[Gemini API] Sensitive context, skipping post: ${sensitive.reason}`);
+
+        return {
+            skipped: true,
+            skipReason: `sensitive context (${sensitive.label})`,
+            sensitive,
+            comment: null,
+            prompt: null,
+            options,
+            variants: [],
+            flags: []
+        };
+    }
+
+    /**
+     * Get the output filter rules a comment trips that only need review
+     * @param {string} comment - Comment that will be posted or queued
+     * @return {Promise<Array<string>>} - Flag reason codes
+     */
+    async getOutputFlags(comment) {
+        if (!comment) {
+            return [];
+        }
+
+        const settings = await outputFilter.getSettings();
+        return outputFilter.check(comment, settings).flagReasons;
+    }
+
+    /**
+     * Pick the model's skip decision and post assessment out of a generation result
+     * @param {Object} result - Result from makeApiRequest with includePrompt
+     * @return {Object} - { skipped, skipReason, relevance, postType }
+     */
+    getDecision(result) {
+        return {
+            skipped: result.skipped,
+            skipReason: result.skipReason,
+            relevance: result.relevance,
+            postType: result.postType
+        };
+    }
+
+    /**
+     * Make the actual API request through the active provider
+     * Retries, request spacing, rate limits and caching are handled by the shared API handler
+     * @param {Object} postData - The post data
+     * @param {string} platform - Platform name
+     * @param {Object} options - Generation options, options.cache false asks for a fresh comment
+     * @return {Promise<string|Object|null>} - Comment, or null when skipped;
+     *   with options.includePrompt { comment, comments, prompt, skipped, skipReason, relevance, postType }
      */
     async makeApiRequest(postData, platform, options = {}) {
-        const prompt = await this.buildPrompt(postData, platform, options);
-        let lastError = null;
-
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                console.log(`[Gemini API] Attempt ${attempt}/${this.maxRetries} for comment generation`);
-
-                const response = await fetch(`${this.baseUrl}?key=${this.apiKey}`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        contents: [{
-                            parts: [{
-                                text: prompt
-                            }]
-                        }],
-                        generationConfig: {
-                            temperature: 0.7,
-                            topK: 40,
-                            topP: 0.95,
-                            maxOutputTokens: 200,
-                            stopSequences: []
-                        },
-                        safetySettings: [
-                            {
-                                category: "HARM_CATEGORY_HARASSMENT",
-                                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                            },
-                            {
-                                category: "HARM_CATEGORY_HATE_SPEECH",
-                                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                            },
-                            {
-                                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                            },
-                            {
-                                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                            }
-                        ]
-                    })
-                });
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`API request failed: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-                }
+        // Pick up provider changes made on the settings page since the last request
+        const provider = await this.providers.loadSettings();
+        await this.checkBudget(provider);
+
+        const persona = await personaProfile.getProfile();
+        const filterSettings = await outputFilter.getSettings();
+        const images = options.includeImages && provider.supportsImages ? await mediaContext.loadImages(postData.media) : [];
+        const prompt = await this.buildPrompt(postData, platform, { ...options, persona, attachedImages: images.length });
+        const endpoint = this.getEndpoint(provider);
+
+        console.log(`[Gemini API] Generating comment via ${provider.name}`);
+
+        const result = await this.apiHandler.makeRequest(
+            request => this.requestComment(provider, request, { postData, platform, options, persona, filterSettings, images }),
+            { prompt, requestPrompt: prompt },
+            {
+                maxRetries: this.maxRetries,
+                // An attempt may add a repair request, each bounded by the provider's own timeout
+                timeout: (provider.timeout || 30000) * 2 + 5000,
+                retryDelay: this.retryDelay,
+                endpoint,
+                useCache: options.cache !== false,
+                cacheKey: this.apiHandler.generateCacheKey(endpoint, {
+                    postId: postData.id,
+                    content: this.getPostText(postData),
+                    platform,
+                    style: options.style || 'engaging',
+                    tone: options.tone,
+                    length: options.length,
+                    temperature: options.temperature,
+                    candidateCount: options.candidateCount || 1
+                })
+            }
+        );
 
-                const data = await response.json();
+        return options.includePrompt ? result : result.comment;
+    }
 
-                if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-                    throw new Error('Invalid response format from Gemini API');
-                }
+    /**
+     * Send one generation attempt and turn the response into checked comments
+     * @param {Object} provider - Active provider
+     * @param {Object} request - { prompt, requestPrompt }, requestPrompt asks for a shorter comment after one was too long
+     * @param {Object} context - { postData, platform, options, persona, filterSettings, images }
+     * @return {Promise<Object>} - { comment, comments, prompt, skipped, skipReason, relevance, postType }
+     */
+    async requestComment(provider, request, context) {
+        const { postData, platform, options, persona, filterSettings, images } = context;
 
-                const generatedText = data.candidates[0].content.parts[0].text;
-                const cleanedComment = this.cleanGeneratedComment(generatedText);
+        try {
+            const texts = await provider.generate(request.requestPrompt, {
+                temperature: options.temperature ?? 0.7,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens: 300,
+                candidateCount: options.candidateCount || 1,
+                responseSchema: commentResponse.schema,
+                images,
+                onUsage: this.createUsageRecorder(provider)
+            });
 
+            const responses = this.applyPersonaGuard(await this.parseResponses(provider, texts), persona);
+
+            // Any candidate asking to skip is enough, a doubtful post is not worth the risk
+            const skip = responses.find(response => response.shouldSkip);
+            const cleanedComments = skip ? [] : await this.applyOutputFilter(
+                this.applyLengthLimit(responses.map(response => this.cleanGeneratedComment(response.comment)), platform),
+                filterSettings,
+                postData,
+                platform
+            );
+            const cleanedComment = cleanedComments[0] || null;
+
+            if (skip) {
+                console.log(`[Gemini API] Model skipped post ${postData.id}: ${skip.skipReason}`);
+            } else {
                 console.log('[Gemini API] Comment generated successfully');
 
                 // Log the interaction for debugging
                 await this.logCommentGeneration(postData, cleanedComment, platform);
+            }
+
+            return {
+                comment: cleanedComment,
+                comments: cleanedComments,
+                prompt: request.prompt,
+                skipped: Boolean(skip),
+                skipReason: skip ? skip.skipReason : '',
+                relevance: (skip || responses[0]).relevance,
+                postType: (skip || responses[0]).postType
+            };
 
-                return cleanedComment;
+        } catch (error) {
+            if (error.category === 'COMMENT_TOO_LONG') {
+                request.requestPrompt = `${request.prompt}\n\n${commentLength.getShorterInstruction(platform, error.length)}`;
+            }
+            throw error;
+        }
+    }
 
-            } catch (error) {
-                lastError = error;
-                console.error(`[Gemini API] Attempt ${attempt} failed:`, error.message);
+    /**
+     * Get the key requests to a provider's model are spaced and rate limited under
+     * @param {Object} provider - Provider
+     * @return {string} - e.g. 'gemini:gemini-2.5-flash-lite'
+     */
+    getEndpoint(provider) {
+        return `${provider.id}:${provider.settings?.model || 'default'}`;
+    }
 
-                // Wait before retrying (exponential backoff)
-                if (attempt < this.maxRetries) {
-                    await this.delay(1000 * Math.pow(2, attempt));
-                }
+    /**
+     * Stop before sending a request once one of the provider's budgets is used up
+     * @param {Object} provider - Active provider
+     * @throws {Error} - BUDGET_EXCEEDED error, not retryable
+     */
+    async checkBudget(provider) {
+        const budget = await usageBudget.checkBudget(provider.id);
+        if (budget.allowed) {
+            return;
+        }
+
+        const error = new Error(`Budget exhausted: ${usageBudget.describeLimit(budget.exceeded[0])} used for ${provider.name}`);
+        error.category = 'BUDGET_EXCEEDED';
+        error.retryable = false;
+        error.budget = budget;
+        throw error;
+    }
+
+    /**
+     * Create the callback that records the tokens a response used
+     * @param {Object} provider - Provider sending the request
+     * @return {Function} - onUsage callback for provider.generate
+     */
+    createUsageRecorder(provider) {
+        return usage => usageBudget.record(provider.id, provider.settings?.model, usage);
+    }
+
+    /**
+     * Validate structured responses, asking the model once to repair the first invalid one
+     * when none are usable
+     * @param {Object} provider - Provider that produced the texts
+     * @param {Array<string>} texts - Raw model outputs
+     * @return {Promise<Array<Object>>} - Normalized responses
+     */
+    async parseResponses(provider, texts) {
+        const parsed = texts.map(text => ({ text, ...commentResponse.parse(text) }));
+        const valid = parsed.filter(result => result.valid).map(result => result.value);
+
+        if (valid.length > 0) {
+            if (valid.length < parsed.length) {
+                console.warn(`[Gemini API] Dropped ${parsed.length - valid.length} invalid response(s)`);
+            }
+            return valid;
+        }
+
+        const invalid = parsed[0];
+        console.warn('[Gemini API] Invalid structured response, requesting repair:', invalid.errors);
+
+        const [repairedText] = await this.apiHandler.makeRequest(
+            repairPrompt => provider.generate(repairPrompt, {
+                temperature: 0.2,
+                maxOutputTokens: 300,
+                candidateCount: 1,
+                responseSchema: commentResponse.schema,
+                onUsage: this.createUsageRecorder(provider)
+            }),
+            commentResponse.buildRepairPrompt(invalid.text, invalid.errors),
+            { maxRetries: 1, useCache: false, endpoint: this.getEndpoint(provider), timeout: (provider.timeout || 30000) + 5000 }
+        );
+
+        const repaired = commentResponse.parse(repairedText);
+        if (!repaired.valid) {
+            const error = new Error(`Invalid format: structured response failed validation - ${repaired.errors.join('; ')}`);
+            error.category = 'PARSING_ERROR';
+            error.retryable = true;
+            throw error;
+        }
+
+        return [repaired.value];
+    }
+
+    /**
+     * Drop comments claiming experience the persona profile does not back up
+     * Without a profile nothing is checked, the default perspective is generic
+     * @param {Array<Object>} responses - Normalized responses
+     * @param {Object} persona - Persona profile
+     * @return {Array<Object>} - Responses without ungrounded claims
+     */
+    applyPersonaGuard(responses, persona) {
+        if (!personaProfile.hasProfile(persona)) {
+            return responses;
+        }
+
+        const claims = [];
+        const grounded = responses.filter(response => {
+            const ungrounded = response.shouldSkip ? [] : personaProfile.findUngroundedClaims(response.comment, persona);
+            claims.push(...ungrounded);
+            return ungrounded.length === 0;
+        });
+
+        if (grounded.length > 0) {
+            if (grounded.length < responses.length) {
+                console.warn(`[Gemini API] Dropped ${responses.length - grounded.length} response(s) with ungrounded claims:`, claims);
+            }
+            return grounded;
+        }
+
+        const error = new Error(`Ungrounded claim: comment claims experience not in the persona profile - ${claims[0]}`);
+        error.category = 'PARSING_ERROR';
+        error.retryable = true;
+        throw error;
+    }
+
+    /**
+     * Fit comments into the platform length limit, trimming at sentence boundaries
+     * @param {Array<string>} comments - Cleaned comments
+     * @param {string} platform - Platform name
+     * @return {Array<string>} - Comments within the limit
+     * @throws {Error} - COMMENT_TOO_LONG error when no comment could be trimmed cleanly, retryable with a shorter prompt
+     */
+    applyLengthLimit(comments, platform) {
+        const results = comments.map(comment => commentLength.fit(comment, platform));
+        const fitting = results.filter(result => result.fits);
+
+        results.filter(result => result.trimmed).forEach(result => {
+            console.warn(`[Gemini API] Comment trimmed to ${result.length}/${result.maxLength} characters at a sentence boundary`);
+        });
+
+        if (fitting.length > 0 || results.length === 0) {
+            return fitting.map(result => result.text);
+        }
+
+        const shortest = results.reduce((best, result) => (result.length < best.length ? result : best));
+        const error = new Error(`Comment too long: ${shortest.length} characters, limit is ${shortest.maxLength}`);
+        error.category = 'COMMENT_TOO_LONG';
+        error.retryable = true;
+        error.length = shortest.length;
+        throw error;
+    }
+
+    /**
+     * Drop comments the output filter rejects, logging the reason codes
+     * @param {Array<string>} comments - Cleaned comments
+     * @param {Object} settings - Output filter settings
+     * @param {Object} postData - The post data
+     * @param {string} platform - Platform name
+     * @return {Promise<Array<string>>} - Comments that passed
+     * @throws {Error} - OUTPUT_REJECTED error when every comment was rejected, retryable so a new one is generated
+     */
+    async applyOutputFilter(comments, settings, postData, platform) {
+        const reasons = new Set();
+        const passed = [];
+
+        for (const comment of comments) {
+            const result = outputFilter.check(comment, settings);
+            if (result.allowed) {
+                passed.push(comment);
+                continue;
             }
+
+            result.rejectReasons.forEach(reason => reasons.add(reason));
+            await this.logOutputRejection(postData, platform, comment, result);
         }
 
-        throw lastError || new Error('All retry attempts failed');
+        if (passed.length > 0 || comments.length === 0) {
+            return passed;
+        }
+
+        const error = new Error(`Output rejected: comment failed the output filter (${[...reasons].join(', ')})`);
+        error.category = 'OUTPUT_REJECTED';
+        error.retryable = true;
+        error.reasons = [...reasons];
+        throw error;
+    }
+
+    /**
+     * Record a rejected comment in the extension log shown in the debug panel
+     * @param {Object} postData - The post data
+     * @param {string} platform - Platform name
+     * @param {string} comment - Rejected comment
+     * @param {Object} result - Output filter result
+     */
+    async logOutputRejection(postData, platform, comment, result) {
+        console.warn(`[Gemini API] Output filter rejected a comment for post ${postData.id}: ${result.rejectReasons.join(', ')}`);
+
+        try {
+            await chrome.runtime.sendMessage({
+                type: 'LOG_EVENT',
+                data: {
+                    level: 'WARN',
+                    message: `Comment rejected by output filter: ${result.rejectReasons.join(', ')}`,
+                    platform: platform.toUpperCase(),
+                    details: {
+                        postId: postData.id,
+                        reasons: result.rejectReasons,
+                        violations: result.violations,
+                        comment
+                    }
+                }
+            });
+        } catch (error) {
+            // The service worker cannot message itself, its own rejections stay in the console
+            console.warn('[Gemini API] Could not log output filter rejection:', error.message);
+        }
     }
 
     /**
@@ -240,18 +696,127 @@ class GeminiAPIService {
      * @param {Object} options - Generation options
      */
     async buildPrompt(postData, platform, options = {}) {
-        const { CommentTemplates } = await import('../prompts/comment-templates.js');
+        const { commentTemplates } = await import('../prompts/comment-templates.js');
+
+        // Custom templates live in storage and may not be registered yet after a reload
+        await commentTemplates.loadCustomTemplates();
+
+        const baseTemplate = commentTemplates.getTemplate(platform, options.style || 'engaging');
+        const persona = options.persona || await personaProfile.getProfile();
+        const replyLanguage = await this.getReplyLanguage(postData);
+
+        const prompt = commentTemplates.fillTemplate(baseTemplate, {
+            POST_CONTENT: this.getPostText(postData) || 'No content available',
+            AUTHOR_NAME: postData.author?.name || 'Author',
+            PLATFORM: platform,
+            CONTEXT: this.extractContextInfo(postData),
+            TONE: options.tone || 'professional yet friendly',
+            LENGTH: options.length || 'concise (1-2 sentences)',
+            HASHTAGS: this.getPostList(postData, 'hashtags'),
+            MENTIONS: this.getPostList(postData, 'mentions'),
+            PERSONA: personaProfile.getPersonaLine(persona),
+            LANGUAGE: replyLanguage.name
+        });
+
+        const styleGuidance = await this.buildStyleGuidance(postData, platform);
+        const topics = (await contentFilter.loadActiveProfiles()).map(profile => profile.name);
+        const sections = [
+            prompt,
+            mediaContext.formatForPrompt(postData.media, options.attachedImages || 0),
+            this.buildThreadContext(postData),
+            personaProfile.formatForPrompt(persona),
+            this.buildLanguageInstruction(replyLanguage),
+            commentLength.formatForPrompt(platform),
+            styleGuidance,
+            commentResponse.getFormatInstructions(topics)
+        ].filter(Boolean);
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Get the language to write the comment in, following the language policy
+     * @param {Object} postData - The post data
+     * @return {Promise<Object>} - { code, name }, English when the post language is unknown
+     */
+    async getReplyLanguage(postData) {
+        const policy = await contentFilter.getLanguagePolicy();
+        const { replyLanguage } = contentFilter.checkLanguagePolicy({ content: this.getPostText(postData) }, policy);
+        const code = replyLanguage || 'en';
+
+        return { code, name: languageDetector.getLanguageName(code) };
+    }
+
+    /**
+     * Build the instruction to reply in a language other than English
+     * @param {Object} replyLanguage - { code, name }
+     * @return {string} - Prompt section, empty for English since the templates are English
+     */
+    buildLanguageInstruction(replyLanguage) {
+        if (replyLanguage.code === 'en') {
+            return '';
+        }
+
+        return `LANGUAGE: The post is written in ${replyLanguage.name}. Write the comment in ${replyLanguage.name}, ` +
+            'even though these instructions are in English.';
+    }
+
+    /**
+     * Build delimited sections for the conversation around the post
+     * Each entry sits between tags so the model treats it as quoted material, not instructions
+     * @param {Object} postData - The post data, with thread { parents, quoted, comments } when extracted
+     * @return {string} - Context sections, empty when the post stands alone
+     */
+    buildThreadContext(postData) {
+        const thread = postData.thread || {};
+        const sections = [];
+
+        const formatEntries = (entries, tag) => entries
+            .filter(entry => entry?.text)
+            .map(entry => `<${tag} author="${this.sanitizeContext(entry.author || 'unknown').replace(/"/g, '')}">\n${this.sanitizeContext(entry.text)}\n</${tag}>`)
+            .join('\n');
+
+        const parents = formatEntries(thread.parents || [], 'parent');
+        if (parents) {
+            sections.push(`CONVERSATION SO FAR (oldest first, the post is a reply to the last one):\n${parents}`);
+        }
+
+        const quoted = formatEntries([thread.quoted], 'quoted');
+        if (quoted) {
+            sections.push(`QUOTED OR RESHARED POST (the post comments on this):\n${quoted}`);
+        }
+
+        const comments = formatEntries(thread.comments || [], 'comment');
+        if (comments) {
+            sections.push(`EXISTING COMMENTS (do not repeat these points, add something new):\n${comments}`);
+        }
+
+        return sections.join('\n\n');
+    }
 
-        const baseTemplate = CommentTemplates.getTemplate(platform, options.style || 'engaging');
-        const contextInfo = this.extractContextInfo(postData);
+    /**
+     * Strip angle brackets so context text cannot open or close a tag
+     * @param {string} text - Context text
+     * @return {string} - Safe text
+     */
+    sanitizeContext(text) {
+        return String(text).replace(/[<>]/g, '');
+    }
 
-        return baseTemplate
-            .replace('{POST_CONTENT}', postData.content || 'No content available')
-            .replace('{AUTHOR_NAME}', postData.author?.name || 'Author')
-            .replace('{PLATFORM}', platform)
-            .replace('{CONTEXT}', contextInfo)
-            .replace('{TONE}', options.tone || 'professional yet friendly')
-            .replace('{LENGTH}', options.length || 'concise (1-2 sentences)');
+    /**
+     * Build few-shot guidance from comments the user rewrote
+     * @param {Object} postData - The post data
+     * @param {string} platform - Platform name
+     * @return {Promise<string>} - Guidance section, empty when no examples apply
+     */
+    async buildStyleGuidance(postData, platform) {
+        try {
+            const { styleExamples } = await import('../utils/style-examples.js');
+            const examples = await styleExamples.getRelevantExamples(postData, platform);
+            return styleExamples.formatForPrompt(examples);
+        } catch (error) {
+            console.warn('[Gemini API] Style examples unavailable:', error.message);
+            return '';
+        }
     }
 
     /**
@@ -260,9 +825,10 @@ class GeminiAPIService {
      */
     extractContextInfo(postData) {
         const context = [];
+        const hashtags = this.getPostList(postData, 'hashtags');
 
-        if (postData.hashtags?.length > 0) {
-            context.push(`Hashtags: ${postData.hashtags.slice(0, 3).join(', ')}`);
+        if (hashtags.length > 0) {
+            context.push(`Hashtags: ${hashtags.slice(0, 3).join(', ')}`);
         }
 
         if (postData.engagementMetrics?.likes > 0) {
@@ -276,9 +842,28 @@ class GeminiAPIService {
         return context.join('. ') || 'Computer Science related content';
     }
 
+    /**
+     * Get post text from extractor data, which nests it under content.text, or a flat content string
+     * @param {Object} postData - The post data
+     * @return {string} - Post text
+     */
+    getPostText(postData) {
+        return typeof postData.content === 'string' ? postData.content : postData.content?.text || '';
+    }
+
+    /**
+     * Get hashtags or mentions from either post data shape
+     * @param {Object} postData - The post data
+     * @param {string} key - 'hashtags' or 'mentions'
+     * @return {Array<string>} - List, empty when missing
+     */
+    getPostList(postData, key) {
+        return postData[key] || postData.content?.[key] || [];
+    }
+
     /**
      * Clean and format the generated comment
-     * @param {string} text - Raw generated text
+     * @param {string} text - Comment field from the structured response
      */
     cleanGeneratedComment(text) {
         // Remove quotes if the entire comment is wrapped in them
@@ -293,16 +878,7 @@ class GeminiAPIService {
         cleaned = cleaned.replace(/\*(.*?)\*/g, '$1');     // Italic
         cleaned = cleaned.replace(/__(.*?)__/g, '$1');     // Underline
 
-        // Ensure proper sentence ending
-        if (cleaned && !cleaned.match(/[.!?]$/)) {
-            cleaned += '.';
-        }
-
-        // Limit length (most platforms have limits)
-        if (cleaned.length > 280) {
-            cleaned = cleaned.substring(0, 277) + '...';
-        }
-
+        // Platform length limits are applied in applyLengthLimit
         return cleaned.trim();
     }
 
@@ -319,7 +895,7 @@ class GeminiAPIService {
                 platform,
                 postId: postData.id,
                 authorName: postData.author?.name,
-                originalContent: postData.content?.substring(0, 100) + '...',
+                originalContent: this.getPostText(postData).substring(0, 100) + '...',
                 generatedComment: comment,
                 wordCount: comment.split(' ').length
             };
@@ -351,6 +927,8 @@ class GeminiAPIService {
                 new Date(log.timestamp).toDateString() === today
             );
 
+            const budget = await usageBudget.checkBudget(this.providers.activeProviderId);
+
             return {
                 totalGenerated: logs.length,
                 generatedToday: todayLogs.length,
@@ -359,64 +937,41 @@ class GeminiAPIService {
                 platformBreakdown: logs.reduce((acc, log) => {
                     acc[log.platform] = (acc[log.platform] || 0) + 1;
                     return acc;
-                }, {})
+                }, {}),
+                tokensToday: budget.usage.daily.tokens,
+                costToday: budget.usage.daily.cost
             };
         } catch (error) {
             console.error('[Gemini API] Failed to get usage stats:', error);
-            return { totalGenerated: 0, generatedToday: 0, avgWordCount: 0, platformBreakdown: {} };
+            return { totalGenerated: 0, generatedToday: 0, avgWordCount: 0, platformBreakdown: {}, tokensToday: 0, costToday: 0 };
         }
     }
 
     /**
      * Test API connection with a simple request
+     * @param {string} [providerId] - Provider to test, defaults to the active one
      */
-    async testConnection() {
-        if (!this.isApiKeyValid()) {
-            throw new Error('Valid API key is required');
+    async testConnection(providerId = null) {
+        const provider = providerId ? this.providers.getProvider(providerId) : this.providers.getActiveProvider();
+
+        if (!provider.isConfigured()) {
+            throw new Error(provider.getConfigurationError());
         }
 
         try {
-            const testPrompt = "Generate a simple 'Hello, world!' message for testing.";
-
-            const response = await fetch(`${this.baseUrl}?key=${this.apiKey}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: testPrompt
-                        }]
-                    }],
-                    generationConfig: {
-                        temperature: 0.1,
-                        maxOutputTokens: 50
-                    }
-                })
-            });
-
-            if (response.ok) {
-                console.log('[Gemini API] Connection test successful');
-                return { success: true, message: 'API connection successful' };
-            } else {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`Connection test failed: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-            }
+            await this.apiHandler.makeRequest(
+                prompt => provider.generate(prompt, { temperature: 0.1, maxOutputTokens: 10 }),
+                'Reply with the single word OK.',
+                { maxRetries: 1, useCache: false, endpoint: this.getEndpoint(provider), timeout: provider.timeout + 5000 }
+            );
+            console.log(`[Gemini API] ${provider.name} connection test successful`);
+            return { success: true, message: `${provider.name} connection successful` };
         } catch (error) {
-            console.error('[Gemini API] Connection test failed:', error);
+            console.error(`[Gemini API] ${provider.name} connection test failed:`, error);
             return { success: false, message: error.message };
         }
     }
 
-    /**
-     * Utility function for delays
-     * @param {number} ms - Milliseconds to delay
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Clear API key from storage
      */
@@ -424,6 +979,9 @@ class GeminiAPIService {
         try {
             await chrome.storage.sync.remove(['geminiApiKey']);
             this.apiKey = null;
+
+            const gemini = this.providers.getProvider('gemini');
+            gemini.configure({ ...gemini.settings, apiKey: null });
             console.log('[Gemini API] API key cleared');
         } catch (error) {
             console.error('[Gemini API] Failed to clear API key:', error);
@@ -0,0 +1,843 @@
+/**
+ * LLM Providers - Backends the comment generator can send prompts to
+ * Each provider owns its endpoint, key handling, parameter mapping,
+ * response parsing and error classification
+ *
+ * Features:
+ * - Google Gemini generateContent API
+ * - Any OpenAI-compatible /v1/chat/completions server
+ * - Text embeddings from Gemini batchEmbedContents or an OpenAI-compatible /v1/embeddings endpoint
+ * - Local Ollama or llama.cpp servers on localhost, no API key needed
+ * - Errors tagged with an ErrorHandler category and a retryable flag
+ * - Configurable Gemini safety thresholds, safety blocks reported with their categories
+ */
+
+/**
+ * Base provider with the shared request flow
+ * Subclasses implement getConfigurationError, buildRequest and parseResponse
+ */
+class LLMProvider {
+    constructor(id, name, defaults = {}) {
+        this.id = id;
+        this.name = name;
+        this.defaults = defaults;
+        this.settings = { ...defaults };
+        this.requiresApiKey = true;
+        this.supportsImages = false; // Whether buildRequest sends params.images to the model
+        this.timeout = 30000; // Abort requests that take longer than this
+    }
+
+    /**
+     * Replace provider settings, falling back to defaults for missing values
+     * @param {Object} settings - { baseUrl, model, apiKey }
+     */
+    configure(settings = {}) {
+        const defined = Object.fromEntries(
+            Object.entries(settings).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        this.settings = { ...this.defaults, ...defined };
+    }
+
+    /**
+     * Check that the provider has everything needed to send a request
+     * @return {boolean} - True when configured
+     */
+    isConfigured() {
+        return this.getConfigurationError() === null;
+    }
+
+    /**
+     * Describe what is missing from the configuration
+     * @return {string|null} - Error message, or null when configured
+     */
+    getConfigurationError() {
+        return null;
+    }
+
+    /**
+     * Map generation parameters onto the provider's request
+     * @param {string} _prompt - Prompt text
+     * @param {Object} _params - { temperature, topK, topP, maxOutputTokens, candidateCount, stopSequences, responseSchema,
+     *   images: [{ mimeType, data }] with base64 data, onUsage: called with the token usage of the response }
+     * @return {Object} - { url, init } for fetch
+     */
+    buildRequest(_prompt, _params) {
+        throw new Error(`${this.name} provider does not implement buildRequest`);
+    }
+
+    /**
+     * Extract generated texts from a successful response
+     * @param {Object} _data - Parsed response body
+     * @return {Array<string>} - Generated texts, one per candidate
+     */
+    parseResponse(_data) {
+        throw new Error(`${this.name} provider does not implement parseResponse`);
+    }
+
+    /**
+     * Extract the token counts from a successful response
+     * @param {Object} _data - Parsed response body
+     * @return {Object|null} - { promptTokens, outputTokens }, or null when the server reports none
+     */
+    parseUsage(_data) {
+        return null;
+    }
+
+    /**
+     * Map texts onto the provider's embedding request
+     * @param {Array<string>} _texts - Texts to embed
+     * @param {string} _model - Embedding model
+     * @return {Object} - { url, init } for fetch
+     */
+    buildEmbeddingRequest(_texts, _model) {
+        throw this.createError(`${this.name} provider does not support embeddings`, 'INVALID_REQUEST', false);
+    }
+
+    /**
+     * Extract embedding vectors from a successful response
+     * @param {Object} _data - Parsed response body
+     * @return {Array<Array<number>>} - One vector per text, in request order
+     */
+    parseEmbeddingResponse(_data) {
+        return [];
+    }
+
+    /**
+     * Send a prompt and return the generated texts
+     * @param {string} prompt - Prompt text
+     * @param {Object} params - Generation parameters
+     * @return {Promise<Array<string>>} - Generated texts
+     */
+    async generate(prompt, params = {}) {
+        const configurationError = this.getConfigurationError();
+        if (configurationError) {
+            throw this.createError(configurationError, 'API_KEY', false);
+        }
+
+        const data = await this.send(this.buildRequest(prompt, params));
+
+        // Tokens are billed even when no usable text comes back
+        const usage = this.parseUsage(data);
+        if (usage && params.onUsage) {
+            params.onUsage(usage);
+        }
+
+        const texts = this.parseResponse(data);
+        if (texts.length === 0) {
+            throw this.createError(`Invalid response format from ${this.name}: no generated text`, 'PARSING_ERROR', true);
+        }
+
+        return texts;
+    }
+
+    /**
+     * Embed texts with the provider's embedding model
+     * @param {Array<string>} texts - Texts to embed
+     * @param {string} [model] - Embedding model, the provider's embedding model when omitted
+     * @return {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async embed(texts, model = this.settings.embeddingModel) {
+        const configurationError = this.getConfigurationError();
+        if (configurationError) {
+            throw this.createError(configurationError, 'API_KEY', false);
+        }
+
+        const data = await this.send(this.buildEmbeddingRequest(texts, model));
+        const vectors = this.parseEmbeddingResponse(data);
+        if (vectors.length !== texts.length || vectors.some(vector => !Array.isArray(vector) || vector.length === 0)) {
+            throw this.createError(`Invalid response format from ${this.name}: expected ${texts.length} embeddings`, 'PARSING_ERROR', true);
+        }
+
+        return vectors;
+    }
+
+    /**
+     * Send a request and parse the JSON response, throwing classified errors
+     * @param {Object} request - { url, init } for fetch
+     * @return {Promise<Object>} - Parsed response body
+     */
+    async send({ url, init }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw this.createError(`Request timed out after ${this.timeout / 1000}s waiting for ${this.name}`, 'TIMEOUT_ERROR', true);
+            }
+            throw this.createError(this.describeNetworkError(error), 'NETWORK', true);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            const error = this.classifyError(response.status, body);
+            error.retryAfter = this.getRetryAfter(response.headers, body);
+            throw error;
+        }
+
+        try {
+            return await response.json();
+        } catch (_error) {
+            throw this.createError(`Invalid format: ${this.name} returned a malformed JSON response`, 'PARSING_ERROR', true);
+        }
+    }
+
+    /**
+     * Turn an HTTP error response into a classified error
+     * Messages are worded so ErrorHandler's patterns pick the same category
+     * @param {number} status - HTTP status
+     * @param {Object} body - Parsed error body
+     * @return {Error} - Error with category, retryable, status and provider set
+     */
+    classifyError(status, body) {
+        const detail = this.getErrorDetail(body) || 'Unknown error';
+
+        if (status === 401 || status === 403) {
+            return this.createError(`Unauthorized: invalid API key for ${this.name} (${status}) - ${detail}`, 'API_KEY', false, status);
+        }
+
+        if (status === 429) {
+            return this.createError(`Rate limit reached for ${this.name} (${status}) - ${detail}`, 'QUOTA_EXCEEDED', true, status);
+        }
+
+        if (status === 408 || status === 504) {
+            return this.createError(`Request timed out at ${this.name} (${status}) - ${detail}`, 'TIMEOUT_ERROR', true, status);
+        }
+
+        if (status >= 500) {
+            return this.createError(`${this.name} server error (${status}) - ${detail}`, 'SERVER_ERROR', true, status);
+        }
+
+        return this.createError(`${this.name} rejected the request (${status}) - ${detail}`, 'INVALID_REQUEST', false, status);
+    }
+
+    /**
+     * Read how long the server asked to wait before the next request
+     * @param {Headers} headers - Response headers
+     * @param {Object} body - Parsed error body
+     * @return {number|null} - Milliseconds, or null when the server did not say
+     */
+    getRetryAfter(headers, body) {
+        const header = headers?.get?.('retry-after');
+        if (header) {
+            const seconds = Number(header);
+            const date = Date.parse(header);
+            if (Number.isFinite(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+            if (Number.isFinite(date)) {
+                return Math.max(0, date - Date.now());
+            }
+        }
+
+        // Google APIs put it in a RetryInfo detail instead, e.g. { retryDelay: '17s' }
+        const retryInfo = (body?.error?.details || []).find(detail => /RetryInfo$/.test(detail?.['@type'] || ''));
+        const delay = parseFloat(retryInfo?.retryDelay);
+        return Number.isFinite(delay) ? delay * 1000 : null;
+    }
+
+    /**
+     * Pull the error message out of an error body
+     * @param {Object} body - Parsed error body
+     * @return {string|null} - Message
+     */
+    getErrorDetail(body) {
+        if (typeof body?.error === 'string') {
+            return body.error;
+        }
+        return body?.error?.message || body?.message || null;
+    }
+
+    /**
+     * Describe a request that never reached the server
+     * @param {Error} error - fetch error
+     * @return {string} - Message
+     */
+    describeNetworkError(error) {
+        return `Network error: fetch failed for ${this.name} - ${error.message}`;
+    }
+
+    /**
+     * Create a classified error
+     * @param {string} message - Error message
+     * @param {string} category - ErrorHandler category, or INVALID_REQUEST/SERVER_ERROR
+     * @param {boolean} retryable - Whether retrying can help
+     * @param {number} [status] - HTTP status
+     * @return {Error} - Error with classification fields
+     */
+    createError(message, category, retryable, status = null) {
+        const error = new Error(message);
+        error.category = category;
+        error.retryable = retryable;
+        error.status = status;
+        error.provider = this.id;
+        return error;
+    }
+
+    /**
+     * Join a base URL and a path without doubling slashes
+     * @param {string} path - Path starting with '/'
+     * @return {string} - Full URL
+     */
+    getUrl(path) {
+        return `${(this.settings.baseUrl || '').replace(/\/+$/, '')}${path}`;
+    }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiProvider extends LLMProvider {
+    constructor() {
+        super('gemini', 'Gemini', {
+            baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+            model: 'gemini-2.5-flash-lite',
+            embeddingModel: 'text-embedding-004',
+            apiKey: null,
+            safety: {
+                HARM_CATEGORY_HARASSMENT: 'BLOCK_MEDIUM_AND_ABOVE',
+                HARM_CATEGORY_HATE_SPEECH: 'BLOCK_MEDIUM_AND_ABOVE',
+                HARM_CATEGORY_SEXUALLY_EXPLICIT: 'BLOCK_MEDIUM_AND_ABOVE',
+                HARM_CATEGORY_DANGEROUS_CONTENT: 'BLOCK_MEDIUM_AND_ABOVE'
+            }
+        });
+
+        // Lowest harm probability each threshold blocks, BLOCK_NONE blocks nothing
+        this.safetyThresholds = {
+            BLOCK_NONE: null,
+            BLOCK_ONLY_HIGH: 'HIGH',
+            BLOCK_MEDIUM_AND_ABOVE: 'MEDIUM',
+            BLOCK_LOW_AND_ABOVE: 'LOW'
+        };
+        this.probabilities = ['NEGLIGIBLE', 'LOW', 'MEDIUM', 'HIGH'];
+
+        // Finish reasons that come back the same for the same prompt
+        this.safetyReasons = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY'];
+
+        this.supportsImages = true;
+    }
+
+    configure(settings = {}) {
+        super.configure(settings);
+        this.settings.safety = this.normalizeSafety(this.settings.safety);
+    }
+
+    /**
+     * Fill in default thresholds and drop unknown categories or thresholds
+     * @param {Object} safety - { HARM_CATEGORY_*: threshold }
+     * @return {Object} - Threshold for every category
+     */
+    normalizeSafety(safety) {
+        return Object.fromEntries(Object.entries(this.defaults.safety).map(([category, threshold]) => {
+            const value = safety?.[category];
+            return [category, Object.prototype.hasOwnProperty.call(this.safetyThresholds, value) ? value : threshold];
+        }));
+    }
+
+    /**
+     * Build the safetySettings sent with every request
+     * @return {Array<Object>} - [{ category, threshold }]
+     */
+    getSafetySettings() {
+        return Object.entries(this.settings.safety).map(([category, threshold]) => ({ category, threshold }));
+    }
+
+    getConfigurationError() {
+        const { apiKey } = this.settings;
+        if (!apiKey || typeof apiKey !== 'string' || apiKey.length <= 20 || !apiKey.startsWith('AIza')) {
+            return 'Valid API key is required. Please set your Gemini API key in the popup.';
+        }
+        return null;
+    }
+
+    buildRequest(prompt, params) {
+        const generationConfig = {
+            temperature: params.temperature ?? 0.7,
+            topK: params.topK ?? 40,
+            topP: params.topP ?? 0.95,
+            maxOutputTokens: params.maxOutputTokens ?? 200,
+            candidateCount: params.candidateCount || 1,
+            stopSequences: params.stopSequences || []
+        };
+
+        if (params.responseSchema) {
+            generationConfig.responseMimeType = 'application/json';
+            generationConfig.responseSchema = this.toGeminiSchema(params.responseSchema);
+        }
+
+        const parts = [
+            { text: prompt },
+            ...(params.images || []).map(image => ({ inline_data: { mime_type: image.mimeType, data: image.data } }))
+        ];
+
+        return {
+            url: `${this.getUrl(`/models/${this.settings.model}:generateContent`)}?key=${this.settings.apiKey}`,
+            init: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    contents: [{ parts }],
+                    generationConfig,
+                    safetySettings: this.getSafetySettings()
+                })
+            }
+        };
+    }
+
+    buildEmbeddingRequest(texts, model) {
+        return {
+            url: `${this.getUrl(`/models/${model}:batchEmbedContents`)}?key=${this.settings.apiKey}`,
+            init: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] } }))
+                })
+            }
+        };
+    }
+
+    parseEmbeddingResponse(data) {
+        return (data.embeddings || []).map(embedding => embedding.values);
+    }
+
+    /**
+     * Convert a JSON schema to Gemini's OpenAPI subset
+     * Gemini uses upper-case type names and rejects additionalProperties
+     * @param {Object} schema - JSON schema
+     * @return {Object} - Gemini response schema
+     */
+    toGeminiSchema(schema) {
+        const converted = { ...schema, type: schema.type.toUpperCase() };
+        delete converted.additionalProperties;
+
+        if (schema.properties) {
+            converted.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([name, property]) => [name, this.toGeminiSchema(property)])
+            );
+            converted.propertyOrdering = Object.keys(schema.properties);
+        }
+
+        if (schema.items) {
+            converted.items = this.toGeminiSchema(schema.items);
+        }
+
+        return converted;
+    }
+
+    parseResponse(data) {
+        const feedback = data.promptFeedback;
+        if (feedback?.blockReason) {
+            throw this.createSafetyError('prompt', feedback.blockReason, feedback.safetyRatings);
+        }
+
+        const candidates = data.candidates || [];
+        const texts = candidates
+            .map(candidate => (candidate.content?.parts || [])
+                .filter(part => !part.thought && typeof part.text === 'string')
+                .map(part => part.text)
+                .join(''))
+            .filter(text => text.trim());
+
+        if (texts.length > 0) {
+            return texts;
+        }
+
+        const blocked = candidates.find(candidate => this.safetyReasons.includes(candidate.finishReason));
+        if (blocked) {
+            throw this.createSafetyError('response', blocked.finishReason, blocked.safetyRatings);
+        }
+
+        // Nothing blocked, the next attempt may well produce text
+        const reasons = [...new Set(candidates.map(candidate => candidate.finishReason).filter(Boolean))];
+        throw this.createError(
+            `Invalid response format from Gemini: no generated text (${reasons.join(', ') || 'no candidates'})`,
+            'PARSING_ERROR',
+            true
+        );
+    }
+
+    /**
+     * Create the error for a prompt or response Gemini blocked
+     * A block repeats for the same prompt, so it is never retried
+     * @param {string} source - 'prompt' or 'response'
+     * @param {string} reason - blockReason or finishReason
+     * @param {Array<Object>} ratings - safetyRatings [{ category, probability, blocked }]
+     * @return {Error} - CONTENT_BLOCKED error with safety { source, reason, categories }
+     */
+    createSafetyError(source, reason, ratings) {
+        const categories = this.getBlockedCategories(ratings);
+        const detail = categories.length > 0 ? `${reason}: ${categories.join(', ')}` : reason;
+        const message = source === 'prompt'
+            ? `Blocked content: Gemini refused the prompt (${detail})`
+            : `Blocked content: Gemini safety filters stopped the response (${detail})`;
+
+        const error = this.createError(message, 'CONTENT_BLOCKED', false);
+        error.safety = { source, reason, categories };
+        return error;
+    }
+
+    /**
+     * Find the harm categories behind a block
+     * @param {Array<Object>} ratings - safetyRatings [{ category, probability, blocked }]
+     * @return {Array<string>} - Category names such as 'harassment', those marked blocked or over their threshold
+     */
+    getBlockedCategories(ratings) {
+        const list = Array.isArray(ratings) ? ratings : [];
+        const marked = list.filter(rating => rating.blocked);
+
+        const triggered = marked.length > 0 ? marked : list.filter(rating => {
+            const minimum = this.safetyThresholds[this.settings.safety[rating.category]];
+            return minimum && this.probabilities.indexOf(rating.probability) >= this.probabilities.indexOf(minimum);
+        });
+
+        return triggered.map(rating => String(rating.category).replace(/^HARM_CATEGORY_/, '').toLowerCase());
+    }
+
+    parseUsage(data) {
+        const metadata = data.usageMetadata;
+        if (!metadata) {
+            return null;
+        }
+
+        // Thinking models bill their thoughts as output tokens
+        return {
+            promptTokens: metadata.promptTokenCount || 0,
+            outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0)
+        };
+    }
+
+    classifyError(status, body) {
+        // Gemini reports a bad key as 400 INVALID_ARGUMENT rather than 401
+        const detail = this.getErrorDetail(body) || '';
+        if (status === 400 && /api key/i.test(detail)) {
+            return this.createError(`Invalid API key for Gemini (${status}) - ${detail}`, 'API_KEY', false, status);
+        }
+
+        return super.classifyError(status, body);
+    }
+}
+
+/**
+ * Any server implementing the OpenAI /v1/chat/completions API
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(id = 'openai', name = 'OpenAI-compatible server', defaults = {
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        embeddingModel: 'text-embedding-3-small',
+        apiKey: null
+    }) {
+        super(id, name, defaults);
+        this.supportsImages = true;
+    }
+
+    getConfigurationError() {
+        if (!this.settings.baseUrl || !/^https?:\/\//.test(this.settings.baseUrl)) {
+            return `A base URL starting with http:// or https:// is required for the ${this.name}.`;
+        }
+        if (!this.settings.model) {
+            return `A model name is required for the ${this.name}.`;
+        }
+        if (this.requiresApiKey && !this.settings.apiKey) {
+            return `Valid API key is required. Please set the API key for the ${this.name} in Settings.`;
+        }
+        return null;
+    }
+
+    buildRequest(prompt, params) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.settings.apiKey) {
+            headers.Authorization = `Bearer ${this.settings.apiKey}`;
+        }
+
+        // Images go in a content array of parts, a plain string otherwise for servers without vision support
+        const images = this.supportsImages ? params.images || [] : [];
+        const content = images.length === 0 ? prompt : [
+            { type: 'text', text: prompt },
+            ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+        ];
+
+        const body = {
+            model: this.settings.model,
+            messages: [{ role: 'user', content }],
+            temperature: params.temperature ?? 0.7,
+            top_p: params.topP ?? 0.95,
+            max_tokens: params.maxOutputTokens ?? 200,
+            n: params.candidateCount || 1
+        };
+
+        if (params.stopSequences && params.stopSequences.length > 0) {
+            body.stop = params.stopSequences;
+        }
+
+        // Ollama and llama.cpp accept the same structured output format
+        if (params.responseSchema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', strict: true, schema: params.responseSchema }
+            };
+        }
+
+        return {
+            url: this.getUrl('/chat/completions'),
+            init: { method: 'POST', headers, body: JSON.stringify(body) }
+        };
+    }
+
+    buildEmbeddingRequest(texts, model) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.settings.apiKey) {
+            headers.Authorization = `Bearer ${this.settings.apiKey}`;
+        }
+
+        return {
+            url: this.getUrl('/embeddings'),
+            init: { method: 'POST', headers, body: JSON.stringify({ model, input: texts }) }
+        };
+    }
+
+    parseEmbeddingResponse(data) {
+        return [...(data.data || [])]
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => item.embedding);
+    }
+
+    parseResponse(data) {
+        const choices = data.choices || [];
+        const texts = choices
+            .map(choice => choice.message?.content)
+            .filter(text => typeof text === 'string' && text.trim());
+
+        if (texts.length === 0 && choices.some(choice => choice.finish_reason === 'content_filter')) {
+            const error = this.createError(`Blocked content: ${this.name} content filter stopped the response`, 'CONTENT_BLOCKED', false);
+            error.safety = { source: 'response', reason: 'content_filter', categories: [] };
+            throw error;
+        }
+
+        return texts;
+    }
+
+    parseUsage(data) {
+        if (!data.usage) {
+            return null;
+        }
+
+        return {
+            promptTokens: data.usage.prompt_tokens || 0,
+            outputTokens: data.usage.completion_tokens || 0
+        };
+    }
+
+    classifyError(status, body) {
+        // Running out of credit also comes back as 429, but waiting will not fix it
+        if (status === 429 && body?.error?.code === 'insufficient_quota') {
+            return this.createError(`Quota exceeded for ${this.name} (${status}) - ${this.getErrorDetail(body)}`, 'QUOTA_EXCEEDED', false, status);
+        }
+
+        return super.classifyError(status, body);
+    }
+}
+
+/**
+ * Ollama or llama.cpp server on this machine, through their OpenAI-compatible endpoint
+ */
+class LocalProvider extends OpenAICompatibleProvider {
+    constructor() {
+        super('local', 'local model server', {
+            baseUrl: 'http://localhost:11434/v1',
+            model: 'llama3.2',
+            embeddingModel: 'nomic-embed-text',
+            apiKey: null
+        });
+
+        this.requiresApiKey = false;
+        this.supportsImages = false; // Most local models are text-only and reject image parts
+        this.timeout = 120000; // Local models on a laptop CPU can be slow
+        this.localHosts = ['localhost', '127.0.0.1', '[::1]'];
+    }
+
+    getConfigurationError() {
+        const error = super.getConfigurationError();
+        if (error) {
+            return error;
+        }
+
+        let hostname = '';
+        try {
+            hostname = new URL(this.settings.baseUrl).hostname;
+        } catch (_error) {
+            return `The local model server URL is not valid: ${this.settings.baseUrl}`;
+        }
+
+        if (!this.localHosts.includes(hostname)) {
+            return 'The local model server URL must point to localhost or 127.0.0.1.';
+        }
+        return null;
+    }
+
+    buildRequest(prompt, params) {
+        const request = super.buildRequest(prompt, params);
+        const body = JSON.parse(request.init.body);
+
+        // Both Ollama and llama.cpp accept top_k alongside the OpenAI parameters
+        body.top_k = params.topK ?? 40;
+        request.init.body = JSON.stringify(body);
+
+        return request;
+    }
+
+    classifyError(status, body) {
+        if (status === 404) {
+            return this.createError(
+                `Model '${this.settings.model}' not found on the local model server (${status}) - pull it first, e.g. ollama pull ${this.settings.model}`,
+                'INVALID_REQUEST', false, status
+            );
+        }
+
+        return super.classifyError(status, body);
+    }
+
+    describeNetworkError(error) {
+        return `Network error: connection refused at ${this.settings.baseUrl}. Is Ollama or llama.cpp running? (${error.message})`;
+    }
+}
+
+/**
+ * Holds the providers and which one is active
+ */
+class LLMProviderRegistry {
+    constructor() {
+        this.providers = {
+            gemini: new GeminiProvider(),
+            openai: new OpenAICompatibleProvider(),
+            local: new LocalProvider()
+        };
+
+        this.defaultProviderId = 'gemini';
+        this.activeProviderId = this.defaultProviderId;
+
+        // Gemini keeps its original key so existing installs keep working
+        this.storageKeys = {
+            provider: 'llmProvider',
+            settings: 'providerSettings',
+            geminiApiKey: 'geminiApiKey'
+        };
+    }
+
+    /**
+     * Load the active provider and provider settings from storage
+     * @return {Promise<Object>} - The active provider
+     */
+    async loadSettings() {
+        try {
+            const result = await chrome.storage.sync.get(Object.values(this.storageKeys));
+            const settings = result[this.storageKeys.settings] || {};
+
+            this.providers.gemini.configure({ ...settings.gemini, apiKey: result[this.storageKeys.geminiApiKey] });
+            this.providers.openai.configure(settings.openai);
+            this.providers.local.configure(settings.local);
+
+            const providerId = result[this.storageKeys.provider];
+            this.activeProviderId = this.providers[providerId] ? providerId : this.defaultProviderId;
+        } catch (error) {
+            console.error('[LLM Providers] Failed to load provider settings:', error);
+        }
+
+        return this.getActiveProvider();
+    }
+
+    /**
+     * Save settings for a provider and make it the active one
+     * A blank API key keeps the stored key
+     * @param {string} providerId - 'gemini', 'openai' or 'local'
+     * @param {Object} providerSettings - { baseUrl, model, apiKey }, Gemini also takes safety { HARM_CATEGORY_*: threshold }
+     * @return {Promise<Object>} - The configured provider
+     */
+    async saveSettings(providerId, providerSettings = {}) {
+        const provider = this.getProvider(providerId);
+        const result = await chrome.storage.sync.get([this.storageKeys.settings, this.storageKeys.geminiApiKey]);
+        const settings = result[this.storageKeys.settings] || {};
+
+        const { apiKey, ...rest } = providerSettings;
+        const existingKey = providerId === 'gemini' ? result[this.storageKeys.geminiApiKey] : settings[providerId]?.apiKey;
+        const next = { ...rest, apiKey: apiKey ? apiKey.trim() : existingKey || null };
+
+        provider.configure(next);
+        const configurationError = provider.getConfigurationError();
+        if (configurationError) {
+            throw new Error(configurationError);
+        }
+
+        const updates = {
+            [this.storageKeys.provider]: providerId,
+            [this.storageKeys.settings]: {
+                ...settings,
+                [providerId]: providerId === 'gemini' ? { ...rest, safety: provider.settings.safety } : next
+            }
+        };
+
+        if (providerId === 'gemini') {
+            updates[this.storageKeys.geminiApiKey] = next.apiKey;
+        }
+
+        await chrome.storage.sync.set(updates);
+        this.activeProviderId = providerId;
+
+        console.log(`[LLM Providers] Active provider set to ${provider.name}`);
+        return provider;
+    }
+
+    /**
+     * Get provider settings for display, with API keys masked
+     * @return {Promise<Object>} - { provider, providers }
+     */
+    async getSettings() {
+        await this.loadSettings();
+
+        const providers = {};
+        Object.values(this.providers).forEach(provider => {
+            const { apiKey, ...rest } = provider.settings;
+            providers[provider.id] = {
+                ...rest,
+                name: provider.name,
+                requiresApiKey: provider.requiresApiKey,
+                hasApiKey: Boolean(apiKey),
+                apiKeyPreview: apiKey ? `••••${apiKey.slice(-4)}` : '',
+                defaults: { baseUrl: provider.defaults.baseUrl, model: provider.defaults.model }
+            };
+        });
+
+        return { provider: this.activeProviderId, providers };
+    }
+
+    /**
+     * Get a provider by ID
+     * @param {string} providerId - Provider ID
+     * @return {Object} - Provider
+     */
+    getProvider(providerId) {
+        const provider = this.providers[providerId];
+        if (!provider) {
+            throw new Error(`Unknown LLM provider: ${providerId}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Get the provider used for generation
+     * @return {Object} - Provider
+     */
+    getActiveProvider() {
+        return this.providers[this.activeProviderId];
+    }
+}
+
+// Create singleton instance
+const llmProviders = new LLMProviderRegistry();
+
+export { LLMProvider, GeminiProvider, OpenAICompatibleProvider, LocalProvider, LLMProviderRegistry, llmProviders };
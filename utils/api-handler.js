@@ -8,32 +8,52 @@
  * - Error classification and handling
  * - API health monitoring
  * - Rate limiting compliance
+ * - Per-endpoint request spacing and Retry-After waits shared by every extension page and tab
+ * - Health shared through storage so the popup and service worker see the same status
+ * - Pages and tabs send their slot and health updates to the service worker, which writes them one at a time
  */
 
 class APIHandler {
     constructor() {
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-        this.healthStatus = {
-            isHealthy: true,
-            lastCheck: null,
-            errorCount: 0,
-            successCount: 0
-        };
+        this.healthStatus = this.createHealthStatus();
         this.errorPatterns = {
             QUOTA_EXCEEDED: /quota.*exceeded|rate.*limit/i,
             INVALID_KEY: /invalid.*key|unauthorized/i,
             NETWORK_ERROR: /network.*error|fetch.*failed/i,
             SERVER_ERROR: /server.*error|internal.*error/i,
-            CONTENT_BLOCKED: /blocked.*content|safety.*violation/i
+            CONTENT_BLOCKED: /blocked.*content|safety.*violation/i,
+            TIMEOUT_ERROR: /timeout|timed out/i
+        };
+
+        this.config = {
+            minInterval: 1000,            // Spacing between requests to one endpoint
+            maxRetryAfter: 60 * 1000,     // Longer Retry-After waits fail the request instead of holding it
+            healthWindow: 50,             // Counts are halved past this many requests so old results fade
+            unhealthyErrorRate: 0.5
+        };
+
+        // Errors that say the API itself is failing, as opposed to a comment the pipeline threw away
+        this.failureTypes = [
+            'API_KEY', 'INVALID_KEY', 'QUOTA_EXCEEDED', 'NETWORK', 'NETWORK_ERROR', 'TIMEOUT_ERROR', 'SERVER_ERROR'
+        ];
+
+        this.storageKeys = {
+            health: 'apiHealth',        // chrome.storage.local
+            endpoints: 'apiEndpoints'   // chrome.storage.local, { endpoint: { nextRequestAt, blockedUntil } }
         };
+
+        // Every page and tab has its own instance, only the service worker writes the state they share
+        this.endpoints = {};
+        this.writeQueue = Promise.resolve();
     }
 
     /**
      * Make an API request with comprehensive error handling
      * @param {Function} apiCall - The API function to call
      * @param {Object} params - Parameters for the API call
-     * @param {Object} options - Request options (retries, timeout, cache)
+     * @param {Object} options - Request options (retries, timeout, cache, endpoint to space requests for)
      */
     async makeRequest(apiCall, params, options = {}) {
         const {
@@ -41,7 +61,9 @@ class APIHandler {
             timeout = 30000,
             useCache = true,
             cacheKey = null,
-            retryDelay = 1000
+            retryDelay = 1000,
+            endpoint = null,
+            minInterval = this.config.minInterval
         } = options;
 
         // Check cache first
@@ -59,12 +81,18 @@ class APIHandler {
         while (attempt < maxRetries) {
             attempt++;
 
+            let timer = null;
+
             try {
-                console.log(`[API Handler] Attempt ${attempt}/${maxRetries}`);
+                if (endpoint) {
+                    await this.waitForEndpoint(endpoint, minInterval);
+                }
+
+                console.log(`[API Handler] Attempt ${attempt}/${maxRetries}${endpoint ? ` to ${endpoint}` : ''}`);
 
                 // Create timeout promise
                 const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => reject(new Error('Request timeout')), timeout);
+                    timer = setTimeout(() => reject(new Error('Request timeout')), timeout);
                 });
 
                 // Race between API call and timeout
@@ -74,7 +102,7 @@ class APIHandler {
                 ]);
 
                 // Success - update health status and cache
-                this.updateHealthStatus(true);
+                await this.updateHealthStatus(true);
 
                 if (useCache && cacheKey) {
                     this.setCache(cacheKey, result);
@@ -84,13 +112,28 @@ class APIHandler {
 
             } catch (error) {
                 lastError = error;
-                this.updateHealthStatus(false);
 
                 const errorType = this.classifyError(error);
+                // A response thrown away after the call, such as a rejected comment, is neither a success nor a failure
+                if (this.isApiFailure(error, errorType)) {
+                    await this.updateHealthStatus(false, error);
+                }
                 console.error(`[API Handler] Attempt ${attempt} failed - ${errorType}:`, error.message);
 
+                // A rate limit holds every caller of the endpoint, the next attempt waits for it to pass
+                if (endpoint && (error.status === 429 || errorType === 'QUOTA_EXCEEDED')) {
+                    const wait = error.retryAfter ?? retryDelay * Math.pow(2, attempt - 1);
+                    await this.blockEndpoint(endpoint, wait);
+
+                    if (wait > this.config.maxRetryAfter) {
+                        console.error(`[API Handler] ${endpoint} asks to wait ${Math.round(wait / 1000)}s, stopping attempts`);
+                        break;
+                    }
+                    continue;
+                }
+
                 // Don't retry for certain error types
-                if (this.shouldNotRetry(errorType)) {
+                if (error.retryable === false || this.shouldNotRetry(errorType)) {
                     console.error('[API Handler] Non-retryable error, stopping attempts');
                     break;
                 }
@@ -101,6 +144,8 @@ class APIHandler {
                     console.log(`[API Handler] Waiting ${delay}ms before retry...`);
                     await this.delay(delay);
                 }
+            } finally {
+                clearTimeout(timer);
             }
         }
 
@@ -147,6 +192,8 @@ class APIHandler {
         const errorType = this.classifyError(originalError);
         const enhancedError = new Error(originalError.message);
 
+        // Keep the category, retryable flag and details callers decide on
+        Object.assign(enhancedError, originalError);
         enhancedError.type = errorType;
         enhancedError.attempts = attempts;
         enhancedError.timestamp = Date.now();
@@ -187,29 +234,228 @@ class APIHandler {
         return enhancedError;
     }
 
+    /**
+     * Check whether an error means the API is failing rather than a usable response being thrown away
+     * @param {Error} error - The error
+     * @param {string} errorType - The classified error type
+     * @return {boolean} - True when the error counts against API health
+     */
+    isApiFailure(error, errorType) {
+        return this.failureTypes.includes(error.category || errorType);
+    }
+
     /**
      * Update health status tracking
      * @param {boolean} success - Whether the request was successful
+     * @param {Error} [error] - The error of a failed request
+     * @return {Promise<void>}
+     */
+    async updateHealthStatus(success, error = null) {
+        if (!this.isServiceWorker()) {
+            await this.requestUpdate({
+                type: 'UPDATE_API_HEALTH',
+                success,
+                error: error && { message: error.message, category: error.category || null }
+            });
+            return;
+        }
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            const status = await this.loadHealthStatus();
+            status.lastCheck = Date.now();
+
+            if (success) {
+                status.successCount++;
+
+                // Reset error count on success
+                if (status.errorCount > 0) {
+                    status.errorCount = Math.max(0, status.errorCount - 1);
+                }
+            } else {
+                status.errorCount++;
+                status.lastError = { message: error?.message || 'Unknown error', category: error?.category || null, at: status.lastCheck };
+            }
+
+            if (status.successCount + status.errorCount > this.config.healthWindow) {
+                status.successCount = Math.floor(status.successCount / 2);
+                status.errorCount = Math.floor(status.errorCount / 2);
+            }
+
+            // Update health status based on recent performance
+            const totalRequests = status.successCount + status.errorCount;
+            const errorRate = totalRequests > 0 ? status.errorCount / totalRequests : 0;
+
+            status.isHealthy = errorRate < this.config.unhealthyErrorRate;
+            await this.saveHealthStatus(status);
+        });
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Load the health status shared by every extension page
+     * @return {Promise<Object>} - { isHealthy, lastCheck, errorCount, successCount, lastError }
+     */
+    async loadHealthStatus() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKeys.health]);
+            return { ...this.createHealthStatus(), ...result[this.storageKeys.health] };
+        } catch (error) {
+            console.error('[API Handler] Error loading health status:', error);
+            return { ...this.healthStatus };
+        }
+    }
+
+    /**
+     * Save the shared health status
+     * @param {Object} status - Health status
+     * @return {Promise<void>}
+     */
+    async saveHealthStatus(status) {
+        this.healthStatus = status;
+
+        try {
+            await chrome.storage.local.set({ [this.storageKeys.health]: status });
+        } catch (error) {
+            console.error('[API Handler] Error saving health status:', error);
+        }
+    }
+
+    /**
+     * Create an empty health status
+     * @return {Object} - { isHealthy, lastCheck, errorCount, successCount, lastError }
+     */
+    createHealthStatus() {
+        return {
+            isHealthy: true,
+            lastCheck: null,
+            errorCount: 0,
+            successCount: 0,
+            lastError: null
+        };
+    }
+
+    /**
+     * Wait for a turn at an endpoint and book the next one
+     * @param {string} endpoint - Endpoint key, e.g. 'gemini:gemini-2.5-flash-lite'
+     * @param {number} minInterval - Spacing between requests in milliseconds
+     * @return {Promise<void>}
+     */
+    async waitForEndpoint(endpoint, minInterval) {
+        const wait = this.isServiceWorker()
+            ? await this.reserveEndpoint(endpoint, minInterval)
+            : (await this.requestUpdate({ type: 'RESERVE_API_ENDPOINT', endpoint, minInterval }))?.wait || 0;
+
+        if (wait > 0) {
+            console.log(`[API Handler] Waiting ${wait}ms for ${endpoint}`);
+            await this.delay(wait);
+        }
+    }
+
+    /**
+     * Book the next request slot at an endpoint
+     * @param {string} endpoint - Endpoint key
+     * @param {number} minInterval - Spacing between requests in milliseconds
+     * @return {Promise<number>} - How long to wait before the booked slot in milliseconds
+     */
+    async reserveEndpoint(endpoint, minInterval) {
+        let wait = 0;
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            const endpoints = await this.loadEndpoints();
+            const now = Date.now();
+            const state = endpoints[endpoint] || { nextRequestAt: 0, blockedUntil: 0 };
+            const start = Math.max(now, state.nextRequestAt, state.blockedUntil);
+
+            endpoints[endpoint] = { ...state, nextRequestAt: start + minInterval };
+            await this.saveEndpoints(endpoints);
+            wait = start - now;
+        });
+        await this.writeQueue;
+
+        return wait;
+    }
+
+    /**
+     * Hold every request to an endpoint after a rate limit
+     * @param {string} endpoint - Endpoint key
+     * @param {number} ms - How long the endpoint asked to wait
+     * @return {Promise<void>}
      */
-    updateHealthStatus(success) {
-        this.healthStatus.lastCheck = Date.now();
+    async blockEndpoint(endpoint, ms) {
+        if (!this.isServiceWorker()) {
+            await this.requestUpdate({ type: 'BLOCK_API_ENDPOINT', endpoint, ms });
+            return;
+        }
 
-        if (success) {
-            this.healthStatus.successCount++;
+        this.writeQueue = this.writeQueue.then(async () => {
+            const endpoints = await this.loadEndpoints();
+            const state = endpoints[endpoint] || { nextRequestAt: 0, blockedUntil: 0 };
+
+            endpoints[endpoint] = { ...state, blockedUntil: Math.max(state.blockedUntil, Date.now() + ms) };
+            await this.saveEndpoints(endpoints);
+            console.warn(`[API Handler] ${endpoint} rate limited for ${Math.round(ms / 1000)}s`);
+        });
 
-            // Reset error count on success
-            if (this.healthStatus.errorCount > 0) {
-                this.healthStatus.errorCount = Math.max(0, this.healthStatus.errorCount - 1);
+        return this.writeQueue;
+    }
+
+    /**
+     * Check whether this instance owns the shared state, the service worker is the only context without a window
+     * @return {boolean} - True in the service worker
+     */
+    isServiceWorker() {
+        return typeof window === 'undefined';
+    }
+
+    /**
+     * Ask the service worker to apply a slot or health update
+     * @param {Object} message - Runtime message
+     * @return {Promise<Object|null>} - Response data, null when the service worker could not be reached
+     */
+    async requestUpdate(message) {
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response?.success) {
+                throw new Error(response?.error || 'No response from service worker');
             }
-        } else {
-            this.healthStatus.errorCount++;
+            return response.data;
+        } catch (error) {
+            // Spacing and health are bookkeeping, a request never fails over them
+            console.error(`[API Handler] ${message.type} failed:`, error.message);
+            return null;
         }
+    }
 
-        // Update health status based on recent performance
-        const totalRequests = this.healthStatus.successCount + this.healthStatus.errorCount;
-        const errorRate = totalRequests > 0 ? this.healthStatus.errorCount / totalRequests : 0;
+    /**
+     * Load the request slots of every endpoint
+     * @return {Promise<Object>} - { endpoint: { nextRequestAt, blockedUntil } }
+     */
+    async loadEndpoints() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKeys.endpoints]);
+            return result[this.storageKeys.endpoints] || {};
+        } catch (error) {
+            console.error('[API Handler] Error loading endpoint state:', error);
+            return { ...this.endpoints };
+        }
+    }
 
-        this.healthStatus.isHealthy = errorRate < 0.5; // Healthy if error rate < 50%
+    /**
+     * Save the request slots, dropping endpoints with nothing pending
+     * @param {Object} endpoints - { endpoint: { nextRequestAt, blockedUntil } }
+     * @return {Promise<void>}
+     */
+    async saveEndpoints(endpoints) {
+        const now = Date.now();
+        this.endpoints = Object.fromEntries(Object.entries(endpoints)
+            .filter(([, state]) => Math.max(state.nextRequestAt, state.blockedUntil) > now));
+
+        try {
+            await chrome.storage.local.set({ [this.storageKeys.endpoints]: this.endpoints });
+        } catch (error) {
+            console.error('[API Handler] Error saving endpoint state:', error);
+        }
     }
 
     /**
@@ -252,14 +498,18 @@ class APIHandler {
     /**
      * Generate cache key for API requests
      * @param {string} endpoint - API endpoint
-     * @param {Object} params - Request parameters
+     * @param {Object} params - Request parameters, the post and the template settings that shape the output
      */
     generateCacheKey(endpoint, params) {
         const relevantParams = {
+            postId: params.postId,
             content: params.content?.substring(0, 100), // First 100 chars
             platform: params.platform,
             style: params.style,
-            tone: params.tone
+            tone: params.tone,
+            length: params.length,
+            temperature: params.temperature,
+            candidateCount: params.candidateCount
         };
 
         return `${endpoint}_${JSON.stringify(relevantParams)}`;
@@ -298,14 +548,22 @@ class APIHandler {
     }
 
     /**
-     * Get health status
+     * Get health status shared by every extension page
+     * @return {Promise<Object>} - Health status with lastCheckAgo, errorRate and the rate-limited endpoints
+     *   { endpoint: blockedUntil }
      */
-    getHealthStatus() {
+    async getHealthStatus() {
+        const [status, endpoints] = await Promise.all([this.loadHealthStatus(), this.loadEndpoints()]);
+        const now = Date.now();
+
         return {
-            ...this.healthStatus,
-            lastCheckAgo: this.healthStatus.lastCheck ? Date.now() - this.healthStatus.lastCheck : null,
-            errorRate: this.healthStatus.successCount + this.healthStatus.errorCount > 0 ?
-                this.healthStatus.errorCount / (this.healthStatus.successCount + this.healthStatus.errorCount) : 0
+            ...status,
+            lastCheckAgo: status.lastCheck ? now - status.lastCheck : null,
+            errorRate: status.successCount + status.errorCount > 0 ?
+                status.errorCount / (status.successCount + status.errorCount) : 0,
+            rateLimited: Object.fromEntries(Object.entries(endpoints)
+                .filter(([, state]) => state.blockedUntil > now)
+                .map(([endpoint, state]) => [endpoint, state.blockedUntil]))
         };
     }
 
@@ -334,15 +592,12 @@ class APIHandler {
 
     /**
      * Reset health status (useful for testing or recovery)
+     * @return {Promise<void>}
      */
     resetHealthStatus() {
-        this.healthStatus = {
-            isHealthy: true,
-            lastCheck: null,
-            errorCount: 0,
-            successCount: 0
-        };
+        this.writeQueue = this.writeQueue.then(() => this.saveHealthStatus(this.createHealthStatus()));
         console.log('[API Handler] Health status reset');
+        return this.writeQueue;
     }
 
     /**
@@ -0,0 +1,221 @@
+/**
+ * Candidate Scorer Utility - Ranks alternative generated comments for a post
+ * Lets the review queue offer several variants instead of a single guess
+ *
+ * Features:
+ * - Length scoring against platform-specific sweet spots
+ * - Genericness detection for boilerplate praise
+ * - Novelty scoring against recent comment history
+ * - Weighted overall score with per-variant breakdown
+ */
+
+import { duplicateChecker } from './duplicate-checker.js';
+
+class CandidateScorer {
+    constructor() {
+        this.config = {
+            idealLength: {
+                linkedin: { min: 80, max: 400 },
+                twitter: { min: 40, max: 240 }
+            },
+            weights: {
+                length: 0.25,
+                specificity: 0.4,
+                novelty: 0.35
+            },
+            historySize: 50,        // Recent comments compared for novelty
+            minWordLength: 4        // Shorter words are ignored when matching post content
+        };
+
+        // Phrases that make a comment read like it could sit under any post
+        this.genericPhrases = [
+            'great post',
+            'great share',
+            'thanks for sharing',
+            'thank you for sharing',
+            'great insights',
+            'great insight',
+            'well said',
+            'love this',
+            'so true',
+            'this is amazing',
+            'this is great',
+            'great job',
+            'well done',
+            'interesting read',
+            'couldn\'t agree more',
+            'totally agree',
+            'keep it up',
+            'very informative',
+            'nice work',
+            'spot on',
+            'food for thought'
+        ];
+    }
+
+    /**
+     * Score and rank comment candidates
+     * @param {Array} candidates - Candidate objects ({ text, style })
+     * @param {string} platform - 'linkedin' or 'twitter'
+     * @param {Object} postData - The post the candidates reply to
+     * @param {Array} [history] - Comment history records, loaded from storage if omitted
+     * @return {Promise<Array>} - Scored candidates, best first
+     */
+    async scoreCandidates(candidates, platform, postData = {}, history = null) {
+        const records = history || await duplicateChecker.getCommentHistory();
+        const recentComments = records
+            .filter(record => record.platform === platform && record.comment)
+            .slice(0, this.config.historySize)
+            .map(record => record.comment);
+
+        const postText = this.getPostText(postData);
+
+        const scored = candidates
+            .filter(candidate => candidate && candidate.text && candidate.text.trim())
+            .map(candidate => {
+                const text = candidate.text.trim();
+                const novelty = this.scoreNovelty(text, recentComments);
+                const scores = {
+                    length: this.scoreLength(text, platform),
+                    specificity: this.scoreSpecificity(text, postText),
+                    novelty: novelty.score
+                };
+
+                return {
+                    text,
+                    style: candidate.style || null,
+                    scores,
+                    maxSimilarity: novelty.maxSimilarity,
+                    total: this.combineScores(scores)
+                };
+            });
+
+        return scored.sort((a, b) => b.total - a.total);
+    }
+
+    /**
+     * Score how well the length fits the platform's sweet spot
+     * @param {string} text - Candidate text
+     * @param {string} platform - Platform name
+     * @return {number} - Score (0-1)
+     */
+    scoreLength(text, platform) {
+        const { min, max } = this.config.idealLength[platform] || this.config.idealLength.linkedin;
+        const length = text.length;
+
+        if (length >= min && length <= max) {
+            return 1;
+        }
+
+        if (length < min) {
+            return this.round(length / min);
+        }
+
+        // Penalize overly long text down to zero at twice the maximum
+        return this.round(Math.max(0, 1 - ((length - max) / max)));
+    }
+
+    /**
+     * Score how specific the candidate is to the post
+     * Generic praise lowers the score, words shared with the post raise it
+     * @param {string} text - Candidate text
+     * @param {string} postText - Post content
+     * @return {number} - Score (0-1)
+     */
+    scoreSpecificity(text, postText) {
+        const lowerText = text.toLowerCase();
+        const genericHits = this.genericPhrases.filter(phrase => lowerText.includes(phrase)).length;
+
+        const candidateWords = this.getContentWords(text);
+        const postWords = new Set(this.getContentWords(postText));
+
+        let overlap = 0;
+        if (candidateWords.length > 0 && postWords.size > 0) {
+            const shared = new Set(candidateWords.filter(word => postWords.has(word)));
+            overlap = Math.min(1, shared.size / 3);
+        }
+
+        const score = 0.5 + (overlap * 0.5) - (genericHits * 0.3);
+        return this.round(Math.min(1, Math.max(0, score)));
+    }
+
+    /**
+     * Score how different the candidate is from recent comments
+     * @param {string} text - Candidate text
+     * @param {Array} recentComments - Recently posted comment texts
+     * @return {Object} - { score, maxSimilarity }
+     */
+    scoreNovelty(text, recentComments) {
+        let maxSimilarity = 0;
+
+        for (const comment of recentComments) {
+            const similarity = duplicateChecker.calculateSimilarity(text, comment);
+            if (similarity > maxSimilarity) {
+                maxSimilarity = similarity;
+            }
+        }
+
+        return {
+            score: this.round(1 - maxSimilarity),
+            maxSimilarity: this.round(maxSimilarity)
+        };
+    }
+
+    /**
+     * Combine individual scores into a weighted total
+     * @param {Object} scores - { length, specificity, novelty }
+     * @return {number} - Total score (0-1)
+     */
+    combineScores(scores) {
+        const { weights } = this.config;
+        const total = (scores.length * weights.length) +
+            (scores.specificity * weights.specificity) +
+            (scores.novelty * weights.novelty);
+
+        return this.round(total);
+    }
+
+    /**
+     * Get plain post text from either extractor format
+     * @param {Object} postData - Post data
+     * @return {string} - Post text
+     */
+    getPostText(postData) {
+        if (!postData) {
+            return '';
+        }
+
+        if (typeof postData.content === 'string') {
+            return postData.content;
+        }
+
+        return postData.content?.text || postData.text || '';
+    }
+
+    /**
+     * Extract lowercase content words long enough to be meaningful
+     * @param {string} text - Input text
+     * @return {Array} - Words
+     */
+    getContentWords(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length >= this.config.minWordLength);
+    }
+
+    /**
+     * Round a score to two decimals
+     * @param {number} value - Raw score
+     * @return {number} - Rounded score
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Create singleton instance
+const candidateScorer = new CandidateScorer();
+
+export { CandidateScorer, candidateScorer };
@@ -0,0 +1,171 @@
+/**
+ * Comment Length Utility - Counts comment length the way each platform does
+ * Over-long comments are trimmed at a sentence boundary or sent back for a shorter one
+ *
+ * Features:
+ * - Twitter weighted counting: URLs count as 23, emoji and most non-Latin characters as 2
+ * - LinkedIn counting in UTF-16 code units
+ * - Sentence-aware trimming that never splits a word, emoji or grapheme
+ */
+
+class CommentLength {
+    constructor() {
+        this.limits = {
+            twitter: {
+                label: 'Twitter/X',
+                maxLength: 280,
+                counting: 'weighted'
+            },
+            linkedin: {
+                label: 'LinkedIn',
+                maxLength: 1250,
+                counting: 'utf16'   // Never less than the visible characters, so emoji cannot push a comment over
+            }
+        };
+
+        // Twitter's weighted counting (twitter-text v3): code points in these ranges count 1, everything else 2
+        this.twitter = {
+            urlLength: 23,          // Every link is shortened to a t.co URL of this length
+            emojiWeight: 2,         // A whole emoji sequence counts once, however many code points it has
+            defaultWeight: 2,
+            lightRanges: [
+                [0x0000, 0x10FF],   // Latin, Greek, Cyrillic, Hebrew, Arabic and more
+                [0x2000, 0x200D],   // Spaces and joiners
+                [0x2010, 0x201F],   // Dashes and quotation marks
+                [0x2032, 0x2037]    // Primes
+            ]
+        };
+
+        this.config = {
+            minKeptRatio: 0.5,      // A trim that keeps less than this share of the comment is not clean
+            retryRatio: 0.8         // Share of the limit asked for when a comment has to be rewritten
+        };
+
+        this.urlPattern = /\bhttps?:\/\/\S+|\b(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|dev|ai|co|app|ly|me|gg|xyz|info|biz|edu|gov)\b(?:\/\S*)?/gi;
+        this.emojiPattern = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u;
+
+        this.graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+        this.sentences = new Intl.Segmenter('en', { granularity: 'sentence' });
+    }
+
+    /**
+     * Get the length rule for a platform
+     * @param {string} platform - Platform name
+     * @return {Object} - { label, maxLength, counting }, Twitter's rule for unknown platforms as the strictest
+     */
+    getLimit(platform) {
+        return this.limits[String(platform || '').toLowerCase()] || this.limits.twitter;
+    }
+
+    /**
+     * Count a comment's length as the platform does
+     * @param {string} text - Comment text
+     * @param {string} platform - Platform name
+     * @return {number} - Length counted against the platform limit
+     */
+    count(text, platform) {
+        const value = String(text || '');
+        return this.getLimit(platform).counting === 'weighted' ? this.countWeighted(value) : value.length;
+    }
+
+    /**
+     * Count a tweet with Twitter's weighted rules
+     * @param {string} text - Tweet text
+     * @return {number} - Weighted length
+     */
+    countWeighted(text) {
+        let length = 0;
+
+        // Twitter counts the NFC form, so a decomposed accent is not counted twice
+        const withoutUrls = text.normalize('NFC').replace(this.urlPattern, () => {
+            length += this.twitter.urlLength;
+            return '';
+        });
+
+        for (const { segment } of this.graphemes.segment(withoutUrls)) {
+            if (this.emojiPattern.test(segment)) {
+                length += this.twitter.emojiWeight;
+                continue;
+            }
+
+            for (const character of segment) {
+                length += this.getCharacterWeight(character.codePointAt(0));
+            }
+        }
+
+        return length;
+    }
+
+    /**
+     * Get the weight of one code point in Twitter's counting
+     * @param {number} codePoint - Unicode code point
+     * @return {number} - 1 or 2
+     */
+    getCharacterWeight(codePoint) {
+        const light = this.twitter.lightRanges.some(([start, end]) => codePoint >= start && codePoint <= end);
+        return light ? 1 : this.twitter.defaultWeight;
+    }
+
+    /**
+     * Fit a comment into the platform limit, dropping whole sentences from the end when needed
+     * @param {string} text - Comment text
+     * @param {string} platform - Platform name
+     * @return {Object} - { text, fits, trimmed, length, maxLength }, fits is false when no clean trim exists
+     */
+    fit(text, platform) {
+        const { maxLength } = this.getLimit(platform);
+        const value = String(text || '').trim();
+        const length = this.count(value, platform);
+
+        if (length <= maxLength) {
+            return { text: value, fits: true, trimmed: false, length, maxLength };
+        }
+
+        let kept = '';
+        for (const { segment } of this.sentences.segment(value)) {
+            if (this.count((kept + segment).trim(), platform) > maxLength) {
+                break;
+            }
+            kept += segment;
+        }
+
+        kept = kept.trim();
+        const keptLength = this.count(kept, platform);
+
+        // Only the first few words fit, or nothing at all, the model has to write a shorter comment
+        if (!kept || keptLength < length * this.config.minKeptRatio) {
+            return { text: value, fits: false, trimmed: false, length, maxLength };
+        }
+
+        return { text: kept, fits: true, trimmed: true, length: keptLength, maxLength };
+    }
+
+    /**
+     * Build the prompt line stating the platform limit
+     * @param {string} platform - Platform name
+     * @return {string} - Prompt section
+     */
+    formatForPrompt(platform) {
+        const limit = this.getLimit(platform);
+        const note = limit.counting === 'weighted' ? ' Links count as 23 characters, emoji and CJK characters as 2.' : '';
+
+        return `LENGTH LIMIT: ${limit.label} allows at most ${limit.maxLength} characters per comment.${note}`;
+    }
+
+    /**
+     * Build the instruction asking the model for a shorter comment after one was too long
+     * @param {string} platform - Platform name
+     * @param {number} length - Length of the rejected comment
+     * @return {string} - Prompt section
+     */
+    getShorterInstruction(platform, length) {
+        const limit = this.getLimit(platform);
+        return `LENGTH RETRY: Your previous comment was ${length} characters, over the ${limit.label} limit of ` +
+            `${limit.maxLength}. Write a complete comment of at most ${Math.floor(limit.maxLength * this.config.retryRatio)} characters.`;
+    }
+}
+
+// Create singleton instance
+const commentLength = new CommentLength();
+
+export { CommentLength, commentLength };
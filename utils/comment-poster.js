@@ -13,11 +13,17 @@
 
 import { DOMHelpers } from './dom-helpers.js';
 import { DuplicateChecker } from './duplicate-checker.js';
+import { DraftQueue } from './draft-queue.js';
+import { SubmitHold } from './submit-hold.js';
+import { DryRunReport } from './dry-run-report.js';
 
 class CommentPoster {
     constructor() {
         this.domHelpers = new DOMHelpers();
         this.duplicateChecker = new DuplicateChecker();
+        this.draftQueue = new DraftQueue();
+        this.submitHold = new SubmitHold();
+        this.dryRunReport = new DryRunReport();
 
         this.config = {
             typingSpeed: {
@@ -44,6 +50,9 @@ class CommentPoster {
             commentsAttempted: 0,
             commentsPosted: 0,
             commentsSkipped: 0,
+            commentsAwaitingReview: 0,
+            commentsCancelled: 0,
+            dryRunStops: 0,
             errors: 0,
             averageTypingTime: 0,
             averageSubmissionTime: 0
@@ -62,6 +71,14 @@ class CommentPoster {
             console.log('[Comment Poster] Starting LinkedIn comment posting...');
             this.statistics.commentsAttempted++;
 
+            // Only approved drafts may be submitted while review mode is on
+            const approval = await this.draftQueue.checkApproval('linkedin', postData.id, options.draftId);
+            if (!approval.allowed) {
+                console.log(`[Comment Poster] Comment not approved for posting (${approval.reason}), skipping`);
+                this.statistics.commentsAwaitingReview++;
+                return { success: false, reason: approval.reason, skipped: true, requiresReview: true };
+            }
+
             // Check for duplicates
             const isDuplicate = await this.duplicateChecker.isCommentDuplicate(
                 postData.id, comment, 'linkedin'
@@ -70,6 +87,12 @@ class CommentPoster {
             if (isDuplicate) {
                 console.log('[Comment Poster] Duplicate comment detected, skipping');
                 this.statistics.commentsSkipped++;
+
+                // Approving again would hit the same duplicate, so the draft is closed
+                if (options.draftId) {
+                    await this.draftQueue.cancelDraft(options.draftId, 'duplicate').catch(() => {});
+                }
+
                 return { success: false, reason: 'duplicate', skipped: true };
             }
 
@@ -90,17 +113,40 @@ class CommentPoster {
             await this.typeComment(commentBox, comment, 'linkedin');
             const typingTime = Date.now() - typingStartTime;
 
+            // Dry run: everything up to here ran for real, the click does not
+            if (await this.dryRunReport.isEnabled()) {
+                return await this.stopForDryRun('linkedin', postData, comment, commentBox, options);
+            }
+
             // Submit comment
             const submissionStartTime = Date.now();
-            const submitResult = await this.submitLinkedInComment(postElement, commentBox);
+            const submitResult = await this.submitLinkedInComment(postElement, commentBox, options);
             const submissionTime = Date.now() - submissionStartTime;
 
+            if (submitResult.cancelled) {
+                console.log('[Comment Poster] LinkedIn comment cancelled during undo window');
+                this.statistics.commentsCancelled++;
+                return {
+                    success: false,
+                    platform: 'linkedin',
+                    postId: postData.id,
+                    reason: 'cancelled_by_user',
+                    cancelled: true,
+                    skipped: true,
+                    timestamp: Date.now()
+                };
+            }
+
             if (submitResult.success) {
                 // Record successful comment
                 await this.duplicateChecker.recordComment(
                     postData.id, comment, 'linkedin'
                 );
 
+                if (options.draftId) {
+                    await this.draftQueue.markPosted(options.draftId);
+                }
+
                 // Update statistics
                 this.statistics.commentsPosted++;
                 this.updateAverageTime('typing', typingTime);
@@ -124,6 +170,10 @@ class CommentPoster {
             this.statistics.errors++;
             console.error('[Comment Poster] LinkedIn comment posting failed:', error);
 
+            if (options.draftId) {
+                await this.draftQueue.markFailed(options.draftId, error.message).catch(() => {});
+            }
+
             return {
                 success: false,
                 platform: 'linkedin',
@@ -146,6 +196,14 @@ class CommentPoster {
             console.log('[Comment Poster] Starting Twitter reply posting...');
             this.statistics.commentsAttempted++;
 
+            // Only approved drafts may be submitted while review mode is on
+            const approval = await this.draftQueue.checkApproval('twitter', tweetData.id, options.draftId);
+            if (!approval.allowed) {
+                console.log(`[Comment Poster] Reply not approved for posting (${approval.reason}), skipping`);
+                this.statistics.commentsAwaitingReview++;
+                return { success: false, reason: approval.reason, skipped: true, requiresReview: true };
+            }
+
             // Check for duplicates
             const isDuplicate = await this.duplicateChecker.isCommentDuplicate(
                 tweetData.id, reply, 'twitter'
@@ -154,6 +212,12 @@ class CommentPoster {
             if (isDuplicate) {
                 console.log('[Comment Poster] Duplicate reply detected, skipping');
                 this.statistics.commentsSkipped++;
+
+                // Approving again would hit the same duplicate, so the draft is closed
+                if (options.draftId) {
+                    await this.draftQueue.cancelDraft(options.draftId, 'duplicate').catch(() => {});
+                }
+
                 return { success: false, reason: 'duplicate', skipped: true };
             }
 
@@ -174,17 +238,40 @@ class CommentPoster {
             await this.typeComment(replyBox, reply, 'twitter');
             const typingTime = Date.now() - typingStartTime;
 
+            // Dry run: everything up to here ran for real, the click does not
+            if (await this.dryRunReport.isEnabled()) {
+                return await this.stopForDryRun('twitter', tweetData, reply, replyBox, options);
+            }
+
             // Submit reply
             const submissionStartTime = Date.now();
-            const submitResult = await this.submitTwitterReply(replyBox);
+            const submitResult = await this.submitTwitterReply(replyBox, options);
             const submissionTime = Date.now() - submissionStartTime;
 
+            if (submitResult.cancelled) {
+                console.log('[Comment Poster] Twitter reply cancelled during undo window');
+                this.statistics.commentsCancelled++;
+                return {
+                    success: false,
+                    platform: 'twitter',
+                    postId: tweetData.id,
+                    reason: 'cancelled_by_user',
+                    cancelled: true,
+                    skipped: true,
+                    timestamp: Date.now()
+                };
+            }
+
             if (submitResult.success) {
                 // Record successful reply
                 await this.duplicateChecker.recordComment(
                     tweetData.id, reply, 'twitter'
                 );
 
+                if (options.draftId) {
+                    await this.draftQueue.markPosted(options.draftId);
+                }
+
                 // Update statistics
                 this.statistics.commentsPosted++;
                 this.updateAverageTime('typing', typingTime);
@@ -208,6 +295,10 @@ class CommentPoster {
             this.statistics.errors++;
             console.error('[Comment Poster] Twitter reply posting failed:', error);
 
+            if (options.draftId) {
+                await this.draftQueue.markFailed(options.draftId, error.message).catch(() => {});
+            }
+
             return {
                 success: false,
                 platform: 'twitter',
@@ -218,6 +309,40 @@ class CommentPoster {
         }
     }
 
+    /**
+     * Stop a submission in dry-run mode and record it in the report
+     * @param {string} platform - 'linkedin' or 'twitter'
+     * @param {Object} postData - Post data or draft snapshot
+     * @param {string} comment - Comment that was typed
+     * @param {Element} inputElement - Comment box holding the typed text
+     * @param {Object} options - Posting options
+     * @return {Promise<Object>} - Skipped result
+     */
+    async stopForDryRun(platform, postData, comment, inputElement, options = {}) {
+        console.log(`[Comment Poster] Dry run: stopped ${platform} submission before clicking submit`);
+
+        this.submitHold.clearInput(inputElement);
+        this.statistics.dryRunStops++;
+
+        await this.dryRunReport.recordStoppedSubmit({ platform, postData, comment, draftId: options.draftId });
+
+        // Send the draft back to the queue so it can be posted once dry run is off
+        if (options.draftId) {
+            await this.draftQueue.markFailed(options.draftId, 'Dry run: stopped before submit').catch(() => {});
+        }
+
+        return {
+            success: false,
+            platform,
+            postId: postData.id,
+            comment,
+            reason: 'dry_run',
+            dryRun: true,
+            skipped: true,
+            timestamp: Date.now()
+        };
+    }
+
     /**
      * Find LinkedIn post element by ID
      * @param {string} postId - The post ID
@@ -417,10 +542,22 @@ class CommentPoster {
      * Submit LinkedIn comment
      * @param {Element} postElement - The post element
      * @param {Element} commentBox - The comment box element
+     * @param {Object} options - Posting options (draftId)
      * @return {Promise<Object>} - Submission result
      */
-    async submitLinkedInComment(postElement, commentBox) {
+    async submitLinkedInComment(postElement, commentBox, options = {}) {
         try {
+            // Undo window: the typed comment can still be cancelled
+            const hold = await this.submitHold.hold({
+                platform: 'linkedin',
+                inputElement: commentBox,
+                draftId: options.draftId
+            });
+
+            if (hold.cancelled) {
+                return { success: false, cancelled: true };
+            }
+
             // Wait before submitting (human-like behavior)
             await this.domHelpers.delay(
                 this.config.submission.waitBeforeSubmit.min,
@@ -466,10 +603,22 @@ class CommentPoster {
     /**
      * Submit Twitter reply
      * @param {Element} replyBox - The reply text area element
+     * @param {Object} options - Posting options (draftId)
      * @return {Promise<Object>} - Submission result
      */
-    async submitTwitterReply(replyBox) {
+    async submitTwitterReply(replyBox, options = {}) {
         try {
+            // Undo window: the typed reply can still be cancelled
+            const hold = await this.submitHold.hold({
+                platform: 'twitter',
+                inputElement: replyBox,
+                draftId: options.draftId
+            });
+
+            if (hold.cancelled) {
+                return { success: false, cancelled: true };
+            }
+
             // Wait before submitting
             await this.domHelpers.delay(
                 this.config.submission.waitBeforeSubmit.min,
@@ -0,0 +1,187 @@
+/**
+ * Comment Response Utility - Structured JSON output for comment generation
+ * Defines the object the model must return and validates what comes back
+ *
+ * Features:
+ * - JSON schema sent to providers that support constrained output
+ * - Format instructions appended to the prompt for everyone else
+ * - Validation with readable errors for the repair prompt
+ * - Tolerates markdown code fences around the JSON
+ */
+
+class CommentResponse {
+    constructor() {
+        this.postTypes = [
+            'question',
+            'opinion',
+            'announcement',
+            'achievement',
+            'job_posting',
+            'tutorial',
+            'news',
+            'promotion',
+            'personal',
+            'other'
+        ];
+
+        // Plain JSON schema, providers convert it to their own dialect
+        this.schema = {
+            type: 'object',
+            properties: {
+                comment: {
+                    type: 'string',
+                    description: 'The comment to post, empty when should_skip is true'
+                },
+                relevance: {
+                    type: 'number',
+                    description: 'How relevant the post is to the reader\'s topics named in the prompt, from 0 to 1'
+                },
+                should_skip: {
+                    type: 'boolean',
+                    description: 'True when the post should not get a comment at all'
+                },
+                skip_reason: {
+                    type: 'string',
+                    description: 'Why the post should be skipped, empty otherwise'
+                },
+                post_type: {
+                    type: 'string',
+                    enum: this.postTypes,
+                    description: 'What kind of post this is'
+                }
+            },
+            required: ['comment', 'relevance', 'should_skip', 'skip_reason', 'post_type'],
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * Instructions appended to the prompt describing the expected JSON
+     * @param {Array<string>} [topics] - Names of the user's enabled topic profiles
+     * @return {string} - Prompt section
+     */
+    getFormatInstructions(topics = []) {
+        const reader = topics.length > 0 ? `a reader interested in ${topics.join(', ')}` : 'the reader';
+
+        return `Respond with a single JSON object and nothing else, using these fields:
+- "comment": the comment text exactly as it should be posted (empty string when skipping)
+- "relevance": number from 0 to 1, how relevant the post is to ${reader}
+- "should_skip": true if this post should not get a comment (sensitive, off-topic, spam, or nothing useful to add)
+- "skip_reason": short reason when should_skip is true, otherwise an empty string
+- "post_type": one of ${this.postTypes.join(', ')}`;
+    }
+
+    /**
+     * Parse and validate a model response
+     * @param {string} text - Raw model output
+     * @return {Object} - { valid, errors, value }
+     */
+    parse(text) {
+        let value;
+        try {
+            value = JSON.parse(this.extractJson(text));
+        } catch (error) {
+            return { valid: false, errors: [`Response is not valid JSON: ${error.message}`], value: null };
+        }
+
+        const errors = this.validate(value);
+        return { valid: errors.length === 0, errors, value: errors.length === 0 ? this.normalize(value) : null };
+    }
+
+    /**
+     * Check a parsed response against the schema
+     * @param {*} value - Parsed JSON
+     * @return {Array<string>} - Validation errors, empty when valid
+     */
+    validate(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return ['Response must be a JSON object'];
+        }
+
+        const errors = [];
+        const { properties, required } = this.schema;
+
+        required.forEach(field => {
+            if (!(field in value)) {
+                errors.push(`Missing field "${field}"`);
+            }
+        });
+
+        Object.entries(properties).forEach(([field, definition]) => {
+            if (!(field in value)) {
+                return;
+            }
+
+            if (typeof value[field] !== definition.type) {
+                errors.push(`Field "${field}" must be a ${definition.type}`);
+            } else if (definition.enum && !definition.enum.includes(value[field])) {
+                errors.push(`Field "${field}" must be one of: ${definition.enum.join(', ')}`);
+            }
+        });
+
+        if (typeof value.relevance === 'number' && (value.relevance < 0 || value.relevance > 1)) {
+            errors.push('Field "relevance" must be between 0 and 1');
+        }
+
+        if (value.should_skip === false && typeof value.comment === 'string' && !value.comment.trim()) {
+            errors.push('Field "comment" must not be empty unless should_skip is true');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Convert a valid response to the shape used by the rest of the extension
+     * @param {Object} value - Validated response
+     * @return {Object} - { comment, relevance, shouldSkip, skipReason, postType }
+     */
+    normalize(value) {
+        return {
+            comment: value.comment.trim(),
+            relevance: value.relevance,
+            shouldSkip: value.should_skip,
+            skipReason: value.should_skip ? (value.skip_reason.trim() || 'No reason given') : '',
+            postType: value.post_type
+        };
+    }
+
+    /**
+     * Build a follow-up prompt asking the model to fix an invalid response
+     * @param {string} text - Invalid model output
+     * @param {Array<string>} errors - Validation errors
+     * @return {string} - Repair prompt
+     */
+    buildRepairPrompt(text, errors) {
+        return `Your previous response did not match the required format.
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${text}
+
+${this.getFormatInstructions()}`;
+    }
+
+    /**
+     * Pull the JSON object out of text that may be wrapped in a code fence or prose
+     * @param {string} text - Raw model output
+     * @return {string} - JSON text
+     */
+    extractJson(text) {
+        const trimmed = (text || '').trim();
+        const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+        if (fenced) {
+            return fenced[1];
+        }
+
+        const start = trimmed.indexOf('{');
+        const end = trimmed.lastIndexOf('}');
+        return start !== -1 && end > start ? trimmed.slice(start, end + 1) : trimmed;
+    }
+}
+
+// Create singleton instance
+const commentResponse = new CommentResponse();
+
+export { CommentResponse, commentResponse };
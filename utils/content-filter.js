@@ -1,102 +1,178 @@
 /**
  * Content Filter Utility for Social Media Auto-Comment Extension
  * 
- * Filters posts for Computer Science student-relevant content using
- * keyword matching, context analysis, and relevance scoring.
+ * Scores posts against the user's topic profiles using weighted keywords,
+ * negative keywords and patterns, and reports which profile matched.
+ * Keywords are matched as whole words and phrases, not substrings.
+ * An optional semantic stage adds points for posts that read like a
+ * profile's example posts.
+ * Also applies the user's language policy before comments are generated.
+ * analyzePost is the single entry point both content scripts decide with.
  */
 
+import { languageDetector } from './language-detector.js';
+import { topicProfiles } from './topic-profiles.js';
+import { keywordMatcher } from './keyword-matcher.js';
+import { semanticRelevance } from './semantic-relevance.js';
+
 /**
  * Content Filter Class
- * Analyzes post content to determine relevance for CS students
+ * Analyzes post content to determine relevance to the user's topics
  */
 class ContentFilter {
     constructor() {
-        // CS-related keywords with different weight categories
-        this.keywordCategories = {
-            // High relevance - core CS topics (weight: 3)
-            highRelevance: [
-                'programming', 'coding', 'software', 'development', 'developer',
-                'javascript', 'python', 'java', 'react', 'nodejs', 'typescript',
-                'algorithm', 'data structure', 'backend', 'frontend', 'fullstack',
-                'api', 'database', 'sql', 'mongodb', 'postgresql', 'mysql',
-                'git', 'github', 'version control', 'devops', 'deployment',
-                'machine learning', 'ai', 'artificial intelligence', 'ml',
-                'web development', 'mobile app', 'android', 'ios', 'flutter',
-                'computer science', 'cs', 'software engineering', 'swe',
-                'internship', 'junior developer', 'entry level', 'bootcamp',
-                'leetcode', 'hackerrank', 'coding interview', 'technical interview'
-            ],
-
-            // Medium relevance - related tech topics (weight: 2)
-            mediumRelevance: [
-                'tech', 'technology', 'startup', 'innovation', 'digital',
-                'cloud', 'aws', 'azure', 'gcp', 'docker', 'kubernetes',
-                'agile', 'scrum', 'project management', 'team lead',
-                'open source', 'framework', 'library', 'toolkit',
-                'debugging', 'testing', 'qa', 'quality assurance',
-                'ui', 'ux', 'design', 'user experience', 'user interface',
-                'career', 'job search', 'hiring', 'recruitment', 'resume',
-                'portfolio', 'side project', 'hackathon', 'coding challenge',
-                'freelance', 'remote work', 'work from home'
-            ],
-
-            // Low relevance - loosely related terms (weight: 1)
-            lowRelevance: [
-                'innovation', 'digital transformation', 'automation',
-                'productivity', 'efficiency', 'problem solving',
-                'learning', 'education', 'tutorial', 'course',
-                'certification', 'skill', 'growth', 'improvement',
-                'networking', 'professional', 'industry', 'business',
-                'collaboration', 'teamwork', 'leadership', 'management'
-            ]
+        // Scores are capped so confidence can be read as a share of the maximum
+        this.maxRelevanceScore = 20;
+
+        // Compiled profile patterns by source
+        this.patternCache = new Map();
+
+        // Language policy modes chosen on the settings page
+        this.languageModes = {
+            REPLY_IN_LANGUAGE: 'reply_in_language',  // Comment on everything, in the post's language
+            ENGLISH_ONLY: 'english_only',            // Skip posts not written in English
+            ALLOWLIST: 'allowlist'                   // Only the listed languages, replying in each
         };
+        this.defaultLanguagePolicy = { mode: this.languageModes.REPLY_IN_LANGUAGE, allowlist: ['en'] };
+        this.languagePolicyKey = 'languagePolicy';
 
-        // Negative keywords that reduce relevance
-        this.negativeKeywords = [
-            'politics', 'political', 'election', 'vote', 'government',
-            'religion', 'religious', 'sports', 'entertainment', 'celebrity',
-            'fashion', 'food', 'travel', 'personal', 'family', 'relationship',
-            'health', 'medical', 'finance', 'investment', 'crypto', 'bitcoin',
-            'real estate', 'sales', 'marketing', 'advertisement'
-        ];
+        // The popup's topic filter toggle lives in the extension settings
+        this.settingsKey = 'extension_settings';
+    }
 
-        // Company patterns that indicate tech relevance
-        this.techCompanyPatterns = [
-            /google|microsoft|amazon|apple|facebook|meta|netflix|tesla/i,
-            /startup|tech company|software company|saas/i,
-            /unicorn|ipo|funding|venture capital|vc/i
-        ];
+    /**
+     * Decide whether an extracted post should get a comment
+     * Both platforms go through here, so scoring, reasoning and thresholds are the same everywhere
+     * @param {Object} postData - Extracted post, text under content.text or flat
+     * @param {Object} [settings] - { filterEnabled, languagePolicy, topicProfiles, semantic } from loadRelevanceSettings
+     * @returns {Promise<Object>} Analysis result with the language check, matched keywords and whether the filter applied
+     */
+    async analyzePost(postData, settings = {}) {
+        const filterEnabled = settings.filterEnabled !== false;
 
-        // Educational institution patterns
-        this.educationPatterns = [
-            /university|college|school|academy|institute/i,
-            /student|graduate|undergraduate|phd|masters|bachelor/i,
-            /coursera|udemy|edx|khan academy|codecademy/i
-        ];
+        // Posts in languages the user does not comment in never reach generation, whatever the topic filter says
+        const language = this.checkLanguagePolicy(postData, settings.languagePolicy);
+        if (!language.allowed) {
+            return {
+                isRelevant: false,
+                relevanceScore: 0,
+                reasoning: [language.reason],
+                confidence: 0,
+                matchedProfile: null,
+                profiles: [],
+                semantic: null,
+                foundKeywords: [],
+                language,
+                filterEnabled
+            };
+        }
 
-        // Minimum relevance score threshold
-        this.relevanceThreshold = 3;
-        this.maxRelevanceScore = 20;
+        const analysis = await this.analyzeContent(this.getPostInput(postData), settings.topicProfiles, { semantic: settings.semantic });
+        const foundKeywords = analysis.profiles.find(result => result.id === analysis.matchedProfile?.id)?.matches || [];
+
+        // Scores are still reported with the filter off, they just do not decide
+        if (!filterEnabled) {
+            return {
+                ...analysis,
+                isRelevant: true,
+                reasoning: [...analysis.reasoning, 'Topic filter is off, every post is considered'],
+                foundKeywords,
+                language,
+                filterEnabled
+            };
+        }
+
+        return { ...analysis, foundKeywords, language, filterEnabled };
+    }
+
+    /**
+     * Build the text the profiles are scored against from an extracted post, the same for every platform
+     * Author names are left out so a name like "Rust" does not count as a keyword
+     * @param {Object} postData - Extracted post, text under content.text or flat
+     * @returns {Object} { content, author: { headline }, hashtags }
+     */
+    getPostInput(postData) {
+        return {
+            content: typeof postData?.content === 'string' ? postData.content : postData?.content?.text || '',
+            author: { headline: postData?.author?.headline || '' },
+            hashtags: postData?.content?.hashtags || postData?.hashtags || []
+        };
+    }
+
+    /**
+     * Load everything analyzePost needs from storage
+     * @returns {Promise<Object>} { filterEnabled, languagePolicy, topicProfiles, semantic }
+     */
+    async loadRelevanceSettings() {
+        const [filterEnabled, languagePolicy, topicProfiles, semantic] = await Promise.all([
+            this.isFilterEnabled(),
+            this.getLanguagePolicy(),
+            this.loadActiveProfiles(),
+            this.getSemanticSettings()
+        ]);
+
+        return { filterEnabled, languagePolicy, topicProfiles, semantic };
+    }
+
+    /**
+     * Apply a storage change to loaded relevance settings
+     * @param {Object} settings - Settings from loadRelevanceSettings
+     * @param {Object} changes - Storage changes
+     * @param {string} areaName - Storage area
+     * @returns {Object} Updated settings, the same object when nothing relevant changed
+     */
+    updateRelevanceSettings(settings, changes, areaName) {
+        const updated = { ...settings };
+
+        if (areaName === 'sync' && changes[this.languagePolicyKey]) {
+            updated.languagePolicy = this.normalizeLanguagePolicy(changes[this.languagePolicyKey].newValue);
+        }
+        if (areaName === 'sync' && changes[semanticRelevance.storageKey]) {
+            updated.semantic = this.normalizeSemanticSettings(changes[semanticRelevance.storageKey].newValue);
+        }
+        if (areaName === 'local' && changes[topicProfiles.storageKey]) {
+            updated.topicProfiles = this.getActiveProfiles(changes[topicProfiles.storageKey].newValue);
+        }
+        if (areaName === 'local' && changes[this.settingsKey]) {
+            updated.filterEnabled = changes[this.settingsKey].newValue?.csFilterEnabled !== false;
+        }
+
+        const changed = Object.keys(updated).some(key => updated[key] !== settings?.[key]);
+        return changed ? updated : settings;
     }
 
     /**
-     * Analyze post content for CS relevance
+     * Check whether the popup's topic filter is on
+     * @returns {Promise<boolean>} True unless the user turned it off
+     */
+    async isFilterEnabled() {
+        try {
+            const result = await chrome.storage.local.get([this.settingsKey]);
+            return result[this.settingsKey]?.csFilterEnabled !== false;
+        } catch (error) {
+            console.error('Error loading topic filter setting:', error);
+            return true;
+        }
+    }
+
+    /**
+     * Analyze post content against the active topic profiles
      * @param {Object} postData - Post data object
-     * @returns {Object} Analysis result with score and reasoning
+     * @param {Array<Object>} [profiles] - Active topic profiles, the enabled starter profiles when omitted
+     * @param {Object} [options] - { semantic } semantic stage settings, keywords only when omitted or disabled
+     * @returns {Promise<Object>} Analysis result with score, reasoning and the profile that matched
      */
-    analyzeContent(postData) {
+    async analyzeContent(postData, profiles, options = {}) {
         try {
+            const activeProfiles = profiles || this.getActiveProfiles();
             const analysis = {
                 isRelevant: false,
                 relevanceScore: 0,
                 reasoning: [],
                 confidence: 0,
-                categories: {
-                    technical: false,
-                    educational: false,
-                    career: false,
-                    company: false
-                }
+                matchedProfile: null,
+                profiles: [],
+                semantic: null
             };
 
             // Combine all text content for analysis
@@ -107,20 +183,33 @@ class ContentFilter {
                 return analysis;
             }
 
-            // Calculate relevance score
-            analysis.relevanceScore = this.calculateRelevanceScore(fullText, analysis);
+            if (activeProfiles.length === 0) {
+                analysis.reasoning.push('No topic profile is enabled');
+                return analysis;
+            }
+
+            // Score every profile, the strongest match decides
+            const prepared = keywordMatcher.prepare(fullText);
+            analysis.profiles = activeProfiles.map(profile => this.scoreProfile(fullText, profile, prepared));
+            if (options.semantic?.enabled) {
+                analysis.semantic = await this.applySemanticScores(fullText, activeProfiles, analysis.profiles, options.semantic);
+            }
+            const matched = analysis.profiles.filter(result => result.isRelevant);
+            const best = [...(matched.length > 0 ? matched : analysis.profiles)].sort((a, b) => b.score - a.score)[0];
 
-            // Determine if content is relevant
-            analysis.isRelevant = analysis.relevanceScore >= this.relevanceThreshold;
+            analysis.isRelevant = matched.length > 0;
+            analysis.relevanceScore = best.score;
+            analysis.matchedProfile = best.isRelevant ? { id: best.id, name: best.name } : null;
+            analysis.reasoning = analysis.profiles.flatMap(result => result.reasoning);
 
             // Calculate confidence based on score and content length
             analysis.confidence = this.calculateConfidence(analysis.relevanceScore, fullText.length);
 
             // Add final reasoning
             if (analysis.isRelevant) {
-                analysis.reasoning.push(`Relevant content detected (score: ${analysis.relevanceScore}/${this.maxRelevanceScore})`);
+                analysis.reasoning.push(`Relevant to "${best.name}" (score: ${best.score}/${this.maxRelevanceScore})`);
             } else {
-                analysis.reasoning.push(`Content not relevant (score: ${analysis.relevanceScore}/${this.maxRelevanceScore}, threshold: ${this.relevanceThreshold})`);
+                analysis.reasoning.push(`No topic profile matched (best: "${best.name}" ${best.score}/${this.maxRelevanceScore}, threshold: ${best.threshold})`);
             }
 
             return analysis;
@@ -132,11 +221,89 @@ class ContentFilter {
                 relevanceScore: 0,
                 reasoning: ['Error during content analysis'],
                 confidence: 0,
-                categories: {}
+                matchedProfile: null,
+                profiles: [],
+                semantic: null
             };
         }
     }
 
+    /**
+     * Add points for similarity to each profile's example posts
+     * Failures leave the keyword scores as they are
+     * @param {string} text - Text to analyze
+     * @param {Array<Object>} profiles - Active topic profiles
+     * @param {Array<Object>} results - Keyword results from scoreProfile, updated in place
+     * @param {Object} settings - Semantic stage settings
+     * @returns {Promise<Object|null>} { method, model, note }, or null when nothing was compared
+     */
+    async applySemanticScores(text, profiles, results, settings) {
+        try {
+            const normalized = semanticRelevance.normalizeSettings(settings);
+            const semantic = await semanticRelevance.score(text, profiles, normalized);
+            if (!semantic) {
+                return null;
+            }
+
+            results.forEach(result => {
+                const similarity = semantic.similarities[result.id];
+                if (similarity === undefined) {
+                    return;
+                }
+
+                const points = semanticRelevance.toPoints(similarity, semantic.method, result.threshold, normalized.weight);
+                result.keywordScore = result.score;
+                result.similarity = Math.round(similarity * 100) / 100;
+                result.semanticScore = points;
+
+                if (points > 0) {
+                    result.score = Math.min(result.score + points, this.maxRelevanceScore);
+                    result.isRelevant = result.score >= result.threshold;
+                    result.reasoning.push(`${result.name}: similar to example posts (${result.similarity.toFixed(2)}, ${semantic.method}) +${points}`);
+                }
+            });
+
+            return { method: semantic.method, model: semantic.model, note: semantic.note || null };
+        } catch (error) {
+            console.error('Error scoring semantic relevance:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Load the semantic stage settings
+     * @returns {Promise<Object>} Settings { enabled, mode, weight, embeddingModel }
+     */
+    async getSemanticSettings() {
+        return semanticRelevance.getSettings();
+    }
+
+    /**
+     * Fill in defaults for semantic stage settings
+     * @param {Object} [settings] - Stored settings
+     * @returns {Object} Settings { enabled, mode, weight, embeddingModel }
+     */
+    normalizeSemanticSettings(settings) {
+        return semanticRelevance.normalizeSettings(settings);
+    }
+
+    /**
+     * Load the enabled topic profiles
+     * @returns {Promise<Array<Object>>} Enabled profiles
+     */
+    async loadActiveProfiles() {
+        return this.getActiveProfiles(await topicProfiles.getProfiles());
+    }
+
+    /**
+     * Pick the enabled profiles from a stored profile list
+     * @param {Array<Object>} [profiles] - Stored profiles, the starter profiles when missing
+     * @returns {Array<Object>} Enabled profiles
+     */
+    getActiveProfiles(profiles) {
+        return topicProfiles.normalizeProfiles(profiles).filter(profile => profile.enabled);
+    }
+
     /**
      * Extract and combine all text content from post data
      * @param {Object} postData - Post data object
@@ -159,93 +326,170 @@ class ContentFilter {
             textParts.push(postData.author.headline);
         }
 
-        // Add hashtags
+        // Add hashtags the post text does not already contain, so they are not counted twice
         if (postData.hashtags && postData.hashtags.length > 0) {
-            textParts.push(postData.hashtags.join(' '));
+            const content = String(postData.content || '').toLowerCase();
+            const hashtags = postData.hashtags
+                .map(tag => (String(tag).startsWith('#') ? String(tag) : `#${tag}`))
+                .filter(tag => !content.includes(tag.toLowerCase()));
+            textParts.push(hashtags.join(' '));
         }
 
-        // Combine and clean text
-        return textParts.join(' ').toLowerCase().trim();
+        // Case is kept so camel-case hashtags can be split into words
+        return textParts.join(' ').trim();
     }
 
     /**
-     * Calculate relevance score based on keyword matching and patterns
+     * Score text against one topic profile
+     * Keywords match whole words and phrases, patterns match anywhere in the text
      * @param {string} text - Text to analyze
-     * @param {Object} analysis - Analysis object to update
-     * @returns {number} Relevance score
+     * @param {Object} profile - Normalized topic profile
+     * @param {Object} [prepared] - Tokenized text from keywordMatcher.prepare, shared across profiles
+     * @returns {Object} { id, name, score, threshold, isRelevant, matches, penalties, reasoning }
      */
-    calculateRelevanceScore(text, analysis) {
+    scoreProfile(text, profile, prepared = keywordMatcher.prepare(text)) {
         let score = 0;
-        const words = text.split(/\s+/);
-
-        // Check high relevance keywords
-        this.keywordCategories.highRelevance.forEach(keyword => {
-            if (text.includes(keyword)) {
-                score += 3;
-                analysis.reasoning.push(`High relevance keyword: "${keyword}"`);
-                analysis.categories.technical = true;
-            }
+        const matches = [];
+        const penalties = [];
+        const found = [];
+
+        keywordMatcher.findMatches(prepared, profile.keywords).forEach(({ term, weight, count }) => {
+            score += weight * count;
+            matches.push(term);
+            found.push(count > 1 ? `"${term}" x${count}` : `"${term}"`);
         });
 
-        // Check medium relevance keywords
-        this.keywordCategories.mediumRelevance.forEach(keyword => {
-            if (text.includes(keyword)) {
-                score += 2;
-                analysis.reasoning.push(`Medium relevance keyword: "${keyword}"`);
-
-                // Categorize keywords
-                if (['career', 'job', 'hiring', 'internship', 'resume', 'portfolio'].some(k => keyword.includes(k))) {
-                    analysis.categories.career = true;
-                }
+        profile.patterns.forEach(({ pattern, weight }) => {
+            if (this.getPattern(pattern)?.test(text)) {
+                score += weight;
+                matches.push(`/${pattern}/`);
+                found.push(`"/${pattern}/"`);
             }
         });
 
-        // Check low relevance keywords
-        this.keywordCategories.lowRelevance.forEach(keyword => {
-            if (text.includes(keyword)) {
-                score += 1;
-                if (['learning', 'education', 'course', 'tutorial'].some(k => keyword.includes(k))) {
-                    analysis.categories.educational = true;
-                }
-            }
+        // Subtract points for negative keywords
+        keywordMatcher.findMatches(prepared, profile.negativeKeywords).forEach(({ term, weight, count }) => {
+            score -= weight * count;
+            penalties.push(term);
         });
 
-        // Check tech company patterns
-        this.techCompanyPatterns.forEach(pattern => {
-            if (pattern.test(text)) {
-                score += 2;
-                analysis.reasoning.push('Tech company mentioned');
-                analysis.categories.company = true;
-            }
-        });
+        const reasoning = [];
+        if (found.length > 0) {
+            reasoning.push(`${profile.name}: matched ${found.join(', ')}`);
+        }
+        if (penalties.length > 0) {
+            reasoning.push(`${profile.name}: negative keyword penalty ${penalties.map(term => `"${term}"`).join(', ')}`);
+        }
 
-        // Check educational patterns
-        this.educationPatterns.forEach(pattern => {
-            if (pattern.test(text)) {
-                score += 1;
-                analysis.categories.educational = true;
-            }
-        });
+        // Cap the maximum score
+        const capped = Math.min(Math.max(score, 0), this.maxRelevanceScore);
+
+        return {
+            id: profile.id,
+            name: profile.name,
+            score: capped,
+            threshold: profile.threshold,
+            isRelevant: capped >= profile.threshold,
+            matches,
+            penalties,
+            reasoning
+        };
+    }
 
-        // Subtract points for negative keywords
-        this.negativeKeywords.forEach(keyword => {
-            if (text.includes(keyword)) {
-                score -= 2;
-                analysis.reasoning.push(`Negative keyword penalty: "${keyword}"`);
-            }
-        });
+    /**
+     * Get a compiled profile pattern
+     * @param {string} pattern - Regular expression source
+     * @returns {RegExp|null} Compiled pattern, or null when it is invalid
+     */
+    getPattern(pattern) {
+        if (!this.patternCache.has(pattern)) {
+            this.patternCache.set(pattern, topicProfiles.compilePattern(pattern));
+        }
+        return this.patternCache.get(pattern);
+    }
 
-        // Bonus for programming language mentions
-        const programmingLanguages = ['javascript', 'python', 'java', 'c++', 'c#', 'php', 'ruby', 'go', 'rust', 'swift'];
-        programmingLanguages.forEach(lang => {
-            if (text.includes(lang)) {
-                score += 1;
-                analysis.categories.technical = true;
+    /**
+     * Load the language policy
+     * @returns {Promise<Object>} Policy { mode, allowlist }
+     */
+    async getLanguagePolicy() {
+        try {
+            const result = await chrome.storage.sync.get([this.languagePolicyKey]);
+            return this.normalizeLanguagePolicy(result[this.languagePolicyKey]);
+        } catch (error) {
+            console.error('Error loading language policy:', error);
+            return this.normalizeLanguagePolicy();
+        }
+    }
+
+    /**
+     * Save the language policy
+     * @param {Object} policy - Policy { mode, allowlist }
+     * @returns {Promise<Object>} Saved policy
+     */
+    async saveLanguagePolicy(policy) {
+        if (!Object.values(this.languageModes).includes(policy?.mode)) {
+            throw new Error(`Unknown language policy: ${policy?.mode}`);
+        }
+
+        const normalized = this.normalizeLanguagePolicy(policy);
+        if (normalized.mode === this.languageModes.ALLOWLIST && normalized.allowlist.length === 0) {
+            throw new Error('Select at least one language for the allowlist');
+        }
+
+        await chrome.storage.sync.set({ [this.languagePolicyKey]: normalized });
+        return normalized;
+    }
+
+    /**
+     * Fill in defaults and drop unsupported language codes
+     * @param {Object} [policy] - Stored policy
+     * @returns {Object} Policy { mode, allowlist }
+     */
+    normalizeLanguagePolicy(policy = {}) {
+        const supported = languageDetector.getSupportedLanguages().map(language => language.code);
+        const mode = Object.values(this.languageModes).includes(policy?.mode) ? policy.mode : this.defaultLanguagePolicy.mode;
+        const allowlist = Array.isArray(policy?.allowlist)
+            ? [...new Set(policy.allowlist)].filter(code => supported.includes(code))
+            : [...this.defaultLanguagePolicy.allowlist];
+
+        return { mode, allowlist };
+    }
+
+    /**
+     * Decide whether a post passes the language policy and which language to reply in
+     * Posts whose language cannot be told are never blocked
+     * @param {Object} postData - Post data, text flat or under content.text
+     * @param {Object} [policy] - Policy { mode, allowlist }
+     * @returns {Object} { allowed, language, languageName, confidence, replyLanguage, reason }
+     */
+    checkLanguagePolicy(postData, policy) {
+        const { mode, allowlist } = this.normalizeLanguagePolicy(policy);
+        const text = typeof postData?.content === 'string' ? postData.content : postData?.content?.text || '';
+        const detection = languageDetector.detect(text);
+        const known = detection.language !== 'unknown';
+
+        const result = {
+            allowed: true,
+            language: detection.language,
+            languageName: detection.name,
+            confidence: detection.confidence,
+            replyLanguage: known ? detection.language : null,
+            reason: known ? `Detected ${detection.name}` : 'Language could not be detected'
+        };
+
+        if (mode === this.languageModes.ENGLISH_ONLY) {
+            result.replyLanguage = 'en';
+            if (known && detection.language !== 'en') {
+                result.allowed = false;
+                result.reason = `${detection.name} post skipped, only English posts are allowed`;
             }
-        });
+        } else if (mode === this.languageModes.ALLOWLIST && known && !allowlist.includes(detection.language)) {
+            result.allowed = false;
+            result.reason = `${detection.name} is not in the language allowlist`;
+        }
 
-        // Cap the maximum score
-        return Math.min(Math.max(score, 0), this.maxRelevanceScore);
+        return result;
     }
 
     /**
@@ -297,15 +541,12 @@ class ContentFilter {
      * @returns {string} Human-readable summary
      */
     generateAnalysisSummary(analysis) {
-        const { isRelevant, relevanceScore, reasoning, confidence, categories } = analysis;
+        const { isRelevant, relevanceScore, reasoning, confidence, matchedProfile } = analysis;
 
         let summary = `Content ${isRelevant ? 'selected' : 'rejected'} (Score: ${relevanceScore}, Confidence: ${confidence.toFixed(1)}%)\n`;
 
-        if (Object.values(categories).some(Boolean)) {
-            const activeCategories = Object.entries(categories)
-                .filter(([key, value]) => value)
-                .map(([key]) => key);
-            summary += `Categories: ${activeCategories.join(', ')}\n`;
+        if (matchedProfile) {
+            summary += `Topic: ${matchedProfile.name}\n`;
         }
 
         if (reasoning.length > 0) {
@@ -321,4 +562,4 @@ class ContentFilter {
 
 // Export as singleton
 const contentFilter = new ContentFilter();
-export { contentFilter };
\ No newline at end of file
+export { ContentFilter, contentFilter };
\ No newline at end of file
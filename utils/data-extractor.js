@@ -5,6 +5,8 @@
  * into a consistent JSON format for processing and analysis.
  */
 
+import { languageDetector } from './language-detector.js';
+
 /**
  * Data Extractor Class
  * Handles extraction and standardization of post data across platforms
@@ -280,7 +282,7 @@ class DataExtractor {
             // Check if post is sponsored/promoted
             metadata.isSponsored = !!postElement.querySelector('.feed-shared-actor__sponsored-text');
 
-            // Try to detect language (basic detection)
+            // Detect the post language
             const textContent = postElement.querySelector(this.linkedinSelectors.content.text);
             if (textContent) {
                 metadata.language = this.detectLanguage(textContent.textContent);
@@ -437,21 +439,12 @@ class DataExtractor {
     }
 
     /**
-     * Basic language detection
+     * Detect the language of a text
      * @param {string} text - Text to analyze
-     * @returns {string} Language code
+     * @returns {string} Language code, 'unknown' when the text is too short or ambiguous
      */
     detectLanguage(text) {
-        if (!text) return 'en';
-
-        // Very basic detection - could be enhanced with a proper library
-        const englishWords = ['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'was', 'one', 'our', 'out', 'day', 'get'];
-        const words = text.toLowerCase().split(/\s+/).slice(0, 50); // Check first 50 words
-
-        const englishWordCount = words.filter(word => englishWords.includes(word)).length;
-        const englishRatio = englishWordCount / Math.min(words.length, 50);
-
-        return englishRatio > 0.1 ? 'en' : 'unknown';
+        return languageDetector.detect(text).language;
     }
 
     /**
@@ -0,0 +1,527 @@
+/**
+ * Draft Queue Utility - Holds generated comments until a human reviews them
+ * Every generated comment is stored as a draft and only approved drafts are posted
+ *
+ * Features:
+ * - Persistent draft storage written only by the service worker, pages send their updates to it
+ * - Post snapshot, relevance analysis and prompt stored with each draft
+ * - Approve / edit / reject / regenerate lifecycle with status history and checked transitions
+ * - Per-platform review mode (enabled by default)
+ * - Retention cleanup for resolved drafts
+ */
+
+class DraftQueue {
+    constructor() {
+        this.config = {
+            maxDrafts: 200,                          // Maximum drafts kept in storage
+            retentionTime: 7 * 24 * 60 * 60 * 1000,  // Keep resolved drafts for 7 days
+            snapshotTextLength: 2000                 // Characters of post text kept in the snapshot
+        };
+
+        this.STATUS = {
+            PENDING: 'pending',
+            APPROVED: 'approved',
+            REJECTED: 'rejected',
+            POSTED: 'posted',
+            FAILED: 'failed'
+        };
+
+        // Drafts still waiting for a decision, the only ones that can be approved, edited, rejected or regenerated
+        this.openStatuses = [this.STATUS.PENDING, this.STATUS.FAILED];
+
+        this.storageKey = 'draftQueue';
+        this.settingsKey = 'extension_settings';
+
+        // Every read-modify-write of the queue runs in turn, so overlapping updates cannot drop each other
+        this.writeQueue = Promise.resolve();
+
+        // Review is required for every platform unless explicitly disabled
+        this.defaultReviewMode = {
+            LINKEDIN: true,
+            TWITTER: true
+        };
+    }
+
+    /**
+     * Add a generated comment to the review queue
+     * @param {Object} draftData - Draft details
+     * @param {string} draftData.platform - Platform name ('LINKEDIN' or 'TWITTER')
+     * @param {Object} draftData.postData - Extracted post data
+     * @param {string} draftData.comment - Generated comment text
+     * @param {string} [draftData.prompt] - Prompt used for generation
+     * @param {Object} [draftData.options] - Generation options (style, tone, length)
+     * @param {number} [draftData.tabId] - Tab the post was found in
+     * @param {Array} [draftData.variants] - Scored alternative comments, best first
+     * @param {Array<string>} [draftData.flags] - Output filter rules the comment was flagged for
+     * @return {Promise<Object>} - The stored draft
+     */
+    async addDraft({ platform, postData, comment, prompt = null, options = {}, tabId = null, variants = [], flags = [] }) {
+        if (!platform || !postData || !postData.id) {
+            throw new Error('Platform and post data with an ID are required');
+        }
+
+        if (!comment || typeof comment !== 'string') {
+            throw new Error('Draft comment text is required');
+        }
+
+        const normalizedPlatform = platform.toUpperCase();
+
+        const draft = await this.enqueueWrite(async () => {
+            const drafts = await this.getAllDrafts();
+
+            // Replace any unresolved draft for the same post instead of stacking duplicates
+            const existing = drafts.find(draft =>
+                draft.postId === postData.id &&
+                draft.platform === normalizedPlatform &&
+                draft.status === this.STATUS.PENDING
+            );
+
+            const created = {
+                id: existing ? existing.id : this.generateDraftId(),
+                platform: normalizedPlatform,
+                postId: postData.id,
+                post: this.createPostSnapshot(postData),
+                analysis: postData.analysis || postData.relevanceAnalysis || null,
+                prompt,
+                options,
+                comment,
+                originalComment: comment,
+                variants,
+                flags,
+                status: this.STATUS.PENDING,
+                tabId,
+                regenerations: existing ? existing.regenerations : 0,
+                createdAt: existing ? existing.createdAt : Date.now(),
+                updatedAt: Date.now(),
+                history: [{ action: 'created', timestamp: Date.now() }]
+            };
+
+            const remaining = drafts.filter(item => item.id !== created.id);
+            remaining.unshift(created);
+
+            await this.saveDrafts(this.cleanupDrafts(remaining));
+            return created;
+        });
+
+        console.log(`[Draft Queue] Draft ${draft.id} queued for ${normalizedPlatform} post ${draft.postId}`);
+        return draft;
+    }
+
+    /**
+     * Get drafts, optionally filtered by status and platform
+     * @param {Object} filter - Filter options
+     * @param {string} [filter.status] - Draft status
+     * @param {string} [filter.platform] - Platform name
+     * @return {Promise<Array>} - Matching drafts, newest first
+     */
+    async getDrafts(filter = {}) {
+        const drafts = await this.getAllDrafts();
+
+        return drafts.filter(draft => {
+            if (filter.status && draft.status !== filter.status) {
+                return false;
+            }
+            if (filter.platform && draft.platform !== filter.platform.toUpperCase()) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Get a single draft by ID
+     * @param {string} draftId - Draft ID
+     * @return {Promise<Object|null>} - Draft or null if not found
+     */
+    async getDraft(draftId) {
+        const drafts = await this.getAllDrafts();
+        return drafts.find(draft => draft.id === draftId) || null;
+    }
+
+    /**
+     * Approve a draft, optionally replacing its text with an edited version
+     * @param {string} draftId - Draft ID
+     * @param {string} [editedComment] - Edited comment text
+     * @return {Promise<Object>} - Updated draft
+     */
+    async approveDraft(draftId, editedComment = null) {
+        return this.updateDraft(draftId, draft => {
+            const updates = { status: this.STATUS.APPROVED, approvedAt: Date.now() };
+            if (editedComment && editedComment.trim() && editedComment.trim() !== draft.comment) {
+                updates.comment = editedComment.trim();
+                updates.edited = true;
+            }
+
+            // Picking one of the generated variants as-is is a choice, not an edit
+            const finalComment = updates.comment || draft.comment;
+            const selectedVariant = (draft.variants || []).findIndex(variant => variant.text === finalComment);
+            if (selectedVariant !== -1) {
+                updates.selectedVariant = selectedVariant;
+                updates.edited = false;
+            }
+
+            return updates;
+        }, 'approved', this.openStatuses);
+    }
+
+    /**
+     * Replace the text of a draft that is still waiting for a decision
+     * @param {string} draftId - Draft ID
+     * @param {string} comment - New comment text
+     * @return {Promise<Object>} - Updated draft
+     */
+    async editDraft(draftId, comment) {
+        if (!comment || !comment.trim()) {
+            throw new Error('Edited comment cannot be empty');
+        }
+
+        return this.updateDraft(draftId, { comment: comment.trim(), edited: true }, 'edited', this.openStatuses);
+    }
+
+    /**
+     * Reject a draft so it is never posted
+     * @param {string} draftId - Draft ID
+     * @param {string} reason - Optional rejection reason
+     * @return {Promise<Object>} - Updated draft
+     */
+    async rejectDraft(draftId, reason = 'rejected_by_user') {
+        return this.updateDraft(draftId, {
+            status: this.STATUS.REJECTED,
+            rejectedAt: Date.now(),
+            rejectionReason: reason
+        }, 'rejected', this.openStatuses);
+    }
+
+    /**
+     * Reject an approved draft that will not be submitted
+     * @param {string} draftId - Draft ID
+     * @param {string} reason - Why it stopped, e.g. 'cancelled_during_hold' or 'duplicate'
+     * @return {Promise<Object>} - Updated draft
+     */
+    async cancelDraft(draftId, reason) {
+        if (this.isPageContext()) {
+            return this.requestUpdate({ type: 'CANCEL_DRAFT', draftId, reason });
+        }
+
+        return this.updateDraft(draftId, {
+            status: this.STATUS.REJECTED,
+            rejectedAt: Date.now(),
+            rejectionReason: reason
+        }, 'cancelled', [this.STATUS.APPROVED]);
+    }
+
+    /**
+     * Hand an approved draft over for posting, and send it back to the queue when that fails
+     * @param {Object} draft - Approved draft
+     * @param {Function} send - Async function posting the draft, resolves with the posting result
+     * @return {Promise<Object>} - Posting result, { success: false, error } when sending threw
+     */
+    async deliverApproved(draft, send) {
+        let result;
+        try {
+            result = await send(draft);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        if (!result?.success) {
+            // An approved draft cannot be edited, rejected or approved again, so it must not stay approved.
+            // Drafts the poster already failed, cancelled or posted refuse the change.
+            await this.markFailed(draft.id, result?.error || result?.reason || 'Posting failed').catch(() => {});
+        }
+
+        return result;
+    }
+
+    /**
+     * Replace a draft's text with a freshly generated comment
+     * @param {string} draftId - Draft ID
+     * @param {string} comment - Regenerated comment text
+     * @param {string} [prompt] - Prompt used for regeneration
+     * @param {Array} [variants] - Regenerated variants, best first
+     * @param {Array<string>} [flags] - Output filter rules the new comment was flagged for
+     * @return {Promise<Object>} - Updated draft
+     */
+    async replaceWithRegenerated(draftId, comment, prompt = null, variants = [], flags = []) {
+        return this.updateDraft(draftId, draft => ({
+            comment,
+            originalComment: comment,
+            prompt: prompt || draft.prompt,
+            variants,
+            flags,
+            status: this.STATUS.PENDING,
+            edited: false,
+            regenerations: (draft.regenerations || 0) + 1
+        }), 'regenerated', this.openStatuses);
+    }
+
+    /**
+     * Mark a draft as posted
+     * @param {string} draftId - Draft ID
+     * @param {Object} result - Posting result
+     * @return {Promise<Object>} - Updated draft
+     */
+    async markPosted(draftId, result = {}) {
+        if (this.isPageContext()) {
+            return this.requestUpdate({ type: 'MARK_DRAFT_POSTED', draftId, timestamp: result.timestamp });
+        }
+
+        return this.updateDraft(draftId, {
+            status: this.STATUS.POSTED,
+            postedAt: result.timestamp || Date.now()
+        }, 'posted', [this.STATUS.APPROVED]);
+    }
+
+    /**
+     * Mark a draft as failed so it can be approved again
+     * @param {string} draftId - Draft ID
+     * @param {string} errorMessage - Failure reason
+     * @return {Promise<Object>} - Updated draft
+     */
+    async markFailed(draftId, errorMessage) {
+        if (this.isPageContext()) {
+            return this.requestUpdate({ type: 'MARK_DRAFT_FAILED', draftId, error: errorMessage });
+        }
+
+        return this.updateDraft(draftId, {
+            status: this.STATUS.FAILED,
+            lastError: errorMessage
+        }, 'failed', [this.STATUS.APPROVED]);
+    }
+
+    /**
+     * Apply updates to a stored draft and record the action in its history
+     * @param {string} draftId - Draft ID
+     * @param {Object|Function} updates - Fields to update, or a function building them from the stored draft
+     * @param {string} action - History action name
+     * @param {Array<string>} [fromStatuses] - Statuses the draft may be in, any status when omitted
+     * @return {Promise<Object>} - Updated draft
+     * @throws {Error} - When the draft is missing or its status does not allow the action
+     */
+    async updateDraft(draftId, updates, action = 'updated', fromStatuses = null) {
+        return this.enqueueWrite(async () => {
+            const drafts = await this.getAllDrafts();
+            const index = drafts.findIndex(draft => draft.id === draftId);
+
+            if (index === -1) {
+                throw new Error(`Draft not found: ${draftId}`);
+            }
+
+            const current = drafts[index];
+            if (fromStatuses && !fromStatuses.includes(current.status)) {
+                throw new Error(`Draft ${draftId} is ${current.status} and cannot be ${action}`);
+            }
+
+            const draft = {
+                ...current,
+                ...(typeof updates === 'function' ? updates(current) : updates),
+                updatedAt: Date.now()
+            };
+
+            draft.history = [...(current.history || []), { action, timestamp: Date.now() }];
+            drafts[index] = draft;
+
+            await this.saveDrafts(drafts);
+            return draft;
+        });
+    }
+
+    /**
+     * Run a read-modify-write of the queue after the ones already started
+     * @param {Function} task - Async function doing the write
+     * @return {Promise<*>} - Result of the task
+     */
+    enqueueWrite(task) {
+        const run = this.writeQueue.then(task);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Ask the service worker to apply a draft update made in a page
+     * @param {Object} message - Runtime message with the draft ID
+     * @return {Promise<Object>} - Updated draft
+     */
+    async requestUpdate(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response?.success) {
+            throw new Error(response?.error || `Draft ${message.draftId} not updated`);
+        }
+        return response.data;
+    }
+
+    /**
+     * Check whether the code runs in a web page rather than the extension
+     * @return {boolean} - True in content scripts
+     */
+    isPageContext() {
+        return typeof window !== 'undefined' && window.location?.protocol !== 'chrome-extension:';
+    }
+
+    /**
+     * Check whether a comment may be submitted without further review
+     * @param {string} platform - Platform name
+     * @param {string} postId - Post ID
+     * @param {string} [draftId] - Draft ID supplied by the caller
+     * @return {Promise<Object>} - { allowed, reason, draft }
+     */
+    async checkApproval(platform, postId, draftId = null) {
+        const reviewRequired = await this.isReviewRequired(platform);
+        if (!reviewRequired) {
+            return { allowed: true, reason: 'review_disabled', draft: null };
+        }
+
+        if (!draftId) {
+            return { allowed: false, reason: 'awaiting_review', draft: null };
+        }
+
+        const draft = await this.getDraft(draftId);
+        if (!draft || draft.postId !== postId) {
+            return { allowed: false, reason: 'draft_not_found', draft: null };
+        }
+
+        if (draft.status !== this.STATUS.APPROVED) {
+            return { allowed: false, reason: `draft_${draft.status}`, draft };
+        }
+
+        return { allowed: true, reason: 'approved', draft };
+    }
+
+    /**
+     * Check if review is required before posting on a platform
+     * @param {string} platform - Platform name
+     * @return {Promise<boolean>} - True if drafts must be approved
+     */
+    async isReviewRequired(platform) {
+        const reviewMode = await this.getReviewMode();
+        return reviewMode[platform.toUpperCase()] !== false;
+    }
+
+    /**
+     * Get the per-platform review mode from extension settings
+     * @return {Promise<Object>} - Map of platform to review flag
+     */
+    async getReviewMode() {
+        try {
+            const result = await chrome.storage.local.get([this.settingsKey]);
+            const settings = result[this.settingsKey] || {};
+            return { ...this.defaultReviewMode, ...(settings.reviewMode || {}) };
+        } catch (error) {
+            console.error('[Draft Queue] Error reading review mode:', error);
+            return { ...this.defaultReviewMode };
+        }
+    }
+
+    /**
+     * Count drafts by status
+     * @return {Promise<Object>} - Counts keyed by status
+     */
+    async getCounts() {
+        const drafts = await this.getAllDrafts();
+
+        return drafts.reduce((acc, draft) => {
+            acc[draft.status] = (acc[draft.status] || 0) + 1;
+            return acc;
+        }, { pending: 0, approved: 0, rejected: 0, posted: 0, failed: 0 });
+    }
+
+    /**
+     * Build a compact, serializable snapshot of the post
+     * @param {Object} postData - Extracted post data
+     * @return {Object} - Post snapshot
+     */
+    createPostSnapshot(postData) {
+        const content = postData.content || {};
+        const text = typeof content === 'string' ? content : (content.text || '');
+
+        return {
+            id: postData.id,
+            platform: postData.platform,
+            url: postData.metadata?.url || null,
+            author: {
+                name: postData.author?.name || '',
+                headline: postData.author?.headline || postData.author?.handle || ''
+            },
+            content: {
+                text: text.substring(0, this.config.snapshotTextLength),
+                hashtags: content.hashtags || postData.hashtags || [],
+                mentions: content.mentions || []
+            },
+            thread: postData.thread || null,
+            media: postData.media || [],
+            engagement: postData.engagement || null
+        };
+    }
+
+    /**
+     * Remove old resolved drafts and enforce the storage cap
+     * @param {Array} drafts - Draft list
+     * @return {Array} - Cleaned draft list
+     */
+    cleanupDrafts(drafts) {
+        const cutoffTime = Date.now() - this.config.retentionTime;
+
+        const cleaned = drafts.filter(draft =>
+            draft.status === this.STATUS.PENDING ||
+            draft.status === this.STATUS.APPROVED ||
+            draft.updatedAt > cutoffTime
+        );
+
+        return cleaned.slice(0, this.config.maxDrafts);
+    }
+
+    /**
+     * Get all drafts from storage
+     * @return {Promise<Array>} - Draft list
+     */
+    async getAllDrafts() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKey]);
+            return result[this.storageKey] || [];
+        } catch (error) {
+            console.error('[Draft Queue] Error getting drafts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save drafts to storage
+     * @param {Array} drafts - Draft list
+     * @return {Promise<void>}
+     */
+    async saveDrafts(drafts) {
+        // Two writers would each save the list they read, losing the other's change
+        if (this.isPageContext()) {
+            throw new Error('Drafts are only written by the service worker');
+        }
+
+        try {
+            await chrome.storage.local.set({ [this.storageKey]: drafts });
+        } catch (error) {
+            console.error('[Draft Queue] Error saving drafts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove every draft from storage
+     * @return {Promise<void>}
+     */
+    async clear() {
+        await chrome.storage.local.remove([this.storageKey]);
+        console.log('[Draft Queue] All drafts cleared');
+    }
+
+    /**
+     * Generate unique draft ID
+     * @return {string} - Draft ID
+     */
+    generateDraftId() {
+        return `draft_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+    }
+}
+
+// Create singleton instance
+const draftQueue = new DraftQueue();
+
+export { DraftQueue, draftQueue };
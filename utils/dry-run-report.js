@@ -0,0 +1,458 @@
+/**
+ * Dry Run Report Utility - Simulates the commenting pipeline without posting
+ * Records what would have happened to every post so settings can be tuned safely
+ *
+ * Features:
+ * - Runs relevance, duplicate and review checks exactly as a live run would
+ * - Per-session reports grouped by browsing activity
+ * - Decision and reason recorded for every post seen
+ * - Entries from every tab written one at a time by the service worker
+ * - JSON and CSV export
+ */
+
+import { contentFilter } from './content-filter.js';
+import { DuplicateChecker } from './duplicate-checker.js';
+import { DraftQueue } from './draft-queue.js';
+
+class DryRunReport {
+    constructor() {
+        this.config = {
+            sessionTimeout: 30 * 60 * 1000,  // Inactivity gap that starts a new session
+            maxSessions: 10,                 // Oldest sessions are dropped beyond this
+            maxEntriesPerSession: 500,       // Oldest entries are dropped beyond this
+            excerptLength: 200               // Post text kept per entry
+        };
+
+        this.decisions = {
+            WOULD_POST: 'would_post',
+            WOULD_QUEUE: 'would_queue_for_review',
+            WOULD_SKIP: 'would_skip'
+        };
+
+        this.storageKey = 'dryRunReports';
+        this.settingsKey = 'extension_settings';
+        this.duplicateChecker = new DuplicateChecker();
+        this.draftQueue = new DraftQueue();
+
+        // Tabs send their entries to the service worker, whose instance is the only writer
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Check whether dry-run mode is enabled
+     * @return {Promise<boolean>} - True when nothing should be submitted
+     */
+    async isEnabled() {
+        try {
+            const result = await chrome.storage.local.get([this.settingsKey]);
+            return result[this.settingsKey]?.dryRunEnabled === true;
+        } catch (error) {
+            console.error('[Dry Run] Error reading dry-run setting:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Run a post through the pipeline and record what would have happened
+     * @param {Object} simulation - Simulation input
+     * @param {string} simulation.platform - 'linkedin' or 'twitter'
+     * @param {Object} simulation.postData - Extracted post data
+     * @param {Object} [simulation.analysis] - Relevance analysis from the content script
+     * @param {Function} [simulation.generate] - Async generator returning { comment } or null
+     * @return {Promise<Object>} - The recorded entry
+     */
+    async simulatePost({ platform, postData, analysis = null, generate = null }) {
+        const normalizedPlatform = (platform || 'linkedin').toLowerCase();
+        const entry = await this.createEntry(normalizedPlatform, postData, analysis);
+
+        try {
+            if (analysis?.language && !analysis.language.allowed) {
+                entry.notes.push(analysis.language.reason);
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'language_not_allowed'));
+            }
+
+            const relevant = analysis ? analysis.isRelevant : entry.contentFilter.isRelevant;
+            if (!relevant) {
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'not_relevant'));
+            }
+
+            const history = await this.duplicateChecker.getCommentHistory();
+
+            if (await this.duplicateChecker.hasCommentedOnPost(postData.id, normalizedPlatform, history)) {
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'already_commented'));
+            }
+
+            const generation = generate ? await generate() : null;
+            if (generation?.sensitive) {
+                entry.notes.push(`Sensitive context: ${generation.sensitive.reason}`);
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'sensitive_context'));
+            }
+
+            if (generation?.safety) {
+                const { source, reason, categories } = generation.safety;
+                entry.notes.push(`Model safety blocked the ${source}: ${[reason, ...categories].join(', ')}`);
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'model_safety'));
+            }
+
+            if (generation?.skipped) {
+                entry.notes.push(`Model: ${generation.skipReason}`);
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'model_skipped'));
+            }
+
+            if (generation?.rejected) {
+                entry.notes.push(`Output filter: ${generation.rejectReasons.join(', ')}`);
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'output_rejected'));
+            }
+
+            if (!generation || !generation.comment) {
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'generation_failed'));
+            }
+
+            entry.draft = generation.comment;
+
+            if (await this.duplicateChecker.isSimilarContentPosted(generation.comment, normalizedPlatform, history)) {
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'similar_comment_posted'));
+            }
+
+            if (await this.duplicateChecker.isPlatformOnCooldown(normalizedPlatform, history)) {
+                entry.notes.push('Platform cooldown active, posting would be delayed');
+            }
+
+            if (generation.flags?.length > 0) {
+                entry.notes.push(`Output filter flagged: ${generation.flags.join(', ')}`);
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_QUEUE, 'output_flagged'));
+            }
+
+            if (await this.draftQueue.isReviewRequired(normalizedPlatform)) {
+                return await this.recordEntry(this.decide(entry, this.decisions.WOULD_QUEUE, 'review_required'));
+            }
+
+            return await this.recordEntry(this.decide(entry, this.decisions.WOULD_POST, 'passed_all_checks'));
+
+        } catch (error) {
+            console.error('[Dry Run] Error simulating post:', error);
+            entry.notes.push(error.message);
+            return await this.recordEntry(this.decide(entry, this.decisions.WOULD_SKIP, 'error'));
+        }
+    }
+
+    /**
+     * Record a submission that was stopped right before the submit click
+     * @param {Object} stop - Stop details
+     * @param {string} stop.platform - Platform name
+     * @param {Object} stop.postData - Post data or draft snapshot
+     * @param {string} stop.comment - Comment that was typed
+     * @param {string} [stop.draftId] - Approved draft being posted
+     * @return {Promise<Object>} - The recorded entry
+     */
+    async recordStoppedSubmit({ platform, postData, comment, draftId = null }) {
+        const entry = await this.createEntry((platform || 'linkedin').toLowerCase(), postData, postData?.analysis || null);
+        entry.stage = 'submit';
+        entry.draft = comment;
+
+        if (draftId) {
+            entry.notes.push(`Approved draft ${draftId}`);
+        }
+
+        return this.recordEntry(this.decide(entry, this.decisions.WOULD_POST, 'stopped_before_submit'));
+    }
+
+    /**
+     * Build a report entry with post details and relevance scores
+     * @param {string} platform - Normalized platform name
+     * @param {Object} postData - Post data
+     * @param {Object|null} analysis - Content script relevance analysis, scored here when missing
+     * @return {Promise<Object>} - Entry without a decision
+     */
+    async createEntry(platform, postData, analysis) {
+        const text = this.getPostText(postData);
+
+        // The content scripts score with the same engine and settings, their analysis is reused as is
+        const filterAnalysis = analysis ||
+            await contentFilter.analyzePost(postData, await contentFilter.loadRelevanceSettings());
+
+        return {
+            id: this.generateEntryId(),
+            timestamp: Date.now(),
+            platform,
+            stage: 'scan',
+            postId: postData?.id || null,
+            author: postData?.author?.name || postData?.author?.username || '',
+            url: postData?.metadata?.url || postData?.url || '',
+            postExcerpt: text.substring(0, this.config.excerptLength),
+            relevance: analysis ? {
+                isRelevant: analysis.isRelevant,
+                score: analysis.relevanceScore,
+                confidence: analysis.confidence || 0,
+                profile: analysis.matchedProfile?.name || null,
+                reasoning: analysis.reasoning || []
+            } : null,
+            contentFilter: {
+                isRelevant: filterAnalysis.isRelevant,
+                score: filterAnalysis.relevanceScore,
+                confidence: filterAnalysis.confidence,
+                profile: filterAnalysis.matchedProfile?.name || null,
+                reasoning: filterAnalysis.reasoning
+            },
+            draft: null,
+            decision: null,
+            reason: null,
+            notes: []
+        };
+    }
+
+    /**
+     * Set the decision on an entry
+     * @param {Object} entry - Report entry
+     * @param {string} decision - One of this.decisions
+     * @param {string} reason - Machine-readable reason
+     * @return {Object} - The entry
+     */
+    decide(entry, decision, reason) {
+        entry.decision = decision;
+        entry.reason = reason;
+        return entry;
+    }
+
+    /**
+     * Append an entry to the current session
+     * @param {Object} entry - Report entry
+     * @return {Promise<Object>} - The entry
+     */
+    async recordEntry(entry) {
+        if (this.isPageContext()) {
+            await this.requestUpdate({ type: 'RECORD_DRY_RUN_ENTRY', entry });
+        } else {
+            await this.enqueueWrite(async () => {
+                const sessions = await this.getSessions();
+                const now = Date.now();
+                let session = sessions[0];
+
+                if (!session || now - session.updatedAt > this.config.sessionTimeout) {
+                    session = { id: this.generateSessionId(), startedAt: now, updatedAt: now, entries: [] };
+                    sessions.unshift(session);
+                }
+
+                session.entries.push(entry);
+                session.entries = session.entries.slice(-this.config.maxEntriesPerSession);
+                session.updatedAt = now;
+
+                await this.saveSessions(sessions.slice(0, this.config.maxSessions));
+            });
+        }
+
+        console.log(`[Dry Run] ${entry.platform} post ${entry.postId}: ${entry.decision} (${entry.reason})`);
+        return entry;
+    }
+
+    /**
+     * Get a session report with decision counts
+     * @param {string} [sessionId] - Session ID, defaults to the latest session
+     * @return {Promise<Object|null>} - Session with summary, or null if none exist
+     */
+    async getReport(sessionId = null) {
+        const sessions = await this.getSessions();
+        const session = sessionId ? sessions.find(item => item.id === sessionId) : sessions[0];
+
+        if (!session) {
+            return null;
+        }
+
+        return { ...session, summary: this.summarize(session.entries) };
+    }
+
+    /**
+     * List sessions without their entries
+     * @return {Promise<Array>} - Session summaries, newest first
+     */
+    async listSessions() {
+        const sessions = await this.getSessions();
+
+        return sessions.map(session => ({
+            id: session.id,
+            startedAt: session.startedAt,
+            updatedAt: session.updatedAt,
+            summary: this.summarize(session.entries)
+        }));
+    }
+
+    /**
+     * Count entries by decision
+     * @param {Array} entries - Report entries
+     * @return {Object} - Counts keyed by decision, plus total
+     */
+    summarize(entries) {
+        const summary = { total: entries.length };
+
+        Object.values(this.decisions).forEach(decision => {
+            summary[decision] = entries.filter(entry => entry.decision === decision).length;
+        });
+
+        return summary;
+    }
+
+    /**
+     * Export a session report
+     * @param {string} [sessionId] - Session ID, defaults to the latest session
+     * @param {string} [format] - 'json' or 'csv'
+     * @return {Promise<string>} - Exported report
+     */
+    async exportReport(sessionId = null, format = 'json') {
+        const report = await this.getReport(sessionId);
+        if (!report) {
+            throw new Error('No dry-run report found');
+        }
+
+        if (format === 'csv') {
+            return this.convertToCSV(report);
+        }
+
+        return JSON.stringify({ exportTime: Date.now(), ...report }, null, 2);
+    }
+
+    /**
+     * Convert a session report to CSV, one row per post
+     * @param {Object} report - Session report
+     * @return {string} - CSV text
+     */
+    convertToCSV(report) {
+        const headers = [
+            'timestamp', 'platform', 'stage', 'postId', 'author', 'decision', 'reason',
+            'relevanceScore', 'relevanceReasoning', 'filterScore', 'filterReasoning', 'topicProfile',
+            'draft', 'notes', 'postExcerpt', 'url'
+        ];
+
+        const rows = report.entries.map(entry => [
+            new Date(entry.timestamp).toISOString(),
+            entry.platform,
+            entry.stage,
+            entry.postId,
+            entry.author,
+            entry.decision,
+            entry.reason,
+            entry.relevance?.score ?? '',
+            (entry.relevance?.reasoning || []).join('; '),
+            entry.contentFilter?.score ?? '',
+            (entry.contentFilter?.reasoning || []).join('; '),
+            entry.relevance?.profile || entry.contentFilter?.profile || '',
+            entry.draft,
+            entry.notes.join('; '),
+            entry.postExcerpt,
+            entry.url
+        ].map(value => this.escapeCSV(value)));
+
+        return [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
+    }
+
+    /**
+     * Quote a CSV field
+     * @param {*} value - Field value
+     * @return {string} - Escaped field
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        if (typeof value === 'number') {
+            return String(value);
+        }
+
+        return `"${String(value).replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Delete all dry-run reports
+     */
+    async clear() {
+        await this.enqueueWrite(() => chrome.storage.local.remove([this.storageKey]));
+        console.log('[Dry Run] Reports cleared');
+    }
+
+    /**
+     * Run a storage write after the ones already queued
+     * @param {Function} task - Async write
+     * @return {Promise<*>} - Result of the task
+     */
+    enqueueWrite(task) {
+        const run = this.writeQueue.then(task);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Ask the service worker to record an entry seen in a page
+     * @param {Object} message - Runtime message with the entry
+     * @return {Promise<void>}
+     */
+    async requestUpdate(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response?.success) {
+            throw new Error(response?.error || `Dry-run entry for post ${message.entry.postId} not recorded`);
+        }
+    }
+
+    /**
+     * Check whether the code runs in a web page rather than the extension
+     * @return {boolean} - True in content scripts
+     */
+    isPageContext() {
+        return typeof window !== 'undefined' && window.location?.protocol !== 'chrome-extension:';
+    }
+
+    /**
+     * Get post text from extracted post data or a flat content string
+     * @param {Object} postData - Post data
+     * @return {string} - Post text
+     */
+    getPostText(postData) {
+        if (!postData) {
+            return '';
+        }
+
+        return typeof postData.content === 'string' ? postData.content : postData.content?.text || '';
+    }
+
+    /**
+     * Load all sessions from storage
+     * @return {Promise<Array>} - Sessions, newest first
+     */
+    async getSessions() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKey]);
+            return result[this.storageKey] || [];
+        } catch (error) {
+            console.error('[Dry Run] Error loading reports:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save sessions to storage
+     * @param {Array} sessions - Sessions to save
+     */
+    async saveSessions(sessions) {
+        await chrome.storage.local.set({ [this.storageKey]: sessions });
+    }
+
+    /**
+     * Generate unique session ID
+     * @return {string} - Unique ID
+     */
+    generateSessionId() {
+        return `dryrun_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    }
+
+    /**
+     * Generate unique entry ID
+     * @return {string} - Unique ID
+     */
+    generateEntryId() {
+        return `entry_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    }
+}
+
+// Create singleton instance
+const dryRunReport = new DryRunReport();
+
+export { DryRunReport, dryRunReport };
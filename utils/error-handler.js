@@ -39,12 +39,33 @@ class ErrorHandler {
                 userMessage: 'API quota exceeded. The service will resume automatically.',
                 suggestions: ['Wait for quota reset', 'Reduce commenting frequency', 'Upgrade API plan if needed']
             },
+            BUDGET_EXCEEDED: {
+                patterns: [/budget.*exhausted/i],
+                severity: 'medium',
+                retryable: false,
+                userMessage: 'Your token or spend budget is used up. Generation resumes when the budget resets.',
+                suggestions: ['Wait for the daily or monthly reset', 'Raise the budget on the settings page', 'Switch to a local model']
+            },
+            OUTPUT_REJECTED: {
+                patterns: [/output.*rejected/i],
+                severity: 'low',
+                retryable: true,
+                userMessage: 'The generated comment broke an output filter rule and was not posted.',
+                suggestions: ['Check the debug logs for the rule that matched', 'Adjust the output filter on the settings page']
+            },
+            COMMENT_TOO_LONG: {
+                patterns: [/comment too long/i],
+                severity: 'low',
+                retryable: true,
+                userMessage: 'The generated comment was over the platform length limit and could not be trimmed.',
+                suggestions: ['Choose a shorter comment length in the popup', 'Try again, a shorter comment is requested automatically']
+            },
             CONTENT_BLOCKED: {
                 patterns: [/blocked.*content/i, /safety.*violation/i, /inappropriate.*content/i],
                 severity: 'low',
                 retryable: false,
-                userMessage: 'Content was blocked by safety filters. Trying alternative approach.',
-                suggestions: ['Content may be inappropriate', 'Will try different comment style', 'Post may contain sensitive topics']
+                userMessage: 'Model safety filters blocked this post. It was skipped without retrying.',
+                suggestions: ['Post may contain sensitive topics', 'Safety thresholds can be changed under AI Provider in Settings']
             },
             DOM_ERROR: {
                 patterns: [/element.*not.*found/i, /selector.*failed/i, /dom.*manipulation.*failed/i],
@@ -0,0 +1,493 @@
+/**
+ * Experiments Utility - Prompt A/B experiments with outcome tracking
+ * Assigns posts to variants of one generation setting and compares how their comments did
+ *
+ * Features:
+ * - Template style, tone or temperature variants, one running experiment per platform
+ * - Random assignment seeded by the post ID, so a regenerated draft keeps its variant
+ * - Posting success, later deletion, reactions and replies per variant
+ * - Two-proportion z-test of every variant against the first one
+ */
+
+class Experiments {
+    constructor() {
+        this.factors = {
+            style: { label: 'Template style', option: 'style' },
+            tone: { label: 'Tone', option: 'tone' },
+            temperature: { label: 'Temperature', option: 'temperature' }
+        };
+
+        this.STATUS = {
+            RUNNING: 'running',
+            STOPPED: 'stopped'
+        };
+
+        this.platforms = ['linkedin', 'twitter'];
+
+        this.config = {
+            minVariants: 2,
+            maxVariants: 4,
+            maxExperiments: 20,
+            maxOutcomes: 1000,              // Oldest outcomes are dropped past this
+            maxValueLength: 60,
+            commentMatchLength: 60,         // Leading characters compared when looking for our comment
+            missInterval: 60 * 60 * 1000,   // Misses closer together than this belong to the same visit
+            deletedAfterMisses: 3,          // Visits without our comment before it counts as deleted
+            minSampleSize: 20,              // Comments per variant before a difference is estimated
+            significanceLevel: 0.05
+        };
+
+        this.storageKeys = {
+            experiments: 'experiments',         // chrome.storage.local
+            outcomes: 'experimentOutcomes'      // chrome.storage.local, one record per commented post
+        };
+
+        // Writes are chained so outcomes recorded close together are not lost
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load all experiments
+     * @return {Promise<Array<Object>>} - Experiments, newest first
+     */
+    async getExperiments() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKeys.experiments]);
+            return result[this.storageKeys.experiments] || [];
+        } catch (error) {
+            console.error('[Experiments] Error loading experiments:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save all experiments
+     * @param {Array<Object>} experiments - Experiments, newest first
+     * @return {Promise<void>}
+     */
+    async saveExperiments(experiments) {
+        await chrome.storage.local.set({ [this.storageKeys.experiments]: experiments.slice(0, this.config.maxExperiments) });
+    }
+
+    /**
+     * Start a new experiment, stopping the one already running on the platform
+     * @param {Object} definition - { name, platform, factor, values } with values as an array or one per line
+     * @return {Promise<Object>} - The stored experiment
+     */
+    async createExperiment({ name, platform, factor, values }) {
+        if (!this.platforms.includes(platform)) {
+            throw new Error(`Unsupported platform: ${platform}`);
+        }
+
+        if (!this.factors[factor]) {
+            throw new Error(`Unknown experiment factor: ${factor}`);
+        }
+
+        const list = Array.isArray(values) ? values : String(values || '').split('\n');
+        const normalized = [...new Set(list.map(value => this.normalizeValue(factor, value)).filter(value => value !== null))];
+
+        if (normalized.length < this.config.minVariants || normalized.length > this.config.maxVariants) {
+            throw new Error(`An experiment needs ${this.config.minVariants} to ${this.config.maxVariants} different valid values`);
+        }
+
+        const experiment = {
+            id: `exp_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`,
+            name: String(name || '').trim().substring(0, this.config.maxValueLength) || `${this.factors[factor].label} test`,
+            platform,
+            factor,
+            variants: normalized.map((value, index) => ({ id: String.fromCharCode(65 + index), value })),
+            status: this.STATUS.RUNNING,
+            createdAt: Date.now(),
+            stoppedAt: null
+        };
+
+        const experiments = (await this.getExperiments()).map(item => (
+            item.platform === platform && item.status === this.STATUS.RUNNING
+                ? { ...item, status: this.STATUS.STOPPED, stoppedAt: Date.now() }
+                : item
+        ));
+
+        await this.saveExperiments([experiment, ...experiments]);
+        console.log(`[Experiments] Started ${experiment.id} on ${platform}: ${factor} ${normalized.join(' / ')}`);
+
+        return experiment;
+    }
+
+    /**
+     * Stop an experiment, its results are kept
+     * @param {string} experimentId - Experiment ID
+     * @return {Promise<Object>} - Updated experiment
+     */
+    async stopExperiment(experimentId) {
+        const experiments = await this.getExperiments();
+        const experiment = experiments.find(item => item.id === experimentId);
+        if (!experiment) {
+            throw new Error(`Experiment not found: ${experimentId}`);
+        }
+
+        experiment.status = this.STATUS.STOPPED;
+        experiment.stoppedAt = experiment.stoppedAt || Date.now();
+        await this.saveExperiments(experiments);
+
+        return experiment;
+    }
+
+    /**
+     * Delete an experiment and its outcomes
+     * @param {string} experimentId - Experiment ID
+     * @return {Promise<void>}
+     */
+    async deleteExperiment(experimentId) {
+        const experiments = await this.getExperiments();
+        await this.saveExperiments(experiments.filter(item => item.id !== experimentId));
+
+        await this.updateOutcomes(outcomes => outcomes.filter(outcome => outcome.experimentId !== experimentId));
+    }
+
+    /**
+     * Clean one variant value
+     * @param {string} factor - Experiment factor
+     * @param {*} value - Raw value
+     * @return {string|number|null} - Clean value, or null when invalid
+     */
+    normalizeValue(factor, value) {
+        const text = String(value ?? '').trim();
+        if (!text) {
+            return null;
+        }
+
+        if (factor === 'temperature') {
+            const temperature = parseFloat(text);
+            return Number.isFinite(temperature) && temperature >= 0 && temperature <= 2 ? temperature : null;
+        }
+
+        if (factor === 'style') {
+            return /^[a-z0-9_-]+$/i.test(text) ? text.toLowerCase() : null;
+        }
+
+        return text.substring(0, this.config.maxValueLength);
+    }
+
+    /**
+     * Pick the variant a post belongs to in the platform's running experiment
+     * @param {string} postId - Post ID
+     * @param {string} platform - Platform name
+     * @return {Promise<Object|null>} - { experimentId, variantId, factor, value, overrides }, null when nothing runs
+     */
+    async assign(postId, platform) {
+        const normalizedPlatform = String(platform || '').toLowerCase();
+        const experiment = (await this.getExperiments())
+            .find(item => item.platform === normalizedPlatform && item.status === this.STATUS.RUNNING);
+
+        if (!experiment || !postId) {
+            return null;
+        }
+
+        const variant = experiment.variants[this.hash(`${experiment.id}:${postId}`) % experiment.variants.length];
+
+        return {
+            experimentId: experiment.id,
+            variantId: variant.id,
+            factor: experiment.factor,
+            value: variant.value,
+            overrides: { [this.factors[experiment.factor].option]: variant.value }
+        };
+    }
+
+    /**
+     * Hash text to an unsigned 32-bit number (FNV-1a)
+     * @param {string} text - Text to hash
+     * @return {number} - Hash
+     */
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Record whether an experiment comment was posted
+     * @param {Object} posting - Posting details
+     * @param {string} posting.platform - Platform name
+     * @param {string} posting.postId - Post the comment was written for
+     * @param {string} posting.comment - Comment text
+     * @param {Object} posting.experiment - { experimentId, variantId } from the generation options
+     * @param {boolean} posting.success - Whether the comment was submitted
+     * @return {Promise<void>}
+     */
+    recordPosting({ platform, postId, comment, experiment, success }) {
+        if (!experiment?.experimentId || !postId) {
+            return Promise.resolve();
+        }
+
+        const normalizedPlatform = String(platform).toLowerCase();
+        const id = `${normalizedPlatform}:${postId}`;
+
+        return this.updateOutcomes(outcomes => {
+            const existing = outcomes.find(outcome => outcome.id === id);
+
+            // A failed retry does not undo a comment that already went out
+            if (existing?.status === 'posted' && !success) {
+                return outcomes;
+            }
+
+            const outcome = {
+                ...this.createOutcome(id, normalizedPlatform, postId, experiment),
+                ...existing,
+                status: success ? 'posted' : 'failed',
+                comment: String(comment || '').substring(0, 300),
+                postedAt: success ? Date.now() : null
+            };
+
+            return [outcome, ...outcomes.filter(item => item.id !== id)];
+        });
+    }
+
+    /**
+     * Record what a revisit of a commented post showed
+     * @param {string} platform - Platform name
+     * @param {string} postId - Post the comment was written for
+     * @param {Object} observation - { found, reactions, replies }
+     * @param {number} [now] - Time of the visit
+     * @return {Promise<void>}
+     */
+    recordObservation(platform, postId, observation, now = Date.now()) {
+        const id = `${String(platform).toLowerCase()}:${postId}`;
+
+        return this.updateOutcomes(outcomes => outcomes.map(outcome => {
+            if (outcome.id !== id || outcome.status !== 'posted') {
+                return outcome;
+            }
+
+            if (observation.found) {
+                return {
+                    ...outcome,
+                    reactions: Math.max(outcome.reactions, observation.reactions || 0),
+                    replies: Math.max(outcome.replies, observation.replies || 0),
+                    deleted: false,
+                    misses: 0,
+                    lastCheckedAt: now
+                };
+            }
+
+            // Scans repeat every few seconds, only one miss counts per visit
+            if (outcome.lastMissAt && now - outcome.lastMissAt < this.config.missInterval) {
+                return outcome;
+            }
+
+            const misses = outcome.misses + 1;
+            return {
+                ...outcome,
+                misses,
+                deleted: misses >= this.config.deletedAfterMisses,
+                lastMissAt: now,
+                lastCheckedAt: now
+            };
+        }));
+    }
+
+    /**
+     * Get posted experiment comments on a platform that are still being watched
+     * @param {string} platform - Platform name
+     * @return {Promise<Map<string, Object>>} - Post ID to outcome record
+     */
+    async getTrackedComments(platform) {
+        const normalizedPlatform = String(platform).toLowerCase();
+        const outcomes = await this.getOutcomes();
+
+        return new Map(outcomes
+            .filter(outcome => outcome.platform === normalizedPlatform && outcome.status === 'posted' && !outcome.deleted)
+            .map(outcome => [outcome.postId, outcome]));
+    }
+
+    /**
+     * Check whether text on the page is the tracked comment
+     * @param {Object} outcome - Outcome record
+     * @param {string} text - Comment text found on the page
+     * @return {boolean} - True when the leading characters match
+     */
+    matchesComment(outcome, text) {
+        const normalize = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        const expected = normalize(outcome.comment).substring(0, this.config.commentMatchLength);
+        const actual = normalize(text);
+
+        return expected.length > 0 && actual.substring(0, expected.length) === expected;
+    }
+
+    /**
+     * Aggregate outcomes per variant with a significance estimate against the first variant
+     * @param {string} experimentId - Experiment ID
+     * @return {Promise<Object|null>} - { experiment, variants }, null when the experiment does not exist
+     */
+    async getResults(experimentId) {
+        const experiment = (await this.getExperiments()).find(item => item.id === experimentId);
+        if (!experiment) {
+            return null;
+        }
+
+        const outcomes = (await this.getOutcomes()).filter(outcome => outcome.experimentId === experimentId);
+
+        const variants = experiment.variants.map(variant => {
+            const records = outcomes.filter(outcome => outcome.variantId === variant.id);
+            const posted = records.filter(outcome => outcome.status === 'posted');
+            const checked = posted.filter(outcome => outcome.lastCheckedAt);
+            const engaged = checked.filter(outcome => outcome.reactions > 0 || outcome.replies > 0);
+
+            return {
+                id: variant.id,
+                value: variant.value,
+                attempts: records.length,
+                posted: posted.length,
+                failed: records.length - posted.length,
+                checked: checked.length,
+                deleted: posted.filter(outcome => outcome.deleted).length,
+                engaged: engaged.length,
+                reactions: posted.reduce((sum, outcome) => sum + outcome.reactions, 0),
+                replies: posted.reduce((sum, outcome) => sum + outcome.replies, 0),
+                successRate: this.rate(posted.length, records.length),
+                deletionRate: this.rate(posted.filter(outcome => outcome.deleted).length, posted.length),
+                engagementRate: this.rate(engaged.length, checked.length)
+            };
+        });
+
+        const [control] = variants;
+        variants.forEach((variant, index) => {
+            variant.significance = index === 0 ? null : {
+                successRate: this.compareProportions(control.posted, control.attempts, variant.posted, variant.attempts),
+                engagementRate: this.compareProportions(control.engaged, control.checked, variant.engaged, variant.checked)
+            };
+        });
+
+        return { experiment, variants };
+    }
+
+    /**
+     * Two-proportion z-test
+     * @param {number} successesA - Successes in the first group
+     * @param {number} totalA - Size of the first group
+     * @param {number} successesB - Successes in the second group
+     * @param {number} totalB - Size of the second group
+     * @return {Object|null} - { difference, zScore, pValue, significant }, null below the minimum sample size
+     */
+    compareProportions(successesA, totalA, successesB, totalB) {
+        if (totalA < this.config.minSampleSize || totalB < this.config.minSampleSize) {
+            return null;
+        }
+
+        const rateA = successesA / totalA;
+        const rateB = successesB / totalB;
+        const pooled = (successesA + successesB) / (totalA + totalB);
+        const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+        // Both groups all succeeded or all failed, there is no difference to test
+        if (standardError === 0) {
+            return { difference: 0, zScore: 0, pValue: 1, significant: false };
+        }
+
+        const zScore = (rateB - rateA) / standardError;
+        const pValue = 2 * (1 - this.normalCdf(Math.abs(zScore)));
+
+        return {
+            difference: rateB - rateA,
+            zScore,
+            pValue,
+            significant: pValue < this.config.significanceLevel
+        };
+    }
+
+    /**
+     * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26)
+     * @param {number} z - z-score
+     * @return {number} - Probability
+     */
+    normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * Divide safely
+     * @param {number} count - Numerator
+     * @param {number} total - Denominator
+     * @return {number|null} - Rate, null when there is nothing to divide by
+     */
+    rate(count, total) {
+        return total > 0 ? count / total : null;
+    }
+
+    /**
+     * Load outcome records
+     * @return {Promise<Array<Object>>} - Outcomes, newest first
+     */
+    async getOutcomes() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKeys.outcomes]);
+            return result[this.storageKeys.outcomes] || [];
+        } catch (error) {
+            console.error('[Experiments] Error loading outcomes:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save outcome records
+     * @param {Array<Object>} outcomes - Outcomes, newest first
+     * @return {Promise<void>}
+     */
+    async saveOutcomes(outcomes) {
+        await chrome.storage.local.set({ [this.storageKeys.outcomes]: outcomes });
+    }
+
+    /**
+     * Change outcome records through the write queue
+     * @param {Function} update - Receives the outcomes and returns the new list
+     * @return {Promise<void>}
+     */
+    updateOutcomes(update) {
+        this.writeQueue = this.writeQueue.then(async () => {
+            try {
+                const outcomes = update(await this.getOutcomes());
+                await this.saveOutcomes(outcomes.slice(0, this.config.maxOutcomes));
+            } catch (error) {
+                console.error('[Experiments] Error saving outcomes:', error);
+            }
+        });
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Create an empty outcome record
+     * @param {string} id - Record ID, platform and post ID
+     * @param {string} platform - Platform name
+     * @param {string} postId - Post ID
+     * @param {Object} experiment - { experimentId, variantId }
+     * @return {Object} - Outcome record
+     */
+    createOutcome(id, platform, postId, experiment) {
+        return {
+            id,
+            platform,
+            postId,
+            experimentId: experiment.experimentId,
+            variantId: experiment.variantId,
+            reactions: 0,
+            replies: 0,
+            deleted: false,
+            misses: 0,
+            lastMissAt: null,
+            lastCheckedAt: null
+        };
+    }
+}
+
+// Create singleton instance
+const experiments = new Experiments();
+
+export { Experiments, experiments };
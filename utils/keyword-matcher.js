@@ -0,0 +1,180 @@
+/**
+ * Keyword Matcher Utility - Whole-word keyword and phrase matching for relevance scoring
+ * Matches tokens instead of substrings, so "ai" no longer matches "said"
+ *
+ * Features:
+ * - Unicode word segmentation, with "c++", "c#" and "node.js" kept whole
+ * - Multi-word phrases matched as consecutive words, across hyphens
+ * - Light stemming of plurals and possessives ("developers" -> "developer")
+ * - Hashtags split into words (#MachineLearning -> machine learning) or matched joined (#machinelearning)
+ * - A cap on how often one keyword counts in a post
+ */
+
+class KeywordMatcher {
+    constructor() {
+        this.config = {
+            maxMatchesPerKeyword: 2,   // A keyword repeated in a post counts at most this many times
+            minStemLength: 4,          // Shorter words like "aws" or "ios" are never stemmed
+            maxCachedTerms: 2000
+        };
+
+        // Plurals whose singular is a different word
+        this.stemExceptions = new Set(['news', 'series', 'species', 'always', 'perhaps']);
+
+        this.words = new Intl.Segmenter('en', { granularity: 'word' });
+
+        // Tokenized keywords by term
+        this.termCache = new Map();
+    }
+
+    /**
+     * Tokenize text once so several keyword lists can be matched against it
+     * @param {string} text - Post text
+     * @return {Object} - { tokens, hashtags: [{ start, end, joined }] } with stemmed, lowercased tokens
+     */
+    prepare(text) {
+        const value = String(text || '').normalize('NFKC');
+        const raw = [];
+        const hashtags = [];
+        let previousEnd = -1;
+        let hashtag = false;
+
+        for (const { segment, index, isWordLike } of this.words.segment(value)) {
+            if (isWordLike) {
+                const parts = hashtag ? this.splitHashtag(segment) : [segment];
+                if (hashtag && parts.length > 0) {
+                    hashtags.push({ start: raw.length, end: raw.length + parts.length, joined: this.stem(parts.join('').toLowerCase()) });
+                }
+                parts.forEach(part => raw.push(part.toLowerCase()));
+                previousEnd = index + segment.length;
+                hashtag = false;
+                continue;
+            }
+
+            // "c++" and "c#" are split by the segmenter, the symbols belong to the word right before them
+            if (/^[+#]$/.test(segment) && previousEnd === index && raw.length > 0) {
+                raw[raw.length - 1] += segment;
+                previousEnd = index + segment.length;
+                continue;
+            }
+
+            hashtag = segment === '#';
+        }
+
+        return { tokens: raw.map(token => this.stem(token)), hashtags };
+    }
+
+    /**
+     * Find which keywords occur in prepared text
+     * Longer phrases are matched first and use up their words, so "machine learning" does not also count as "learning"
+     * @param {Object} prepared - Result of prepare()
+     * @param {Array<Object>} entries - [{ term, weight }]
+     * @return {Array<Object>} - [{ term, weight, count }] in list order, count capped per keyword
+     */
+    findMatches(prepared, entries) {
+        const { tokens, hashtags } = prepared;
+        const used = new Array(tokens.length).fill(false);
+        const isFree = (start, end) => used.slice(start, end).every(taken => !taken);
+        const take = (start, end) => used.fill(true, start, end);
+
+        const compiled = entries
+            .map((entry, order) => ({ ...entry, order, words: this.getTermTokens(entry.term) }))
+            .filter(entry => entry.words.length > 0)
+            .sort((a, b) => b.words.length - a.words.length || a.order - b.order);
+
+        const matches = [];
+        compiled.forEach(entry => {
+            const length = entry.words.length;
+            const joined = this.stem(entry.words.join(''));
+            let count = 0;
+
+            // A hashtag written as one word matches the whole phrase
+            hashtags.forEach(({ start, end, joined: tag }) => {
+                if (tag === joined && isFree(start, end)) {
+                    take(start, end);
+                    count += 1;
+                }
+            });
+
+            for (let i = 0; i + length <= tokens.length; i++) {
+                if (isFree(i, i + length) && entry.words.every((word, offset) => tokens[i + offset] === word)) {
+                    take(i, i + length);
+                    count += 1;
+                    i += length - 1;
+                }
+            }
+
+            if (count > 0) {
+                matches.push({ term: entry.term, weight: entry.weight, count: Math.min(count, this.config.maxMatchesPerKeyword), order: entry.order });
+            }
+        });
+
+        return matches
+            .sort((a, b) => a.order - b.order)
+            .map(({ term, weight, count }) => ({ term, weight, count }));
+    }
+
+    /**
+     * Tokenize a keyword the same way as post text
+     * @param {string} term - Keyword or phrase
+     * @return {Array<string>} - Stemmed tokens
+     */
+    getTermTokens(term) {
+        if (!this.termCache.has(term)) {
+            if (this.termCache.size >= this.config.maxCachedTerms) {
+                this.termCache.clear();
+            }
+            this.termCache.set(term, this.prepare(term).tokens);
+        }
+        return this.termCache.get(term);
+    }
+
+    /**
+     * Split a hashtag into words at underscores and case changes
+     * @param {string} tag - Hashtag without the #
+     * @return {Array<string>} - Words, e.g. ["Machine", "Learning"] or ["AI", "Engineer"]
+     */
+    splitHashtag(tag) {
+        return tag
+            .split('_')
+            .flatMap(part => part
+                .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+                .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1 $2')
+                .split(' '))
+            .filter(Boolean);
+    }
+
+    /**
+     * Reduce plurals and possessives to the base word
+     * @param {string} token - Lowercased token
+     * @return {string} - Stemmed token
+     */
+    stem(token) {
+        const word = token.replace(/['’]s$/, '');
+
+        // Words with digits or symbols ("node.js", "c++") and short words are left alone
+        if (word.length < this.config.minStemLength || /[^\p{L}\p{M}]/u.test(word) || this.stemExceptions.has(word)) {
+            return word;
+        }
+
+        if (/[^aeiou]ies$/.test(word)) {
+            return `${word.slice(0, -3)}y`;
+        }
+        if (/(?:sses|ches|shes|xes|zes)$/.test(word)) {
+            return word.slice(0, -2);
+        }
+        if (/(?:ss|us|is)$/.test(word)) {
+            return word;
+        }
+        if (word.endsWith('s')) {
+            return word.slice(0, -1);
+        }
+
+        return word;
+    }
+}
+
+// Create singleton instance
+const keywordMatcher = new KeywordMatcher();
+
+export { KeywordMatcher, keywordMatcher };
@@ -0,0 +1,208 @@
+/**
+ * Language Detector Utility - Offline language identification for post text
+ * Runs entirely in the extension, no text leaves the browser
+ *
+ * Features:
+ * - Writing system detection for Chinese, Japanese, Korean, Hindi, Greek, Hebrew and Thai
+ * - Character trigram profiles for languages sharing the Latin, Cyrillic or Arabic script
+ * - Confidence score, 'unknown' for short or ambiguous text
+ */
+
+import { languageSamples, languageNames } from './language-profiles.js';
+
+class LanguageDetector {
+    constructor() {
+        this.config = {
+            minLetters: 20,        // Fewer letters than this is too little to tell
+            maxLetters: 1000,      // Longer text is cut, the start is enough
+            minConfidence: 0.15,   // Below this the result is reported as unknown
+            confidenceScale: 1,    // Average log-probability margin that counts as fully confident
+            smoothing: 0.1         // Count added to every trigram, keeps unseen trigrams from ruling a language out
+        };
+
+        // Script ranges; scripts with a language have a single supported language, the rest use profiles
+        this.scripts = [
+            { name: 'hangul', pattern: /[가-힯ᄀ-ᇿ㄰-㆏]/g, language: 'ko' },
+            { name: 'kana', pattern: /[぀-ヿ]/g, language: 'ja' },
+            { name: 'han', pattern: /[一-鿿㐀-䶿]/g, language: 'zh' },
+            { name: 'devanagari', pattern: /[ऀ-ॿ]/g, language: 'hi' },
+            { name: 'greek', pattern: /[Ͱ-Ͽ]/g, language: 'el' },
+            { name: 'hebrew', pattern: /[֐-׿]/g, language: 'he' },
+            { name: 'thai', pattern: /[฀-๿]/g, language: 'th' },
+            { name: 'cyrillic', pattern: /[Ѐ-ӿ]/g, profiles: 'cyrillic' },
+            { name: 'arabic', pattern: /[؀-ۿݐ-ݿ]/g, profiles: 'arabic' },
+            { name: 'latin', pattern: /[a-zA-ZÀ-ɏḀ-ỿ]/g, profiles: 'latin' }
+        ];
+
+        this.profiles = null;
+    }
+
+    /**
+     * Identify the language of a text
+     * @param {string} text - Text to analyze
+     * @return {Object} - { language, name, confidence, script }; language is 'unknown' when unsure
+     */
+    detect(text) {
+        const cleaned = this.cleanText(text).substring(0, this.config.maxLetters);
+        const unknown = { language: 'unknown', name: 'Unknown', confidence: 0, script: null };
+
+        const script = this.detectScript(cleaned);
+        if (!script || script.count < this.getMinLetters(script)) {
+            return { ...unknown, script: script?.name || null };
+        }
+
+        if (script.language) {
+            return { language: script.language, name: languageNames[script.language], confidence: 1, script: script.name };
+        }
+
+        const { language, confidence } = this.scoreProfiles(cleaned, script.profiles);
+        if (confidence < this.config.minConfidence) {
+            return { ...unknown, confidence, script: script.name };
+        }
+
+        return { language, name: languageNames[language], confidence, script: script.name };
+    }
+
+    /**
+     * Get every language the detector can report
+     * @return {Array<Object>} - [{ code, name }] sorted by name
+     */
+    getSupportedLanguages() {
+        return Object.entries(languageNames)
+            .map(([code, name]) => ({ code, name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the English name of a language code
+     * @param {string} code - Language code
+     * @return {string} - Language name, the code itself when unknown
+     */
+    getLanguageName(code) {
+        return languageNames[code] || code;
+    }
+
+    /**
+     * Remove links, mentions, hashtags, digits and punctuation
+     * Hashtags and handles are often English even in posts written in other languages
+     * @param {string} text - Raw text
+     * @return {string} - Lower-case words separated by single spaces
+     */
+    cleanText(text) {
+        return (text || '')
+            .normalize('NFC')
+            .replace(/https?:\/\/\S+|www\.\S+/g, ' ')
+            .replace(/[@#][\p{L}\p{N}_]+/gu, ' ')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Find the writing system most letters belong to
+     * @param {string} text - Cleaned text
+     * @return {Object|null} - Script definition with its letter count
+     */
+    detectScript(text) {
+        let best = null;
+
+        this.scripts.forEach(script => {
+            const count = (text.match(script.pattern) || []).length;
+            if (count > 0 && (!best || count > best.count)) {
+                best = { ...script, count };
+            }
+        });
+
+        // Japanese mixes kanji with kana, any kana means Japanese rather than Chinese
+        const kana = this.scripts.find(script => script.name === 'kana');
+        if (best?.name === 'han' && (text.match(kana.pattern) || []).length > 0) {
+            return { ...kana, count: best.count };
+        }
+
+        return best;
+    }
+
+    /**
+     * Get the minimum letter count for a script
+     * Each Chinese or Japanese character carries a whole syllable or word
+     * @param {Object} script - Script definition
+     * @return {number} - Minimum letters
+     */
+    getMinLetters(script) {
+        return ['han', 'kana'].includes(script.name) ? 2 : this.config.minLetters;
+    }
+
+    /**
+     * Score text against every trigram profile of a script
+     * @param {string} text - Cleaned text
+     * @param {string} group - Profile group: latin, cyrillic or arabic
+     * @return {Object} - { language, confidence }
+     */
+    scoreProfiles(text, group) {
+        const profiles = this.getProfiles()[group];
+        const trigrams = this.extractTrigrams(text);
+        const total = Array.from(trigrams.values()).reduce((sum, count) => sum + count, 0);
+
+        const scores = Object.entries(profiles.languages).map(([language, profile]) => {
+            const denominator = Math.log(profile.total + this.config.smoothing * profiles.vocabularySize);
+            let score = 0;
+            trigrams.forEach((count, trigram) => {
+                score += count * (Math.log((profile.counts.get(trigram) || 0) + this.config.smoothing) - denominator);
+            });
+            return { language, score: score / Math.max(total, 1) };
+        }).sort((a, b) => b.score - a.score);
+
+        const margin = scores.length > 1 ? scores[0].score - scores[1].score : this.config.confidenceScale;
+        return {
+            language: scores[0].language,
+            confidence: Math.min(1, margin / this.config.confidenceScale)
+        };
+    }
+
+    /**
+     * Build trigram profiles from the bundled samples on first use
+     * Languages of a group share one vocabulary size so unseen trigrams cost the same everywhere
+     * @return {Object} - Profiles by group: { languages: { code: { counts, total } }, vocabularySize }
+     */
+    getProfiles() {
+        if (!this.profiles) {
+            this.profiles = Object.fromEntries(Object.entries(languageSamples).map(([group, samples]) => {
+                const vocabulary = new Set();
+                const languages = Object.fromEntries(Object.entries(samples).map(([language, sample]) => {
+                    const counts = this.extractTrigrams(this.cleanText(sample));
+                    counts.forEach((count, trigram) => vocabulary.add(trigram));
+                    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+                    return [language, { counts, total }];
+                }));
+
+                return [group, { languages, vocabularySize: vocabulary.size }];
+            }));
+        }
+
+        return this.profiles;
+    }
+
+    /**
+     * Count character trigrams, each word padded with spaces so word starts and ends count
+     * @param {string} text - Cleaned text
+     * @return {Map<string, number>} - Trigram counts
+     */
+    extractTrigrams(text) {
+        const counts = new Map();
+
+        text.split(' ').filter(Boolean).forEach(word => {
+            const padded = ` ${word} `;
+            for (let i = 0; i < padded.length - 2; i++) {
+                const trigram = padded.substring(i, i + 3);
+                counts.set(trigram, (counts.get(trigram) || 0) + 1);
+            }
+        });
+
+        return counts;
+    }
+}
+
+// Create singleton instance
+const languageDetector = new LanguageDetector();
+
+export { LanguageDetector, languageDetector };
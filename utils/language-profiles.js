@@ -0,0 +1,193 @@
+/**
+ * Language Profiles - Training text for the offline language detector
+ * The detector builds character trigram profiles from these samples on first use.
+ * Languages written in their own script (Chinese, Japanese, Korean, Hindi, Greek,
+ * Hebrew, Thai) are recognized by script alone and need no sample.
+ *
+ * Samples mix everyday and tech vocabulary so posts about software are scored fairly.
+ */
+
+const languageSamples = {
+    latin: {
+        en: `The team shipped a new release of the app this week and the feedback has been great so far.
+            I have been learning about distributed systems and it is harder than I thought, but every
+            small project teaches me something new. What do you think about the future of remote work?
+            Thank you for sharing your experience, this is really helpful for students who are looking
+            for their first job. We would like to hear from anyone who has worked with this framework
+            before. It was a long day at the office but the results were worth the effort and the time.`,
+
+        es: `El equipo lanzó una nueva versión de la aplicación esta semana y los comentarios han sido muy
+            buenos hasta ahora. He estado aprendiendo sobre sistemas distribuidos y es más difícil de lo que
+            pensaba, pero cada pequeño proyecto me enseña algo nuevo. ¿Qué opinas sobre el futuro del trabajo
+            remoto? Gracias por compartir tu experiencia, esto es muy útil para los estudiantes que buscan su
+            primer empleo. Nos gustaría saber de alguien que haya trabajado con este marco de desarrollo.
+            Fue un día largo en la oficina pero los resultados valieron la pena y el tiempo dedicado.`,
+
+        pt: `A equipe lançou uma nova versão do aplicativo nesta semana e o retorno tem sido ótimo até agora.
+            Estou aprendendo sobre sistemas distribuídos e é mais difícil do que eu pensava, mas cada pequeno
+            projeto me ensina algo novo. O que você acha do futuro do trabalho remoto? Obrigado por compartilhar
+            a sua experiência, isso é muito útil para os estudantes que procuram o primeiro emprego. Gostaríamos
+            de ouvir alguém que já trabalhou com essa ferramenta. Foi um dia longo no escritório, mas os
+            resultados valeram a pena e o tempo. Não são muitas as empresas que fazem isso bem.`,
+
+        fr: `L'équipe a publié une nouvelle version de l'application cette semaine et les retours sont très
+            bons jusqu'à présent. J'apprends les systèmes distribués et c'est plus difficile que je ne le
+            pensais, mais chaque petit projet m'apprend quelque chose de nouveau. Que pensez-vous de l'avenir
+            du télétravail ? Merci d'avoir partagé votre expérience, c'est vraiment utile pour les étudiants
+            qui cherchent leur premier emploi. Nous aimerions avoir l'avis de ceux qui ont déjà travaillé avec
+            cet outil. C'était une longue journée au bureau mais les résultats en valaient la peine.`,
+
+        de: `Das Team hat diese Woche eine neue Version der App veröffentlicht und die Rückmeldungen sind bisher
+            sehr gut. Ich beschäftige mich gerade mit verteilten Systemen und es ist schwieriger als gedacht,
+            aber jedes kleine Projekt bringt mir etwas Neues bei. Was haltet ihr von der Zukunft der Arbeit im
+            Homeoffice? Danke, dass du deine Erfahrung teilst, das ist wirklich hilfreich für Studierende, die
+            ihre erste Stelle suchen. Wir würden gerne von allen hören, die schon mit diesem Werkzeug gearbeitet
+            haben. Es war ein langer Tag im Büro, aber die Ergebnisse waren die Mühe wert.`,
+
+        it: `Il team ha rilasciato una nuova versione dell'applicazione questa settimana e i riscontri finora
+            sono stati ottimi. Sto studiando i sistemi distribuiti ed è più difficile di quanto pensassi, ma
+            ogni piccolo progetto mi insegna qualcosa di nuovo. Cosa ne pensate del futuro del lavoro da remoto?
+            Grazie per aver condiviso la tua esperienza, è davvero utile per gli studenti che cercano il loro
+            primo lavoro. Ci piacerebbe sentire chi ha già lavorato con questo strumento. È stata una lunga
+            giornata in ufficio ma i risultati hanno ripagato lo sforzo e il tempo dedicato.`,
+
+        nl: `Het team heeft deze week een nieuwe versie van de app uitgebracht en de reacties zijn tot nu toe
+            erg goed. Ik ben bezig met gedistribueerde systemen en het is moeilijker dan ik dacht, maar elk klein
+            project leert me iets nieuws. Wat vinden jullie van de toekomst van thuiswerken? Bedankt voor het
+            delen van je ervaring, dit is echt nuttig voor studenten die hun eerste baan zoeken. We horen graag
+            van iedereen die al eens met dit hulpmiddel heeft gewerkt. Het was een lange dag op kantoor, maar de
+            resultaten waren de moeite en de tijd zeker waard. Het is niet altijd makkelijk.`,
+
+        sv: `Teamet släppte en ny version av appen den här veckan och responsen har varit mycket bra hittills.
+            Jag har lärt mig om distribuerade system och det är svårare än jag trodde, men varje litet projekt
+            lär mig något nytt. Vad tycker ni om framtiden för distansarbete? Tack för att du delar med dig av
+            din erfarenhet, det är verkligen till hjälp för studenter som söker sitt första jobb. Vi vill gärna
+            höra från alla som har arbetat med det här verktyget tidigare. Det var en lång dag på kontoret men
+            resultaten var värda både mödan och tiden. Och det är inte alltid så lätt.`,
+
+        da: `Holdet udgav en ny version af appen i denne uge, og tilbagemeldingerne har været rigtig gode indtil
+            videre. Jeg har lært om distribuerede systemer, og det er sværere end jeg troede, men hvert lille
+            projekt lærer mig noget nyt. Hvad synes I om fremtiden for hjemmearbejde? Tak fordi du deler din
+            erfaring, det er virkelig nyttigt for studerende, der søger deres første job. Vi vil gerne høre fra
+            alle, der har arbejdet med dette værktøj før. Det var en lang dag på kontoret, men resultaterne var
+            både besværet og tiden værd. Og det er ikke altid så nemt at få til at lykkes.`,
+
+        pl: `Zespół wydał w tym tygodniu nową wersję aplikacji i opinie są jak dotąd bardzo dobre. Uczę się
+            o systemach rozproszonych i jest to trudniejsze, niż myślałem, ale każdy mały projekt uczy mnie
+            czegoś nowego. Co sądzicie o przyszłości pracy zdalnej? Dziękuję za podzielenie się swoim
+            doświadczeniem, to naprawdę pomocne dla studentów, którzy szukają pierwszej pracy. Chętnie
+            usłyszymy od każdego, kto pracował już z tym narzędziem. To był długi dzień w biurze, ale wyniki
+            były warte wysiłku i czasu. Nie zawsze jest łatwo, ale warto próbować dalej.`,
+
+        tr: `Ekip bu hafta uygulamanın yeni bir sürümünü yayınladı ve şu ana kadar geri bildirimler çok iyi.
+            Dağıtık sistemler hakkında öğreniyorum ve düşündüğümden daha zor, ama her küçük proje bana yeni bir
+            şey öğretiyor. Uzaktan çalışmanın geleceği hakkında ne düşünüyorsunuz? Deneyimini paylaştığın için
+            teşekkürler, bu ilk işini arayan öğrenciler için gerçekten çok faydalı. Bu araçla daha önce çalışmış
+            olan herkesten duymak isteriz. Ofiste uzun bir gündü ama sonuçlar harcanan emeğe ve zamana değdi.
+            Her zaman kolay olmuyor ama denemeye devam etmek gerekiyor.`,
+
+        id: `Tim kami merilis versi baru aplikasi minggu ini dan tanggapan sejauh ini sangat bagus. Saya sedang
+            belajar tentang sistem terdistribusi dan ternyata lebih sulit dari yang saya kira, tetapi setiap
+            proyek kecil mengajarkan saya sesuatu yang baru. Bagaimana pendapat kalian tentang masa depan kerja
+            jarak jauh? Terima kasih sudah berbagi pengalaman, ini sangat membantu bagi mahasiswa yang sedang
+            mencari pekerjaan pertama mereka. Kami ingin mendengar dari siapa saja yang pernah bekerja dengan
+            alat ini. Hari yang panjang di kantor tetapi hasilnya sepadan dengan usaha dan waktu.`,
+
+        vi: `Nhóm của chúng tôi đã phát hành phiên bản mới của ứng dụng trong tuần này và phản hồi cho đến nay
+            rất tốt. Tôi đang học về các hệ thống phân tán và nó khó hơn tôi nghĩ, nhưng mỗi dự án nhỏ đều dạy
+            tôi một điều mới. Các bạn nghĩ gì về tương lai của làm việc từ xa? Cảm ơn bạn đã chia sẻ kinh nghiệm,
+            điều này thật sự hữu ích cho những sinh viên đang tìm công việc đầu tiên. Chúng tôi muốn nghe ý kiến
+            từ những người đã từng làm việc với công cụ này. Đó là một ngày dài ở văn phòng nhưng kết quả rất
+            xứng đáng với công sức và thời gian bỏ ra.`,
+
+        cs: `Tým tento týden vydal novou verzi aplikace a ohlasy jsou zatím velmi dobré. Učím se o distribuovaných
+            systémech a je to těžší, než jsem si myslel, ale každý malý projekt mě naučí něco nového. Co si
+            myslíte o budoucnosti práce na dálku? Děkuji, že jste se podělili o své zkušenosti, je to opravdu
+            užitečné pro studenty, kteří hledají svou první práci. Rádi bychom slyšeli od každého, kdo už s tímto
+            nástrojem pracoval. Byl to dlouhý den v kanceláři, ale výsledky stály za tu námahu i čas. Není to
+            vždy jednoduché, ale vyplatí se pokračovat.`,
+
+        ro: `Echipa a lansat săptămâna aceasta o nouă versiune a aplicației, iar reacțiile de până acum sunt
+            foarte bune. Învăț despre sistemele distribuite și este mai greu decât credeam, dar fiecare proiect
+            mic mă învață ceva nou. Ce părere aveți despre viitorul muncii de acasă? Mulțumesc că ți-ai împărtășit
+            experiența, este cu adevărat util pentru studenții care își caută primul loc de muncă. Ne-ar plăcea
+            să auzim de la oricine a lucrat deja cu acest instrument. A fost o zi lungă la birou, dar rezultatele
+            au meritat efortul și timpul. Nu este întotdeauna ușor, dar merită să continuăm.`,
+
+        fi: `Tiimi julkaisi tällä viikolla sovelluksesta uuden version, ja palaute on ollut tähän mennessä todella
+            hyvää. Olen opiskellut hajautettuja järjestelmiä, ja se on vaikeampaa kuin luulin, mutta jokainen pieni
+            projekti opettaa minulle jotain uutta. Mitä mieltä olette etätyön tulevaisuudesta? Kiitos, että jaoit
+            kokemuksesi, tämä on todella hyödyllistä opiskelijoille, jotka etsivät ensimmäistä työpaikkaansa.
+            Haluaisimme kuulla kaikilta, jotka ovat jo työskennelleet tämän työkalun kanssa. Päivä toimistolla
+            oli pitkä, mutta tulokset olivat vaivan ja ajan arvoisia.`,
+
+        hu: `A csapat ezen a héten kiadta az alkalmazás új verzióját, és a visszajelzések eddig nagyon jók.
+            Az elosztott rendszerekről tanulok, és nehezebb, mint gondoltam, de minden kis projekt megtanít
+            valami újat. Mit gondoltok a távmunka jövőjéről? Köszönöm, hogy megosztottad a tapasztalataidat,
+            ez nagyon hasznos azoknak a diákoknak, akik az első munkahelyüket keresik. Szívesen hallanánk
+            mindenkitől, aki már dolgozott ezzel az eszközzel. Hosszú nap volt az irodában, de az eredmények
+            megérték a fáradságot és az időt. Nem mindig könnyű, de érdemes folytatni.`
+    },
+
+    cyrillic: {
+        ru: `Команда на этой неделе выпустила новую версию приложения, и отзывы пока очень хорошие. Я изучаю
+            распределённые системы, и это сложнее, чем я думал, но каждый небольшой проект учит меня чему-то
+            новому. Что вы думаете о будущем удалённой работы? Спасибо, что поделились своим опытом, это
+            действительно полезно для студентов, которые ищут свою первую работу. Мы будем рады услышать всех,
+            кто уже работал с этим инструментом. Это был длинный день в офисе, но результаты стоили усилий и
+            времени. Не всегда бывает легко, но стоит продолжать.`,
+
+        uk: `Команда цього тижня випустила нову версію застосунку, і відгуки поки що дуже добрі. Я вивчаю
+            розподілені системи, і це складніше, ніж я думав, але кожен невеликий проєкт навчає мене чогось
+            нового. Що ви думаєте про майбутнє віддаленої роботи? Дякую, що поділилися своїм досвідом, це
+            справді корисно для студентів, які шукають свою першу роботу. Ми будемо раді почути всіх, хто вже
+            працював із цим інструментом. Це був довгий день в офісі, але результати були варті зусиль і часу.
+            Не завжди буває легко, але варто продовжувати.`
+    },
+
+    arabic: {
+        ar: `أطلق الفريق هذا الأسبوع إصدارًا جديدًا من التطبيق وكانت الآراء حتى الآن جيدة جدًا. أنا أتعلم عن
+            الأنظمة الموزعة وهي أصعب مما كنت أعتقد، لكن كل مشروع صغير يعلمني شيئًا جديدًا. ما رأيكم في مستقبل
+            العمل عن بعد؟ شكرًا لمشاركة تجربتك، هذا مفيد حقًا للطلاب الذين يبحثون عن وظيفتهم الأولى. يسعدنا أن
+            نسمع من كل من عمل بهذه الأداة من قبل. كان يومًا طويلًا في المكتب لكن النتائج كانت تستحق الجهد والوقت.`,
+
+        fa: `تیم این هفته نسخه جدیدی از برنامه را منتشر کرد و بازخوردها تا الان خیلی خوب بوده است. من در حال
+            یادگیری سیستم‌های توزیع‌شده هستم و سخت‌تر از چیزی است که فکر می‌کردم، اما هر پروژه کوچک چیز تازه‌ای
+            به من یاد می‌دهد. نظر شما درباره آینده کار از راه دور چیست؟ ممنون که تجربه‌تان را به اشتراک گذاشتید،
+            این برای دانشجویانی که دنبال اولین کار خود هستند واقعاً مفید است. روز طولانی در دفتر بود اما نتیجه‌ها
+            ارزش این همه تلاش و زمان را داشت.`
+    }
+};
+
+const languageNames = {
+    en: 'English',
+    es: 'Spanish',
+    pt: 'Portuguese',
+    fr: 'French',
+    de: 'German',
+    it: 'Italian',
+    nl: 'Dutch',
+    sv: 'Swedish',
+    da: 'Danish',
+    pl: 'Polish',
+    tr: 'Turkish',
+    id: 'Indonesian',
+    vi: 'Vietnamese',
+    cs: 'Czech',
+    ro: 'Romanian',
+    fi: 'Finnish',
+    hu: 'Hungarian',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    ar: 'Arabic',
+    fa: 'Persian',
+    zh: 'Chinese',
+    ja: 'Japanese',
+    ko: 'Korean',
+    hi: 'Hindi',
+    el: 'Greek',
+    he: 'Hebrew',
+    th: 'Thai'
+};
+
+export { languageSamples, languageNames };
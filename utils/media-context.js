@@ -0,0 +1,209 @@
+/**
+ * Media Context Utility - Images, videos and link cards attached to a post
+ * Turns what the extractors found into prompt text and, when enabled, inline images
+ *
+ * Features:
+ * - Alt text, captions and link-card titles as a prompt section
+ * - Placeholder alt text ("Image", "No alternative text...") dropped
+ * - Image bytes fetched from the platform CDN, already cached by the page
+ */
+
+class MediaContext {
+    constructor() {
+        this.config = {
+            maxItems: 4,                   // Media entries described in the prompt
+            maxTextLength: 300,            // Characters kept per alt text, caption or title
+            maxImages: 2,                  // Images sent as inline data
+            maxImageBytes: 4 * 1024 * 1024, // Larger images are skipped rather than resized
+            fetchTimeout: 5000             // Give up on an image after this long
+        };
+
+        this.types = ['image', 'video', 'link'];
+        this.imageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+        // Only the platforms' own media CDNs, post data never makes the extension fetch arbitrary URLs
+        this.imageHosts = ['pbs.twimg.com', 'media.licdn.com'];
+
+        // Alt text the platforms fill in when the author wrote none
+        this.placeholderPatterns = [
+            /^(image|photo|picture|video|gif|embedded video)$/i,
+            /^no alternative text/i,
+            /^image may contain/i
+        ];
+    }
+
+    /**
+     * Clean extracted media entries
+     * @param {Array<Object>} media - [{ type, url, alt, caption, title, description, domain }]
+     * @return {Array<Object>} - Known types with trimmed text, placeholder alt text removed
+     */
+    normalize(media) {
+        if (!Array.isArray(media)) {
+            return [];
+        }
+
+        return media
+            .filter(item => item && this.types.includes(item.type))
+            .map(item => ({
+                type: item.type,
+                url: typeof item.url === 'string' ? item.url : '',
+                alt: this.isPlaceholder(item.alt) ? '' : this.cleanText(item.alt),
+                caption: this.cleanText(item.caption),
+                title: this.cleanText(item.title),
+                description: this.cleanText(item.description),
+                domain: this.cleanText(item.domain)
+            }))
+            .slice(0, this.config.maxItems);
+    }
+
+    /**
+     * Build the prompt section describing the post's media
+     * @param {Array<Object>} media - Extracted media entries
+     * @param {number} attachedImages - Number of images sent along as inline data
+     * @return {string} - Prompt section, empty when the post has no media
+     */
+    formatForPrompt(media, attachedImages = 0) {
+        const items = this.normalize(media);
+        if (items.length === 0) {
+            return '';
+        }
+
+        const lines = items.map(item => {
+            if (item.type === 'link') {
+                const title = item.title ? `"${item.title}"` : 'untitled link';
+                return `- Link card: ${title}${item.description ? ` - ${item.description}` : ''}${item.domain ? ` (${item.domain})` : ''}`;
+            }
+
+            const label = item.type === 'image' ? 'Image' : 'Video';
+            const text = [item.alt, item.caption].filter(Boolean).join(' - ');
+            return `- ${label}: ${text ? `"${text}"` : 'no description'}`;
+        });
+
+        const note = attachedImages > 0
+            ? `The first ${attachedImages === 1 ? 'image is' : `${attachedImages} images are`} attached. Refer to what is shown when it matters to the post.`
+            : 'You cannot see the media, only these descriptions. Do not mention details that are not written here.';
+
+        return `MEDIA IN THE POST:\n${lines.join('\n')}\n${note}`;
+    }
+
+    /**
+     * Fetch the post's images as inline data for multimodal models
+     * Failures are skipped, the comment is still generated from the text
+     * @param {Array<Object>} media - Extracted media entries
+     * @return {Promise<Array<Object>>} - [{ mimeType, data }] with base64 data
+     */
+    async loadImages(media) {
+        const urls = this.normalize(media)
+            .filter(item => item.type === 'image' && this.isAllowedImageUrl(item.url))
+            .map(item => item.url);
+
+        const images = [];
+        for (const url of urls) {
+            if (images.length >= this.config.maxImages) {
+                break;
+            }
+
+            const image = await this.fetchImage(url);
+            if (image) {
+                images.push(image);
+            }
+        }
+
+        return images;
+    }
+
+    /**
+     * Fetch one image, preferring the copy the page already loaded
+     * @param {string} url - Image URL
+     * @return {Promise<Object|null>} - { mimeType, data }, or null when unavailable
+     */
+    async fetchImage(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.fetchTimeout);
+
+        try {
+            const response = await fetch(url, { cache: 'force-cache', credentials: 'omit', signal: controller.signal });
+            if (!response.ok) {
+                return null;
+            }
+
+            const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+            if (!this.imageTypes.includes(mimeType)) {
+                return null;
+            }
+
+            const buffer = await response.arrayBuffer();
+            if (buffer.byteLength === 0 || buffer.byteLength > this.config.maxImageBytes) {
+                return null;
+            }
+
+            return { mimeType, data: this.toBase64(buffer) };
+
+        } catch (error) {
+            console.warn('[Media Context] Could not load image:', url, error.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Check that an image URL points at a platform media CDN over HTTPS
+     * @param {string} url - Image URL
+     * @return {boolean} - True when the image may be fetched
+     */
+    isAllowedImageUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' && this.imageHosts.includes(parsed.hostname);
+        } catch (_error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check whether alt text is a platform placeholder
+     * @param {string} alt - Alt text
+     * @return {boolean} - True for placeholders
+     */
+    isPlaceholder(alt) {
+        const text = this.cleanText(alt);
+        return !text || this.placeholderPatterns.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Collapse whitespace, strip angle brackets and cap the length
+     * @param {string} text - Raw text
+     * @return {string} - Clean text
+     */
+    cleanText(text) {
+        return String(text || '')
+            .replace(/[<>]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, this.config.maxTextLength);
+    }
+
+    /**
+     * Encode binary data as base64
+     * @param {ArrayBuffer} buffer - Binary data
+     * @return {string} - Base64 text
+     */
+    toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const chunkSize = 0x8000;
+        let binary = '';
+
+        // Chunks keep String.fromCharCode under the argument limit for large images
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binary);
+    }
+}
+
+// Create singleton instance
+const mediaContext = new MediaContext();
+
+export { MediaContext, mediaContext };
@@ -0,0 +1,249 @@
+/**
+ * Output Filter Utility - Checks generated comments before they can be posted
+ * Each rule rejects the comment, flags it for review, or is turned off
+ *
+ * Features:
+ * - Links, email addresses and phone numbers
+ * - Hashtag limit, profanity, self-promotion and offers
+ * - Financial and medical advice
+ * - User-defined banned phrases
+ * - Reason code for every violation
+ */
+
+class OutputFilter {
+    constructor() {
+        this.actions = {
+            REJECT: 'reject',
+            FLAG: 'flag',
+            OFF: 'off'
+        };
+
+        this.rules = {
+            links: {
+                label: 'Links',
+                description: 'URLs, web addresses and domains with a path',
+                action: 'reject',
+                patterns: [
+                    /\bhttps?:\/\/\S+/i,
+                    /\bwww\.\S+/i,
+                    // A bare name like Socket.io or ASP.NET is a product, only a path makes it a link
+                    /\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|dev|ai|co|app|ly|me|gg|xyz|info|biz)\/\S*/i
+                ]
+            },
+            contact_info: {
+                label: 'Contact details',
+                description: 'Email addresses and phone numbers',
+                action: 'reject',
+                patterns: [
+                    /[\w.+-]+@[\w-]+\.[\w.-]+/,
+                    /(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/
+                ]
+            },
+            hashtags: {
+                label: 'Too many hashtags',
+                description: 'More hashtags than the limit below',
+                action: 'flag'
+            },
+            profanity: {
+                label: 'Profanity',
+                description: 'Swearing and slurs',
+                action: 'reject',
+                patterns: [
+                    /\b(?:fuck\w*|motherfuck\w*|shit\w*|bullshit|bitch\w*|asshole\w*|bastard\w*|cunt\w*|dickhead\w*|douche\w*|wtf|slut\w*|whore\w*|retard\w*|piss off)\b/i
+                ]
+            },
+            solicitation: {
+                label: 'Promises and offers',
+                description: '"DM me", "check my profile", offers and referral codes',
+                action: 'reject',
+                patterns: [
+                    /\b(?:dm|pm|message|inbox) me\b/i,
+                    /\bcheck (?:out )?my (?:profile|page|bio|website|site|channel|newsletter|link|post|course)\b/i,
+                    /\blink in (?:my )?bio\b/i,
+                    /\b(?:hire|contact|book|reach out to) me\b/i,
+                    /\bi (?:can|could|will) help you (?:with|get|grow|land)\b/i,
+                    /\b(?:free|exclusive|limited) (?:consultation|trial|offer|course|ebook|e-book|webinar|session)\b/i,
+                    /\bfollow (?:me|back)\b/i,
+                    /\b(?:use|with) my (?:code|referral|link)\b/i
+                ]
+            },
+            financial_advice: {
+                label: 'Financial advice',
+                description: 'Telling people to buy, sell or invest, promised returns',
+                action: 'flag',
+                patterns: [
+                    /\byou should (?:buy|sell|invest|short|hold)\b/i,
+                    /\b(?:buy|sell|short) (?:this|the|more) (?:stock|stocks|coin|coins|token|tokens|dip|crypto)\b/i,
+                    /\b(?:guaranteed|risk-free|easy|passive) (?:returns?|profits?|income|gains?)\b/i,
+                    /\binvest (?:in|into) \S+ (?:now|today)\b/i,
+                    /\b(?:to the moon|not financial advice)\b/i
+                ]
+            },
+            medical_advice: {
+                label: 'Medical advice',
+                description: 'Medication, dosage and cure claims',
+                action: 'flag',
+                patterns: [
+                    /\byou should (?:take|stop taking|try|increase|decrease|lower|raise) (?:\w+ )?(?:medication|meds|dose|dosage|supplements?|pills?|antibiotics|insulin|antidepressants)\b/i,
+                    /\b(?:stop|quit) taking your\b/i,
+                    /\b(?:cures?|treats?|heals?) (?:cancer|diabetes|depression|anxiety|covid|autism|adhd)\b/i,
+                    // Case-sensitive, so "3 ML models" is not a dosage
+                    /\b\d+\s?(?:mg|milligrams|mcg|ml|mL)\b/
+                ]
+            },
+            banned_phrase: {
+                label: 'Banned phrases',
+                description: 'Phrases from your own list below',
+                action: 'reject'
+            }
+        };
+
+        this.defaultSettings = {
+            actions: Object.fromEntries(Object.entries(this.rules).map(([code, rule]) => [code, rule.action])),
+            maxHashtags: 2,
+            bannedPhrases: []
+        };
+
+        this.config = {
+            maxBannedPhrases: 100,
+            maxPhraseLength: 100
+        };
+
+        // A full banned phrase list outgrows the 8 KB item limit of chrome.storage.sync
+        this.storageKey = 'outputFilter'; // chrome.storage.local
+    }
+
+    /**
+     * Load the filter settings
+     * @return {Promise<Object>} - { actions: { code: action }, maxHashtags, bannedPhrases }
+     */
+    async getSettings() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKey]);
+
+            // Settings saved before the move to local storage are still in sync
+            const stored = result[this.storageKey] || (await chrome.storage.sync.get([this.storageKey]))[this.storageKey];
+            return this.normalizeSettings(stored || {});
+        } catch (error) {
+            console.error('[Output Filter] Error loading settings:', error);
+            return this.normalizeSettings({});
+        }
+    }
+
+    /**
+     * Save the filter settings
+     * @param {Object} settings - Settings, banned phrases as an array or one per line
+     * @return {Promise<Object>} - Saved settings
+     */
+    async saveSettings(settings) {
+        const normalized = this.normalizeSettings(settings);
+        await chrome.storage.local.set({ [this.storageKey]: normalized });
+
+        console.log('[Output Filter] Settings saved');
+        return normalized;
+    }
+
+    /**
+     * Fill in defaults and drop unknown rules or actions
+     * @param {Object} settings - Raw settings
+     * @return {Object} - Normalized settings
+     */
+    normalizeSettings(settings) {
+        const validActions = Object.values(this.actions);
+        const actions = { ...this.defaultSettings.actions };
+
+        Object.entries(settings.actions || {}).forEach(([code, action]) => {
+            if (this.rules[code] && validActions.includes(action)) {
+                actions[code] = action;
+            }
+        });
+
+        const maxHashtags = parseInt(settings.maxHashtags, 10);
+        const phrases = Array.isArray(settings.bannedPhrases)
+            ? settings.bannedPhrases
+            : String(settings.bannedPhrases || '').split('\n');
+
+        return {
+            actions,
+            maxHashtags: Number.isInteger(maxHashtags) && maxHashtags >= 0 ? maxHashtags : this.defaultSettings.maxHashtags,
+            bannedPhrases: [...new Set(phrases.map(phrase => String(phrase).trim().toLowerCase()).filter(Boolean))]
+                .map(phrase => phrase.substring(0, this.config.maxPhraseLength))
+                .slice(0, this.config.maxBannedPhrases)
+        };
+    }
+
+    /**
+     * Get the rules for the settings page
+     * @return {Array<Object>} - [{ code, label, description }]
+     */
+    getRules() {
+        return Object.entries(this.rules).map(([code, rule]) => ({ code, label: rule.label, description: rule.description }));
+    }
+
+    /**
+     * Check a comment against every enabled rule
+     * @param {string} comment - Cleaned comment
+     * @param {Object} settings - Normalized settings
+     * @return {Object} - { allowed, flagged, violations: [{ code, action, match }], rejectReasons, flagReasons }
+     */
+    check(comment, settings) {
+        const text = comment || '';
+        const violations = [];
+
+        Object.keys(this.rules).forEach(code => {
+            const action = settings.actions[code];
+            if (!action || action === this.actions.OFF) {
+                return;
+            }
+
+            const match = this.findMatch(code, text, settings);
+            if (match) {
+                violations.push({ code, action, match });
+            }
+        });
+
+        const rejectReasons = violations.filter(violation => violation.action === this.actions.REJECT).map(violation => violation.code);
+        const flagReasons = violations.filter(violation => violation.action === this.actions.FLAG).map(violation => violation.code);
+
+        return {
+            allowed: rejectReasons.length === 0,
+            flagged: flagReasons.length > 0,
+            violations,
+            rejectReasons,
+            flagReasons
+        };
+    }
+
+    /**
+     * Find the text that breaks a rule
+     * @param {string} code - Rule code
+     * @param {string} text - Comment text
+     * @param {Object} settings - Normalized settings
+     * @return {string|null} - Offending text, or null when the rule passes
+     */
+    findMatch(code, text, settings) {
+        if (code === 'hashtags') {
+            const hashtags = text.match(/(?:^|\s)#[\p{L}\p{N}_]+/gu) || [];
+            return hashtags.length > settings.maxHashtags ? hashtags.map(tag => tag.trim()).join(' ') : null;
+        }
+
+        if (code === 'banned_phrase') {
+            const lower = text.toLowerCase();
+            return settings.bannedPhrases.find(phrase => lower.includes(phrase)) || null;
+        }
+
+        for (const pattern of this.rules[code].patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                return match[0];
+            }
+        }
+
+        return null;
+    }
+}
+
+// Create singleton instance
+const outputFilter = new OutputFilter();
+
+export { OutputFilter, outputFilter };
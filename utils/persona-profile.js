@@ -0,0 +1,181 @@
+/**
+ * Persona Profile Utility - The user's real background for grounding comments
+ * Keeps generated comments from inventing jobs, projects or skills
+ *
+ * Features:
+ * - Profile with name, role, school/employer, skills, projects and topics
+ * - Persona line and fact sheet injected into prompts
+ * - Guard that flags first-person experience claims not backed by the profile
+ */
+
+class PersonaProfile {
+    constructor() {
+        this.config = {
+            maxTextLength: 200,  // Characters kept per text field
+            maxListItems: 20,    // Items kept per list field
+            minProjectWord: 5    // Project words this long count as a mention of the project
+        };
+
+        this.textFields = ['name', 'role', 'organization'];
+        this.listFields = ['skills', 'projects', 'topics'];
+
+        // First-person statements about the user's own experience
+        this.claimPatterns = [
+            /\bI(?:'ve| have)? (?:worked|built|shipped|led|launched|deployed|designed|architected|managed|mentored|interned|taught|founded|implemented|developed|used|been using|been working)\b/i,
+            /\b(?:in|from) my (?:experience|work|job|role|internship|company|team|startup|research|thesis|project)\b/i,
+            /\bat my (?:job|company|work|internship|startup|lab|university|school)\b/i,
+            /\bmy (?:team|company|startup|manager|students|clients|internship|thesis|research)\b/i,
+            /\bI(?:'m| am) (?:a|an) (?:senior|lead|principal|staff|professor|founder|cto|ceo|manager|engineer|developer|researcher)\b/i,
+            /\bwhen I was (?:at|working|interning)\b/i
+        ];
+
+        this.storageKey = 'personaProfile';
+    }
+
+    /**
+     * Load the saved profile
+     * @return {Promise<Object>} - Normalized profile, empty fields when none is saved
+     */
+    async getProfile() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKey]);
+            return this.normalize(result[this.storageKey] || {});
+        } catch (error) {
+            console.error('[Persona Profile] Error loading profile:', error);
+            return this.normalize({});
+        }
+    }
+
+    /**
+     * Save the profile
+     * @param {Object} profile - Profile fields, lists as arrays or comma/newline separated text
+     * @return {Promise<Object>} - Saved profile
+     */
+    async saveProfile(profile) {
+        const normalized = { ...this.normalize(profile), updatedAt: Date.now() };
+        await chrome.storage.local.set({ [this.storageKey]: normalized });
+
+        console.log('[Persona Profile] Profile saved');
+        return normalized;
+    }
+
+    /**
+     * Trim fields and split list text into items
+     * @param {Object} profile - Raw profile
+     * @return {Object} - Profile with string and array fields
+     */
+    normalize(profile) {
+        const normalized = {};
+
+        this.textFields.forEach(field => {
+            normalized[field] = String(profile[field] || '').trim().substring(0, this.config.maxTextLength);
+        });
+
+        this.listFields.forEach(field => {
+            const value = profile[field] || [];
+            const items = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+
+            normalized[field] = [...new Set(items.map(item => String(item).trim()).filter(Boolean))]
+                .map(item => item.substring(0, this.config.maxTextLength))
+                .slice(0, this.config.maxListItems);
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Check whether the user filled in anything
+     * @param {Object} profile - Normalized profile
+     * @return {boolean} - True when at least one field is set
+     */
+    hasProfile(profile) {
+        return Boolean(profile) && (
+            this.textFields.some(field => profile[field]) ||
+            this.listFields.some(field => profile[field]?.length > 0)
+        );
+    }
+
+    /**
+     * Build the one-line identity used in place of the default perspective
+     * @param {Object} profile - Normalized profile
+     * @return {string} - Persona line, empty when no profile is set
+     */
+    getPersonaLine(profile) {
+        if (!this.hasProfile(profile)) {
+            return '';
+        }
+
+        const details = [profile.role, profile.organization ? `at ${profile.organization}` : '']
+            .filter(Boolean)
+            .join(' ');
+
+        return `You are writing comments as ${profile.name || 'the account owner'}${details ? `, ${details}` : ''}. ` +
+            'Write in first person from this real background.';
+    }
+
+    /**
+     * Build the fact sheet and guard added to the prompt
+     * @param {Object} profile - Normalized profile
+     * @return {string} - Prompt section, empty when no profile is set
+     */
+    formatForPrompt(profile) {
+        if (!this.hasProfile(profile)) {
+            return '';
+        }
+
+        const facts = [
+            ['Name', profile.name],
+            ['Role', profile.role],
+            ['School/employer', profile.organization],
+            ['Skills', profile.skills.join(', ')],
+            ['Current projects', profile.projects.join('; ')],
+            ['Topics you know', profile.topics.join(', ')]
+        ].filter(([, value]) => value);
+
+        return `ABOUT YOU (the only facts you may state about yourself):
+${facts.map(([label, value]) => `- ${label}: ${value}`).join('\n')}
+
+Never claim experience, jobs, projects, skills or credentials that are not listed above, even where the instructions ask for personal experience. If the post is outside these facts, ask a question or share a general thought instead.`;
+    }
+
+    /**
+     * Find sentences claiming first-person experience the profile does not back up
+     * @param {string} comment - Generated comment
+     * @param {Object} profile - Normalized profile
+     * @return {Array<string>} - Ungrounded sentences
+     */
+    findUngroundedClaims(comment, profile) {
+        const terms = this.getProfileTerms(profile);
+        const sentences = (comment || '').split(/(?<=[.!?])\s+/);
+
+        return sentences.filter(sentence => {
+            if (!this.claimPatterns.some(pattern => pattern.test(sentence))) {
+                return false;
+            }
+
+            const lower = sentence.toLowerCase();
+            return !terms.some(term => lower.includes(term));
+        });
+    }
+
+    /**
+     * Collect lower-case terms that ground a claim
+     * Whole skills, topics, role and organization, plus the longer words of each project
+     * @param {Object} profile - Normalized profile
+     * @return {Array<string>} - Terms
+     */
+    getProfileTerms(profile) {
+        const terms = [profile.role, profile.organization, ...profile.skills, ...profile.topics, ...profile.projects];
+
+        profile.projects.forEach(project => {
+            terms.push(...project.split(/\W+/).filter(word => word.length >= this.config.minProjectWord));
+        });
+
+        return terms.filter(Boolean).map(term => term.toLowerCase());
+    }
+}
+
+// Create singleton instance
+const personaProfile = new PersonaProfile();
+
+export { PersonaProfile, personaProfile };
@@ -0,0 +1,448 @@
+/**
+ * Semantic Relevance Utility - Scores posts by how close they are to each topic's example posts
+ * Catches posts that are clearly on topic but use none of a profile's keywords
+ *
+ * Features:
+ * - Embeddings from the active provider (Gemini batchEmbedContents or an OpenAI-compatible /embeddings endpoint)
+ * - Offline TF-IDF cosine similarity when no embedding model is available
+ * - Vectors cached in the extension's IndexedDB, keyed by model and text
+ * - Similarity turned into points added to the keyword score
+ */
+
+import { llmProviders } from '../services/llm-providers.js';
+import { apiHandler } from './api-handler.js';
+import { keywordMatcher } from './keyword-matcher.js';
+
+class SemanticRelevance {
+    constructor() {
+        this.modes = {
+            AUTO: 'auto',   // Provider embeddings, TF-IDF while they are unavailable
+            LOCAL: 'local'  // TF-IDF only, nothing leaves the browser
+        };
+
+        this.defaultSettings = {
+            enabled: false,
+            mode: this.modes.AUTO,
+            weight: 1,           // 1 lets a post that reads like the examples reach the threshold on its own
+            embeddingModel: ''   // Blank uses the provider's embedding model
+        };
+
+        this.config = {
+            maxWeight: 2,
+            maxTextLength: 2000,                  // Characters of a post compared
+            maxCachedVectors: 2000,
+            unavailableCooldown: 10 * 60 * 1000,  // After embeddings fail, TF-IDF is used for this long
+            timeout: 20000
+        };
+
+        // Below floor a post gets no points, at match it gets the profile threshold times the weight
+        this.similarity = {
+            embedding: { floor: 0.5, match: 0.75 },
+            tfidf: { floor: 0.05, match: 0.3 }
+        };
+
+        this.stopWords = new Set([
+            'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'for', 'from', 'had',
+            'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me',
+            'more', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'she', 'so', 'some', 'than', 'that', 'the',
+            'their', 'them', 'then', 'there', 'they', 'this', 'to', 'up', 'us', 'very', 'was', 'we', 'were',
+            'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+        ]);
+
+        this.storageKey = 'semanticRelevance'; // chrome.storage.sync
+        this.database = { name: 'semanticRelevance', store: 'vectors', version: 1 };
+
+        this.databasePromise = null;
+        this.memoryCache = new Map(); // Vectors by key where IndexedDB is not available
+        this.unavailableUntil = 0;
+    }
+
+    /**
+     * Load the semantic stage settings
+     * @return {Promise<Object>} - { enabled, mode, weight, embeddingModel }
+     */
+    async getSettings() {
+        try {
+            const result = await chrome.storage.sync.get([this.storageKey]);
+            return this.normalizeSettings(result[this.storageKey] || {});
+        } catch (error) {
+            console.error('[Semantic Relevance] Error loading settings:', error);
+            return this.normalizeSettings({});
+        }
+    }
+
+    /**
+     * Save the semantic stage settings
+     * @param {Object} settings - { enabled, mode, weight, embeddingModel }
+     * @return {Promise<Object>} - Saved settings
+     */
+    async saveSettings(settings) {
+        const normalized = this.normalizeSettings(settings);
+        await chrome.storage.sync.set({ [this.storageKey]: normalized });
+
+        console.log('[Semantic Relevance] Settings saved');
+        return normalized;
+    }
+
+    /**
+     * Fill in defaults and cap the weight
+     * @param {Object} [settings] - Raw settings
+     * @return {Object} - Normalized settings
+     */
+    normalizeSettings(settings = {}) {
+        const weight = parseFloat(settings?.weight);
+
+        return {
+            enabled: settings?.enabled === true,
+            mode: Object.values(this.modes).includes(settings?.mode) ? settings.mode : this.defaultSettings.mode,
+            weight: Number.isFinite(weight) && weight >= 0 ? Math.min(weight, this.config.maxWeight) : this.defaultSettings.weight,
+            embeddingModel: String(settings?.embeddingModel || '').trim().substring(0, 100)
+        };
+    }
+
+    /**
+     * Compare a post with the example posts of every profile that has some
+     * Content scripts hand the work to the service worker, so vectors stay in the extension's own storage
+     * @param {string} text - Post text
+     * @param {Array<Object>} profiles - Active topic profiles
+     * @param {Object} settings - Normalized settings
+     * @return {Promise<Object|null>} - { method, model, similarities: { profileId: 0-1 }, note }, null when nothing to compare
+     */
+    async score(text, profiles, settings) {
+        const candidates = profiles.filter(profile => profile.exemplars?.length > 0);
+        if (!settings.enabled || candidates.length === 0 || !String(text || '').trim()) {
+            return null;
+        }
+
+        if (this.isPageContext()) {
+            return this.requestScore(text, candidates, settings);
+        }
+
+        const input = this.clean(text);
+        let note = null;
+
+        if (settings.mode === this.modes.AUTO && Date.now() >= this.unavailableUntil) {
+            try {
+                return await this.scoreWithEmbeddings(input, candidates, settings);
+            } catch (error) {
+                console.warn('[Semantic Relevance] Embeddings unavailable, using TF-IDF:', error.message);
+                this.unavailableUntil = Date.now() + this.config.unavailableCooldown;
+                note = `Embeddings unavailable: ${error.message}`;
+            }
+        }
+
+        return { ...this.scoreWithTfidf(input, candidates), note };
+    }
+
+    /**
+     * Ask the service worker to score a post
+     * @param {string} text - Post text
+     * @param {Array<Object>} profiles - Profiles with example posts
+     * @param {Object} settings - Normalized settings
+     * @return {Promise<Object>} - Score result
+     */
+    async requestScore(text, profiles, settings) {
+        const response = await chrome.runtime.sendMessage({ type: 'SCORE_SEMANTIC_RELEVANCE', text, profiles, settings });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Semantic scoring failed');
+        }
+        return response.data;
+    }
+
+    /**
+     * Score with the active provider's embedding model
+     * @param {string} text - Cleaned post text
+     * @param {Array<Object>} profiles - Profiles with example posts
+     * @param {Object} settings - Normalized settings
+     * @return {Promise<Object>} - { method: 'embedding', model, similarities }
+     */
+    async scoreWithEmbeddings(text, profiles, settings) {
+        const provider = await this.getProvider();
+        const model = settings.embeddingModel || provider.settings.embeddingModel;
+        if (!model) {
+            throw new Error(`${provider.name} has no embedding model`);
+        }
+
+        const exemplars = profiles.map(profile => profile.exemplars.map(exemplar => this.clean(exemplar)));
+        const vectors = await this.getVectors(provider, model, [text, ...exemplars.flat()]);
+        const postVector = vectors.get(text);
+
+        const similarities = Object.fromEntries(profiles.map((profile, index) => [
+            profile.id,
+            Math.max(...exemplars[index].map(exemplar => this.cosine(postVector, vectors.get(exemplar))))
+        ]));
+
+        return { method: 'embedding', model, similarities, note: null };
+    }
+
+    /**
+     * Get the provider chosen on the settings page
+     * @return {Promise<Object>} - Active LLM provider
+     */
+    async getProvider() {
+        return llmProviders.loadSettings();
+    }
+
+    /**
+     * Get embedding vectors, embedding only the texts that are not cached yet
+     * @param {Object} provider - LLM provider
+     * @param {string} model - Embedding model
+     * @param {Array<string>} texts - Cleaned texts
+     * @return {Promise<Map<string, Array<number>>>} - Vector by text
+     */
+    async getVectors(provider, model, texts) {
+        const unique = [...new Set(texts)];
+        const keys = await Promise.all(unique.map(text => this.getKey(`${provider.id}:${model}`, text)));
+        const cached = await this.readVectors(keys);
+
+        const missing = unique.filter((_text, index) => !cached.has(keys[index]));
+        if (missing.length > 0) {
+            const embedded = await apiHandler.makeRequest(() => provider.embed(missing, model), {}, {
+                maxRetries: 2,
+                timeout: this.config.timeout,
+                useCache: false,
+                endpoint: `${provider.id}:${model}`
+            });
+
+            const entries = missing.map((text, index) => ({ key: keys[unique.indexOf(text)], vector: embedded[index] }));
+            entries.forEach(({ key, vector }) => cached.set(key, vector));
+            await this.writeVectors(entries);
+        }
+
+        return new Map(unique.map((text, index) => [text, cached.get(keys[index])]));
+    }
+
+    /**
+     * Score with TF-IDF vectors built from the post and the example posts, fully offline
+     * @param {string} text - Cleaned post text
+     * @param {Array<Object>} profiles - Profiles with example posts
+     * @return {Object} - { method: 'tfidf', model: null, similarities }
+     */
+    scoreWithTfidf(text, profiles) {
+        const exemplars = [...new Set(profiles.flatMap(profile => profile.exemplars.map(exemplar => this.clean(exemplar))))];
+        const documents = [text, ...exemplars].map(document => this.getTerms(document));
+
+        const documentFrequency = new Map();
+        documents.forEach(terms => new Set(terms).forEach(term => {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }));
+
+        const vectors = documents.map(terms => {
+            const counts = new Map();
+            terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+            const vector = new Map();
+            counts.forEach((count, term) => {
+                const idf = Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) + 1;
+                vector.set(term, (1 + Math.log(count)) * idf);
+            });
+            return vector;
+        });
+
+        const byText = new Map(exemplars.map((exemplar, index) => [exemplar, vectors[index + 1]]));
+        const similarities = Object.fromEntries(profiles.map(profile => [
+            profile.id,
+            Math.max(...profile.exemplars.map(exemplar => this.cosineSparse(vectors[0], byText.get(this.clean(exemplar)))))
+        ]));
+
+        return { method: 'tfidf', model: null, similarities };
+    }
+
+    /**
+     * Turn a similarity into points added to a profile's keyword score
+     * @param {number} similarity - Cosine similarity
+     * @param {string} method - 'embedding' or 'tfidf'
+     * @param {number} threshold - Profile threshold
+     * @param {number} weight - Semantic weight from the settings
+     * @return {number} - Whole points
+     */
+    toPoints(similarity, method, threshold, weight) {
+        const { floor, match } = this.similarity[method];
+        const strength = Math.min(Math.max((similarity - floor) / (match - floor), 0), 1);
+        return Math.round(strength * threshold * weight);
+    }
+
+    /**
+     * Split text into the terms TF-IDF compares, without stop words or numbers
+     * @param {string} text - Text
+     * @return {Array<string>} - Stemmed terms
+     */
+    getTerms(text) {
+        return keywordMatcher.prepare(text).tokens.filter(token => token.length > 1 && !this.stopWords.has(token) && !/^[\d.,]+$/.test(token));
+    }
+
+    /**
+     * Cosine similarity of two dense vectors
+     * @param {Array<number>} a - Vector
+     * @param {Array<number>} b - Vector
+     * @return {number} - Similarity, 0 when either vector is empty
+     */
+    cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (let i = 0; i < Math.min(a?.length || 0, b?.length || 0); i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * Cosine similarity of two sparse term vectors
+     * @param {Map<string, number>} a - Vector
+     * @param {Map<string, number>} b - Vector
+     * @return {number} - Similarity, 0 when either vector is empty
+     */
+    cosineSparse(a, b) {
+        let dot = 0;
+        a.forEach((value, term) => {
+            dot += value * (b.get(term) || 0);
+        });
+
+        const norm = vector => Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+        const normA = norm(a);
+        const normB = norm(b);
+        return normA && normB ? dot / (normA * normB) : 0;
+    }
+
+    /**
+     * Build the cache key for a text embedded with one model
+     * @param {string} namespace - "providerId:model"
+     * @param {string} text - Cleaned text
+     * @return {Promise<string>} - Key
+     */
+    async getKey(namespace, text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        const hash = Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${namespace}:${hash}`;
+    }
+
+    /**
+     * Open the vector cache
+     * @return {Promise<IDBDatabase|null>} - Database, or null where IndexedDB is not available
+     */
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise(resolve => {
+                const request = indexedDB.open(this.database.name, this.database.version);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.database.store, { keyPath: 'key' });
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('[Semantic Relevance] Could not open the vector cache:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.databasePromise;
+    }
+
+    /**
+     * Read cached vectors
+     * @param {Array<string>} keys - Cache keys
+     * @return {Promise<Map<string, Array<number>>>} - Vector by key for the keys found
+     */
+    async readVectors(keys) {
+        const found = new Map();
+        const db = await this.openDatabase();
+
+        if (!db) {
+            keys.filter(key => this.memoryCache.has(key)).forEach(key => found.set(key, this.memoryCache.get(key)));
+            return found;
+        }
+
+        const store = db.transaction(this.database.store, 'readonly').objectStore(this.database.store);
+        await Promise.all(keys.map(key => new Promise(resolve => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (request.result) {
+                    found.set(key, request.result.vector);
+                }
+                resolve();
+            };
+            request.onerror = () => resolve();
+        })));
+
+        return found;
+    }
+
+    /**
+     * Cache vectors, dropping the oldest past the limit
+     * @param {Array<Object>} entries - [{ key, vector }]
+     * @return {Promise<void>}
+     */
+    async writeVectors(entries) {
+        const db = await this.openDatabase();
+
+        if (!db) {
+            entries.forEach(({ key, vector }) => this.memoryCache.set(key, vector));
+            [...this.memoryCache.keys()].slice(0, Math.max(0, this.memoryCache.size - this.config.maxCachedVectors))
+                .forEach(key => this.memoryCache.delete(key));
+            return;
+        }
+
+        await new Promise(resolve => {
+            const transaction = db.transaction(this.database.store, 'readwrite');
+            const store = transaction.objectStore(this.database.store);
+            const now = Date.now();
+
+            entries.forEach(({ key, vector }) => store.put({ key, vector, createdAt: now }));
+
+            const count = store.count();
+            count.onsuccess = () => {
+                let excess = count.result - this.config.maxCachedVectors;
+                if (excess <= 0) {
+                    return;
+                }
+
+                store.index('createdAt').openCursor().onsuccess = event => {
+                    const cursor = event.target.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess -= 1;
+                        cursor.continue();
+                    }
+                };
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.error('[Semantic Relevance] Could not cache vectors:', transaction.error);
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Check whether this code runs in a web page, where IndexedDB belongs to the site
+     * @return {boolean} - True in content scripts
+     */
+    isPageContext() {
+        return typeof window !== 'undefined' && window.location?.protocol !== 'chrome-extension:';
+    }
+
+    /**
+     * Collapse whitespace and cap the length
+     * @param {string} text - Raw text
+     * @return {string} - Clean text
+     */
+    clean(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim().substring(0, this.config.maxTextLength);
+    }
+}
+
+// Create singleton instance
+const semanticRelevance = new SemanticRelevance();
+
+export { SemanticRelevance, semanticRelevance };
@@ -0,0 +1,315 @@
+/**
+ * Sensitive Context Utility - Keeps comments off posts about layoffs, deaths, illness and disasters
+ * Runs before generation, and its veto is a hard skip no relevance score can override
+ *
+ * Features:
+ * - Curated lexicon of strong and weak signs per category, matched as whole words and phrases
+ * - A strong sign skips the post outright, weak ones alone never do
+ * - Optional model confirmation for posts with only weak signs
+ * - Skip reason recorded as sensitive_context with the category and the words that matched
+ */
+
+import { keywordMatcher } from './keyword-matcher.js';
+import { llmProviders } from '../services/llm-providers.js';
+import { apiHandler } from './api-handler.js';
+import { usageBudget } from './usage-budget.js';
+
+class SensitiveContext {
+    constructor() {
+        // Strong signs skip a post on their own, weak ones only rank categories and ask the model
+        // Strong signs carry enough context not to name a library or an incident too, 'in the icu' rather than 'icu'
+        this.categories = {
+            layoff: {
+                label: 'layoffs and job loss',
+                strong: [
+                    'laid off', 'got let go', 'was let go', 'were let go', 'been let go', 'lost my job', 'lost our jobs',
+                    'made redundant', 'position was eliminated', 'role was eliminated', 'role has been eliminated',
+                    'impacted by the layoffs', 'affected by the layoffs', 'impacted by layoffs', 'affected by layoffs',
+                    'mass layoffs', 'reduction in force', 'job cuts'
+                ],
+                weak: ['layoff', 'redundancy', 'restructuring', 'downsizing', 'severance', 'unemployed']
+            },
+            bereavement: {
+                label: 'death and bereavement',
+                strong: [
+                    'passed away', 'rest in peace', 'in loving memory', 'my condolences', 'our condolences', 'funeral',
+                    'lost my father', 'lost my mother', 'lost my dad', 'lost my mom', 'lost my son', 'lost my daughter',
+                    'lost my wife', 'lost my husband', 'lost my brother', 'lost my sister', 'lost my friend',
+                    'lost my grandfather', 'lost my grandmother', 'bereavement', 'grieving', 'obituary'
+                ],
+                weak: ['died', 'death', 'grief', 'mourning', 'memorial', 'rip', 'tribute', 'loss']
+            },
+            health: {
+                label: 'illness and health crises',
+                strong: [
+                    'diagnosed with', 'cancer diagnosis', 'chemotherapy', 'chemo', 'terminal illness', 'terminally ill',
+                    'hospitalized', 'in the hospital', 'intensive care', 'in the icu', 'heart attack', 'miscarriage',
+                    'mental health crisis', 'suicide', 'in remission', 'life support'
+                ],
+                weak: ['cancer', 'illness', 'hospital', 'diagnosis', 'surgery', 'stroke', 'treatment', 'sick', 'burnout']
+            },
+            crisis: {
+                label: 'disasters and crises',
+                strong: [
+                    'earthquake', 'hurricane', 'wildfire', 'tsunami', 'mass shooting', 'terrorist attack', 'death toll',
+                    'humanitarian crisis', 'evacuation order', 'state of emergency', 'refugees'
+                ],
+                weak: ['disaster', 'tragedy', 'tragic', 'devastating', 'devastated', 'crisis', 'emergency', 'shooting', 'war', 'flood', 'flooding']
+            }
+        };
+
+        this.weights = {
+            strong: 3,
+            weak: 1
+        };
+
+        this.config = {
+            maxTextLength: 2000,     // Characters of a post sent for confirmation
+            timeout: 15000
+        };
+
+        this.defaultSettings = {
+            llmConfirmation: false   // Ask the model about posts with weak signs only, they are commented on otherwise
+        };
+
+        this.storageKey = 'sensitiveContext'; // chrome.storage.sync
+
+        this.schema = {
+            type: 'object',
+            properties: {
+                sensitive: { type: 'boolean' },
+                category: { type: 'string', enum: [...Object.keys(this.categories), 'none'] }
+            },
+            required: ['sensitive', 'category']
+        };
+
+        this.entries = Object.fromEntries(Object.entries(this.categories).map(([code, category]) => [code, [
+            ...category.strong.map(term => ({ term, weight: this.weights.strong })),
+            ...category.weak.map(term => ({ term, weight: this.weights.weak }))
+        ]]));
+    }
+
+    /**
+     * Load the guard settings
+     * @return {Promise<Object>} - { llmConfirmation }
+     */
+    async getSettings() {
+        try {
+            const result = await chrome.storage.sync.get([this.storageKey]);
+            return this.normalizeSettings(result[this.storageKey] || {});
+        } catch (error) {
+            console.error('[Sensitive Context] Error loading settings:', error);
+            return this.normalizeSettings({});
+        }
+    }
+
+    /**
+     * Save the guard settings
+     * @param {Object} settings - { llmConfirmation }
+     * @return {Promise<Object>} - Saved settings
+     */
+    async saveSettings(settings) {
+        const normalized = this.normalizeSettings(settings);
+        await chrome.storage.sync.set({ [this.storageKey]: normalized });
+
+        console.log('[Sensitive Context] Settings saved');
+        return normalized;
+    }
+
+    /**
+     * Fill in defaults
+     * @param {Object} [settings] - Raw settings
+     * @return {Object} - Normalized settings
+     */
+    normalizeSettings(settings = {}) {
+        return { llmConfirmation: settings?.llmConfirmation === true };
+    }
+
+    /**
+     * Decide whether a post must be skipped before a comment is written
+     * @param {Object} postData - Post data, text flat or under content.text
+     * @param {Object} [settings] - Guard settings, loaded when omitted
+     * @return {Promise<Object>} - { blocked, source: 'lexicon' | 'model' | null, category, label, matches, reason }
+     */
+    async check(postData, settings = null) {
+        const text = this.getPostText(postData);
+        const scan = this.scan(text);
+
+        if (scan.blocked) {
+            return this.createResult(true, 'lexicon', scan.category, scan.matches);
+        }
+
+        if (!scan.possible) {
+            return this.createResult(false, null, null, []);
+        }
+
+        const { llmConfirmation } = settings ? this.normalizeSettings(settings) : await this.getSettings();
+        if (!llmConfirmation) {
+            return this.createResult(false, null, scan.category, scan.matches);
+        }
+
+        try {
+            const confirmation = await this.confirmWithModel(text, postData?.id);
+            const category = this.categories[confirmation.category] ? confirmation.category : scan.category;
+            return this.createResult(confirmation.sensitive, confirmation.sensitive ? 'model' : null, category, scan.matches);
+        } catch (error) {
+            // A post that may be sensitive is not worth the risk when the model cannot be asked
+            console.warn('[Sensitive Context] Model confirmation failed, skipping the post:', error.message);
+            return this.createResult(true, 'lexicon', scan.category, scan.matches);
+        }
+    }
+
+    /**
+     * Score text against the lexicon
+     * @param {string} text - Post text
+     * @return {Object} - { blocked, possible, category, score, matches, scores: { category: score } }
+     */
+    scan(text) {
+        const prepared = keywordMatcher.prepare(text);
+        const scores = {};
+        let best = { category: null, score: 0, strong: false, matches: [] };
+
+        Object.entries(this.entries).forEach(([category, entries]) => {
+            const matches = keywordMatcher.findMatches(prepared, entries);
+            const score = matches.reduce((sum, match) => sum + match.weight * match.count, 0);
+            const strong = matches.some(match => match.weight === this.weights.strong);
+            scores[category] = score;
+
+            // "disaster recovery", "emergency failover" and a "crisis runbook" are not a disaster post,
+            // so a category with a strong sign outranks any number of weak ones
+            if ((strong && !best.strong) || (strong === best.strong && score > best.score)) {
+                best = { category, score, strong, matches: matches.map(match => match.term) };
+            }
+        });
+
+        return {
+            blocked: best.strong,
+            possible: best.score > 0,
+            category: best.category,
+            score: best.score,
+            matches: best.matches,
+            scores
+        };
+    }
+
+    /**
+     * Ask the active provider whether a post is about a sensitive event
+     * @param {string} text - Post text
+     * @param {string} [postId] - Post ID, part of the cache key
+     * @return {Promise<Object>} - { sensitive, category }
+     */
+    async confirmWithModel(text, postId = null) {
+        const provider = await llmProviders.loadSettings();
+        const prompt = this.buildPrompt(text);
+
+        const [response] = await apiHandler.makeRequest(
+            confirmationPrompt => provider.generate(confirmationPrompt, {
+                temperature: 0,
+                maxOutputTokens: 60,
+                candidateCount: 1,
+                responseSchema: this.schema,
+                onUsage: usage => usageBudget.record(provider.id, provider.settings?.model, usage)
+            }),
+            prompt,
+            {
+                maxRetries: 1,
+                timeout: this.config.timeout,
+                cacheKey: await this.getCacheKey(postId, text),
+                endpoint: `${provider.id}:${provider.settings?.model || 'default'}`
+            }
+        );
+
+        return this.parseConfirmation(response);
+    }
+
+    /**
+     * Key a model verdict by post and full text, posts sharing an opening must not share a verdict
+     * @param {string|null} postId - Post ID
+     * @param {string} text - Post text
+     * @return {Promise<string>} - Cache key
+     */
+    async getCacheKey(postId, text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        const hash = Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `sensitive-context:${postId || 'unknown'}:${hash}`;
+    }
+
+    /**
+     * Build the confirmation prompt
+     * @param {string} text - Post text
+     * @return {string} - Prompt
+     */
+    buildPrompt(text) {
+        const categories = Object.entries(this.categories).map(([code, category]) => `- ${code}: ${category.label}`).join('\n');
+
+        return 'Decide whether this social media post is about a sensitive personal or public event, where an upbeat ' +
+            `comment from a stranger would be hurtful. Sensitive categories:\n${categories}\n\n` +
+            'Posts that only mention these words in a technical, business or figurative sense are not sensitive ' +
+            '(for example "the process died", "a war between browsers", "a health check endpoint").\n\n' +
+            `POST:\n"""\n${String(text).substring(0, this.config.maxTextLength)}\n"""\n\n` +
+            'Respond with JSON only: {"sensitive": true or false, "category": one of the category names or "none"}';
+    }
+
+    /**
+     * Read the model's answer
+     * @param {string} response - Raw model output
+     * @return {Object} - { sensitive, category }
+     * @throws {Error} - When the answer cannot be read
+     */
+    parseConfirmation(response) {
+        const json = String(response || '').replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+
+        let value;
+        try {
+            value = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Unreadable confirmation (${error.message}): ${json.substring(0, 100)}`);
+        }
+
+        if (typeof value?.sensitive !== 'boolean') {
+            throw new Error('Confirmation is missing "sensitive"');
+        }
+
+        return { sensitive: value.sensitive, category: String(value.category || 'none') };
+    }
+
+    /**
+     * Build a check result
+     * @param {boolean} blocked - Whether the post is skipped
+     * @param {string|null} source - 'lexicon' or 'model'
+     * @param {string|null} category - Category code
+     * @param {Array<string>} matches - Lexicon terms found
+     * @return {Object} - { blocked, source, category, label, matches, reason }
+     */
+    createResult(blocked, source, category, matches) {
+        const label = this.categories[category]?.label || null;
+        const found = matches.map(term => `"${term}"`).join(', ');
+
+        let reason = 'No sensitive context found';
+        if (blocked) {
+            reason = source === 'model'
+                ? `Model confirmed a post about ${label} (${found})`
+                : `Post about ${label}: ${found}`;
+        } else if (category) {
+            reason = `Weak signs of ${label} not treated as sensitive (${found})`;
+        }
+
+        return { blocked, source, category, label, matches, reason };
+    }
+
+    /**
+     * Get post text from extracted post data or a flat content string
+     * @param {Object} postData - Post data
+     * @return {string} - Post text with hashtags
+     */
+    getPostText(postData) {
+        const text = typeof postData?.content === 'string' ? postData.content : postData?.content?.text || '';
+        const hashtags = postData?.content?.hashtags || postData?.hashtags || [];
+        return [text, ...hashtags.filter(tag => !text.includes(tag))].join(' ').trim();
+    }
+}
+
+// Create singleton instance
+const sensitiveContext = new SensitiveContext();
+
+export { SensitiveContext, sensitiveContext };
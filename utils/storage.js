@@ -56,6 +56,10 @@ class StorageManager {
                 commentInterval: { min: 70000, max: 90000 }, // milliseconds
                 csFilterEnabled: true,
                 smartTypingEnabled: true,
+                reviewMode: { LINKEDIN: true, TWITTER: true }, // Require draft approval per platform
+                assistModeEnabled: false, // In-page Suggest buttons that never submit
+                submitHoldSeconds: 15, // Undo window before submitting, 0 disables
+                dryRunEnabled: false, // Simulate the pipeline without submitting anything
                 totalCommentsMade: 0,
                 lastProcessedPosts: {},
                 createdAt: Date.now(),
@@ -0,0 +1,290 @@
+/**
+ * Style Examples Utility - Stores human rewrites of generated comments
+ * Original/rewritten pairs are fed back into prompts as few-shot style guidance
+ *
+ * Features:
+ * - Persistent storage of correction pairs with diff statistics
+ * - Relevance ranking of examples against the post being commented on
+ * - Prompt formatting for few-shot guidance
+ * - Pruning by ID, platform or size limit
+ */
+
+class StyleExamples {
+    constructor() {
+        this.config = {
+            maxExamples: 100,         // Oldest examples are dropped beyond this
+            promptExamples: 3,        // Pairs injected into a single prompt
+            postExcerptLength: 300,   // Post text kept for relevance matching
+            minWordLength: 4          // Shorter words are ignored when matching posts
+        };
+
+        this.storageKey = 'styleExamples';
+    }
+
+    /**
+     * Store a rewritten comment as a style example
+     * @param {Object} exampleData - Example details
+     * @param {string} exampleData.platform - 'linkedin' or 'twitter'
+     * @param {string} exampleData.original - Generated comment
+     * @param {string} exampleData.rewritten - What the user would have written
+     * @param {string} [exampleData.postContent] - Text of the post the comment replied to
+     * @param {string} [exampleData.postId] - Post ID
+     * @param {string} [exampleData.sourceKey] - Key of the log entry the rewrite came from
+     * @return {Promise<Object>} - The stored example
+     */
+    async addExample({ platform, original, rewritten, postContent = '', postId = null, sourceKey = null }) {
+        if (!original || !rewritten || !rewritten.trim()) {
+            throw new Error('Original and rewritten comments are required');
+        }
+
+        const examples = await this.getAllExamples();
+
+        const example = {
+            id: this.generateExampleId(),
+            platform: (platform || 'linkedin').toLowerCase(),
+            postId,
+            sourceKey,
+            postExcerpt: (postContent || '').substring(0, this.config.postExcerptLength),
+            original: original.trim(),
+            rewritten: rewritten.trim(),
+            diff: this.computeDiff(original.trim(), rewritten.trim()),
+            createdAt: Date.now()
+        };
+
+        // A second rewrite of the same comment replaces the first
+        const remaining = sourceKey ? examples.filter(item => item.sourceKey !== sourceKey) : examples;
+        remaining.unshift(example);
+
+        await this.saveExamples(remaining.slice(0, this.config.maxExamples));
+
+        console.log(`[Style Examples] Stored example ${example.id} for ${example.platform}`);
+        return example;
+    }
+
+    /**
+     * Compute simple diff statistics between a generated comment and its rewrite
+     * @param {string} original - Generated comment
+     * @param {string} rewritten - Rewritten comment
+     * @return {Object} - Diff statistics
+     */
+    computeDiff(original, rewritten) {
+        const emojiPattern = /\p{Extended_Pictographic}/u;
+        const hashtagPattern = /#\w+/;
+
+        return {
+            originalLength: original.length,
+            rewrittenLength: rewritten.length,
+            lengthChange: rewritten.length - original.length,
+            shortened: rewritten.length < original.length,
+            removedEmoji: emojiPattern.test(original) && !emojiPattern.test(rewritten),
+            addedEmoji: !emojiPattern.test(original) && emojiPattern.test(rewritten),
+            removedQuestion: original.includes('?') && !rewritten.includes('?'),
+            addedQuestion: !original.includes('?') && rewritten.includes('?'),
+            removedExclamation: original.includes('!') && !rewritten.includes('!'),
+            removedHashtags: hashtagPattern.test(original) && !hashtagPattern.test(rewritten)
+        };
+    }
+
+    /**
+     * Describe diff statistics as short human-readable labels
+     * @param {Object} diff - Diff statistics from computeDiff
+     * @return {Array} - Labels such as 'shortened' or 'removed emoji'
+     */
+    describeDiff(diff) {
+        if (!diff) {
+            return [];
+        }
+
+        const labels = [];
+
+        if (diff.shortened && diff.originalLength > 0 && diff.rewrittenLength / diff.originalLength < 0.9) {
+            labels.push('shortened');
+        } else if (diff.lengthChange > 0 && diff.rewrittenLength / Math.max(diff.originalLength, 1) > 1.1) {
+            labels.push('lengthened');
+        }
+
+        if (diff.removedEmoji) {
+            labels.push('removed emoji');
+        }
+        if (diff.addedEmoji) {
+            labels.push('added emoji');
+        }
+        if (diff.removedQuestion) {
+            labels.push('removed question');
+        }
+        if (diff.addedQuestion) {
+            labels.push('added question');
+        }
+        if (diff.removedExclamation) {
+            labels.push('removed exclamation');
+        }
+        if (diff.removedHashtags) {
+            labels.push('removed hashtags');
+        }
+
+        return labels;
+    }
+
+    /**
+     * Get stored examples, optionally for one platform
+     * @param {Object} filter - Filter options
+     * @param {string} [filter.platform] - Platform name
+     * @return {Promise<Array>} - Examples, newest first
+     */
+    async getExamples(filter = {}) {
+        const examples = await this.getAllExamples();
+
+        if (!filter.platform) {
+            return examples;
+        }
+
+        return examples.filter(example => example.platform === filter.platform.toLowerCase());
+    }
+
+    /**
+     * Pick the examples most relevant to a post
+     * Same-platform examples about similar content rank highest, recency breaks ties
+     * @param {Object} postData - Post being commented on
+     * @param {string} platform - Platform name
+     * @param {number} [limit] - Maximum examples to return
+     * @return {Promise<Array>} - Relevant examples, best first
+     */
+    async getRelevantExamples(postData, platform, limit = this.config.promptExamples) {
+        const examples = await this.getAllExamples();
+        if (examples.length === 0) {
+            return [];
+        }
+
+        const postText = typeof postData?.content === 'string' ? postData.content : postData?.content?.text || '';
+        const postWords = new Set(this.getContentWords(postText));
+        const normalizedPlatform = (platform || '').toLowerCase();
+
+        return examples
+            .map((example, index) => {
+                const exampleWords = new Set(this.getContentWords(example.postExcerpt));
+                const shared = [...exampleWords].filter(word => postWords.has(word)).length;
+                const union = new Set([...exampleWords, ...postWords]).size;
+
+                const topicScore = union > 0 ? shared / union : 0;
+                const platformScore = example.platform === normalizedPlatform ? 0.5 : 0;
+                const recencyScore = 0.1 * (1 - (index / examples.length));
+
+                return { example, score: topicScore + platformScore + recencyScore };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(item => item.example);
+    }
+
+    /**
+     * Format examples as few-shot guidance for a prompt
+     * @param {Array} examples - Examples to include
+     * @return {string} - Prompt section, empty when there are no examples
+     */
+    formatForPrompt(examples) {
+        if (!examples || examples.length === 0) {
+            return '';
+        }
+
+        const pairs = examples.map((example, index) => {
+            const changes = this.describeDiff(example.diff);
+            const lines = [
+                `Example ${index + 1}:`,
+                `Generated: "${example.original}"`,
+                `Rewritten by the user: "${example.rewritten}"`
+            ];
+
+            if (changes.length > 0) {
+                lines.push(`What changed: ${changes.join(', ')}`);
+            }
+
+            return lines.join('\n');
+        });
+
+        return [
+            'STYLE GUIDANCE:',
+            'The user rewrote earlier generated comments as shown below. Match the voice of the rewritten versions.',
+            ...pairs
+        ].join('\n\n');
+    }
+
+    /**
+     * Delete a single example
+     * @param {string} exampleId - Example ID
+     * @return {Promise<boolean>} - True if an example was removed
+     */
+    async deleteExample(exampleId) {
+        const examples = await this.getAllExamples();
+        const remaining = examples.filter(example => example.id !== exampleId);
+
+        if (remaining.length === examples.length) {
+            return false;
+        }
+
+        await this.saveExamples(remaining);
+        return true;
+    }
+
+    /**
+     * Remove all examples, optionally only for one platform
+     * @param {string} [platform] - Platform name
+     * @return {Promise<number>} - Number of examples removed
+     */
+    async clear(platform = null) {
+        const examples = await this.getAllExamples();
+        const remaining = platform
+            ? examples.filter(example => example.platform !== platform.toLowerCase())
+            : [];
+
+        await this.saveExamples(remaining);
+        return examples.length - remaining.length;
+    }
+
+    /**
+     * Extract lowercase content words long enough to be meaningful
+     * @param {string} text - Input text
+     * @return {Array} - Words
+     */
+    getContentWords(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length >= this.config.minWordLength);
+    }
+
+    /**
+     * Load all examples from storage
+     * @return {Promise<Array>} - Stored examples
+     */
+    async getAllExamples() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKey]);
+            return result[this.storageKey] || [];
+        } catch (error) {
+            console.error('[Style Examples] Error loading examples:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save examples to storage
+     * @param {Array} examples - Examples to save
+     */
+    async saveExamples(examples) {
+        await chrome.storage.local.set({ [this.storageKey]: examples });
+    }
+
+    /**
+     * Generate unique example ID
+     * @return {string} - Unique ID
+     */
+    generateExampleId() {
+        return `example_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    }
+}
+
+// Create singleton instance
+const styleExamples = new StyleExamples();
+
+export { StyleExamples, styleExamples };
@@ -0,0 +1,200 @@
+/**
+ * Submit Hold Utility - Undo window between typing a comment and submitting it
+ * Gives the user a last chance to catch a bad generation before it goes public
+ *
+ * Features:
+ * - Configurable hold period read from extension settings
+ * - In-page countdown banner with a Cancel button
+ * - Extension badge countdown through the service worker
+ * - Cancelling clears the comment box and rejects the draft
+ */
+
+import { DraftQueue } from './draft-queue.js';
+
+class SubmitHold {
+    constructor() {
+        this.config = {
+            defaultSeconds: 15,
+            maxSeconds: 60,
+            bannerId: 'sma-submit-hold-banner'
+        };
+
+        this.settingsKey = 'extension_settings';
+        this.draftQueue = new DraftQueue();
+    }
+
+    /**
+     * Get the configured hold period
+     * @return {Promise<number>} - Seconds to hold, 0 when disabled
+     */
+    async getHoldSeconds() {
+        try {
+            const result = await chrome.storage.local.get([this.settingsKey]);
+            const seconds = result[this.settingsKey]?.submitHoldSeconds;
+
+            if (typeof seconds !== 'number') {
+                return this.config.defaultSeconds;
+            }
+
+            return Math.min(Math.max(Math.round(seconds), 0), this.config.maxSeconds);
+        } catch (error) {
+            console.error('[Submit Hold] Error reading hold period:', error);
+            return this.config.defaultSeconds;
+        }
+    }
+
+    /**
+     * Hold before submitting so the user can cancel
+     * @param {Object} holdOptions - Hold options
+     * @param {string} holdOptions.platform - 'linkedin' or 'twitter'
+     * @param {Element} holdOptions.inputElement - Comment box holding the typed text
+     * @param {string} [holdOptions.draftId] - Draft to reject when cancelled
+     * @return {Promise<Object>} - { cancelled, heldFor }
+     */
+    async hold({ platform, inputElement, draftId = null }) {
+        const seconds = await this.getHoldSeconds();
+        if (seconds <= 0) {
+            return { cancelled: false, heldFor: 0 };
+        }
+
+        console.log(`[Submit Hold] Holding ${platform} submission for ${seconds}s`);
+
+        return new Promise((resolve) => {
+            let remaining = seconds;
+            let finished = false;
+            let timer = null;
+
+            const finish = async (cancelled) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+
+                clearInterval(timer);
+                banner.remove();
+                this.updateBadge(0);
+
+                if (cancelled) {
+                    console.log(`[Submit Hold] ${platform} submission cancelled by user`);
+                    this.clearInput(inputElement);
+
+                    if (draftId) {
+                        await this.draftQueue.cancelDraft(draftId, 'cancelled_during_hold').catch(error => {
+                            console.error('[Submit Hold] Failed to reject draft:', error);
+                        });
+                    }
+                }
+
+                resolve({ cancelled, heldFor: seconds - remaining });
+            };
+
+            const banner = this.showBanner(platform, remaining, () => finish(true));
+            this.updateBadge(remaining);
+
+            timer = setInterval(() => {
+                remaining--;
+
+                if (remaining <= 0) {
+                    finish(false);
+                    return;
+                }
+
+                banner.querySelector('.sma-hold-text').textContent = this.getBannerText(platform, remaining);
+                this.updateBadge(remaining);
+            }, 1000);
+        });
+    }
+
+    /**
+     * Create the countdown banner and add it to the page
+     * @param {string} platform - Platform name
+     * @param {number} remaining - Seconds remaining
+     * @param {Function} onCancel - Cancel handler
+     * @return {Element} - Banner element
+     */
+    showBanner(platform, remaining, onCancel) {
+        // Only one hold runs at a time, drop any banner left behind by a reload
+        document.getElementById(this.config.bannerId)?.remove();
+
+        const banner = document.createElement('div');
+        banner.id = this.config.bannerId;
+        banner.setAttribute('role', 'alert');
+        banner.style.cssText = 'position:fixed;bottom:24px;left:50%;transform:translateX(-50%);z-index:2147483647;' +
+            'display:flex;align-items:center;gap:16px;padding:12px 20px;border-radius:8px;' +
+            'background:#212529;color:#fff;font:14px -apple-system,BlinkMacSystemFont,sans-serif;' +
+            'box-shadow:0 4px 12px rgba(0,0,0,0.3);';
+
+        const text = document.createElement('span');
+        text.className = 'sma-hold-text';
+        text.textContent = this.getBannerText(platform, remaining);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.style.cssText = 'padding:4px 14px;border:1px solid #fff;border-radius:16px;' +
+            'background:transparent;color:#fff;font-weight:600;cursor:pointer;';
+
+        cancelButton.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            onCancel();
+        });
+
+        banner.appendChild(text);
+        banner.appendChild(cancelButton);
+        document.body.appendChild(banner);
+
+        return banner;
+    }
+
+    /**
+     * Build the banner message
+     * @param {string} platform - Platform name
+     * @param {number} remaining - Seconds remaining
+     * @return {string} - Message
+     */
+    getBannerText(platform, remaining) {
+        const noun = platform === 'twitter' ? 'reply' : 'comment';
+        return `Posting ${noun} in ${remaining}s`;
+    }
+
+    /**
+     * Clear the typed text from the comment box
+     * @param {Element} inputElement - Comment box
+     */
+    clearInput(inputElement) {
+        if (!inputElement) {
+            return;
+        }
+
+        if (inputElement.tagName === 'TEXTAREA' || inputElement.tagName === 'INPUT') {
+            inputElement.value = '';
+        } else {
+            inputElement.focus();
+            document.execCommand('selectAll', false, null);
+            if (!document.execCommand('delete', false, null)) {
+                inputElement.textContent = '';
+            }
+        }
+
+        // Let the page's editor notice the change so its submit button disables
+        inputElement.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Show the countdown on the extension badge
+     * @param {number} remaining - Seconds remaining, 0 clears the badge
+     */
+    updateBadge(remaining) {
+        try {
+            chrome.runtime.sendMessage({ type: 'SUBMIT_COUNTDOWN', remaining }).catch(() => {});
+        } catch (error) {
+            // Extension context can disappear on reload, the banner still works
+        }
+    }
+}
+
+// Create singleton instance
+const submitHold = new SubmitHold();
+
+export { SubmitHold, submitHold };
@@ -0,0 +1,369 @@
+/**
+ * Topic Profiles Utility - The topics the user wants to comment on
+ * Each profile scores posts with its own keywords, patterns and threshold
+ *
+ * Features:
+ * - Weighted keywords, negative keywords and regex patterns per profile
+ * - Example posts per profile for semantic matching
+ * - Several profiles active at once, a post is relevant when any of them matches
+ * - Starter profiles for computer science, data engineering, security and design
+ * - "term, weight" lines from the settings page
+ */
+
+class TopicProfiles {
+    constructor() {
+        this.config = {
+            maxProfiles: 20,
+            maxTerms: 200,            // Keywords or negative keywords per profile
+            maxPatterns: 20,
+            maxTermLength: 60,
+            maxNameLength: 40,
+            maxExemplars: 10,         // Example posts per profile
+            maxExemplarLength: 1500,
+            maxWeight: 10,
+            maxThreshold: 20,         // Scores are capped at 20, a higher threshold could never match
+            defaultThreshold: 3,
+            defaultNegativeWeight: 2
+        };
+
+        // Profile lists with long keyword lists outgrow the 8 KB item limit of chrome.storage.sync
+        this.storageKey = 'topicProfiles'; // chrome.storage.local
+
+        this.defaultProfiles = [
+            {
+                id: 'computer_science',
+                name: 'Computer Science',
+                enabled: true,
+                threshold: 3,
+                keywords: [
+                    ...this.weighted(4, ['javascript', 'python', 'java']),
+                    ...this.weighted(3, [
+                        'programming', 'coding', 'software', 'development', 'developer',
+                        'react', 'nodejs', 'typescript', 'algorithm', 'data structure',
+                        'backend', 'frontend', 'fullstack', 'api', 'database', 'sql',
+                        'mongodb', 'postgresql', 'mysql', 'git', 'github', 'version control',
+                        'devops', 'deployment', 'machine learning', 'ai', 'artificial intelligence', 'ml',
+                        'web development', 'mobile app', 'android', 'ios', 'flutter',
+                        'computer science', 'cs', 'software engineering', 'swe',
+                        'internship', 'junior developer', 'entry level', 'bootcamp',
+                        'leetcode', 'hackerrank', 'coding interview', 'technical interview'
+                    ]),
+                    ...this.weighted(2, [
+                        'tech', 'technology', 'startup', 'innovation', 'digital',
+                        'cloud', 'aws', 'azure', 'gcp', 'docker', 'kubernetes',
+                        'agile', 'scrum', 'project management', 'team lead',
+                        'open source', 'framework', 'library', 'toolkit',
+                        'debugging', 'testing', 'qa', 'quality assurance',
+                        'ui', 'ux', 'design', 'user experience', 'user interface',
+                        'career', 'job search', 'hiring', 'recruitment', 'resume',
+                        'portfolio', 'side project', 'hackathon', 'coding challenge',
+                        'freelance', 'remote work', 'work from home'
+                    ]),
+                    ...this.weighted(1, [
+                        'c++', 'c#', 'php', 'ruby', 'go', 'rust', 'swift',
+                        'digital transformation', 'automation',
+                        'productivity', 'efficiency', 'problem solving',
+                        'learning', 'education', 'tutorial', 'course',
+                        'certification', 'skill', 'growth', 'improvement',
+                        'networking', 'professional', 'industry', 'business',
+                        'collaboration', 'teamwork', 'leadership', 'management'
+                    ])
+                ],
+                negativeKeywords: this.weighted(2, [
+                    'politics', 'political', 'election', 'vote', 'government',
+                    'religion', 'religious', 'sports', 'entertainment', 'celebrity',
+                    'fashion', 'food', 'travel', 'personal', 'family', 'relationship',
+                    'health', 'medical', 'finance', 'investment', 'crypto', 'bitcoin',
+                    'real estate', 'sales', 'marketing', 'advertisement'
+                ]),
+                patterns: [
+                    { pattern: '\\b(?:google|microsoft|amazon|apple|facebook|meta|netflix|tesla)\\b', weight: 2 },
+                    { pattern: '\\b(?:startups?|tech company|software company|saas)\\b', weight: 2 },
+                    { pattern: '\\b(?:unicorn|ipo|funding|venture capital|vc)\\b', weight: 2 },
+                    { pattern: '\\b(?:university|college|school|academy|institute)\\b', weight: 1 },
+                    { pattern: '\\b(?:students?|graduate|undergraduate|phd|masters|bachelor)\\b', weight: 1 },
+                    { pattern: '\\b(?:coursera|udemy|edx|khan academy|codecademy)\\b', weight: 1 }
+                ]
+            },
+            {
+                id: 'data_engineering',
+                name: 'Data Engineering',
+                enabled: false,
+                threshold: 4,
+                keywords: [
+                    ...this.weighted(3, [
+                        'data engineering', 'data engineer', 'data pipeline', 'etl', 'elt',
+                        'data warehouse', 'data lake', 'lakehouse', 'spark', 'kafka', 'airflow',
+                        'dbt', 'snowflake', 'databricks', 'bigquery', 'redshift', 'flink'
+                    ]),
+                    ...this.weighted(2, [
+                        'sql', 'data modeling', 'streaming', 'batch processing', 'orchestration',
+                        'parquet', 'delta lake', 'iceberg', 'data quality', 'data platform'
+                    ]),
+                    ...this.weighted(1, ['analytics', 'python', 'scala', 'cloud', 'schema', 'dashboard'])
+                ],
+                negativeKeywords: this.weighted(2, ['politics', 'election', 'celebrity', 'crypto']),
+                patterns: []
+            },
+            {
+                id: 'security',
+                name: 'Security',
+                enabled: false,
+                threshold: 4,
+                keywords: [
+                    ...this.weighted(3, [
+                        'cybersecurity', 'infosec', 'appsec', 'vulnerability', 'exploit',
+                        'penetration testing', 'pentest', 'threat model', 'zero-day',
+                        'ransomware', 'malware', 'incident response', 'red team', 'blue team'
+                    ]),
+                    ...this.weighted(2, [
+                        'security', 'encryption', 'authentication', 'authorization', 'phishing',
+                        'firewall', 'siem', 'soc', 'owasp', 'bug bounty', 'ctf', 'patch'
+                    ]),
+                    ...this.weighted(1, ['privacy', 'compliance', 'audit', 'risk', 'breach'])
+                ],
+                negativeKeywords: this.weighted(2, ['politics', 'election', 'celebrity', 'home security']),
+                patterns: [
+                    { pattern: '\\bcve-\\d{4}-\\d+', weight: 3 }
+                ]
+            },
+            {
+                id: 'design',
+                name: 'Design',
+                enabled: false,
+                threshold: 4,
+                keywords: [
+                    ...this.weighted(3, [
+                        'ux design', 'ui design', 'product design', 'interaction design',
+                        'design system', 'figma', 'user research', 'usability testing', 'prototype'
+                    ]),
+                    ...this.weighted(2, [
+                        'ux', 'ui', 'wireframe', 'typography', 'accessibility', 'user experience',
+                        'user interface', 'visual design', 'information architecture', 'design thinking'
+                    ]),
+                    ...this.weighted(1, ['design', 'layout', 'color', 'branding', 'illustration', 'portfolio'])
+                ],
+                negativeKeywords: this.weighted(2, ['interior design', 'fashion', 'politics', 'celebrity']),
+                patterns: []
+            }
+        ];
+    }
+
+    /**
+     * Load the topic profiles, the starter profiles until the user saves their own
+     * @return {Promise<Array<Object>>} - Normalized profiles
+     */
+    async getProfiles() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKey]);
+            return this.normalizeProfiles(result[this.storageKey]);
+        } catch (error) {
+            console.error('[Topic Profiles] Error loading profiles:', error);
+            return this.normalizeProfiles();
+        }
+    }
+
+    /**
+     * Create or update a profile
+     * @param {Object} profile - Profile, terms and patterns as arrays or "term, weight" lines
+     * @return {Promise<Object>} - Saved profile
+     */
+    async saveProfile(profile) {
+        const name = String(profile?.name || '').trim();
+        if (!name) {
+            throw new Error('Give the topic profile a name');
+        }
+
+        const invalid = this.parseLines(profile.patterns).find(({ term }) => !this.compilePattern(term));
+        if (invalid) {
+            throw new Error(`Invalid pattern: ${invalid.term}`);
+        }
+
+        const profiles = await this.getProfiles();
+        const index = profiles.findIndex(existing => existing.id === profile.id);
+        if (index === -1 && profiles.length >= this.config.maxProfiles) {
+            throw new Error(`At most ${this.config.maxProfiles} topic profiles can be saved`);
+        }
+
+        const saved = this.normalizeProfile({ ...profile, id: index === -1 ? this.generateId() : profile.id });
+        if (saved.keywords.length === 0 && saved.patterns.length === 0 && saved.exemplars.length === 0) {
+            throw new Error('Add at least one keyword, pattern or example post');
+        }
+
+        const updated = index === -1 ? [...profiles, saved] : profiles.map(existing => existing.id === saved.id ? saved : existing);
+        this.assertEnabled(updated);
+        await this.saveProfiles(updated);
+
+        console.log('[Topic Profiles] Profile saved:', saved.name);
+        return saved;
+    }
+
+    /**
+     * Delete a profile
+     * @param {string} profileId - Profile ID
+     * @return {Promise<boolean>} - True when a profile was deleted
+     */
+    async deleteProfile(profileId) {
+        const profiles = await this.getProfiles();
+        const remaining = profiles.filter(profile => profile.id !== profileId);
+        if (remaining.length === profiles.length) {
+            return false;
+        }
+
+        this.assertEnabled(remaining);
+        await this.saveProfiles(remaining);
+
+        console.log('[Topic Profiles] Profile deleted:', profileId);
+        return true;
+    }
+
+    /**
+     * Save the full profile list
+     * @param {Array<Object>} profiles - Normalized profiles
+     * @return {Promise<void>}
+     */
+    async saveProfiles(profiles) {
+        await chrome.storage.local.set({ [this.storageKey]: profiles });
+    }
+
+    /**
+     * Refuse a change that would leave no profile enabled, every post would be skipped
+     * @param {Array<Object>} profiles - Profiles after the change
+     */
+    assertEnabled(profiles) {
+        if (!profiles.some(profile => profile.enabled)) {
+            throw new Error('Keep at least one topic profile enabled');
+        }
+    }
+
+    /**
+     * Clean a stored profile list
+     * @param {Array<Object>} [profiles] - Stored profiles, the starter profiles when missing
+     * @return {Array<Object>} - Normalized profiles with unique IDs
+     */
+    normalizeProfiles(profiles) {
+        const source = Array.isArray(profiles) ? profiles : this.defaultProfiles;
+        const seen = new Set();
+
+        return source
+            .map(profile => this.normalizeProfile(profile))
+            .filter(profile => profile.name && !seen.has(profile.id) && seen.add(profile.id))
+            .slice(0, this.config.maxProfiles);
+    }
+
+    /**
+     * Fill in defaults, cap weights and drop patterns that do not compile
+     * @param {Object} profile - Raw profile
+     * @return {Object} - { id, name, enabled, threshold, keywords, negativeKeywords, patterns, exemplars }
+     */
+    normalizeProfile(profile = {}) {
+        const threshold = parseInt(profile.threshold, 10);
+
+        return {
+            id: /^[a-z0-9_]+$/.test(profile.id || '') ? profile.id : this.generateId(),
+            name: String(profile.name || '').trim().substring(0, this.config.maxNameLength),
+            enabled: profile.enabled !== false,
+            threshold: Number.isInteger(threshold) && threshold > 0
+                ? Math.min(threshold, this.config.maxThreshold)
+                : this.config.defaultThreshold,
+            keywords: this.normalizeTerms(profile.keywords, 1),
+            negativeKeywords: this.normalizeTerms(profile.negativeKeywords, this.config.defaultNegativeWeight),
+            patterns: this.parseLines(profile.patterns, 1)
+                .filter(({ term }) => this.compilePattern(term))
+                .slice(0, this.config.maxPatterns)
+                .map(({ term, weight }) => ({ pattern: term, weight })),
+            exemplars: this.parseExemplars(profile.exemplars)
+        };
+    }
+
+    /**
+     * Read example posts from an array or from text with a line of "---" between posts
+     * @param {Array<string>|string} exemplars - Raw example posts
+     * @return {Array<string>} - Trimmed posts without duplicates
+     */
+    parseExemplars(exemplars) {
+        const posts = Array.isArray(exemplars) ? exemplars : String(exemplars || '').split(/^\s*---+\s*$/m);
+
+        return [...new Set(posts.map(post => String(post || '').trim().substring(0, this.config.maxExemplarLength)).filter(Boolean))]
+            .slice(0, this.config.maxExemplars);
+    }
+
+    /**
+     * Clean a keyword list, lowercased and without duplicates
+     * @param {Array|string} terms - Terms as strings, { term, weight } or "term, weight" lines
+     * @param {number} defaultWeight - Weight for terms given without one
+     * @return {Array<Object>} - [{ term, weight }]
+     */
+    normalizeTerms(terms, defaultWeight) {
+        const seen = new Set();
+
+        return this.parseLines(terms, defaultWeight)
+            .map(({ term, weight }) => ({ term: term.toLowerCase().substring(0, this.config.maxTermLength), weight }))
+            .filter(({ term }) => !seen.has(term) && seen.add(term))
+            .slice(0, this.config.maxTerms);
+    }
+
+    /**
+     * Read weighted entries from an array or from "term, weight" lines
+     * A trailing number after the last comma is the weight, so patterns like a{1,3} keep their commas
+     * @param {Array|string} entries - Raw entries
+     * @param {number} [defaultWeight] - Weight for entries given without one
+     * @return {Array<Object>} - [{ term, weight }] with weights from 1 to maxWeight
+     */
+    parseLines(entries, defaultWeight = 1) {
+        const items = Array.isArray(entries)
+            ? entries.map(entry => typeof entry === 'string'
+                ? { term: entry, weight: defaultWeight }
+                : { term: entry?.term ?? entry?.pattern, weight: entry?.weight })
+            : String(entries || '').split('\n').map(line => {
+                const match = line.trim().match(/^(.*?)\s*(?:,\s*(\d+))?$/);
+                return { term: match[1], weight: match[2] };
+            });
+
+        return items
+            .map(({ term, weight }) => {
+                const value = parseInt(weight, 10);
+                return {
+                    term: String(term || '').trim(),
+                    weight: Number.isInteger(value) && value > 0 ? Math.min(value, this.config.maxWeight) : defaultWeight
+                };
+            })
+            .filter(({ term }) => term);
+    }
+
+    /**
+     * Compile a profile pattern, matched without regard to case
+     * @param {string} pattern - Regular expression source
+     * @return {RegExp|null} - Compiled pattern, or null when it is invalid
+     */
+    compilePattern(pattern) {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (_error) {
+            return null;
+        }
+    }
+
+    /**
+     * Give every term in a list the same weight
+     * @param {number} weight - Weight
+     * @param {Array<string>} terms - Terms
+     * @return {Array<Object>} - [{ term, weight }]
+     */
+    weighted(weight, terms) {
+        return terms.map(term => ({ term, weight }));
+    }
+
+    /**
+     * Generate a profile ID
+     * @return {string} - Unique ID
+     */
+    generateId() {
+        return `topic_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+    }
+}
+
+// Create singleton instance
+const topicProfiles = new TopicProfiles();
+
+export { TopicProfiles, topicProfiles };
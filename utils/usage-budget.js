@@ -0,0 +1,330 @@
+/**
+ * Usage Budget Utility - Token counts, estimated cost and spending limits per provider
+ * Records the usage each response reports and blocks generation once a budget is used up
+ *
+ * Features:
+ * - Prompt and output tokens per provider per day
+ * - Estimated cost from a per-model price table the user can edit
+ * - Daily and monthly token or spend budgets per provider
+ */
+
+class UsageBudget {
+    constructor() {
+        this.config = {
+            retentionDays: 62,   // Daily buckets kept, enough for the current and previous month
+            warningRatio: 0.8    // Share of a budget used before the popup warns
+        };
+
+        // US dollars per million tokens, from the providers' public price lists
+        this.defaultPrices = {
+            'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+            'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+            'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+            'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+            'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+            'gpt-4o-mini': { input: 0.15, output: 0.60 },
+            'gpt-4o': { input: 2.50, output: 10.00 },
+            'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+            'gpt-4.1-nano': { input: 0.10, output: 0.40 }
+        };
+
+        this.limitFields = ['dailyTokens', 'monthlyTokens', 'dailySpend', 'monthlySpend'];
+        this.freeProviders = ['local']; // Models on this machine cost nothing per token
+
+        this.storageKeys = {
+            usage: 'tokenUsage',      // chrome.storage.local, daily buckets
+            settings: 'usageBudget'   // chrome.storage.sync, budgets and price overrides
+        };
+
+        // Writes are chained so usage reported close together is not lost
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load budgets and price overrides
+     * @return {Promise<Object>} - { budgets: { providerId: limits }, prices: { model: { input, output } } }
+     */
+    async getSettings() {
+        try {
+            const result = await chrome.storage.sync.get([this.storageKeys.settings]);
+            return this.normalizeSettings(result[this.storageKeys.settings] || {});
+        } catch (error) {
+            console.error('[Usage Budget] Error loading settings:', error);
+            return this.normalizeSettings({});
+        }
+    }
+
+    /**
+     * Save budgets and price overrides
+     * @param {Object} settings - { budgets, prices }, prices as an object or "model, input, output" lines
+     * @return {Promise<Object>} - Saved settings
+     */
+    async saveSettings(settings) {
+        const normalized = this.normalizeSettings(settings);
+        await chrome.storage.sync.set({ [this.storageKeys.settings]: normalized });
+
+        console.log('[Usage Budget] Settings saved');
+        return normalized;
+    }
+
+    /**
+     * Clean budgets and prices, a limit of 0 means no limit
+     * @param {Object} settings - Raw settings
+     * @return {Object} - Normalized settings
+     */
+    normalizeSettings(settings) {
+        const budgets = {};
+        Object.entries(settings.budgets || {}).forEach(([providerId, limits]) => {
+            if (!/^[a-z]+$/.test(providerId) || !limits) {
+                return;
+            }
+            budgets[providerId] = Object.fromEntries(this.limitFields.map(field => [field, this.toAmount(limits[field])]));
+        });
+
+        return { budgets, prices: this.parsePrices(settings.prices) };
+    }
+
+    /**
+     * Read a price table from an object or from "model, input, output" lines
+     * @param {Object|string} prices - Price overrides
+     * @return {Object} - { model: { input, output } } in dollars per million tokens
+     */
+    parsePrices(prices) {
+        const entries = typeof prices === 'string'
+            ? prices.split('\n').map(line => line.split(',').map(part => part.trim())).map(([model, input, output]) => [model, { input, output }])
+            : Object.entries(prices || {});
+
+        // Lines without both prices are dropped, a missing price must not make a model look free
+        return Object.fromEntries(entries
+            .filter(([model, price]) => model && price &&
+                Number.isFinite(parseFloat(price.input)) && Number.isFinite(parseFloat(price.output)))
+            .map(([model, price]) => [model.toLowerCase(), { input: this.toAmount(price.input), output: this.toAmount(price.output) }]));
+    }
+
+    /**
+     * Get the price table with the user's overrides applied
+     * @param {Object} settings - Normalized settings
+     * @return {Object} - { model: { input, output } }
+     */
+    getPrices(settings) {
+        return { ...this.defaultPrices, ...settings.prices };
+    }
+
+    /**
+     * Estimate the cost of one response
+     * @param {string} providerId - Provider ID
+     * @param {string} model - Model name
+     * @param {Object} usage - { promptTokens, outputTokens }
+     * @param {Object} prices - Price table
+     * @return {number|null} - Dollars, or null when the model has no price
+     */
+    estimateCost(providerId, model, usage, prices) {
+        if (this.freeProviders.includes(providerId)) {
+            return 0;
+        }
+
+        const price = prices[String(model || '').toLowerCase()];
+        if (!price) {
+            return null;
+        }
+
+        return (usage.promptTokens * price.input + usage.outputTokens * price.output) / 1000000;
+    }
+
+    /**
+     * Record the tokens a response used
+     * @param {string} providerId - Provider ID
+     * @param {string} model - Model name
+     * @param {Object} usage - { promptTokens, outputTokens } as reported by the provider
+     * @return {Promise<void>}
+     */
+    record(providerId, model, usage) {
+        this.writeQueue = this.writeQueue.then(async () => {
+            try {
+                const settings = await this.getSettings();
+                const cost = this.estimateCost(providerId, model, usage, this.getPrices(settings));
+
+                const days = await this.getUsage();
+                const dayKey = this.getDayKey(Date.now());
+                const bucket = days[dayKey]?.[providerId] || this.createBucket();
+
+                bucket.requests += 1;
+                bucket.promptTokens += usage.promptTokens || 0;
+                bucket.outputTokens += usage.outputTokens || 0;
+                bucket.cost += cost || 0;
+                if (cost === null) {
+                    bucket.unpricedRequests += 1;
+                }
+
+                days[dayKey] = { ...days[dayKey], [providerId]: bucket };
+                await this.saveUsage(this.pruneDays(days));
+
+            } catch (error) {
+                console.error('[Usage Budget] Error recording usage:', error);
+            }
+        });
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Check a provider's usage against its budgets
+     * @param {string} providerId - Provider ID
+     * @param {number} [now] - Timestamp to check at
+     * @return {Promise<Object>} - { allowed, providerId, usage, limits, remaining, exceeded, warnings }
+     */
+    async checkBudget(providerId, now = Date.now()) {
+        const [settings, days] = await Promise.all([this.getSettings(), this.getUsage()]);
+        const usage = this.getTotals(days, providerId, now);
+        const limits = settings.budgets[providerId] || Object.fromEntries(this.limitFields.map(field => [field, 0]));
+
+        const used = {
+            dailyTokens: usage.daily.tokens,
+            monthlyTokens: usage.monthly.tokens,
+            dailySpend: usage.daily.cost,
+            monthlySpend: usage.monthly.cost
+        };
+
+        const remaining = {};
+        const exceeded = [];
+        const warnings = [];
+
+        this.limitFields.forEach(field => {
+            const limit = limits[field];
+            if (!limit) {
+                remaining[field] = null;
+                return;
+            }
+
+            remaining[field] = Math.max(0, limit - used[field]);
+            if (used[field] >= limit) {
+                exceeded.push({ field, used: used[field], limit });
+            } else if (used[field] >= limit * this.config.warningRatio) {
+                warnings.push({ field, used: used[field], limit });
+            }
+        });
+
+        return { allowed: exceeded.length === 0, providerId, usage, limits, remaining, exceeded, warnings };
+    }
+
+    /**
+     * Add up a provider's usage for the day and month containing a timestamp
+     * @param {Object} days - Daily buckets
+     * @param {string} providerId - Provider ID
+     * @param {number} now - Timestamp
+     * @return {Object} - { daily, monthly } each { tokens, cost, requests, unpricedRequests }
+     */
+    getTotals(days, providerId, now) {
+        const dayKey = this.getDayKey(now);
+        const monthKey = dayKey.substring(0, 7);
+        const totals = { daily: this.createTotals(), monthly: this.createTotals() };
+
+        Object.entries(days).forEach(([key, providers]) => {
+            const bucket = providers[providerId];
+            if (!bucket || !key.startsWith(monthKey)) {
+                return;
+            }
+
+            const periods = key === dayKey ? [totals.daily, totals.monthly] : [totals.monthly];
+            periods.forEach(period => {
+                period.tokens += bucket.promptTokens + bucket.outputTokens;
+                period.cost += bucket.cost;
+                period.requests += bucket.requests;
+                period.unpricedRequests += bucket.unpricedRequests || 0;
+            });
+        });
+
+        return totals;
+    }
+
+    /**
+     * Describe a used-up or nearly used-up budget
+     * @param {Object} entry - { field, used, limit }
+     * @return {string} - e.g. "daily token budget (10,400 of 10,000 tokens)"
+     */
+    describeLimit(entry) {
+        const period = entry.field.startsWith('daily') ? 'daily' : 'monthly';
+
+        if (entry.field.endsWith('Tokens')) {
+            return `${period} token budget (${Math.round(entry.used).toLocaleString('en-US')} of ` +
+                `${entry.limit.toLocaleString('en-US')} tokens)`;
+        }
+
+        return `${period} spend budget ($${entry.used.toFixed(2)} of $${entry.limit.toFixed(2)})`;
+    }
+
+    /**
+     * Load the daily usage buckets
+     * @return {Promise<Object>} - { 'YYYY-MM-DD': { providerId: bucket } }
+     */
+    async getUsage() {
+        try {
+            const result = await chrome.storage.local.get([this.storageKeys.usage]);
+            return result[this.storageKeys.usage] || {};
+        } catch (error) {
+            console.error('[Usage Budget] Error loading usage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the daily usage buckets
+     * @param {Object} days - { 'YYYY-MM-DD': { providerId: bucket } }
+     * @return {Promise<void>}
+     */
+    async saveUsage(days) {
+        await chrome.storage.local.set({ [this.storageKeys.usage]: days });
+    }
+
+    /**
+     * Drop buckets older than the retention period
+     * @param {Object} days - Daily buckets
+     * @return {Object} - Remaining buckets
+     */
+    pruneDays(days) {
+        const cutoff = this.getDayKey(Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000);
+        return Object.fromEntries(Object.entries(days).filter(([key]) => key >= cutoff));
+    }
+
+    /**
+     * Get the local calendar day of a timestamp, budgets reset at local midnight
+     * @param {number} timestamp - Timestamp
+     * @return {string} - 'YYYY-MM-DD'
+     */
+    getDayKey(timestamp) {
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Read a non-negative amount
+     * @param {*} value - Raw value
+     * @return {number} - Amount, 0 when missing or invalid
+     */
+    toAmount(value) {
+        const amount = parseFloat(value);
+        return Number.isFinite(amount) && amount > 0 ? amount : 0;
+    }
+
+    /**
+     * Create an empty daily bucket
+     * @return {Object} - { requests, promptTokens, outputTokens, cost, unpricedRequests }
+     */
+    createBucket() {
+        return { requests: 0, promptTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 };
+    }
+
+    /**
+     * Create empty period totals
+     * @return {Object} - { tokens, cost, requests, unpricedRequests }
+     */
+    createTotals() {
+        return { tokens: 0, cost: 0, requests: 0, unpricedRequests: 0 };
+    }
+}
+
+// Create singleton instance
+const usageBudget = new UsageBudget();
+
+export { UsageBudget, usageBudget };